@@ -10,9 +10,12 @@ module.exports = {
 		api: { protocol: 'http', hostname: 'localhost', port: 7357, pathname: '/api', prefix: '' },
 		storage: {
 			'public': { path: './data/storage-test-public', api: { protocol: 'http', hostname: 'localhost', port: 7357, pathname: '/storage/public', prefix: '' } },
-			'protected': { path: './data/storage-test-protected', api: { protocol: 'http', hostname: 'localhost', port: 7357, pathname: '/storage', prefix: '' } }
+			'protected': { path: './data/storage-test-protected', api: { protocol: 'http', hostname: 'localhost', port: 7357, pathname: '/storage', prefix: '' } },
+			backend: { type: 'local' },
+			bundleCacheSize: 1073741824
 		},
 		webapp: { protocol: 'http', hostname: 'localhost', port: 7357 },
+		trustedProxies: 1,
 		db: `mongodb://localhost:${process.env.MONGODB_PORT || 27017}/vpdb-browserstack`,
 		dbLogging: { writeQueries: false },
 		redis: { host: '127.0.0.1', port: 6379, db: 7 },
@@ -21,6 +24,9 @@ module.exports = {
 		secret: 'do-not-run-this-config-in-production!',
 		loginBackoff: { delay: [ 0 ], keep: 0, key: 'auth', errorCode: 'too_many_failed_logins' },
 		passwordResetBackoff: { delay: [ 0 ], keep: 0, key: 'reset', errorCode: 'too_many_failed_password_resets' },
+		twoFactor: { issuer: 'VPDB', enforcedRoles: [], challengeLifetime: 300000 },
+		tokenUsage: { countryHeader: '', alertOnNewLocation: false },
+		accountDeletion: { comments: 'anonymize', content: 'anonymize', transferTo: '' },
 		email: {
 			confirmUserEmail: false,
 			sender: { email: 'server@vpdb.local', name: 'VPDB Server' },
@@ -46,12 +52,15 @@ module.exports = {
 				'playfield-fs': { category: { video: 1, image: 0 }, variation: -1 },
 				'playfield-ws': { category: { video: 1, image: 0 }, variation: -1 },
 				'release': { category: { table: 1, '*': 0 } },
+				'nvram': 0,
+				'highscore': 0,
 				'rom': 0
 			}
 		},
 		metrics: { bayesianEstimate: { minVotes: 3, globalMean: null } },
 		restrictions: { release: { denyMpu: [ 9999 ] }, backglass: { denyMpu: [ 9999 ] }, rom: { denyMpu: [ 9999 ] } },
 		tmp: '.',
+		nvramMaps: 'data/nvram-maps',
 		authorizationHeader: 'Authorization',
 		generateTableScreenshot: false,
 		passport: {
@@ -66,7 +66,43 @@ module.exports = {
 
 				/** URI of the API. Used to construct URLs. */
 				api: { protocol: 'https', hostname: 'localhost', port: 3000, pathname: '/storage', prefix: '' }
-			}
+			},
+
+			/**
+			 * Where files are persisted.
+			 *
+			 * With `local`, files are kept in the folders above. With `s3`, files
+			 * are stored in an S3-compatible object storage and downloads are
+			 * redirected to it, while the folders above are only used as cache
+			 * and for processing. This allows running multiple API nodes without
+			 * sharing the storage folders.
+			 *
+			 * Example:
+			 *
+			 *   backend: {
+			 *     type: 's3',
+			 *     s3: {
+			 *       endpoint: 'http://localhost:9000',
+			 *       region: 'us-east-1',
+			 *       bucket: 'vpdb',
+			 *       accessKeyId: 'minioadmin',
+			 *       secretAccessKey: 'minioadmin',
+			 *       forcePathStyle: true,   // needed for MinIO
+			 *       signedUrlLifetime: 300, // seconds
+			 *       publicUrl: null         // if set, public files are redirected here without signature
+			 *     }
+			 *   }
+			 */
+			backend: { type: 'local' },
+
+			/**
+			 * Maximal size in bytes of the cached release downloads.
+			 *
+			 * Downloaded releases are zipped and cached in the protected
+			 * folder. When the cache gets bigger than this, the least recently
+			 * downloaded bundles are removed.
+			 */
+			bundleCacheSize: 10737418240
 		},
 
 		/**
@@ -79,6 +115,17 @@ module.exports = {
 		 */
 		webapp: { protocol: 'https', hostname: 'localhost', port: 3000 },
 
+		/**
+		 * Number of reverse proxies in front of the API.
+		 *
+		 * Every proxy appends the address it received the request from to the
+		 * `X-Forwarded-For` header, so the client's address is taken from that
+		 * many entries from the end of the header. Entries before that are
+		 * sent by the client and can't be trusted. Set to 0 if the API is
+		 * exposed directly.
+		 */
+		trustedProxies: 1,
+
 		/**
 		 * Lifetime of the API JWT in milliseconds.
 		 */
@@ -161,6 +208,79 @@ module.exports = {
 			errorCode: 'too_many_failed_password_resets'
 		},
 
+		/**
+		 * Two-factor authentication for local accounts.
+		 */
+		twoFactor: {
+
+			/**
+			 * Name shown in the authenticator app.
+			 */
+			issuer: 'VPDB',
+
+			/**
+			 * Users with any of these roles must set up two-factor
+			 * authentication. If they haven't yet, they are asked to enroll
+			 * when logging in with their password.
+			 */
+			enforcedRoles: [ 'root', 'admin', 'moderator' ],
+
+			/**
+			 * How long the challenge returned after the password step is
+			 * valid, in milliseconds.
+			 */
+			challengeLifetime: 300000
+		},
+
+		/**
+		 * Usage log of application tokens.
+		 */
+		tokenUsage: {
+
+			/**
+			 * Header containing the two-letter country code of the client,
+			 * if set by a reverse proxy, e.g. `CF-IPCountry` when running
+			 * behind Cloudflare. Leave empty if not available, then only the
+			 * IP range is used to detect new locations.
+			 */
+			countryHeader: '',
+
+			/**
+			 * If true, the owner of a token gets an email when the token is
+			 * used from a new location.
+			 */
+			alertOnNewLocation: true
+		},
+
+		/**
+		 * What happens with the data of users deleting their account.
+		 * Personal data is always removed, this only applies to content
+		 * shared with others.
+		 */
+		accountDeletion: {
+
+			/**
+			 * Comments of the deleted user. Either `anonymize`, which keeps
+			 * them attributed to the anonymized account, or `delete`.
+			 */
+			comments: 'anonymize',
+
+			/**
+			 * Releases, backglasses, media, games, ROMs, builds, tags and
+			 * files created or authored by the deleted user. Either
+			 * `anonymize`, which keeps them attributed to the anonymized
+			 * account, or `transfer`, which makes the user in `transferTo`
+			 * the new creator and author.
+			 */
+			content: 'anonymize',
+
+			/**
+			 * ID of the user receiving the content when `content` is set to
+			 * `transfer`.
+			 */
+			transferTo: ''
+		},
+
 		/**
 		 * Various mail settings.
 		 */
@@ -304,6 +424,8 @@ module.exports = {
 				'playfield-fs': { category: { video: 1, image: 0 }, variation: -1 },
 				'playfield-ws': { category: { video: 1, image: 0 }, variation: { medium: { type: { image: 1 }}, '*': -1 } },
 				'release': { category: { table: 1, '*': 0 } },                      // any type or variation: 1 credit
+				'nvram': 0,
+				'highscore': 0,
 				'rom': 0
 			}
 		},
@@ -498,6 +620,13 @@ module.exports = {
 		 */
 		tmp: '/tmp',
 
+		/**
+		 * Folder containing the NVRAM maps used to read high scores from
+		 * uploaded NVRAM files. Clone https://github.com/tomlogic/pinmame-nvram-maps
+		 * and point this to it.
+		 */
+		nvramMaps: 'data/nvram-maps',
+
 		/**
 		 * HTTP header where the JWT is send from the client. If you globally
 		 * protect the site with let's say HTTP Basic, you'd need to use
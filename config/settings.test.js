@@ -21,9 +21,22 @@ module.exports = {
 		api: { protocol: 'http', hostname: 'localhost', port: 7357, pathname: '/api', prefix: '' },
 		storage: {
 			'public': { path: pubStorage, api: { protocol: 'http', hostname: 'localhost', port: 7357, pathname: '/storage/public', prefix: '' } },
-			'protected': { path: privStorage, api: { protocol: 'http', hostname: 'localhost', port: 7357, pathname: '/storage', prefix: '' } }
+			'protected': { path: privStorage, api: { protocol: 'http', hostname: 'localhost', port: 7357, pathname: '/storage', prefix: '' } },
+			backend: process.env.S3_ENDPOINT ? {
+				type: 's3',
+				s3: {
+					endpoint: process.env.S3_ENDPOINT,
+					region: process.env.S3_REGION || 'us-east-1',
+					bucket: process.env.S3_BUCKET || 'vpdb-test',
+					accessKeyId: process.env.S3_ACCESS_KEY || 'minioadmin',
+					secretAccessKey: process.env.S3_SECRET_KEY || 'minioadmin',
+					forcePathStyle: true
+				}
+			} : { type: 'local' },
+			bundleCacheSize: 1073741824
 		},
 		webapp: { protocol: 'http', hostname: 'localhost', port: 3333 },
+		trustedProxies: 1,
 		db: `mongodb://localhost:${process.env.MONGODB_PORT || 27017}/vpdb-test`,
 		dbLogging: { writeQueries: false },
 		redis: { host: '127.0.0.1', port: 6379, db: 7 },
@@ -32,6 +45,9 @@ module.exports = {
 		secret: 'do-not-run-this-config-in-production!',
 		loginBackoff: { delay: [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 5 ], keep: 0, key: 'auth', errorCode: 'too_many_failed_logins' },
 		passwordResetBackoff: { delay: [ 0, 0, 0, 0, 0, 0, 0, 0, 0, 1, 5 ], keep: 0, key: 'reset', errorCode: 'too_many_failed_password_resets' },
+		twoFactor: { issuer: 'VPDB', enforcedRoles: [], challengeLifetime: 300000 },
+		tokenUsage: { countryHeader: 'CF-IPCountry', alertOnNewLocation: true },
+		accountDeletion: { comments: 'anonymize', content: 'anonymize', transferTo: '' },
 		email: {
 			confirmUserEmail: true,
 			sender: { email: 'server@vpdb.local', name: 'VPDB Server' },
@@ -57,12 +73,15 @@ module.exports = {
 				'playfield-fs': { category: { video: 1, image: 0 }, variation: -1 },
 				'playfield-ws': { category: { video: 1, image: 0 }, variation: -1 },
 				'release': { category: { table: 1, '*': 0 }, variation: -1 },
+				'nvram': 0,
+				'highscore': 0,
 				'rom': 0
 			}
 		},
 		metrics: { bayesianEstimate: { minVotes: 3, globalMean: null } },
 		restrictions: { release: { denyMpu: [ 9999 ] }, backglass: { denyMpu: [ 9999 ] }, rom: { denyMpu: [ 9999 ] } },
 		tmp: '.',
+		nvramMaps: 'src/test/fixtures/nvram-maps',
 		authorizationHeader: 'Authorization',
 		generateTableScreenshot: false,
 		passport: {
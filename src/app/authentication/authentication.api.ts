@@ -17,6 +17,7 @@
  * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
  */
 
+import { randomBytes } from 'crypto';
 import { assign, isArray, uniq } from 'lodash';
 import sanitize = require('mongo-sanitize');
 
@@ -33,12 +34,22 @@ import { state } from '../state';
 import { UserDocument } from '../users/user.document';
 import { UserUtil } from '../users/user.util';
 import { AuthenticationUtil } from './authentication.util';
+import { TwoFactorUtil } from './two.factor.util';
+
+/**
+ * Number of wrong codes after which a two-factor challenge is removed.
+ */
+const maxChallengeFailures = 5;
 
 export class AuthenticationApi extends Api {
 
 	/**
 	 * Authenticates a user with local credentials or a login token.
 	 *
+	 * If the user needs a second factor, valid credentials return a
+	 * challenge instead of the token, which is then posted together with a
+	 * one-time password or a recovery code.
+	 *
 	 * @see POST /v1/authenticate
 	 * @param {Context} ctx
 	 * @returns {Promise<boolean>}
@@ -47,17 +58,27 @@ export class AuthenticationApi extends Api {
 
 		let how: 'password' | 'token';
 		let authenticatedUser: UserDocument;
+		let recoveryCodes: string[];
 		try {
 
 			// this resource is lock-protected
 			await this.ipLockAssert(ctx, config.vpdb.loginBackoff);
 
 			// try to authenticate locally
-			const localUser = await this.authenticateLocally(ctx);
-			if (localUser) {
+			const localUser = ctx.request.body.challenge ? null : await this.authenticateLocally(ctx);
+			if (localUser && TwoFactorUtil.isRequired(localUser)) {
+				// password is correct, but a second factor is needed.
+				return await this.createChallenge(ctx, localUser);
+
+			} else if (localUser) {
 				how = 'password';
 				authenticatedUser = localUser;
 
+			} else if (ctx.request.body.challenge) {
+				// second step of two-factor authentication
+				how = 'password';
+				[ authenticatedUser, recoveryCodes ] = await this.authenticateWithChallenge(ctx);
+
 			} else {
 				// try to authenticate
 				how = 'token';
@@ -71,7 +92,7 @@ export class AuthenticationApi extends Api {
 			}
 
 			// here we're authenticated (but not yet authorized)
-			await this.authenticateUser(ctx, authenticatedUser, how);
+			await this.authenticateUser(ctx, authenticatedUser, how, recoveryCodes ? { recovery_codes: recoveryCodes } : {});
 
 			// potentially unlock ip block
 			await this.ipLockOnSuccess(ctx, config.vpdb.loginBackoff);
@@ -102,8 +123,9 @@ export class AuthenticationApi extends Api {
 	 * @param {Context} ctx Koa context
 	 * @param {UserDocument} authenticatedUser Authenticated user
 	 * @param {"password" | "token" | "oauth"} how Auth method
+	 * @param {object} [additionalResponse] Additional properties to return
 	 */
-	protected async authenticateUser(ctx: Context, authenticatedUser: UserDocument, how: 'password' | 'token' | 'oauth') {
+	protected async authenticateUser(ctx: Context, authenticatedUser: UserDocument, how: 'password' | 'token' | 'oauth', additionalResponse: { [key: string]: any } = {}) {
 
 		await this.assertUserIsActive(ctx, authenticatedUser);
 
@@ -125,6 +147,7 @@ export class AuthenticationApi extends Api {
 			token,
 			expires,
 			user: assign(state.serializers.User.detailed(ctx, authenticatedUser), acls),
+			...additionalResponse,
 		};
 
 		/* istanbul ignore if */
@@ -209,6 +232,92 @@ export class AuthenticationApi extends Api {
 			.status(401);
 	}
 
+	/**
+	 * Creates a challenge for the second step of a two-factor authentication.
+	 *
+	 * If two-factor authentication is enforced but not yet set up, a new
+	 * secret is created and returned, so the user can enroll during login.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {UserDocument} user User who authenticated with their password
+	 */
+	private async createChallenge(ctx: Context, user: UserDocument) {
+
+		await this.assertUserIsActive(ctx, user);
+
+		const challenge = randomBytes(32).toString('hex');
+		const expires = new Date(Date.now() + config.vpdb.twoFactor.challengeLifetime);
+		const response: { [key: string]: any } = { challenge, expires };
+		if (!TwoFactorUtil.isEnabled(user)) {
+			const secret = TwoFactorUtil.generateSecret();
+			await state.models.User.updateOne({ _id: user._id }, { $set: { 'two_factor.secret': secret } }).exec();
+			response.enrollment = { secret, uri: TwoFactorUtil.getUri(user, secret) };
+		}
+		await state.redis.set(this.getChallengeKey(challenge), user.id);
+		await state.redis.expire(this.getChallengeKey(challenge), Math.ceil(config.vpdb.twoFactor.challengeLifetime / 1000));
+
+		logger.info(ctx.state, '[AuthenticationApi.createChallenge] User <%s> needs a second factor%s.', user.email, response.enrollment ? ' and must enroll' : '');
+		this.success(ctx, response, 200);
+	}
+
+	/**
+	 * Tries to authenticate with a challenge and a one-time password or
+	 * recovery code.
+	 *
+	 * If the user enrolled during login, two-factor authentication is enabled
+	 * and the recovery codes are returned.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {Promise<[UserDocument, string[]]>} Authenticated user and new recovery codes if enrolled
+	 * @throws {ApiError} When the challenge is invalid or the code is wrong.
+	 */
+	private async authenticateWithChallenge(ctx: Context): Promise<[UserDocument, string[]]> {
+		const challenge = String(ctx.request.body.challenge);
+		const userId = /^[0-9a-f]{64}$/i.test(challenge) ? await state.redis.get(this.getChallengeKey(challenge)) : null;
+		const user = userId ? await state.models.User.findOne({ id: userId }).exec() : null;
+		if (!user) {
+			throw new ApiError('Invalid or expired two-factor challenge.')
+				.code('invalid_challenge')
+				.warn()
+				.status(401);
+		}
+		const verifiedBy = await TwoFactorUtil.verify(user, ctx.request.body.code, ctx.request.body.recovery_code);
+		if (!verifiedBy) {
+			await LogUserUtil.failure(ctx, user, 'authenticate', { provider: 'local' }, null, 'Invalid second factor.');
+
+			// too many wrong codes invalidate the challenge, so the password must be provided again.
+			const failuresKey = this.getChallengeKey(challenge) + '_failures';
+			const numFailures = await state.redis.incr(failuresKey);
+			await state.redis.expire(failuresKey, Math.ceil(config.vpdb.twoFactor.challengeLifetime / 1000));
+			if (numFailures >= maxChallengeFailures) {
+				await state.redis.del(this.getChallengeKey(challenge), failuresKey);
+				logger.warn(ctx.state, '[AuthenticationApi.authenticateWithChallenge] Removed challenge of user <%s> after %s wrong codes.', user.email, numFailures);
+			}
+			throw new ApiError('Invalid second factor for user <%s>.', user.email)
+				.display('Wrong authentication code')
+				.code('wrong_two_factor_code')
+				.warn()
+				.status(401);
+		}
+		await state.redis.del(this.getChallengeKey(challenge), this.getChallengeKey(challenge) + '_failures');
+
+		// enrolled during login
+		if (!TwoFactorUtil.isEnabled(user)) {
+			const recoveryCodes = await TwoFactorUtil.enable(user);
+			await LogUserUtil.success(ctx, user, 'enable_two_factor', { how: 'login' });
+			logger.info(ctx.state, '[AuthenticationApi.authenticateWithChallenge] User <%s> enabled two-factor authentication.', user.email);
+			return [ user, recoveryCodes ];
+		}
+		if (verifiedBy === 'recovery') {
+			logger.info(ctx.state, '[AuthenticationApi.authenticateWithChallenge] User <%s> used a recovery code.', user.email);
+		}
+		return [ user, undefined ];
+	}
+
+	private getChallengeKey(challenge: string): string {
+		return 'two_factor_challenge_' + challenge;
+	}
+
 	/**
 	 * Tries to authenticate the user with a login token or fails otherwise.
 	 *
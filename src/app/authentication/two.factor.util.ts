@@ -0,0 +1,273 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { createHash, createHmac, randomBytes, scrypt, timingSafeEqual } from 'crypto';
+import { padEnd, padStart } from 'lodash';
+import { promisify } from 'util';
+
+import { config } from '../common/settings';
+import { state } from '../state';
+import { UserDocument, UserRecoveryCode } from '../users/user.document';
+
+const scryptAsync: (password: string, salt: string, keylen: number) => Promise<Buffer> = promisify(scrypt);
+
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time-based one-time passwords as described in RFC 6238, with the defaults
+ * every authenticator app understands (SHA-1, six digits, 30 seconds).
+ */
+const totp = { period: 30, digits: 6, window: 1 };
+
+/**
+ * Recovery codes are 80 random bits, displayed as four groups of five hex
+ * digits, and stored as salted scrypt hashes.
+ */
+const recoveryCodeFormat = { count: 10, bytes: 10, groupLength: 5, keyLength: 32 };
+
+export class TwoFactorUtil {
+
+	/**
+	 * Creates a new random TOTP secret.
+	 *
+	 * @return {string} Base32-encoded secret
+	 */
+	public static generateSecret(): string {
+		return TwoFactorUtil.toBase32(randomBytes(20));
+	}
+
+	/**
+	 * Returns the URI that authenticator apps read from the QR code.
+	 *
+	 * @param {UserDocument} user User to enroll
+	 * @param {string} secret Base32-encoded secret
+	 * @return {string} otpauth URI
+	 */
+	public static getUri(user: UserDocument, secret: string): string {
+		const issuer = config.vpdb.twoFactor.issuer;
+		const label = encodeURIComponent(issuer + ':' + (user.username || user.email));
+		return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(issuer)}&algorithm=SHA1&digits=${totp.digits}&period=${totp.period}`;
+	}
+
+	/**
+	 * Computes the one-time password of a secret for a given time step.
+	 *
+	 * @param {string} secret Base32-encoded secret
+	 * @param {number} step Number of periods since epoch
+	 * @return {string} Zero-padded code
+	 */
+	public static generateCode(secret: string, step: number): string {
+		const counter = Buffer.alloc(8);
+		counter.writeUInt32BE(Math.floor(step / 0x100000000), 0);
+		counter.writeUInt32BE(step % 0x100000000, 4);
+		const hmac = createHmac('sha1', TwoFactorUtil.fromBase32(secret)).update(counter).digest();
+
+		// dynamic truncation
+		const offset = hmac[hmac.length - 1] % 16;
+		const binary = (hmac[offset] % 128) * 0x1000000 + hmac[offset + 1] * 0x10000 + hmac[offset + 2] * 0x100 + hmac[offset + 3];
+		return padStart(String(binary % Math.pow(10, totp.digits)), totp.digits, '0');
+	}
+
+	/**
+	 * Returns true if the user must provide a second factor when logging in
+	 * with their password, either because they have enabled it or because
+	 * one of their roles enforces it.
+	 *
+	 * @param {UserDocument} user User to check
+	 * @return {boolean}
+	 */
+	public static isRequired(user: UserDocument): boolean {
+		return TwoFactorUtil.isEnabled(user) || TwoFactorUtil.isEnforced(user);
+	}
+
+	/**
+	 * Returns true if the user has two-factor authentication enabled.
+	 *
+	 * @param {UserDocument} user User to check
+	 * @return {boolean}
+	 */
+	public static isEnabled(user: UserDocument): boolean {
+		return !!(user.two_factor && user.two_factor.is_enabled);
+	}
+
+	/**
+	 * Returns true if one of the user's roles requires two-factor authentication.
+	 *
+	 * @param {UserDocument} user User to check
+	 * @return {boolean}
+	 */
+	public static isEnforced(user: UserDocument): boolean {
+		return user.hasRole(config.vpdb.twoFactor.enforcedRoles);
+	}
+
+	/**
+	 * Checks a one-time password or a recovery code of a user.
+	 *
+	 * Codes are only accepted once: the time step of a used one-time password
+	 * and the usage of a recovery code are saved atomically, so a code
+	 * can't be replayed. Recovery codes are only accepted once two-factor
+	 * authentication is enabled.
+	 *
+	 * @param {UserDocument} user User to check
+	 * @param {string} code One-time password from the authenticator app
+	 * @param {string} recoveryCode Recovery code
+	 * @return {Promise<"totp" | "recovery" | null>} How the user was verified, or null if not verified
+	 */
+	public static async verify(user: UserDocument, code: string, recoveryCode?: string): Promise<'totp' | 'recovery' | null> {
+		if (!user.two_factor || !user.two_factor.secret) {
+			return null;
+		}
+		if (code) {
+			const step = TwoFactorUtil.findStep(user.two_factor.secret, String(code).replace(/\s+/g, ''));
+			if (step < 0) {
+				return null;
+			}
+			const result = await state.models.User.updateOne({
+				_id: user._id,
+				$or: [{ 'two_factor.last_step': null }, { 'two_factor.last_step': { $lt: step } }],
+			}, { $set: { 'two_factor.last_step': step } }).exec();
+			return result.nModified === 1 ? 'totp' : null;
+		}
+		if (recoveryCode && TwoFactorUtil.isEnabled(user)) {
+			const match = await TwoFactorUtil.findRecoveryCode(user, recoveryCode);
+			if (!match) {
+				return null;
+			}
+			const result = await state.models.User.updateOne({
+				_id: user._id,
+				'two_factor.recovery_codes': { $elemMatch: { _id: match._id, used_at: null } },
+			}, { $set: { 'two_factor.recovery_codes.$.used_at': new Date() } }).exec();
+			return result.nModified === 1 ? 'recovery' : null;
+		}
+		return null;
+	}
+
+	/**
+	 * Enables two-factor authentication with the previously set up secret and
+	 * creates new recovery codes.
+	 *
+	 * @param {UserDocument} user User to enable
+	 * @return {Promise<string[]>} Plain recovery codes, only shown this time
+	 */
+	public static async enable(user: UserDocument): Promise<string[]> {
+		const recoveryCodes = TwoFactorUtil.generateRecoveryCodes();
+		await state.models.User.updateOne({ _id: user._id }, { $set: {
+			'two_factor.is_enabled': true,
+			'two_factor.enabled_at': new Date(),
+			'two_factor.recovery_codes': await Promise.all(recoveryCodes.map(c => TwoFactorUtil.hashRecoveryCode(c))),
+		} }).exec();
+		return recoveryCodes;
+	}
+
+	/**
+	 * Replaces the recovery codes of a user.
+	 *
+	 * @param {UserDocument} user User
+	 * @return {Promise<string[]>} Plain recovery codes, only shown this time
+	 */
+	public static async regenerateRecoveryCodes(user: UserDocument): Promise<string[]> {
+		const recoveryCodes = TwoFactorUtil.generateRecoveryCodes();
+		await state.models.User.updateOne({ _id: user._id }, { $set: {
+			'two_factor.recovery_codes': await Promise.all(recoveryCodes.map(c => TwoFactorUtil.hashRecoveryCode(c))),
+		} }).exec();
+		return recoveryCodes;
+	}
+
+	/**
+	 * Returns the time step within the accepted window the code matches.
+	 *
+	 * @param {string} secret Base32-encoded secret
+	 * @param {string} code Code to check
+	 * @return {number} Matched time step or -1 if none matched
+	 */
+	private static findStep(secret: string, code: string): number {
+		if (!new RegExp(`^\\d{${totp.digits}}$`).test(code)) {
+			return -1;
+		}
+		const currentStep = Math.floor(Date.now() / 1000 / totp.period);
+		for (let step = currentStep - totp.window; step <= currentStep + totp.window; step++) {
+			if (timingSafeEqual(Buffer.from(TwoFactorUtil.generateCode(secret, step)), Buffer.from(code))) {
+				return step;
+			}
+		}
+		return -1;
+	}
+
+	/**
+	 * Returns the unused recovery code of a user matching the given code.
+	 *
+	 * Codes created before they were salted are compared by their plain
+	 * SHA-256 hash.
+	 *
+	 * @param {UserDocument} user User to check
+	 * @param {string} code Recovery code as entered by the user
+	 * @return {Promise<UserRecoveryCode>} Matched recovery code or null if none matched
+	 */
+	private static async findRecoveryCode(user: UserDocument, code: string): Promise<UserRecoveryCode> {
+		const normalized = String(code).toLowerCase().replace(/[^0-9a-f]/g, '');
+		if (!normalized) {
+			return null;
+		}
+		for (const candidate of (user.two_factor.recovery_codes || []).filter(c => !c.used_at)) {
+			const hash = candidate.salt
+				? await scryptAsync(normalized, candidate.salt, recoveryCodeFormat.keyLength)
+				: createHash('sha256').update(normalized).digest();
+			const expected = Buffer.from(candidate.hash, 'hex');
+			if (hash.length === expected.length && timingSafeEqual(hash, expected)) {
+				return candidate;
+			}
+		}
+		return null;
+	}
+
+	private static generateRecoveryCodes(): string[] {
+		const codes: string[] = [];
+		for (let i = 0; i < recoveryCodeFormat.count; i++) {
+			const code = randomBytes(recoveryCodeFormat.bytes).toString('hex');
+			codes.push(code.match(new RegExp(`.{${recoveryCodeFormat.groupLength}}`, 'g')).join('-'));
+		}
+		return codes;
+	}
+
+	private static async hashRecoveryCode(code: string): Promise<UserRecoveryCode> {
+		const salt = randomBytes(16).toString('hex');
+		const hash = await scryptAsync(code.replace(/[^0-9a-f]/g, ''), salt, recoveryCodeFormat.keyLength);
+		return { hash: hash.toString('hex'), salt };
+	}
+
+	private static toBase32(data: Buffer): string {
+		const bits = Array.from(data).map(b => padStart(b.toString(2), 8, '0')).join('');
+		let encoded = '';
+		for (let i = 0; i < bits.length; i += 5) {
+			encoded += base32Alphabet[parseInt(padEnd(bits.substr(i, 5), 5, '0'), 2)];
+		}
+		return encoded;
+	}
+
+	private static fromBase32(encoded: string): Buffer {
+		const bits = encoded.toUpperCase().replace(/=+$/, '').split('')
+			.map(c => padStart(base32Alphabet.indexOf(c).toString(2), 5, '0'))
+			.join('');
+		const bytes: number[] = [];
+		for (let i = 0; i + 8 <= bits.length; i += 8) {
+			bytes.push(parseInt(bits.substr(i, 8), 2));
+		}
+		return Buffer.from(bytes);
+	}
+}
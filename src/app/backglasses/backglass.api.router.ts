@@ -34,19 +34,20 @@ export class BackglassApiRouter implements ApiRouter {
 		this.router = api.apiRouter();
 
 		this.router.get('/v1/backglasses',       api.list.bind(api));
-		this.router.post('/v1/backglasses',       api.auth(api.create.bind(api), 'backglasses', 'add', [ Scope.ALL, Scope.CREATE ]));
+		this.router.post('/v1/backglasses',       api.auth(api.create.bind(api), 'backglasses', 'add', [ Scope.ALL, Scope.CREATE, Scope.BACKGLASSES_WRITE ]));
 		this.router.get('/v1/backglasses/:id',   api.view.bind(api));
-		this.router.patch('/v1/backglasses/:id',  api.auth(api.update.bind(api), 'backglasses', 'update-own', [ Scope.ALL, Scope.CREATE ]));
-		this.router.delete('/v1/backglasses/:id', api.auth(api.del.bind(api), 'backglasses', 'delete-own', [ Scope.ALL, Scope.CREATE ]));
+		this.router.patch('/v1/backglasses/:id',  api.auth(api.update.bind(api), 'backglasses', 'update-own', [ Scope.ALL, Scope.CREATE, Scope.BACKGLASSES_WRITE ]));
+		this.router.delete('/v1/backglasses/:id', api.auth(api.del.bind(api), 'backglasses', 'delete-own', [ Scope.ALL, Scope.CREATE, Scope.BACKGLASSES_WRITE ]));
 
 		const versionApi = new BackglassVersionApi();
-		this.router.post('/v1/backglasses/:id/versions',           versionApi.auth(versionApi.addVersion.bind(api), 'backglasses', 'add', [Scope.ALL, Scope.CREATE]));
+		this.router.get('/v1/backglasses/:id/versions/:version',   versionApi.view.bind(versionApi));
+		this.router.post('/v1/backglasses/:id/versions',           versionApi.auth(versionApi.addVersion.bind(api), 'backglasses', 'add', [Scope.ALL, Scope.CREATE, Scope.BACKGLASSES_WRITE]));
 		//this.router.patch('/v1/backglasses/:id/versions/:version', versionApi.auth(versionApi.updateVersion.bind(api), 'backglasses', 'update-own', [Scope.ALL, Scope.CREATE]));
 
 		const starApi = new StarApi();
-		this.router.post('/v1/backglasses/:id/star',   api.auth(starApi.star('backglass').bind(starApi), 'backglasses', 'star', [ Scope.ALL, Scope.COMMUNITY ]));
-		this.router.delete('/v1/backglasses/:id/star', api.auth(starApi.unstar('backglass').bind(starApi), 'backglasses', 'star', [ Scope.ALL, Scope.COMMUNITY ]));
-		this.router.get('/v1/backglasses/:id/star',    api.auth(starApi.get('backglass').bind(starApi), 'backglasses', 'star', [ Scope.ALL, Scope.COMMUNITY ]));
+		this.router.post('/v1/backglasses/:id/star',   api.auth(starApi.star('backglass').bind(starApi), 'backglasses', 'star', [ Scope.ALL, Scope.COMMUNITY, Scope.STARS_WRITE ]));
+		this.router.delete('/v1/backglasses/:id/star', api.auth(starApi.unstar('backglass').bind(starApi), 'backglasses', 'star', [ Scope.ALL, Scope.COMMUNITY, Scope.STARS_WRITE ]));
+		this.router.get('/v1/backglasses/:id/star',    api.auth(starApi.get('backglass').bind(starApi), 'backglasses', 'star', [ Scope.ALL, Scope.COMMUNITY, Scope.STARS_READ, Scope.STARS_WRITE ]));
 
 		this.router.post('/v1/backglasses/:id/moderate', api.auth(api.moderate.bind(api), 'backglasses', 'moderate', [ Scope.ALL ]));
 
@@ -51,6 +51,7 @@ export const backglassFields = {
 };
 export interface BackglassModel extends GameReferenceModel<BackglassDocument>, PrettyIdModel<BackglassDocument>, ModeratedModel<BackglassDocument>, PaginateModel<BackglassDocument>, MetricsModel<BackglassDocument> {}
 export const backglassSchema = new Schema(backglassFields, { toObject: { virtuals: true, versionKey: false } });
+backglassSchema.index({ description: 'text' });
 
 //-----------------------------------------------------------------------------
 // PLUGINS
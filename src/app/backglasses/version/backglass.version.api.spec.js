@@ -169,4 +169,40 @@ describe('The VPDB `Backglass Version` API', () => {
 			expect(res.data.backglasses[0].versions[0].file.id).to.equal(b2sFile.id);
 		});
 	});
+
+	describe('when viewing a version', () => {
+
+		before(async () => {
+			await api.setupUsers({
+				member: { roles: ['member'] },
+				moderator: { roles: ['moderator'] }
+			});
+		});
+
+		after(async () => await api.teardown());
+
+		it('should fail for a non-existent version', async () => {
+			const backglass = await api.releaseHelper.createDirectB2S('member');
+			await api.as('member')
+				.get(`/v1/backglasses/${backglass.id}/versions/9.9`)
+				.then(res => res.expectError(404, 'no such version'));
+		});
+
+		it('should return the parsed backglass model', async () => {
+			const backglass = await api.releaseHelper.createDirectB2S('member');
+			res = await api.as('member')
+				.get(`/v1/backglasses/${backglass.id}/versions/1.0`)
+				.then(res => res.expectStatus(200));
+			const b2s = res.data.b2s;
+			expect(b2s.players).to.be(4);
+			expect(b2s.images.backglass).to.eql({ format: 'png', width: 1280, height: 1024, size: b2s.images.backglass.size });
+			expect(b2s.illumination).to.have.length(2);
+			expect(b2s.illumination[0].name).to.be('Shoot Again');
+			expect(b2s.illumination[0].rom_id_type).to.be('lamp');
+			expect(b2s.illumination[0].light_color).to.eql([255, 255, 255]);
+			expect(b2s.scores[0].digits).to.be(7);
+			expect(b2s.animations[0].steps[1].off).to.eql(['Shoot Again']);
+			expect(b2s.rom_ids).to.eql({ lamps: [39], solenoids: [7], gis: [] });
+		});
+	});
 });
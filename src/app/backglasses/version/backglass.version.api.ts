@@ -32,6 +32,32 @@ import { state } from '../../state';
 /* tslint:disable:no-unsafe-finally */
 export class BackglassVersionApi extends Api {
 
+	/**
+	 * Returns a backglass version including the parsed DirectB2S model of
+	 * its file.
+	 *
+	 * @see GET /v1/backglasses/:id/versions/:version
+	 * @param {Context} ctx Koa context
+	 */
+	public async view(ctx: Context) {
+		const backglass = await state.models.Backglass.findOne({ id: sanitize(ctx.params.id) })
+			.populate({ path: '_game' })
+			.populate({ path: 'versions._file' })
+			.exec();
+		if (!backglass) {
+			throw new ApiError('No such backglass with ID "%s".', ctx.params.id).status(404);
+		}
+		await backglass.assertRestrictedView(ctx);
+		await backglass.assertModeratedView(ctx);
+
+		const version = backglass.versions.find(v => v.version === ctx.params.version);
+		if (!version) {
+			throw new ApiError('No such version "%s" for backglass "%s".', ctx.params.version, backglass.id).status(404);
+		}
+
+		this.success(ctx, state.serializers.BackglassVersion.detailed(ctx, version));
+	}
+
 	/**
 	 * Adds a new version to an existing backglass.
 	 *
@@ -19,6 +19,7 @@
 
 import { ModeratedDocument, PrettyIdDocument, Types } from 'mongoose';
 import { FileDocument } from '../../files/file.document';
+import { Directb2sModel } from '../../files/metadata/directb2s.parser';
 
 export interface BackglassVersion extends ModeratedDocument, PrettyIdDocument {
 	version: string;
@@ -31,4 +32,5 @@ export interface BackglassVersion extends ModeratedDocument, PrettyIdDocument {
 
 	// serialized
 	file: FileDocument;
+	b2s?: Directb2sModel;
 }
@@ -23,6 +23,7 @@ import { Serializer, SerializerLevel, SerializerOptions, SerializerReference } f
 import { Context } from '../../common/typings/context';
 import { ModelName } from '../../common/typings/models';
 import { FileDocument } from '../../files/file.document';
+import { Directb2sModel } from '../../files/metadata/directb2s.parser';
 import { state } from '../../state';
 import { BackglassVersion } from './backglass.version';
 
@@ -43,9 +44,14 @@ export class BackglassVersionSerializer extends Serializer<BackglassVersion> {
 		return this._serialize(ctx, doc, opts, state.serializers.File.simple.bind(state.serializers.File));
 	}
 
-	/* istanbul ignore next */
 	protected _detailed(ctx: Context, doc: BackglassVersion, opts: SerializerOptions): BackglassVersion {
-		return this._simple(ctx, doc, opts);
+		const backglassVersion = this._simple(ctx, doc, opts);
+
+		// the full directb2s model
+		if (this._populated(doc, '_file') && (doc._file as FileDocument).metadata) {
+			backglassVersion.b2s = (doc._file as FileDocument).metadata as Directb2sModel;
+		}
+		return backglassVersion;
 	}
 
 	private _serialize(ctx: Context, doc: BackglassVersion, opts: SerializerOptions,
@@ -31,10 +31,10 @@ export class BuildApiRouter implements ApiRouter {
 		this.router = api.apiRouter();
 
 		this.router.get('/v1/builds',       api.list.bind(api));
-		this.router.post('/v1/builds',       api.auth(api.create.bind(api), 'builds', 'add', [ Scope.ALL, Scope.CREATE ]));
+		this.router.post('/v1/builds',       api.auth(api.create.bind(api), 'builds', 'add', [ Scope.ALL, Scope.CREATE, Scope.BUILDS_WRITE ]));
 		this.router.get('/v1/builds/:id',   api.view.bind(api));
-		this.router.patch('/v1/builds/:id',  api.auth(api.update.bind(api), 'builds', 'update', [ Scope.ALL, Scope.CREATE ]));
-		this.router.delete('/v1/builds/:id', api.auth(api.del.bind(api), 'builds', 'delete-own', [ Scope.ALL, Scope.CREATE ]));
+		this.router.patch('/v1/builds/:id',  api.auth(api.update.bind(api), 'builds', 'update', [ Scope.ALL, Scope.CREATE, Scope.BUILDS_WRITE ]));
+		this.router.delete('/v1/builds/:id', api.auth(api.del.bind(api), 'builds', 'delete-own', [ Scope.ALL, Scope.CREATE, Scope.BUILDS_WRITE ]));
 	}
 
 	public getRouter(): Router {
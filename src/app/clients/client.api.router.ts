@@ -0,0 +1,48 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import * as Router from 'koa-router';
+import { ApiRouter } from '../common/api.router';
+import { Scope } from '../common/scope';
+import { ClientApi } from './client.api';
+import { DownloadJobApi } from './download.job.api';
+
+export class ClientApiRouter implements ApiRouter {
+
+	private readonly router: Router;
+
+	constructor() {
+		const api = new ClientApi();
+		this.router = api.apiRouter();
+
+		this.router.get('/v1/clients', api.auth(api.list.bind(api), 'clients', 'list', [ Scope.ALL ], { enableRealtime: true }));
+
+		const jobApi = new DownloadJobApi();
+		this.router.get('/v1/download_jobs',               jobApi.auth(jobApi.list.bind(jobApi), 'download_jobs', 'list', [ Scope.ALL ]));
+		this.router.post('/v1/download_jobs',              jobApi.auth(jobApi.create.bind(jobApi), 'download_jobs', 'add', [ Scope.ALL ]));
+		this.router.get('/v1/download_jobs/pending',       jobApi.auth(jobApi.pending.bind(jobApi), 'download_jobs', 'process', [ Scope.ALL ]));
+		this.router.post('/v1/download_jobs/:id/ack',      jobApi.auth(jobApi.acknowledge.bind(jobApi), 'download_jobs', 'process', [ Scope.ALL ]));
+		this.router.post('/v1/download_jobs/:id/complete', jobApi.auth(jobApi.complete.bind(jobApi), 'download_jobs', 'process', [ Scope.ALL ]));
+		this.router.delete('/v1/download_jobs/:id',        jobApi.auth(jobApi.del.bind(jobApi), 'download_jobs', 'delete-own', [ Scope.ALL ]));
+	}
+
+	public getRouter(): Router {
+		return this.router;
+	}
+}
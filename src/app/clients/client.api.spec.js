@@ -0,0 +1,229 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+'use strict';
+/*global describe, before, after, it*/
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The VPDB `Client` API', () => {
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'], _plan: 'vip' },
+			other: { roles: ['member'], _plan: 'vip' },
+			free: { roles: ['member'], _plan: 'free' },
+			moderator: { roles: ['moderator'], _plan: 'vip' },
+		});
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when connecting to the websocket', () => {
+
+		it('should fail when not logged', async () => {
+			const err = await expectRefused(api.connect());
+			expect(err.status).to.be(401);
+		});
+
+		it('should fail with an invalid token', async () => {
+			const err = await expectRefused(api.connect(null, null, { Authorization: 'Bearer invalid' }));
+			expect(err.status).to.be(401);
+		});
+
+		it('should fail when the plan has no real-time access', async () => {
+			const err = await expectRefused(api.connect('free'));
+			expect(err.status).to.be(403);
+		});
+
+		it('should succeed with a storage token provided as query parameter', async () => {
+			const path = '/api/v1/realtime';
+			const token = await api.retrieveStorageToken('member', path);
+			const socket = await api.connect(null, { token });
+			const msg = await nextMessage(socket);
+			expect(msg.event).to.be('connected');
+		});
+
+		it('should announce the client ID when connected', async () => {
+			const socket = await api.connect('member', { app_name: 'VPDB Agent', machine_name: 'My Pincab' });
+			const msg = await nextMessage(socket);
+			expect(msg.event).to.be('connected');
+			expect(msg.data.client_id).to.be.ok();
+			expect(msg.data.app_name).to.be('VPDB Agent');
+			expect(msg.data.machine_name).to.be('My Pincab');
+		});
+	});
+
+	describe('when sending messages', () => {
+
+		let socket;
+		before(async () => {
+			socket = await api.connect('member');
+			await nextMessage(socket);
+		});
+
+		it('should fail with invalid JSON', async () => {
+			socket.send('{ invalid');
+			const msg = await nextMessage(socket);
+			expect(msg.event).to.be('error');
+			expect(msg.error).to.contain('valid JSON');
+		});
+
+		it('should fail with an invalid action', async () => {
+			socket.send(JSON.stringify({ action: 'dance' }));
+			const msg = await nextMessage(socket);
+			expect(msg.event).to.be('error');
+			expect(msg.error).to.contain('Invalid action');
+			expect(msg.message).to.eql({ action: 'dance' });
+		});
+
+		it('should fail when subscribing to an invalid channel', async () => {
+			socket.send(JSON.stringify({ action: 'subscribe', channels: ['private', 'nope'] }));
+			const msg = await nextMessage(socket);
+			expect(msg.event).to.be('error');
+			expect(msg.error).to.contain('Invalid channel "nope"');
+		});
+
+		it('should succeed subscribing and unsubscribing', async () => {
+			socket.send(JSON.stringify({ action: 'subscribe', channels: ['private', 'public'] }));
+			let msg = await nextMessage(socket);
+			expect(msg.event).to.be('subscribed');
+			expect(msg.data.channels).to.eql(['private', 'public']);
+
+			socket.send(JSON.stringify({ action: 'unsubscribe', channels: 'public' }));
+			msg = await nextMessage(socket);
+			expect(msg.event).to.be('unsubscribed');
+			expect(msg.data.channels).to.eql(['private']);
+		});
+	});
+
+	describe('when subscribed to a channel', () => {
+
+		it('should receive own events on the private channel', async () => {
+			const release = await api.releaseHelper.createRelease('moderator');
+			const socket = await subscribe('member', 'private');
+			await api.as('member').post('/v1/releases/' + release.id + '/star', {}).then(res => res.expectStatus(201));
+			const msg = await nextMessage(socket, 'star_release');
+			expect(msg.channel).to.be('private');
+			expect(msg.event).to.be('star_release');
+			expect(msg.data.actor.id).to.be(api.getUser('member').id);
+		});
+
+		it('should not receive private events of other users', async () => {
+			const release = await api.releaseHelper.createRelease('moderator');
+			const socket = await subscribe('other', 'private');
+			await api.as('member').post('/v1/releases/' + release.id + '/star', {}).then(res => res.expectStatus(201));
+			await api.as('other').post('/v1/releases/' + release.id + '/star', {}).then(res => res.expectStatus(201));
+			const msg = await nextMessage(socket, 'star_release');
+			expect(msg.data.actor.id).to.be(api.getUser('other').id);
+		});
+
+		it('should receive public events of other users', async () => {
+			const release = await api.releaseHelper.createRelease('moderator');
+			const socket = await subscribe('other', 'public');
+			await api.as('member').post('/v1/releases/' + release.id + '/star', {}).then(res => res.expectStatus(201));
+			const msg = await nextMessage(socket, 'star_release');
+			expect(msg.channel).to.be('public');
+			expect(msg.event).to.be('star_release');
+			expect(msg.data.actor.id).to.be(api.getUser('member').id);
+		});
+	});
+
+	describe('when listing clients', () => {
+
+		it('should fail when the plan has no real-time access', async () => {
+			await api.as('free').get('/v1/clients').then(res => res.expectError(403));
+		});
+
+		it('should list connected clients', async () => {
+			const socket = await api.connect('other', { app_name: 'Listed App' });
+			const connected = await nextMessage(socket);
+			const res = await api.as('other').save('clients/list').get('/v1/clients').then(res => res.expectStatus(200));
+			const client = res.data.find(c => c.client.client_id === connected.data.client_id);
+			expect(client).to.be.ok();
+			expect(client.client.app_name).to.be('Listed App');
+		});
+
+		it('should not list clients of other users', async () => {
+			const socket = await api.connect('other');
+			const connected = await nextMessage(socket);
+			const res = await api.as('member').get('/v1/clients').then(res => res.expectStatus(200));
+			expect(res.data.find(c => c.client.client_id === connected.data.client_id)).to.not.be.ok();
+		});
+	});
+
+	/**
+	 * Connects as a given user and subscribes to a channel.
+	 *
+	 * @param {string} user User reference
+	 * @param {string} channel Channel to subscribe to
+	 * @returns {Promise<WebSocket>} Subscribed websocket
+	 */
+	async function subscribe(user, channel) {
+		const socket = await api.connect(user);
+		await nextMessage(socket);
+		socket.send(JSON.stringify({ action: 'subscribe', channels: [channel] }));
+		await nextMessage(socket, 'subscribed');
+		return socket;
+	}
+
+	/**
+	 * Waits for the next message on a socket.
+	 *
+	 * @param {WebSocket} socket Websocket
+	 * @param {string} [event] If set, skip messages of other events.
+	 * @returns {Promise<Object>} Parsed message
+	 */
+	function nextMessage(socket, event) {
+		return new Promise((resolve, reject) => {
+			const onMessage = data => {
+				const msg = JSON.parse(data);
+				if (event && msg.event !== event) {
+					return;
+				}
+				clearTimeout(timeout);
+				socket.removeListener('message', onMessage);
+				resolve(msg);
+			};
+			const timeout = setTimeout(() => {
+				socket.removeListener('message', onMessage);
+				reject(new Error('No message received.'));
+			}, 2000);
+			socket.on('message', onMessage);
+		});
+	}
+
+	/**
+	 * Expects a websocket connection to be refused.
+	 *
+	 * @param {Promise<WebSocket>} connection Connection attempt
+	 * @returns {Promise<Error>} Error containing `status` and `body`
+	 */
+	async function expectRefused(connection) {
+		try {
+			await connection;
+		} catch (err) {
+			return err;
+		}
+		throw new Error('Expected connection to be refused.');
+	}
+});
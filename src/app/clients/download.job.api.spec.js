@@ -0,0 +1,253 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+'use strict';
+/*global describe, before, after, it*/
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The VPDB `Download Job` API', () => {
+
+	let release, agent, otherAgent;
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'], _plan: 'vip' },
+			other: { roles: ['member'], _plan: 'vip' },
+			moderator: { roles: ['moderator'] },
+		});
+		release = await api.releaseHelper.createRelease('moderator');
+		agent = await createAgent('member');
+		otherAgent = await createAgent('other');
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when queuing a job', () => {
+
+		it('should fail without an agent', async () => {
+			await api.as('member')
+				.post('/v1/download_jobs', { release: release.id, files: [ release.versions[0].files[0].file.id ] })
+				.then(res => res.expectValidationError('agent', 'must be provided'));
+		});
+
+		it('should fail with an agent of another user', async () => {
+			await api.as('member')
+				.post('/v1/download_jobs', { agent: otherAgent.id, release: release.id, files: [ release.versions[0].files[0].file.id ] })
+				.then(res => res.expectValidationError('agent', 'no such agent'));
+		});
+
+		it('should fail with a non-existent release', async () => {
+			await api.as('member')
+				.post('/v1/download_jobs', { agent: agent.id, release: 'doesnotexist', files: [ release.versions[0].files[0].file.id ] })
+				.then(res => res.expectError(404, 'no such release'));
+		});
+
+		it('should fail without files', async () => {
+			await api.as('member')
+				.post('/v1/download_jobs', { agent: agent.id, release: release.id })
+				.then(res => res.expectError(422, 'need to provide which files'));
+		});
+
+		it('should succeed with valid data', async () => {
+			const res = await api.as('member')
+				.save('download_jobs/create')
+				.post('/v1/download_jobs', { agent: agent.id, release: release.id, files: [ release.versions[0].files[0].file.id ] })
+				.then(res => res.expectStatus(201));
+			expect(res.data.id).to.be.ok();
+			expect(res.data.status).to.be('pending');
+			expect(res.data.release.id).to.be(release.id);
+			expect(res.data.agent.id).to.be(agent.id);
+			expect(res.data.request.files).to.eql([ release.versions[0].files[0].file.id ]);
+		});
+
+		it('should push the job to the connected agent', async () => {
+			const socket = await api.connect(null, null, { Authorization: 'Bearer ' + agent.token });
+			const connected = await nextMessage(socket);
+			expect(connected.data.agent_id).to.be(agent.id);
+			const res = await api.as('member')
+				.post('/v1/download_jobs', { agent: agent.id, release: release.id, files: [ release.versions[0].files[0].file.id ] })
+				.then(res => res.expectStatus(201));
+			const msg = await nextMessage(socket, 'download_release');
+			expect(msg.session_id).to.be(res.data.id);
+			expect(msg.data.release.id).to.be(release.id);
+		});
+	});
+
+	describe('when processing a job', () => {
+
+		it('should list pending jobs of the agent only', async () => {
+			const job = await createJob();
+			const res = await api.withToken(agent.token)
+				.save('download_jobs/pending')
+				.get('/v1/download_jobs/pending')
+				.then(res => res.expectStatus(200));
+			expect(res.data.find(j => j.id === job.id)).to.be.ok();
+			const otherRes = await api.withToken(otherAgent.token).get('/v1/download_jobs/pending').then(res => res.expectStatus(200));
+			expect(otherRes.data.find(j => j.id === job.id)).to.not.be.ok();
+		});
+
+		it('should fail fetching pending jobs when not authenticated as agent', async () => {
+			await api.as('member').get('/v1/download_jobs/pending').then(res => res.expectError(400, 'personal token'));
+		});
+
+		it('should fail acknowledging a job of another agent', async () => {
+			const job = await createJob();
+			await api.withToken(otherAgent.token).post('/v1/download_jobs/' + job.id + '/ack', {}).then(res => res.expectError(404));
+		});
+
+		it('should succeed acknowledging and completing a job', async () => {
+			const job = await createJob();
+			let res = await api.withToken(agent.token)
+				.save('download_jobs/ack')
+				.post('/v1/download_jobs/' + job.id + '/ack', {})
+				.then(res => res.expectStatus(200));
+			expect(res.data.status).to.be('acknowledged');
+			expect(res.data.acknowledged_at).to.be.ok();
+
+			await api.withToken(agent.token).post('/v1/download_jobs/' + job.id + '/ack', {}).then(res => res.expectError(400, 'cannot acknowledge'));
+
+			res = await api.withToken(agent.token)
+				.save('download_jobs/complete')
+				.post('/v1/download_jobs/' + job.id + '/complete', {})
+				.then(res => res.expectStatus(200));
+			expect(res.data.status).to.be('completed');
+
+			res = await api.withToken(agent.token).get('/v1/download_jobs/pending').then(res => res.expectStatus(200));
+			expect(res.data.find(j => j.id === job.id)).to.not.be.ok();
+		});
+
+		it('should mark the job as failed when reporting an error', async () => {
+			const job = await createJob();
+			const res = await api.withToken(agent.token)
+				.post('/v1/download_jobs/' + job.id + '/complete', { error: 'Disk full.' })
+				.then(res => res.expectStatus(200));
+			expect(res.data.status).to.be('failed');
+			expect(res.data.message).to.be('Disk full.');
+		});
+
+		it('should announce status changes on the file system channel', async () => {
+			const job = await createJob();
+			const socket = await api.connect('member');
+			await nextMessage(socket, 'connected');
+			socket.send(JSON.stringify({ action: 'subscribe', channels: [ 'file_system' ] }));
+			await nextMessage(socket, 'subscribed');
+
+			await api.withToken(agent.token).post('/v1/download_jobs/' + job.id + '/ack', {}).then(res => res.expectStatus(200));
+			let msg = await nextMessage(socket, 'download_start');
+			expect(msg.channel).to.be('file_system');
+			expect(msg.session_id).to.be(job.id);
+
+			await api.withToken(agent.token).post('/v1/download_jobs/' + job.id + '/complete', {}).then(res => res.expectStatus(200));
+			msg = await nextMessage(socket, 'end');
+			expect(msg.session_id).to.be(job.id);
+		});
+	});
+
+	describe('when listing jobs', () => {
+
+		it('should only list own jobs', async () => {
+			const job = await createJob();
+			const res = await api.as('member').save('download_jobs/list').get('/v1/download_jobs').then(res => res.expectStatus(200));
+			expect(res.data.find(j => j.id === job.id)).to.be.ok();
+			const otherRes = await api.as('other').get('/v1/download_jobs').then(res => res.expectStatus(200));
+			expect(otherRes.data.find(j => j.id === job.id)).to.not.be.ok();
+		});
+
+		it('should filter by status', async () => {
+			const job = await createJob();
+			let res = await api.as('member').withQuery({ status: 'completed' }).get('/v1/download_jobs').then(res => res.expectStatus(200));
+			expect(res.data.find(j => j.id === job.id)).to.not.be.ok();
+			res = await api.as('member').withQuery({ status: 'pending,acknowledged' }).get('/v1/download_jobs').then(res => res.expectStatus(200));
+			expect(res.data.find(j => j.id === job.id)).to.be.ok();
+		});
+
+		it('should fail with an invalid status', async () => {
+			await api.as('member').withQuery({ status: 'dancing' }).get('/v1/download_jobs').then(res => res.expectError(400, 'invalid status'));
+		});
+	});
+
+	describe('when deleting a job', () => {
+
+		it('should fail for a job of another user', async () => {
+			const job = await createJob();
+			await api.as('other').del('/v1/download_jobs/' + job.id).then(res => res.expectError(404));
+		});
+
+		it('should succeed for an own job', async () => {
+			const job = await createJob();
+			await api.as('member').del('/v1/download_jobs/' + job.id).then(res => res.expectStatus(204));
+			await api.withToken(agent.token).post('/v1/download_jobs/' + job.id + '/ack', {}).then(res => res.expectError(404));
+		});
+	});
+
+	/**
+	 * Creates a personal token used by an agent.
+	 *
+	 * @param {string} user User reference
+	 * @returns {Promise<Object>} Created token, including its value
+	 */
+	async function createAgent(user) {
+		const res = await api.as(user)
+			.markTeardown()
+			.post('/v1/tokens', { label: 'VPDB Agent', password: api.getUser(user).password, type: 'personal', scopes: [ 'all' ] })
+			.then(res => res.expectStatus(201));
+		return res.data;
+	}
+
+	/**
+	 * Queues a download job of the test release for the member's agent.
+	 *
+	 * @returns {Promise<Object>} Created job
+	 */
+	async function createJob() {
+		const res = await api.as('member')
+			.post('/v1/download_jobs', { agent: agent.id, release: release.id, files: [ release.versions[0].files[0].file.id ] })
+			.then(res => res.expectStatus(201));
+		return res.data;
+	}
+
+	/**
+	 * Waits for the next message on a socket.
+	 *
+	 * @param {WebSocket} socket Websocket
+	 * @param {string} [event] If set, skip messages of other events or actions.
+	 * @returns {Promise<Object>} Parsed message
+	 */
+	function nextMessage(socket, event) {
+		return new Promise((resolve, reject) => {
+			const onMessage = data => {
+				const msg = JSON.parse(data);
+				if (event && msg.event !== event && msg.action !== event) {
+					return;
+				}
+				clearTimeout(timeout);
+				socket.removeListener('message', onMessage);
+				resolve(msg);
+			};
+			const timeout = setTimeout(() => {
+				socket.removeListener('message', onMessage);
+				reject(new Error('No message received.'));
+			}, 2000);
+			socket.on('message', onMessage);
+		});
+	}
+});
@@ -0,0 +1,255 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { pick } from 'lodash';
+import sanitize = require('mongo-sanitize');
+
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { Context } from '../common/typings/context';
+import { DownloadReleaseBody, ReleaseStorage } from '../releases/release.storage';
+import { state } from '../state';
+import { TokenDocument } from '../tokens/token.document';
+import { DownloadJobDocument } from './download.job.document';
+import { downloadJobStatuses } from './download.job.schema';
+import { realtime } from './realtime';
+
+/**
+ * Download jobs let a user send a release download to one of their agents,
+ * e.g. VPDB Agent running on a headless cabinet.
+ *
+ * An agent is identified by the personal token it authenticates with. It
+ * retrieves its pending jobs, acknowledges them when starting and reports
+ * completion, after which it downloads the files through the storage API
+ * like any other client. Connected agents are additionally notified through
+ * the websocket.
+ */
+export class DownloadJobApi extends Api {
+
+	private readonly storage = new ReleaseStorage();
+
+	/**
+	 * Queues a new download job for an agent.
+	 *
+	 * @see POST /v1/download_jobs
+	 * @param {Context} ctx Koa context
+	 */
+	public async create(ctx: Context) {
+
+		const body = ctx.request.body || {};
+		if (!body.agent) {
+			throw new ApiError().validationError('agent', 'The agent receiving the download must be provided.');
+		}
+		if (!body.release) {
+			throw new ApiError().validationError('release', 'The release to download must be provided.');
+		}
+		const agent = await state.models.Token.findOne({
+			id: sanitize(body.agent),
+			type: 'personal',
+			is_active: true,
+			_created_by: ctx.state.user._id,
+		}).exec();
+		if (!agent) {
+			throw new ApiError().validationError('agent', 'No such agent.', body.agent);
+		}
+
+		// run the same checks as when downloading
+		const request = pick(body, ['files', 'media', 'game_media', 'backglass', 'roms']) as DownloadReleaseBody;
+		const [ release ] = await this.storage.collectFiles(ctx, body.release, request, true);
+
+		let downloadJob = new state.models.DownloadJob({
+			request,
+			_release: release._id,
+			_agent: agent._id,
+			_created_by: ctx.state.user._id,
+			created_at: new Date(),
+		});
+		downloadJob = await downloadJob.save();
+		downloadJob = await this.populate(downloadJob);
+		logger.info(ctx.state, '[DownloadJobApi.create] Queued download job %s of release %s for agent "%s".', downloadJob.id, release.id, agent.label);
+
+		const data = state.serializers.DownloadJob.simple(ctx, downloadJob);
+		this.success(ctx, data, 201);
+
+		this.noAwait(async () => {
+			await realtime.sendToAgent(agent.id, { action: 'download_release', session_id: downloadJob.id, data });
+			await this.announce(downloadJob, 'queued', data);
+		});
+	}
+
+	/**
+	 * Lists the download jobs of the current user.
+	 *
+	 * @see GET /v1/download_jobs
+	 * @param {Context} ctx Koa context
+	 */
+	public async list(ctx: Context) {
+		const pagination = this.pagination(ctx, 10, 50);
+		const query: any = { _created_by: ctx.state.user._id };
+		if (ctx.query.status) {
+			const statuses: string[] = ctx.query.status.split(',');
+			const invalidStatuses = statuses.filter(status => !downloadJobStatuses.includes(status));
+			if (invalidStatuses.length) {
+				throw new ApiError('Invalid status "%s". Valid statuses are: [ %s ].', invalidStatuses.join('", "'), downloadJobStatuses.join(', ')).status(400);
+			}
+			query.status = { $in: statuses };
+		}
+		const result = await state.models.DownloadJob.paginate(query, {
+			page: pagination.page,
+			limit: pagination.perPage,
+			sort: { created_at: -1 },
+			populate: [{ path: '_release', populate: { path: '_game' } }, '_agent'],
+		});
+		const downloadJobs = result.docs.map(downloadJob => state.serializers.DownloadJob.simple(ctx, downloadJob));
+		this.success(ctx, downloadJobs, 200, this.paginationOpts(pagination, result.total));
+	}
+
+	/**
+	 * Lists the jobs an agent still has to process, oldest first.
+	 *
+	 * @see GET /v1/download_jobs/pending
+	 * @param {Context} ctx Koa context
+	 */
+	public async pending(ctx: Context) {
+		const agent = this.getAgent(ctx);
+		const downloadJobs = await state.models.DownloadJob.find({ _agent: agent._id, status: { $in: ['pending', 'acknowledged'] } })
+			.populate({ path: '_release', populate: { path: '_game' } })
+			.populate('_agent')
+			.sort({ created_at: 1 })
+			.exec();
+		this.success(ctx, downloadJobs.map(downloadJob => state.serializers.DownloadJob.simple(ctx, downloadJob)));
+	}
+
+	/**
+	 * Marks a job as acknowledged by the agent.
+	 *
+	 * @see POST /v1/download_jobs/:id/ack
+	 * @param {Context} ctx Koa context
+	 */
+	public async acknowledge(ctx: Context) {
+		let downloadJob = await this.findAgentJob(ctx);
+		if (downloadJob.status !== 'pending') {
+			throw new ApiError('Cannot acknowledge a job with status "%s".', downloadJob.status).status(400);
+		}
+		downloadJob.status = 'acknowledged';
+		downloadJob.acknowledged_at = new Date();
+		downloadJob = await downloadJob.save();
+		logger.info(ctx.state, '[DownloadJobApi.acknowledge] Download job %s acknowledged.', downloadJob.id);
+
+		const data = state.serializers.DownloadJob.simple(ctx, downloadJob);
+		this.success(ctx, data, 200);
+		this.noAwait(async () => this.announce(downloadJob, 'download_start', data));
+	}
+
+	/**
+	 * Marks a job as completed, or failed if an error is provided.
+	 *
+	 * @see POST /v1/download_jobs/:id/complete
+	 * @param {Context} ctx Koa context
+	 */
+	public async complete(ctx: Context) {
+		let downloadJob = await this.findAgentJob(ctx);
+		if (!['pending', 'acknowledged'].includes(downloadJob.status)) {
+			throw new ApiError('Cannot complete a job with status "%s".', downloadJob.status).status(400);
+		}
+		const error = ctx.request.body && ctx.request.body.error;
+		downloadJob.status = error ? 'failed' : 'completed';
+		downloadJob.message = error ? String(error) : undefined;
+		downloadJob.completed_at = new Date();
+		downloadJob = await downloadJob.save();
+		logger.info(ctx.state, '[DownloadJobApi.complete] Download job %s %s.', downloadJob.id, downloadJob.status);
+
+		const data = state.serializers.DownloadJob.simple(ctx, downloadJob);
+		this.success(ctx, data, 200);
+		this.noAwait(async () => this.announce(downloadJob, error ? 'error' : 'end', data, downloadJob.message));
+	}
+
+	/**
+	 * Deletes a download job.
+	 *
+	 * @see DELETE /v1/download_jobs/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async del(ctx: Context) {
+		const downloadJob = await state.models.DownloadJob.findOne({ id: sanitize(ctx.params.id), _created_by: ctx.state.user._id }).exec();
+		if (!downloadJob) {
+			throw new ApiError('No such download job with ID "%s".', ctx.params.id).status(404);
+		}
+		await downloadJob.remove();
+		logger.info(ctx.state, '[DownloadJobApi.del] Download job %s successfully deleted.', downloadJob.id);
+		this.success(ctx, null, 204);
+	}
+
+	/**
+	 * Returns the token of the agent making the request.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {TokenDocument} Token of the agent
+	 * @throws {ApiError} If not authenticated with a personal token
+	 */
+	private getAgent(ctx: Context): TokenDocument {
+		if (ctx.state.tokenType !== 'personal') {
+			throw new ApiError('Agents must authenticate with a personal token.').status(400);
+		}
+		return ctx.state.appToken;
+	}
+
+	/**
+	 * Retrieves a job addressed to the agent making the request.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {Promise<DownloadJobDocument>} Populated download job
+	 * @throws {ApiError} If job not found
+	 */
+	private async findAgentJob(ctx: Context): Promise<DownloadJobDocument> {
+		const agent = this.getAgent(ctx);
+		const downloadJob = await state.models.DownloadJob.findOne({ id: sanitize(ctx.params.id), _agent: agent._id }).exec();
+		if (!downloadJob) {
+			throw new ApiError('No such download job with ID "%s".', ctx.params.id).status(404);
+		}
+		return this.populate(downloadJob);
+	}
+
+	/**
+	 * Populates the references needed for serialization.
+	 *
+	 * @param {DownloadJobDocument} downloadJob Download job
+	 * @return {Promise<DownloadJobDocument>} Populated download job
+	 */
+	private async populate(downloadJob: DownloadJobDocument): Promise<DownloadJobDocument> {
+		return downloadJob
+			.populate({ path: '_release', populate: { path: '_game' } })
+			.populate('_agent')
+			.execPopulate();
+	}
+
+	/**
+	 * Announces a status change on the user's `file_system` channel.
+	 *
+	 * @param {DownloadJobDocument} downloadJob Download job
+	 * @param {string} event Event name
+	 * @param data Serialized download job
+	 * @param {string} [error] Error message reported by the agent
+	 */
+	private async announce(downloadJob: DownloadJobDocument, event: string, data: any, error?: string) {
+		const user = await state.models.User.findById(downloadJob._created_by).exec();
+		await realtime.publish({ channel: 'file_system', event, session_id: downloadJob.id, data, error }, [ user.id ]);
+	}
+}
@@ -0,0 +1,49 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { PaginateModel, Schema } from 'mongoose';
+import paginatePlugin = require('mongoose-paginate');
+import { DownloadJobDocument } from './download.job.document';
+
+const shortId = require('shortid32');
+
+export const downloadJobStatuses = ['pending', 'acknowledged', 'completed', 'failed'];
+
+//-----------------------------------------------------------------------------
+// SCHEMA
+//-----------------------------------------------------------------------------
+export const downloadJobFields = {
+	id:              { type: String, required: true, unique: true, default: shortId.generate },
+	status:          { type: String, enum: downloadJobStatuses, required: true, default: 'pending', index: true },
+	request:         { type: Schema.Types.Mixed, required: true }, // same body as the release download
+	message:         { type: String }, // error reported by the agent
+	_release:        { type: Schema.Types.ObjectId, required: true, ref: 'Release' },
+	_agent:          { type: Schema.Types.ObjectId, required: true, ref: 'Token', index: true },
+	_created_by:     { type: Schema.Types.ObjectId, required: true, ref: 'User', index: true },
+	created_at:      { type: Date, required: true },
+	acknowledged_at: { type: Date },
+	completed_at:    { type: Date },
+};
+export interface DownloadJobModel extends PaginateModel<DownloadJobDocument> { }
+export const downloadJobSchema = new Schema(downloadJobFields, { toObject: { virtuals: true, versionKey: false } });
+
+//-----------------------------------------------------------------------------
+// PLUGINS
+//-----------------------------------------------------------------------------
+downloadJobSchema.plugin(paginatePlugin);
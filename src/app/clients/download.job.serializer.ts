@@ -0,0 +1,75 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { pick } from 'lodash';
+
+import { Serializer, SerializerLevel, SerializerOptions, SerializerReference } from '../common/serializer';
+import { Context } from '../common/typings/context';
+import { ModelName } from '../common/typings/models';
+import { GameDocument } from '../games/game.document';
+import { ReleaseDocument } from '../releases/release.document';
+import { state } from '../state';
+import { TokenDocument } from '../tokens/token.document';
+import { UserDocument } from '../users/user.document';
+import { DownloadJobDocument } from './download.job.document';
+
+export class DownloadJobSerializer extends Serializer<DownloadJobDocument> {
+
+	public readonly modelName: ModelName = 'DownloadJob';
+	public readonly references: { [level in SerializerLevel]: SerializerReference[] } = {
+		reduced: [],
+		simple: [],
+		detailed: [{ path: 'created_by', modelName: 'User', level: 'reduced' }],
+	};
+
+	/* istanbul ignore next */
+	protected _reduced(ctx: Context, doc: DownloadJobDocument, opts: SerializerOptions): DownloadJobDocument {
+		return this._simple(ctx, doc, opts);
+	}
+
+	protected _simple(ctx: Context, doc: DownloadJobDocument, opts: SerializerOptions): DownloadJobDocument {
+		const downloadJob = pick(doc, ['id', 'status', 'message', 'created_at', 'acknowledged_at', 'completed_at']) as DownloadJobDocument;
+		downloadJob.request = doc.request;
+
+		// release
+		if (this._populated(doc, '_release')) {
+			const release = doc._release as ReleaseDocument;
+			downloadJob.release = pick(release, ['id', 'name']) as ReleaseDocument;
+			if (this._populated(release, '_game')) {
+				downloadJob.release.game = state.serializers.Game.reduced(ctx, release._game as GameDocument, opts);
+			}
+		}
+
+		// agent
+		if (this._populated(doc, '_agent')) {
+			downloadJob.agent = pick(doc._agent as TokenDocument, ['id', 'label']) as TokenDocument;
+		}
+		return downloadJob;
+	}
+
+	protected _detailed(ctx: Context, doc: DownloadJobDocument, opts: SerializerOptions): DownloadJobDocument {
+		const downloadJob = this._simple(ctx, doc, opts);
+
+		// creator
+		if (this._populated(doc, '_created_by')) {
+			downloadJob.created_by = state.serializers.User.reduced(ctx, doc._created_by as UserDocument, opts);
+		}
+		return downloadJob;
+	}
+}
@@ -0,0 +1,492 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { IncomingMessage, Server as HttpServer, ServerResponse, STATUS_CODES } from 'http';
+import IORedis from 'ioredis';
+import Application from 'koa';
+import { isArray, isPlainObject, isString } from 'lodash';
+import { Socket } from 'net';
+import randomString from 'randomstring';
+import WebSocket from 'ws';
+
+import { acl } from '../common/acl';
+import { logger } from '../common/logger';
+import { authenticateRequest } from '../common/middleware/authentication.middleware';
+import { scope, Scope } from '../common/scope';
+import { config, settings } from '../common/settings';
+import { Context } from '../common/typings/context';
+import { LogEventDocument } from '../log-event/log.event.document';
+import { LogEventUtil } from '../log-event/log.event.util';
+import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+
+/**
+ * Channels fed by the server.
+ */
+export const serverChannels = ['private', 'public'];
+
+/**
+ * Channels fed by client APIs.
+ */
+export const clientChannels = ['file_system'];
+
+/**
+ * Interval in milliseconds at which clients are pinged.
+ */
+const heartbeatInterval = 30000;
+
+/**
+ * Redis key prefix of the hash containing connected clients per user.
+ */
+const clientsKeyPrefix = 'realtime_clients:';
+
+/**
+ * Implements the real-time architecture described in the README of this
+ * module.
+ *
+ * Clients connect through a websocket at `/v1/realtime`, authenticated
+ * the same way as the REST API. Since browsers can't set headers when
+ * opening a websocket, a storage token for the realtime path can be
+ * provided with the `token` query parameter.
+ *
+ * Events are dispatched through Redis, so clients connected to a
+ * different node receive them as well.
+ */
+export class Realtime {
+
+	/**
+	 * Public path of the websocket
+	 */
+	public readonly path = '/v1/realtime';
+
+	private readonly enabled: boolean = false;
+	private readonly redisChannel: string = 'realtime:' + config.vpdb.redis.db;
+	private readonly clients: Map<string, RealtimeClient> = new Map();
+	private wss: WebSocket.Server;
+	private subscriber: IORedis.Redis;
+	private heartbeat: NodeJS.Timer;
+
+	constructor() {
+		this.enabled = config.vpdb.quota.plans.some(plan => plan.enableRealtime);
+	}
+
+	/**
+	 * Starts accepting websocket connections on the given HTTP server.
+	 *
+	 * @param server HTTP server the Koa application is listening on
+	 * @param app Koa application, needed to create a context for authentication
+	 */
+	public attach(server: HttpServer, app: Application): void {
+		/* istanbul ignore if: enabled in tests */
+		if (!this.enabled) {
+			logger.info(null, '[Realtime.attach] No plan with real-time access, skipping websocket setup.');
+			return;
+		}
+		this.wss = new WebSocket.Server({ noServer: true });
+		server.on('upgrade', (req: IncomingMessage, socket: Socket, head: Buffer) => {
+			this.upgrade(app, req, socket, head).catch(/* istanbul ignore next */ err => {
+				logger.error(null, '[Realtime.upgrade] Error upgrading connection: %s', err.message);
+				this.abort(socket, 500, 'Internal server error.');
+			});
+		});
+
+		this.subscriber = state.redis.duplicate();
+		this.subscriber.on('message', (channel: string, message: string) => this.dispatch(message));
+		this.subscriber.subscribe(this.redisChannel).catch(/* istanbul ignore next */ err => {
+			logger.error(null, '[Realtime.attach] Error subscribing to Redis channel: %s', err.message);
+		});
+
+		this.heartbeat = setInterval(() => this.ping(), heartbeatInterval);
+		logger.info(null, '[Realtime.attach] Websocket ready at %s', settings.apiExternalUri(this.path).replace(/^http/, 'ws'));
+	}
+
+	/**
+	 * Returns all clients of a given user, including the ones connected
+	 * to other nodes.
+	 *
+	 * @param user User
+	 * @return Connected clients
+	 */
+	public async getClients(user: UserDocument): Promise<ClientInfo[]> {
+		const key = clientsKeyPrefix + user.id;
+		const entries = await state.redis.hgetall(key);
+		const clients: ClientInfo[] = [];
+		const staleIds: string[] = [];
+		for (const clientId of Object.keys(entries)) {
+			const client: ClientInfo = JSON.parse(entries[clientId]);
+			if (Date.now() - new Date(client.last_seen).getTime() > 2 * heartbeatInterval) {
+				staleIds.push(clientId);
+			} else {
+				clients.push(client);
+			}
+		}
+		/* istanbul ignore if: only happens when a node dies */
+		if (staleIds.length) {
+			await state.redis.hdel(key, ...staleIds);
+		}
+		return clients;
+	}
+
+	/**
+	 * Publishes a message to all clients subscribed to the message's
+	 * channel.
+	 *
+	 * @param message Message to send
+	 * @param [recipients] If set, only clients of these user IDs receive the message.
+	 */
+	public async publish(message: RealtimeMessage, recipients?: string[]): Promise<void> {
+		if (!this.enabled) {
+			return;
+		}
+		await state.redis.publish(this.redisChannel, JSON.stringify({ message, recipients }));
+	}
+
+	/**
+	 * Sends an action message to all clients of an agent.
+	 *
+	 * Agents are identified by the personal token they connected with, so
+	 * they can be addressed while not connected and across reconnects.
+	 *
+	 * @param agentId ID of the agent's token
+	 * @param message Action message
+	 */
+	public async sendToAgent(agentId: string, message: RealtimeMessage): Promise<void> {
+		if (!this.enabled) {
+			return;
+		}
+		await state.redis.publish(this.redisChannel, JSON.stringify({ message, agents: [ agentId ] }));
+	}
+
+	/**
+	 * Publishes a log event to the `public` channel if the event is public,
+	 * and to the `private` channel of every user involved.
+	 *
+	 * @param ctx Koa context
+	 * @param log Saved log event
+	 */
+	public async logEvent(ctx: Context, log: LogEventDocument): Promise<void> {
+		if (!this.enabled) {
+			return;
+		}
+		try {
+			const logEvent = await state.models.LogEvent.findById(log._id)
+				.populate('_actor')
+				.populate('_ref.game')
+				.exec();
+			const data = state.serializers.LogEvent.simple(ctx, logEvent);
+			if (log.is_public) {
+				await this.publish({ channel: 'public', event: log.event, data });
+			}
+			const recipients = await LogEventUtil.getRecipients(log);
+			if (recipients.length) {
+				await this.publish({ channel: 'private', event: log.event, data }, recipients);
+			}
+
+		} catch (err) {
+			/* istanbul ignore next: we don't want to fail the request because of the realtime update */
+			logger.error(ctx.state, '[Realtime.logEvent] Error publishing event %s: %s', log.event, err.message);
+		}
+	}
+
+	/**
+	 * Upgrades a connection to a websocket if authentication succeeds.
+	 *
+	 * @param app Koa application
+	 * @param req Upgrade request
+	 * @param socket Network socket
+	 * @param head First packet of the upgraded stream
+	 */
+	private async upgrade(app: Application, req: IncomingMessage, socket: Socket, head: Buffer): Promise<void> {
+
+		const ctx = app.createContext(req, new ServerResponse(req)) as Context;
+		if (ctx.path !== settings.apiInternalPath(this.path)) {
+			return this.abort(socket, 404, 'No websocket at this location.');
+		}
+		ctx.state.request = {
+			id: randomString.generate(10),
+			ip: ctx.request.get('x-forwarded-for') || ctx.ip || undefined,
+			path: ctx.request.path,
+		};
+
+		// authenticate
+		await authenticateRequest(ctx);
+		if (ctx.state.authError) {
+			return this.abort(socket, ctx.state.authError.statusCode, ctx.state.authError.message);
+		}
+
+		// authorize
+		const user = ctx.state.user;
+		const requiredScopes = [Scope.ALL, Scope.STORAGE, Scope.CLIENTS_CONNECT];
+		if (!scope.isValid(requiredScopes, ctx.state.tokenScopes)) {
+			return this.abort(socket, 401, `Your token has an invalid scope: [ "${(ctx.state.tokenScopes || []).join('", "')}" ] (required: [ "${requiredScopes.join('", "')}" ])`);
+		}
+		if (!user.planConfig.enableRealtime) {
+			logger.warn(ctx.state, '[Realtime.upgrade] User <%s> with plan "%s" tried to connect but has no real-time access.', user.email, user._plan);
+			return this.abort(socket, 403, 'Access denied');
+		}
+		if (!(await acl.isAllowed(user.id, 'clients', 'connect'))) {
+			logger.warn(ctx.state, '[Realtime.upgrade] User <%s> tried to connect but is missing permissions to clients/connect.', user.email);
+			return this.abort(socket, 403, 'Access denied');
+		}
+
+		this.wss.handleUpgrade(req, socket, head, ws => this.connect(ctx, ws).catch(/* istanbul ignore next */ err => {
+			logger.error(ctx.state, '[Realtime.connect] Error setting up client: %s', err.message);
+			ws.terminate();
+		}));
+	}
+
+	/**
+	 * Sets up a newly connected client.
+	 *
+	 * @param ctx Koa context of the upgrade request
+	 * @param ws Websocket
+	 */
+	private async connect(ctx: Context, ws: WebSocket): Promise<void> {
+		const user = ctx.state.user;
+		const client: RealtimeClient = {
+			id: randomString.generate(16),
+			userId: user.id,
+			agentId: ctx.state.tokenType === 'personal' ? ctx.state.appToken.id : undefined,
+			socket: ws,
+			channels: new Set(),
+			isAlive: true,
+			info: null,
+		};
+		client.info = {
+			client_id: client.id,
+			agent_id: client.agentId,
+			app_name: ctx.query.app_name || ctx.get('user-agent') || undefined,
+			machine_name: ctx.query.machine_name,
+			machine_os: ctx.query.machine_os,
+			machine_os_version: ctx.query.machine_os_version,
+			machine_host: ctx.state.request.ip,
+			connected_at: new Date(),
+			last_seen: new Date(),
+		};
+		this.clients.set(client.id, client);
+		await this.register(client);
+
+		ws.on('pong', () => {
+			client.isAlive = true;
+		});
+		ws.on('message', (data: WebSocket.Data) => this.onMessage(client, data));
+		ws.on('close', () => this.disconnect(client));
+		ws.on('error', /* istanbul ignore next */ err => {
+			logger.warn(null, '[Realtime.connect] Error on client %s: %s', client.id, err.message);
+		});
+
+		logger.info(ctx.state, '[Realtime.connect] User <%s> connected with client %s (%s).', user.email, client.id, client.info.app_name);
+		this.send(client, { event: 'connected', data: client.info });
+	}
+
+	/**
+	 * Handles a message sent by a client.
+	 *
+	 * @param client Sender
+	 * @param data Raw message
+	 */
+	private onMessage(client: RealtimeClient, data: WebSocket.Data): void {
+		let message: any;
+		try {
+			message = JSON.parse(data.toString());
+		} catch (err) {
+			return this.sendError(client, 'Message must be valid JSON.', data.toString());
+		}
+		if (!isPlainObject(message)) {
+			return this.sendError(client, 'Message must be an object.', message);
+		}
+		switch (message.action) {
+			case 'subscribe':
+			case 'unsubscribe': {
+				const channels: string[] = isString(message.channels) ? [ message.channels ] : message.channels;
+				if (!isArray(channels) || !channels.length) {
+					return this.sendError(client, 'Channels must be provided.', message);
+				}
+				const invalidChannels = channels.filter(channel => !serverChannels.includes(channel) && !clientChannels.includes(channel));
+				if (invalidChannels.length) {
+					return this.sendError(client, `Invalid channel${invalidChannels.length === 1 ? '' : 's'} "${invalidChannels.join('", "')}".`, message);
+				}
+				channels.forEach(channel => message.action === 'subscribe' ? client.channels.add(channel) : client.channels.delete(channel));
+				this.send(client, { event: message.action === 'subscribe' ? 'subscribed' : 'unsubscribed', data: { channels: Array.from(client.channels) } });
+				break;
+			}
+			default:
+				this.sendError(client, `Invalid action "${message.action}".`, message);
+		}
+	}
+
+	/**
+	 * Cleans up after a client disconnected.
+	 *
+	 * @param client Disconnected client
+	 */
+	private disconnect(client: RealtimeClient): void {
+		this.clients.delete(client.id);
+		state.redis.hdel(clientsKeyPrefix + client.userId, client.id).catch(/* istanbul ignore next */ err => {
+			logger.error(null, '[Realtime.disconnect] Error removing client %s: %s', client.id, err.message);
+		});
+		logger.info(null, '[Realtime.disconnect] Client %s disconnected.', client.id);
+	}
+
+	/**
+	 * Sends a message received through Redis to the concerned clients of
+	 * this node.
+	 *
+	 * Messages addressed to agents are sent regardless of subscriptions,
+	 * otherwise the client must be subscribed to the message's channel.
+	 *
+	 * @param payload Serialized message and recipients
+	 */
+	private dispatch(payload: string): void {
+		const { message, recipients, agents }: { message: RealtimeMessage, recipients?: string[], agents?: string[] } = JSON.parse(payload);
+		for (const client of this.clients.values()) {
+			if (agents) {
+				if (agents.includes(client.agentId)) {
+					this.send(client, message);
+				}
+				continue;
+			}
+			if (!client.channels.has(message.channel)) {
+				continue;
+			}
+			if (recipients && !recipients.includes(client.userId)) {
+				continue;
+			}
+			this.send(client, message);
+		}
+	}
+
+	/**
+	 * Terminates clients that didn't answer the last ping and pings the
+	 * others.
+	 */
+	private ping(): void {
+		for (const client of this.clients.values()) {
+			/* istanbul ignore if: would need to wait for the heartbeat */
+			if (!client.isAlive) {
+				logger.info(null, '[Realtime.ping] Client %s timed out, terminating.', client.id);
+				client.socket.terminate();
+				continue;
+			}
+			client.isAlive = false;
+			client.socket.ping();
+			client.info.last_seen = new Date();
+			this.register(client).catch(/* istanbul ignore next */ err => {
+				logger.error(null, '[Realtime.ping] Error updating client %s: %s', client.id, err.message);
+			});
+		}
+	}
+
+	/**
+	 * Adds or updates the client in the Redis registry, so it can be
+	 * listed from any node.
+	 *
+	 * @param client Connected client
+	 */
+	private async register(client: RealtimeClient): Promise<void> {
+		await state.redis.hset(clientsKeyPrefix + client.userId, client.id, JSON.stringify(client.info));
+	}
+
+	/**
+	 * Sends a message to a client.
+	 *
+	 * @param client Recipient
+	 * @param message Message to send
+	 */
+	private send(client: RealtimeClient, message: RealtimeMessage): void {
+		/* istanbul ignore if: race condition on disconnect */
+		if (client.socket.readyState !== WebSocket.OPEN) {
+			return;
+		}
+		client.socket.send(JSON.stringify(message));
+	}
+
+	/**
+	 * Sends an error message to a client.
+	 *
+	 * @param client Recipient
+	 * @param error Error message
+	 * @param message The erroneous message sent by the client
+	 */
+	private sendError(client: RealtimeClient, error: string, message: any): void {
+		this.send(client, { event: 'error', error, message });
+	}
+
+	/**
+	 * Refuses an upgrade request.
+	 *
+	 * @param socket Network socket
+	 * @param status HTTP status code
+	 * @param error Error message
+	 */
+	private abort(socket: Socket, status: number, error: string): void {
+		const body = JSON.stringify({ error });
+		socket.write(`HTTP/1.1 ${status} ${STATUS_CODES[status]}\r\n` +
+			'Connection: close\r\n' +
+			'Content-Type: application/json; charset=utf-8\r\n' +
+			`Content-Length: ${Buffer.byteLength(body)}\r\n` +
+			'\r\n' + body);
+		socket.destroy();
+	}
+}
+
+/**
+ * A client connected to this node.
+ */
+interface RealtimeClient {
+	id: string;
+	userId: string;
+	agentId: string;
+	socket: WebSocket;
+	channels: Set<string>;
+	isAlive: boolean;
+	info: ClientInfo;
+}
+
+/**
+ * What's known about a client. Apps can provide this info through query
+ * parameters when connecting.
+ */
+export interface ClientInfo {
+	client_id: string;
+	agent_id: string;
+	app_name: string;
+	machine_name: string;
+	machine_os: string;
+	machine_os_version: string;
+	machine_host: string;
+	connected_at: Date;
+	last_seen: Date;
+}
+
+/**
+ * A message sent to a client ("event message").
+ */
+export interface RealtimeMessage {
+	channel?: string;
+	sender?: string;
+	action?: string;
+	session_id?: string;
+	event?: string;
+	data?: any;
+	error?: string;
+	message?: any;
+}
+
+export const realtime = new Realtime();
@@ -30,7 +30,7 @@ export class CommentApiRouter implements ApiRouter {
 		const api = new CommentApi();
 		this.router = api.apiRouter();
 
-		this.router.patch('/v1/comments/:id', api.auth(api.update.bind(api), 'comments', 'update-own', [ Scope.ALL, Scope.CREATE ]));
+		this.router.patch('/v1/comments/:id', api.auth(api.update.bind(api), 'comments', 'update-own', [ Scope.ALL, Scope.CREATE, Scope.COMMENTS_WRITE ]));
 	}
 
 	public getRouter(): Router {
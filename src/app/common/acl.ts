@@ -52,10 +52,16 @@ export async function init(): Promise<void> {
 				{ resources: 'files',         permissions: ['blockmatch'] },
 				{ resources: 'games',         permissions: ['delete'] },
 				{ resources: 'game_requests', permissions: ['list', 'update', 'delete'] },
+				{ resources: 'highscores',    permissions: ['delete', 'verify'] },
 				{ resources: 'media',         permissions: ['delete'] },
+				{ resources: 'moderation',    permissions: ['view', 'claim'] },
+				{ resources: 'nvrams',        permissions: ['delete'] },
 				{ resources: 'releases',      permissions: ['moderate', 'view-restricted', 'update', 'validate'] },
+				{ resources: 'reports',       permissions: ['list', 'update'] },
 				{ resources: 'roms',          permissions: ['delete', 'view-restricted'] },
+				{ resources: 'rom_definitions', permissions: ['add', 'delete'] },
 				{ resources: 'tags',          permissions: ['delete'] },
+				{ resources: 'webhooks',      permissions: ['receive-all'] },
 			],
 		}, {
 			roles: 'contributor',
@@ -78,15 +84,22 @@ export async function init(): Promise<void> {
 			allows: [
 				{ resources: 'backglasses',   permissions: ['add', 'delete-own', 'update-own', 'star'] },
 				{ resources: 'builds',        permissions: ['add', 'delete-own'] },
+				{ resources: 'clients',       permissions: ['connect', 'list'] },
 				{ resources: 'comments',      permissions: ['add', 'update-own'] },
+				{ resources: 'download_jobs', permissions: ['add', 'list', 'process', 'delete-own'] },
 				{ resources: 'files',         permissions: ['download', 'delete-own', 'upload'] },
 				{ resources: 'games',         permissions: ['rate', 'star', 'add-og', 'update-own'] },
 				{ resources: 'game_requests', permissions: ['add', 'delete-own'] },
+				{ resources: 'highscores',    permissions: ['add', 'delete-own'] },
 				{ resources: 'media',         permissions: ['add', 'delete-own', 'star'] },
 				{ resources: 'messages',      permissions: ['receive'] },
-				{ resources: 'releases',      permissions: ['add', 'delete-own', 'update-own', 'rate', 'star'] },
+				{ resources: 'oauth',         permissions: ['authorize', 'add', 'delete-own', 'update-own', 'list'] },
+				{ resources: 'nvrams',        permissions: ['add', 'delete-own'] },
+				{ resources: 'releases',      permissions: ['add', 'delete-own', 'update-own', 'rate', 'star', 'diff'] },
+				{ resources: 'reports',       permissions: ['add'] },
 				{ resources: 'tags',          permissions: ['add', 'delete-own'] },
 				{ resources: 'tokens',        permissions: ['add', 'delete-own', 'update-own', 'list'] },
+				{ resources: 'webhooks',      permissions: ['add', 'delete-own', 'update-own', 'list'] },
 				{ resources: 'user',          permissions: ['view', 'update'] },                          // profile
 				{ resources: 'users',         permissions: ['view', 'search', 'star'] },                   // any other user
 			],
@@ -20,22 +20,30 @@
 import { AuthenticationEndPoint, AuthenticationStorageEndPoint } from '../authentication';
 import { BackglassEndPoint } from '../backglasses';
 import { BuildApiEndPoint } from '../builds';
+import { ClientEndPoint } from '../clients';
 import { CommentEndPoint } from '../comments';
+import { FeedEndPoint } from '../feeds';
 import { FilesApiEndPoint, FilesProtectedStorageEndPoint, FilesPublicStorageEndPoint } from '../files';
 import { GameRequestApiEndPoint } from '../game-requests';
 import { GamesApiEndPoint } from '../games';
+import { HighscoreEndPoint } from '../highscores';
 import { LogEventEndPoint } from '../log-event';
 import { LogUserEndPoint } from '../log-user';
 import { MediaApiEndPoint } from '../media';
 import { MiscEndPoint } from '../misc';
+import { ModerationEndPoint } from '../moderation';
+import { OAuthEndPoint } from '../oauth';
 import { ProfileEndPoint } from '../profile';
 import { RatingEndPoint } from '../ratings';
 import { ReleaseEndPoint, ReleaseStorageEndPoint } from '../releases';
+import { ReportEndPoint } from '../reports';
 import { RomApiEndPoint } from '../roms';
+import { SearchEndPoint } from '../search';
 import { StarEndPoint } from '../stars';
 import { TagApiEndPoint } from '../tags';
 import { TokenEndPoint } from '../tokens';
 import { UserEndPoint } from '../users';
+import { WebhookEndPoint } from '../webhooks';
 import { EndPoint } from './api.endpoint';
 
 export const endPoints: EndPoint[] = [
@@ -43,23 +51,31 @@ export const endPoints: EndPoint[] = [
 	new AuthenticationStorageEndPoint(),
 	new BackglassEndPoint(),
 	new BuildApiEndPoint(),
+	new ClientEndPoint(),
 	new CommentEndPoint(),
+	new FeedEndPoint(),
 	new FilesApiEndPoint(),
 	new FilesPublicStorageEndPoint(),
 	new FilesProtectedStorageEndPoint(),
 	new GamesApiEndPoint(),
 	new GameRequestApiEndPoint(),
+	new HighscoreEndPoint(),
 	new LogEventEndPoint(),
 	new LogUserEndPoint(),
 	new MediaApiEndPoint(),
 	new MiscEndPoint(),
+	new ModerationEndPoint(),
+	new OAuthEndPoint(),
 	new ProfileEndPoint(),
 	new RatingEndPoint(),
 	new ReleaseEndPoint(),
 	new ReleaseStorageEndPoint(),
+	new ReportEndPoint(),
 	new RomApiEndPoint(),
+	new SearchEndPoint(),
 	new StarEndPoint(),
 	new TagApiEndPoint(),
 	new TokenEndPoint(),
 	new UserEndPoint(),
+	new WebhookEndPoint(),
 ];
@@ -31,6 +31,8 @@ import { ReleaseDocument } from '../releases/release.document';
 import { ReleaseVersionFileDocument } from '../releases/version/file/release.version.file.document';
 import { ReleaseVersionDocument } from '../releases/version/release.version.document';
 import { state } from '../state';
+import { TokenDocument } from '../tokens/token.document';
+import { TokenUsageDocument } from '../tokens/token.usage.document';
 import { ContentAuthor } from '../users/content.author';
 import { UserDocument } from '../users/user.document';
 import { logger } from './logger';
@@ -359,6 +361,16 @@ class Mailer {
 		});
 	}
 
+	public async tokenUsedFromNewLocation(requestState: RequestState, user: UserDocument, token: TokenDocument, usage: TokenUsageDocument): Promise<SentMessageInfo> {
+		return this.sendEmail(requestState, user, 'Your token was used from a new location', 'token-used-from-new-location', {
+			user,
+			token,
+			usage,
+			location: usage.country ? usage.country + ' (' + usage.ip + ')' : usage.ip,
+			tokensUrl: settings.webUri('/profile/tokens'),
+		});
+	}
+
 	/**
 	 * Sends an email.
 	 *
@@ -22,8 +22,10 @@ import sanitize = require('mongo-sanitize');
 
 import { AuthenticationUtil, Jwt } from '../../authentication/authentication.util';
 import { state } from '../../state';
+import { TokenUsageUtil } from '../../tokens/token.usage.util';
 import { UserDocument } from '../../users/user.document';
 import { ApiError } from '../api.error';
+import { scope, Scope } from '../scope';
 import { config, settings } from '../settings';
 import { Context } from '../typings/context';
 
@@ -43,46 +45,57 @@ import { Context } from '../typings/context';
  */
 export function koaAuth() {
 	return async function authenticate(ctx: Context, next: () => Promise<any>) {
-		try {
-			delete ctx.state.user;
-			delete ctx.state.appToken;
-			delete ctx.state.tokenType;
-			delete ctx.state.tokenScopes;
-
-			// get token sent by user
-			const token = retrieveToken(ctx);
-
-			// try to authenticate with token
-			const user = /[0-9a-f]{32,}/i.test(token.value) ?
-				await authenticateWithAppToken(ctx, token) : // app token?
-				await authenticateWithJwt(ctx, token);  // otherwise, assume it's a JWT.
-
-			// log to sqreen
-			/* istanbul ignore if */
-			if (process.env.SQREEN_ENABLED) {
-				require('sqreen').identify(ctx.req, { email: user.email });
-			}
+		await authenticateRequest(ctx);
 
-			// update state
-			ctx.state.user = user;
-			ctx.response.set('X-User-Id', user.id);
+		// continue with next middleware
+		await next();
+	};
+}
 
-		} catch (err) {
+/**
+ * Authenticates a request and updates the state of the given context. Same
+ * as {@link koaAuth()}, but usable outside of the middleware chain, e.g.
+ * when upgrading a connection to a websocket.
+ *
+ * @param ctx Koa context
+ */
+export async function authenticateRequest(ctx: Context): Promise<void> {
+	try {
+		delete ctx.state.user;
+		delete ctx.state.appToken;
+		delete ctx.state.tokenType;
+		delete ctx.state.tokenScopes;
+
+		// get token sent by user
+		const token = retrieveToken(ctx);
+
+		// try to authenticate with token
+		const user = /[0-9a-f]{32,}/i.test(token.value) ?
+			await authenticateWithAppToken(ctx, token) : // app token?
+			await authenticateWithJwt(ctx, token);  // otherwise, assume it's a JWT.
+
+		// log to sqreen
+		/* istanbul ignore if */
+		if (process.env.SQREEN_ENABLED) {
+			require('sqreen').identify(ctx.req, { email: user.email });
+		}
 
-			if (err.isApiError) {
-				// update state with error if it's API-related
-				ctx.state.authError = err;
+		// update state
+		ctx.state.user = user;
+		ctx.response.set('X-User-Id', user.id);
 
-			} else {
-				// otherwise, re-throw (this is unexpected)
-				/* istanbul ignore next */
-				throw err;
-			}
-		}
+	} catch (err) {
 
-		// continue with next middleware
-		await next();
-	};
+		if (err.isApiError) {
+			// update state with error if it's API-related
+			ctx.state.authError = err;
+
+		} else {
+			// otherwise, re-throw (this is unexpected)
+			/* istanbul ignore next */
+			throw err;
+		}
+	}
 }
 
 /**
@@ -140,20 +153,21 @@ async function authenticateWithAppToken(ctx: Context, token: { value: string, fr
 	const vpdbUserIdHeader = 'x-vpdb-user-id';
 	const providerUserIdHeader = 'x-user-id';
 
-	// application tokens aren't allowed in the url
-	if (token.fromUrl) {
+	const appToken = await state.models.Token.findOne({ token: token.value }).populate('_created_by').exec();
+	const isFeedToken = appToken && scope.isIdentical([Scope.FEED], appToken.scopes);
+
+	// application tokens aren't allowed in the url, unless they can only read feeds
+	if (token.fromUrl && !isFeedToken) {
 		throw new ApiError('Application tokens must be provided in the header.').status(401);
 	}
 
-	const appToken = await state.models.Token.findOne({ token: token.value }).populate('_created_by').exec();
-
 	// fail if not found
 	if (!appToken) {
 		throw new ApiError('Invalid application token.').status(401);
 	}
 
 	// fail if incorrect plan
-	if (appToken.type === 'personal' && !(appToken._created_by as UserDocument).planConfig.enableAppTokens) {
+	if (appToken.type === 'personal' && !isFeedToken && !(appToken._created_by as UserDocument).planConfig.enableAppTokens) {
 		throw new ApiError('Your current plan "%s" does not allow the use of personal tokens. Upgrade or contact an admin.', (appToken._created_by as UserDocument).planConfig.id).status(401);
 	}
 
@@ -210,6 +224,8 @@ async function authenticateWithAppToken(ctx: Context, token: { value: string, fr
 		user = appToken._created_by as UserDocument;
 	}
 	await appToken.update({ last_used_at: new Date() });
+	// don't hold up the request, errors are logged by the util
+	TokenUsageUtil.record(ctx, appToken);
 	return user;
 }
 
@@ -251,6 +267,9 @@ async function authenticateWithJwt(ctx: Context, token: { value: string, fromUrl
 	if (!user) {
 		throw new ApiError('No user with ID %s found.', decoded.iss).status(403).log();
 	}
+	if (user.deleted_at) {
+		throw new ApiError('This account has been deleted.').status(401);
+	}
 
 	// generate new token if it's a short term token.
 	const tokenIssued = new Date(decoded.iat);
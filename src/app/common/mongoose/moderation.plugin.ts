@@ -79,6 +79,11 @@ export function moderationPlugin(schema: Schema, opts?: ModerationPluginOptions)
 				created_at: { type: Date },
 				_created_by: { type: Schema.Types.ObjectId, ref: 'User' },
 			}],
+			claim: {
+				_claimed_by: { type: Schema.Types.ObjectId, ref: 'User' },
+				_assigned_by: { type: Schema.Types.ObjectId, ref: 'User' },
+				claimed_at: { type: Date },
+			},
 		},
 	});
 
@@ -230,9 +235,25 @@ export function moderationPlugin(schema: Schema, opts?: ModerationPluginOptions)
 				break;
 		}
 
+		await this.afterModeration(ctx, entity, ctx.request.body.action, ctx.request.body.message);
+		return moderationEvent;
+	};
+
+	/**
+	 * Invalidates the caches affected by a moderation change and logs the
+	 * moderation event.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {ModeratedDocument} entity Moderated entity
+	 * @param {string} action Moderation action
+	 * @param {string} message Moderation message
+	 * @param {UserDocument | null} [actor] Who moderated, null if triggered by the system. Defaults to the current user.
+	 */
+	schema.statics.afterModeration = async function(ctx: Context, entity: ModeratedDocument, action: string, message: string, actor?: UserDocument | null): Promise<void> {
+
 		// invalidate cache
-		await apiCache.invalidateEntity(ctx.state, (entity.constructor as any).modelName, entity.id);
-		await apiCache.invalidateList(ctx.state, (entity.constructor as any).modelName);
+		await apiCache.invalidateEntity(ctx.state, this.modelName, entity.id);
+		await apiCache.invalidateList(ctx.state, this.modelName);
 		if (opts && opts.cachedEntities) {
 			for (const e of opts.cachedEntities) {
 				await apiCache.invalidateList(ctx.state, e.modelName);
@@ -244,12 +265,7 @@ export function moderationPlugin(schema: Schema, opts?: ModerationPluginOptions)
 
 		// event log
 		const referenceName = modelReferenceMap[this.modelName];
-		await LogEventUtil.log(ctx, 'moderate', false, {
-			action: ctx.request.body.action,
-			message: ctx.request.body.message,
-		}, { [referenceName]: entity._id });
-
-		return moderationEvent;
+		await LogEventUtil.log(ctx, 'moderate', false, { action, message }, { [referenceName]: entity._id }, actor);
 	};
 
 	/**
@@ -277,6 +293,17 @@ export function moderationPlugin(schema: Schema, opts?: ModerationPluginOptions)
 		'moderation.is_deleted': false,
 	}, query);
 
+	/**
+	 * Returns the query used for listing only entities waiting for moderation.
+	 * @param {T} query
+	 * @returns {T}
+	 */
+	schema.statics.pendingQuery = <T>(query: T) => addToQuery({
+		'moderation.is_approved': false,
+		'moderation.is_refused': false,
+		'moderation.is_deleted': false,
+	}, query);
+
 	/**
 	 * Makes sure an API request has the permission to view the entity.
 	 * @param {Application.Context} ctx Koa context
@@ -388,7 +415,7 @@ export function moderationPlugin(schema: Schema, opts?: ModerationPluginOptions)
 
 	/**
 	 * Sets the entity back to moderated
-	 * @param {UserDocument|ObjectId} user User who reset to moderated
+	 * @param {UserDocument|ObjectId} user User who reset to moderated, or null if triggered by the system
 	 * @param {string} [message] Optional message
 	 * @returns {Promise<ModerationDataEvent>} Created moderation event
 	 */
@@ -442,8 +469,10 @@ export function moderationPlugin(schema: Schema, opts?: ModerationPluginOptions)
 /**
  * Sets the moderation status to a new value and adds it to the history.
  *
+ * Since the entity has been dealt with, a claim on it is released.
+ *
  * @param {string} modelName Name of the model
- * @param {UserDocument} user User performing the action
+ * @param {UserDocument} user User performing the action, or null if triggered by the system
  * @param {string} message Message from the user
  * @param {string} eventName Name of the event
  * @param {boolean} isApproved True if new status is approved
@@ -459,7 +488,7 @@ async function moderateEntity(this: ModeratedDocument, modelName: string, user:
 		event: eventName,
 		message,
 		created_at: new Date(),
-		_created_by: user._id,
+		_created_by: user ? user._id : undefined,
 	} as ModerationDataEvent;
 
 	// update entity
@@ -468,6 +497,7 @@ async function moderateEntity(this: ModeratedDocument, modelName: string, user:
 		'moderation.is_refused': isRefused,
 		'moderation.is_deleted': isDeleted,
 		$push: { 'moderation.history': event },
+		$unset: { 'moderation.claim': 1 },
 	}).exec();
 
 	const entity = await model.findOne({ _id: this._id }).exec();
@@ -515,6 +545,7 @@ declare module 'mongoose' {
 	export interface ModeratedDocument extends Document {
 
 		moderation: ModerationData;
+		created_at: Date;
 		_created_by: UserDocument | Types.ObjectId;
 		created_by?: UserDocument;
 
@@ -553,7 +584,7 @@ declare module 'mongoose' {
 
 		/**
 		 * Sets the entity back to moderated
-		 * @param {UserDocument|ObjectId} user User who reset to moderated
+		 * @param {UserDocument|ObjectId} user User who reset to moderated, or null if triggered by the system
 		 * @param {string} [message] Optional message
 		 * @returns {Promise<ModerationDataEvent>} Created moderation event
 		 */
@@ -587,10 +618,17 @@ declare module 'mongoose' {
 		is_deleted: boolean;
 		auto_approved: boolean;
 		history?: ModerationDataEvent[];
+		claim?: ModerationClaim;
+	}
+
+	export interface ModerationClaim {
+		_claimed_by: UserDocument | Types.ObjectId;
+		_assigned_by?: UserDocument | Types.ObjectId;
+		claimed_at: Date;
 	}
 
 	export interface ModerationDataEvent extends Document {
-		event: 'approved' | 'refused' | 'pending';
+		event: 'approved' | 'refused' | 'pending' | 'deleted' | 'undeleted';
 		message?: string;
 		created_at: Date;
 		_created_by?: UserDocument | Types.ObjectId;
@@ -616,6 +654,18 @@ declare module 'mongoose' {
 		 */
 		handleModeration(ctx: Context, entity: ModeratedDocument): Promise<ModerationDataEvent>;
 
+		/**
+		 * Invalidates the caches affected by a moderation change and logs the
+		 * moderation event.
+		 *
+		 * @param {Context} ctx Koa context
+		 * @param {ModeratedDocument} entity Moderated entity
+		 * @param {string} action Moderation action
+		 * @param {string} message Moderation message
+		 * @param {UserDocument | null} [actor] Who moderated, null if triggered by the system. Defaults to the current user.
+		 */
+		afterModeration(ctx: Context, entity: ModeratedDocument, action: string, message: string, actor?: UserDocument | null): Promise<void>;
+
 		/**
 		 * Makes sure the request has the right to retrieve the moderation field.
 		 * @param {Context} ctx Koa context
@@ -628,6 +678,13 @@ declare module 'mongoose' {
 		 * @returns {T} Updated query
 		 */
 		approvedQuery<T>(query: T): T;
+
+		/**
+		 * Returns the query used for listing only entities waiting for moderation.
+		 * @param {T} query
+		 * @returns {T} Updated query
+		 */
+		pendingQuery<T>(query: T): T;
 	}
 
 	export function model<T extends ModeratedDocument>(
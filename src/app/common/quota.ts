@@ -136,6 +136,44 @@ export class Quota {
 		this.setHeader(ctx, userQuota);
 	}
 
+	/**
+	 * Like {@link assert}, but consumes the quota only once per key and period.
+	 *
+	 * This allows clients to retry or resume a download without being
+	 * charged again.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {FileDocument[]} files File(s) to check for
+	 * @param {string} key Identifies the download, e.g. a hash of the requested files
+	 * @return {Promise<boolean>} True if quota was consumed, false if already consumed during the current period.
+	 * @throws ApiError If not enough quota is left
+	 */
+	public async assertOnce(ctx: Context, files: FileDocument | FileDocument[], key: string): Promise<boolean> {
+		if (await this.isCharged(ctx.state.user, key)) {
+			logger.info(ctx.state, '[Quota.assertOnce] Already charged for %s during the current period.', key);
+			this.setHeader(ctx, await this.get(ctx.state, ctx.state.user));
+			return false;
+		}
+		await this.assert(ctx, files);
+
+		const plan = ctx.state.user.planConfig;
+		const period = plan.unlimited === true ? this.durations.get('day') : this.durations.get(plan.per);
+		await state.redis.set(this.getChargedKey(ctx.state.user, key), String(Date.now()), 'PX', period);
+		return true;
+	}
+
+	/**
+	 * Checks whether quota for a given key has already been consumed during
+	 * the current period.
+	 *
+	 * @param {UserDocument} user User
+	 * @param {string} key Identifies the download
+	 * @return {Promise<boolean>} True if already consumed
+	 */
+	public async isCharged(user: UserDocument, key: string): Promise<boolean> {
+		return !!(await state.redis.exists(this.getChargedKey(user, key)));
+	}
+
 	/**
 	 * Sets the rate-limit header.
 	 *
@@ -261,6 +299,10 @@ export class Quota {
 		return 0;
 	}
 
+	private getChargedKey(user: UserDocument, key: string): string {
+		return `${this.namespace}:charged:${user.id}:${key}`;
+	}
+
 	/**
 	 * Consumes a quota and returns the user's updated quota config.
 	 *
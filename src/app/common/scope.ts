@@ -23,6 +23,10 @@ import { isArray } from 'lodash';
  * Scopes control access of a given type of token. While permissions control
  * access to resources for a given user, scopes further narrow it down depending
  * on the type of authentication.
+ *
+ * Besides the coarse scopes, which cover a whole bucket of resources, there
+ * are fine-grained scopes in the form of `resource:action`. Routes accept both,
+ * so tokens created before the fine-grained scopes keep working.
  */
 export enum Scope {
 
@@ -58,8 +62,7 @@ export enum Scope {
 	SERVICE = 'service',
 
 	/**
-	 * All kind of uploads
-	 * TODO implement and test
+	 * All kind of uploads and content creation.
 	 * @type {string}
 	 */
 	CREATE = 'create',
@@ -70,27 +73,167 @@ export enum Scope {
 	 */
 	STORAGE = 'storage',
 
+	/**
+	 * Read-only access to personal feeds.
+	 *
+	 * Since feed readers can't set headers, tokens with only this scope can be
+	 * provided as query parameter.
+	 * @type {string}
+	 */
+	FEED = 'feed',
+
+	/**
+	 * Read the profile of the token owner.
+	 * @type {string}
+	 */
+	PROFILE_READ = 'profile:read',
+
+	/**
+	 * Update the profile of the token owner.
+	 * @type {string}
+	 */
+	PROFILE_WRITE = 'profile:write',
+
+	/**
+	 * Read non-public release data such as version diffs.
+	 * @type {string}
+	 */
+	RELEASES_READ = 'releases:read',
+
+	/**
+	 * Create, update and delete releases and their versions.
+	 * @type {string}
+	 */
+	RELEASES_WRITE = 'releases:write',
+
+	/**
+	 * Create, update and delete backglasses.
+	 * @type {string}
+	 */
+	BACKGLASSES_WRITE = 'backglasses:write',
+
+	/**
+	 * Create and delete media.
+	 * @type {string}
+	 */
+	MEDIA_WRITE = 'media:write',
+
+	/**
+	 * Create and delete ROMs, NVRAMs and ROM definitions.
+	 * @type {string}
+	 */
+	ROMS_WRITE = 'roms:write',
+
+	/**
+	 * Create, update and delete builds.
+	 * @type {string}
+	 */
+	BUILDS_WRITE = 'builds:write',
+
+	/**
+	 * Create and delete tags.
+	 * @type {string}
+	 */
+	TAGS_WRITE = 'tags:write',
+
+	/**
+	 * Upload, inspect and delete files.
+	 * @type {string}
+	 */
+	FILES_UPLOAD = 'files:upload',
+
+	/**
+	 * Download files.
+	 * @type {string}
+	 */
+	FILES_DOWNLOAD = 'files:download',
+
+	/**
+	 * Create and update comments.
+	 * @type {string}
+	 */
+	COMMENTS_WRITE = 'comments:write',
+
+	/**
+	 * Read own ratings of games and releases.
+	 * @type {string}
+	 */
+	RATINGS_READ = 'ratings:read',
+
+	/**
+	 * Rate games and releases.
+	 * @type {string}
+	 */
+	RATINGS_WRITE = 'ratings:write',
+
+	/**
+	 * Check whether games, releases, backglasses, media and users are starred.
+	 * @type {string}
+	 */
+	STARS_READ = 'stars:read',
+
+	/**
+	 * Star and unstar games, releases, backglasses, media and users.
+	 * @type {string}
+	 */
+	STARS_WRITE = 'stars:write',
+
+	/**
+	 * Submit and delete highscores.
+	 * @type {string}
+	 */
+	HIGHSCORES_WRITE = 'highscores:write',
+
+	/**
+	 * Create, update and delete game requests.
+	 * @type {string}
+	 */
+	GAME_REQUESTS_WRITE = 'game_requests:write',
+
+	/**
+	 * Report content to the moderators.
+	 * @type {string}
+	 */
+	REPORTS_WRITE = 'reports:write',
+
+	/**
+	 * Connect to the real-time API.
+	 * @type {string}
+	 */
+	CLIENTS_CONNECT = 'clients:connect',
+
 }
 
+/**
+ * Fine-grained scopes, which a token can combine as needed.
+ */
+export const fineGrainedScopes: Scope[] = [
+	Scope.PROFILE_READ, Scope.PROFILE_WRITE, Scope.RELEASES_READ, Scope.RELEASES_WRITE, Scope.BACKGLASSES_WRITE, Scope.MEDIA_WRITE,
+	Scope.ROMS_WRITE, Scope.BUILDS_WRITE, Scope.TAGS_WRITE, Scope.FILES_UPLOAD, Scope.FILES_DOWNLOAD, Scope.COMMENTS_WRITE,
+	Scope.RATINGS_READ, Scope.RATINGS_WRITE, Scope.STARS_READ, Scope.STARS_WRITE, Scope.HIGHSCORES_WRITE, Scope.GAME_REQUESTS_WRITE,
+	Scope.REPORTS_WRITE, Scope.CLIENTS_CONNECT,
+];
+
 export class ScopeHelper {
 
 	/**
 	 * Defines which scopes a token type is allowed to have *at creation*.
 	 * @private
 	 */
-	private scopes: { personal: Scope[], provider: Scope[] } = {
-		personal: [Scope.ALL, Scope.LOGIN, Scope.COMMUNITY, Scope.CREATE, Scope.STORAGE],
-		provider: [Scope.COMMUNITY, Scope.CREATE, Scope.STORAGE, Scope.SERVICE],
+	private scopes: { personal: Scope[], provider: Scope[], application: Scope[] } = {
+		personal: [Scope.ALL, Scope.LOGIN, Scope.COMMUNITY, Scope.CREATE, Scope.STORAGE, Scope.FEED, ...fineGrainedScopes],
+		provider: [Scope.COMMUNITY, Scope.CREATE, Scope.STORAGE, Scope.SERVICE, ...fineGrainedScopes],
+		application: [Scope.COMMUNITY, Scope.CREATE, Scope.STORAGE, Scope.FEED, ...fineGrainedScopes],
 	};
 
 	/**
 	 * Returns all scopes that are valid for a given token type at token
 	 * creation.
 	 *
-	 * @param {"personal"|"provider"} type Token type
+	 * @param {"personal"|"provider"|"application"} type Token type
 	 * @return {string[]} Valid scopes
 	 */
-	public getScopes(type: 'personal' | 'provider'): Scope[] {
+	public getScopes(type: TokenType): Scope[] {
 		return this.scopes[type];
 	}
 
@@ -109,11 +252,11 @@ export class ScopeHelper {
 	 * Makes sure that at least one scope is valid. Basically as soon as one
 	 * of the given scopes is in the valid scopes, return trie.
 	 *
-	 * @param {string[]|"personal"|"provider"} [validScopes] If string given, match against valid scopes of given type. Otherwise match against given scopes.
+	 * @param {string[]|"personal"|"provider"|"application"} [validScopes] If string given, match against valid scopes of given type. Otherwise match against given scopes.
 	 * @param {string[]} scopesToValidate Scopes to check
 	 * @return {boolean} True if all scopes are valid
 	 */
-	public isValid(validScopes: string[] | 'personal' | 'provider' | null, scopesToValidate: Scope[] | string[]): boolean {
+	public isValid(validScopes: string[] | TokenType | null, scopesToValidate: Scope[] | string[]): boolean {
 		if (validScopes === null) {
 			return true;
 		}
@@ -126,6 +269,18 @@ export class ScopeHelper {
 		return false;
 	}
 
+	/**
+	 * Makes sure that every scope is valid for a given token type.
+	 *
+	 * @param {"personal"|"provider"|"application"} type Token type
+	 * @param {string[]} scopesToValidate Scopes to check
+	 * @return {boolean} True if all scopes are valid for the token type
+	 */
+	public areValid(type: TokenType, scopesToValidate: Scope[] | string[]): boolean {
+		const validScopes = this.scopes[type] || [];
+		return (scopesToValidate as string[]).every(scopeToValidate => this.has(validScopes, scopeToValidate));
+	}
+
 	/**
 	 * Checks if the given scopes are identical.
 	 *
@@ -146,4 +301,6 @@ export class ScopeHelper {
 	}
 }
 
+export type TokenType = 'personal' | 'provider' | 'application';
+
 export const scope = new ScopeHelper();
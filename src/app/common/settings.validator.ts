@@ -22,7 +22,7 @@ import { isArray, isBoolean, isNumber, isObject, isString, keys } from 'lodash';
 import { dirname } from 'path';
 import { isEmail, isLength } from 'validator';
 import { fileTypes } from '../files/file.types';
-import { VpdbConfig } from './typings/config';
+import { VpdbConfig, VpdbStorageBackendConfig } from './typings/config';
 
 export const settingValidations = {
 	vpdb: {
@@ -35,8 +35,51 @@ export const settingValidations = {
 		storage: {
 			public: { path: checkFolder, api: { hostname: checkHost, port: checkPort, protocol: checkProtocol, pathname: checkPath } },
 			protected: { path: checkFolder, api: { hostname: checkHost, port: checkPort, protocol: checkProtocol, pathname: checkPath } },
+			bundleCacheSize: (size: any) => {
+				if (!isNumber(size) || size <= 0) {
+					return 'Bundle cache size must be a positive number of bytes.';
+				}
+			},
+			backend: (backend: VpdbStorageBackendConfig) => {
+				if (!isObject(backend)) {
+					return 'Storage backend must be an object.';
+				}
+				if (backend.type === 'local') {
+					return;
+				}
+				if (backend.type !== 's3') {
+					return 'Storage backend type must be either "local" or "s3".';
+				}
+				if (!isObject(backend.s3)) {
+					return 'S3 storage backend needs an "s3" configuration block.';
+				}
+				const s3: { [key: string]: any } = backend.s3;
+				const errors: any[] = [];
+				if (!isString(s3.endpoint) || !/^https?:\/\/[^\s\/]+/i.test(s3.endpoint)) {
+					errors.push({ path: 's3.endpoint', message: 'Endpoint must be a valid http or https URL.', setting: s3.endpoint });
+				}
+				for (const key of ['bucket', 'region', 'accessKeyId', 'secretAccessKey']) {
+					if (!isString(s3[key]) || !isLength(s3[key], 1)) {
+						errors.push({ path: 's3.' + key, message: 'Must contain at least one character.', setting: s3[key] });
+					}
+				}
+				if (s3.signedUrlLifetime !== undefined && (!isNumber(s3.signedUrlLifetime) || s3.signedUrlLifetime < 1)) {
+					errors.push({ path: 's3.signedUrlLifetime', message: 'Signed URL lifetime must be a number greater than 0.', setting: s3.signedUrlLifetime });
+				}
+				if (s3.publicUrl && checkUrl(s3.publicUrl)) {
+					errors.push({ path: 's3.publicUrl', message: 'Public URL must be a valid URL.', setting: s3.publicUrl });
+				}
+				if (errors.length > 0) {
+					return errors;
+				}
+			},
 		},
 		webapp: { hostname: checkHost, port: checkPort, protocol: checkProtocol },
+		trustedProxies: (num: any) => {
+			if (!isNumber(num) || num < 0 || Math.floor(num) !== num) {
+				return 'Number of trusted proxies must be zero or a positive integer.';
+			}
+		},
 		db: (db: any) => {
 			if (!/mongodb:\/\/[^\/]+\/[a-z0-9]+/i.test(db)) {
 				return 'Database must fit the scheme "mongodb://<host>/<db-name>"';
@@ -93,6 +136,58 @@ export const settingValidations = {
 			},
 		},
 
+		twoFactor: {
+			issuer: (issuer: any) => {
+				if (!isString(issuer) || !isLength(issuer, 1)) {
+					return 'Issuer must contain at least one character.';
+				}
+			},
+			enforcedRoles: (roles: any) => {
+				if (!isArray(roles) || roles.some(role => !isString(role))) {
+					return 'Enforced roles must be an array of role names.';
+				}
+			},
+			challengeLifetime: (lifetime: any) => {
+				if (!isNumber(lifetime) || lifetime < 1) {
+					return 'Challenge lifetime must be a number greater than 0.';
+				}
+			},
+		},
+
+		tokenUsage: {
+			countryHeader: (header: any) => {
+				if (!isString(header)) {
+					return 'Country header must be a string, empty if not available.';
+				}
+			},
+			alertOnNewLocation: (bool: any) => {
+				if (!isBoolean(bool)) {
+					return 'Must be either true or false';
+				}
+			},
+		},
+
+		accountDeletion: {
+			comments: (policy: any) => {
+				if (!['anonymize', 'delete'].includes(policy)) {
+					return 'Comments policy must be either "anonymize" or "delete".';
+				}
+			},
+			content: (policy: any) => {
+				if (!['anonymize', 'transfer'].includes(policy)) {
+					return 'Content policy must be either "anonymize" or "transfer".';
+				}
+			},
+			transferTo: (id: any, setting: any) => {
+				if (setting.content !== 'transfer') {
+					return;
+				}
+				if (!isString(id) || !isLength(id, 1)) {
+					return 'User ID to transfer content to must be set when content policy is "transfer".';
+				}
+			},
+		},
+
 		logging: {
 			level: (level: any) => {
 				if (![ 'silly', 'debug', 'verbose', 'info', 'warn', 'error' ].includes(level)) {
@@ -382,6 +477,15 @@ export const settingValidations = {
 			}
 		},
 
+		nvramMaps: (path: any) => {
+			if (!isString(path) || !isLength(path, 1)) {
+				return 'NVRAM map path must contain at least one character.';
+			}
+			if (existsSync(path) && !lstatSync(path).isDirectory()) {
+				return 'NVRAM map path is not a folder. Please make it point to a folder';
+			}
+		},
+
 		authorizationHeader: (header: any) => {
 			if (header.length === 0) {
 				return 'Your authorization header must be longer than 0 characters';
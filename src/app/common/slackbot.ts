@@ -61,7 +61,8 @@ export class SlackBot {
 		const span = this.apmStartSpan('logEvent');
 		try {
 			const msg: { msg: string, atts?: MessageAttachment[] } = { msg: '', atts: [] };
-			const actor = await state.models.User.findById((log._actor as UserDocument)._id || log._actor).exec();
+			// events triggered by the system have no actor
+			const actor = log._actor ? await state.models.User.findById((log._actor as UserDocument)._id || log._actor).exec() : null;
 			const channel = this.config.channels.eventLog;
 			switch (log.event) {
 				case 'create_comment':
@@ -266,6 +267,12 @@ export class SlackBot {
 					break;
 				case 'delete_game_request':
 					break;
+				case 'submit_highscore':
+					msg.msg = `Submitted a score of *${log.payload.highscore.score.toLocaleString('en-US')}* on *${log.payload.release.name}* v${log.payload.highscore.version} of ${log.payload.game.title} (${log.payload.game.manufacturer} ${log.payload.game.year}).`;
+					break;
+				case 'verify_highscore':
+					msg.msg = `${log.payload.is_verified ? 'Verified' : 'Unverified'} ${log.payload.highscore.player.name}'s score of *${log.payload.highscore.score.toLocaleString('en-US')}* on *${log.payload.highscore.release.name}* v${log.payload.highscore.version} of ${log.payload.highscore.game.title} (${log.payload.highscore.game.manufacturer} ${log.payload.highscore.game.year}).`;
+					break;
 				default:
 					break;
 			}
@@ -280,9 +287,9 @@ export class SlackBot {
 				channel,
 				text: msg.msg,
 				as_user: false,
-				username: actor.name,
+				username: actor ? actor.name : 'VPDB',
 				attachments: msg.atts,
-				icon_url: 'https://www.gravatar.com/avatar/' + UserUtil.getGravatarHash(actor) + '?d=retro',
+				icon_url: actor ? 'https://www.gravatar.com/avatar/' + UserUtil.getGravatarHash(actor) + '?d=retro' : undefined,
 			});
 
 		} catch (err) {
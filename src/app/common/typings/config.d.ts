@@ -86,6 +86,19 @@ export interface VpdbConfig {
 				/** URI of the API. Used to construct URLs. */
 				api: VpdbHost,
 			},
+
+			/**
+			 * Where files are persisted. With `local`, files are kept on the
+			 * local file system. Otherwise, the folders above are used as
+			 * local cache and for processing.
+			 */
+			backend: VpdbStorageBackendConfig,
+
+			/**
+			 * Maximal size in bytes of the cached release downloads. When
+			 * exceeded, the least recently downloaded bundles are removed.
+			 */
+			bundleCacheSize: number,
 		},
 
 		/**
@@ -98,6 +111,12 @@ export interface VpdbConfig {
 		 */
 		webapp: VpdbHost,
 
+		/**
+		 * Number of reverse proxies in front of the API. The client's address
+		 * is taken from that many entries from the end of `X-Forwarded-For`.
+		 */
+		trustedProxies: number,
+
 		/**
 		 * Lifetime of the API JWT in milliseconds.
 		 */
@@ -151,6 +170,79 @@ export interface VpdbConfig {
 		 */
 		passwordResetBackoff: VpdbBackoffConfig,
 
+		/**
+		 * Two-factor authentication for local accounts.
+		 */
+		twoFactor: {
+
+			/**
+			 * Name shown in the authenticator app.
+			 */
+			issuer: string,
+
+			/**
+			 * Users with any of these roles must set up two-factor
+			 * authentication. If they haven't yet, they are asked to enroll
+			 * when logging in with their password.
+			 */
+			enforcedRoles: string[],
+
+			/**
+			 * How long the challenge returned after the password step is
+			 * valid, in milliseconds.
+			 */
+			challengeLifetime: number,
+		},
+
+		/**
+		 * Usage log of application tokens.
+		 */
+		tokenUsage: {
+
+			/**
+			 * Header containing the two-letter country code of the client,
+			 * if set by a reverse proxy, e.g. `CF-IPCountry` when running
+			 * behind Cloudflare. Leave empty if not available, then only the
+			 * IP range is used to detect new locations.
+			 */
+			countryHeader: string,
+
+			/**
+			 * If true, the owner of a token gets an email when the token is
+			 * used from a new location.
+			 */
+			alertOnNewLocation: boolean,
+		},
+
+		/**
+		 * What happens with the data of users deleting their account.
+		 * Personal data is always removed, this only applies to content
+		 * shared with others.
+		 */
+		accountDeletion: {
+
+			/**
+			 * Comments of the deleted user. Either `anonymize`, which keeps
+			 * them attributed to the anonymized account, or `delete`.
+			 */
+			comments: 'anonymize' | 'delete',
+
+			/**
+			 * Releases, backglasses, media, games, ROMs, builds, tags and
+			 * files created or authored by the deleted user. Either
+			 * `anonymize`, which keeps them attributed to the anonymized
+			 * account, or `transfer`, which makes the user in `transferTo`
+			 * the new creator and author.
+			 */
+			content: 'anonymize' | 'transfer',
+
+			/**
+			 * ID of the user receiving the content when `content` is set to
+			 * `transfer`.
+			 */
+			transferTo: string,
+		},
+
 		/**
 		 * Various mail settings.
 		 */
@@ -404,6 +496,13 @@ export interface VpdbConfig {
 		 */
 		tmp: string,
 
+		/**
+		 * Folder containing the NVRAM maps used to read high scores from
+		 * uploaded NVRAM files. Maps use the format of the pinmame-nvram-maps
+		 * project and are named `<rom>.nv.json`.
+		 */
+		nvramMaps: string,
+
 		/**
 		 * HTTP header where the JWT is send from the client. If you globally
 		 * protect the site with let's say HTTP Basic, you'd need to use
@@ -599,3 +698,51 @@ export interface VpdbBackoffConfig {
 	 */
 	keep: number;
 }
+
+export interface VpdbStorageBackendConfig {
+	/**
+	 * Type of the backend, either `local` or `s3`.
+	 */
+	type: 'local' | 's3';
+
+	/**
+	 * Configuration of the S3-compatible object storage, if type is `s3`.
+	 */
+	s3?: VpdbS3StorageConfig;
+}
+
+export interface VpdbS3StorageConfig {
+	/**
+	 * Endpoint of the object storage, e.g. `https://s3.eu-central-1.amazonaws.com` or `http://localhost:9000`.
+	 */
+	endpoint: string;
+
+	/**
+	 * Region used for signing requests.
+	 */
+	region: string;
+
+	/**
+	 * Name of the bucket.
+	 */
+	bucket: string;
+
+	accessKeyId: string;
+	secretAccessKey: string;
+
+	/**
+	 * Use `<endpoint>/<bucket>` instead of `<bucket>.<endpoint>`. Needed for MinIO.
+	 */
+	forcePathStyle?: boolean;
+
+	/**
+	 * How long signed download URLs are valid, in seconds. Defaults to 300.
+	 */
+	signedUrlLifetime?: number;
+
+	/**
+	 * If set, public files are redirected to this URL without signature.
+	 * Objects below `public/` must be readable anonymously.
+	 */
+	publicUrl?: string;
+}
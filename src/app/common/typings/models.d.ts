@@ -28,26 +28,37 @@ import { TokenDocument } from '../../tokens/token.document';
 
 import { BackglassModel } from '../../backglasses/backglass.schema';
 import { BackglassVersionModel } from '../../backglasses/version/backglass.version.schema';
+import { DownloadJobModel } from '../../clients/download.job.schema';
 import { CommentModel } from '../../comments/comment.schema';
 import { FileModel } from '../../files/file.schema';
 import { GameModel } from '../../games/game.schema';
+import { HighscoreModel } from '../../highscores/highscore.schema';
 import { LogEventModel } from '../../log-event/log.event.schema';
 import { LogUserModel } from '../../log-user/log.user.schema';
 import { MediumModel } from '../../media/medium.schema';
+import { ApplicationModel } from '../../oauth/application.schema';
 import { ReleaseModel } from '../../releases/release.schema';
 import { ReleaseVersionFileModel } from '../../releases/version/file/release.version.file.schema';
 import { ReleaseVersionModel } from '../../releases/version/release.version.schema';
+import { ReportModel } from '../../reports/report.schema';
+import { RomDefinitionModel } from '../../roms/definition/rom.definition.schema';
 import { RomModel } from '../../roms/rom.schema';
+import { TokenUsageModel } from '../../tokens/token.usage.schema';
 import { UserModel } from '../../users/user.schema';
+import { WebhookDeliveryModel } from '../../webhooks/webhook.delivery.schema';
+import { WebhookModel } from '../../webhooks/webhook.schema';
 
 export interface Models {
+	Application: ApplicationModel;
 	Backglass: BackglassModel;
 	BackglassVersion: BackglassVersionModel;
 	Build: Model<BuildDocument>;
 	Comment: CommentModel;
+	DownloadJob: DownloadJobModel;
 	File: FileModel;
 	Game: GameModel;
 	GameRequest: Model<GameRequestDocument>;
+	Highscore: HighscoreModel;
 	LogEvent: LogEventModel;
 	LogUser: LogUserModel;
 	Medium: MediumModel;
@@ -55,15 +66,20 @@ export interface Models {
 	Release: ReleaseModel;
 	ReleaseVersion: ReleaseVersionModel;
 	ReleaseVersionFile: ReleaseVersionFileModel;
+	Report: ReportModel;
 	Rom: RomModel;
+	RomDefinition: RomDefinitionModel;
 	TableBlock: Model<TableBlock>;
 	Tag: Model<TagDocument>;
 	Token: Model<TokenDocument>;
+	TokenUsage: TokenUsageModel;
 	Star: Model<StarDocument>;
 	User: UserModel;
+	Webhook: WebhookModel;
+	WebhookDelivery: WebhookDeliveryModel;
 	[key: string]: Model<Document>;
 }
 
-export type ModelName = 'Backglass' | 'BackglassVersion' | 'Build' | 'Comment' | 'ContentAuthor' | 'File' | 'Game' | 'GameRequest' |
-	'LogEvent' | 'LogUser' | 'Medium' | 'Rating' | 'Release' | 'ReleaseVersion' | 'ReleaseVersionFile' |
-	'Rom' | 'TableBlock' | 'Tag' | 'Token' | 'Star' | 'User';
+export type ModelName = 'Application' | 'Backglass' | 'BackglassVersion' | 'Build' | 'Comment' | 'ContentAuthor' | 'DownloadJob' | 'File' | 'Game' | 'GameRequest' | 'Highscore' |
+	'LogEvent' | 'LogUser' | 'Medium' | 'Rating' | 'Release' | 'ReleaseVersion' | 'ReleaseVersionFile' | 'Report' |
+	'Rom' | 'RomDefinition' | 'TableBlock' | 'Tag' | 'Token' | 'TokenUsage' | 'Star' | 'User' | 'Webhook' | 'WebhookDelivery';
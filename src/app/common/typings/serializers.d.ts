@@ -20,33 +20,44 @@
 import { BackglassSerializer } from '../../backglasses/backglass.serializer';
 import { BackglassVersionSerializer } from '../../backglasses/version/backglass.version.serializer';
 import { BuildSerializer } from '../../builds/build.serializer';
+import { DownloadJobSerializer } from '../../clients/download.job.serializer';
 import { CommentSerializer } from '../../comments/comment.serializer';
 import { FileSerializer } from '../../files/file.serializer';
 import { GameRequestSerializer } from '../../game-requests/game.request.serializer';
 import { GameSerializer } from '../../games/game.serializer';
+import { HighscoreSerializer } from '../../highscores/highscore.serializer';
 import { LogEventSerializer } from '../../log-event/log.event.serializer';
 import { LogUserSerializer } from '../../log-user/log.user.serializer';
 import { MediumSerializer } from '../../media/medium.serializer';
+import { ApplicationSerializer } from '../../oauth/application.serializer';
 import { ReleaseSerializer } from '../../releases/release.serializer';
 import { ReleaseVersionFileSerializer } from '../../releases/version/file/release.version.file.serializer';
 import { ReleaseVersionSerializer } from '../../releases/version/release.version.serializer';
+import { ReportSerializer } from '../../reports/report.serializer';
+import { RomDefinitionSerializer } from '../../roms/definition/rom.definition.serializer';
 import { RomSerializer } from '../../roms/rom.serializer';
 import { TagSerializer } from '../../tags/tag.serializer';
 import { TokenSerializer } from '../../tokens/token.serializer';
+import { TokenUsageSerializer } from '../../tokens/token.usage.serializer';
 import { ContentAuthorSerializer } from '../../users/content.author.serializer';
 import { UserSerializer } from '../../users/user.serializer';
+import { WebhookDeliverySerializer } from '../../webhooks/webhook.delivery.serializer';
+import { WebhookSerializer } from '../../webhooks/webhook.serializer';
 import { ModerationSerializer } from '../mongoose/moderation.serializer';
 import { Serializer } from '../serializer';
 
 export interface Serializers {
+	Application: ApplicationSerializer;
 	Backglass: BackglassSerializer;
 	BackglassVersion: BackglassVersionSerializer;
 	Build: BuildSerializer;
 	Comment: CommentSerializer;
 	ContentAuthor: ContentAuthorSerializer;
+	DownloadJob: DownloadJobSerializer;
 	File: FileSerializer;
 	Game: GameSerializer;
 	GameRequest: GameRequestSerializer;
+	Highscore: HighscoreSerializer;
 	LogEvent: LogEventSerializer;
 	LogUser: LogUserSerializer;
 	Medium: MediumSerializer;
@@ -54,10 +65,15 @@ export interface Serializers {
 	Release: ReleaseSerializer;
 	ReleaseVersion: ReleaseVersionSerializer;
 	ReleaseVersionFile: ReleaseVersionFileSerializer;
+	Report: ReportSerializer;
 	Rom: RomSerializer;
+	RomDefinition: RomDefinitionSerializer;
 	Tag: TagSerializer;
 	Token: TokenSerializer;
+	TokenUsage: TokenUsageSerializer;
 	User: UserSerializer;
+	Webhook: WebhookSerializer;
+	WebhookDelivery: WebhookDeliverySerializer;
 	[key: string]: Serializer<any>;
 }
 
@@ -0,0 +1,312 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { PatchOptions, structuredPatch } from 'diff';
+import { isUndefined } from 'lodash';
+
+/**
+ * Parses and compares VBScript, the scripting language of Visual Pinball
+ * tables.
+ *
+ * VBScript is case-insensitive and doesn't care about indentation, so per
+ * default, lines only differing in case or whitespace are considered equal.
+ */
+class VBScript {
+
+	private readonly procedureStart = /^\s*(?:(?:public|private)\s+)?(?:default\s+)?(sub|function|property\s+(?:get|let|set))\s+([a-z_]\w*)/i;
+	private readonly procedureEnd = /^\s*end\s+(sub|function|property)\b/i;
+	private readonly procedureEndInline = /:\s*end\s+(sub|function|property)\s*$/i;
+	private readonly classStart = /^\s*class\s+([a-z_]\w*)/i;
+	private readonly classEnd = /^\s*end\s+class\b/i;
+
+	/**
+	 * Reads diff options from the query of a request.
+	 *
+	 * @param {{[p: string]: string}} query Request query
+	 * @return {VBScriptDiffOptions} Diff options
+	 */
+	public getDiffOptions(query: { [key: string]: string }): VBScriptDiffOptions {
+		const parseBoolean = (value: string, defaultValue: boolean) => isUndefined(value) ? defaultValue : value.toLowerCase() !== 'false';
+		const context = parseInt(query.context, 10);
+		return {
+			ignoreCase: parseBoolean(query.ignore_case, true),
+			ignoreWhitespace: parseBoolean(query.ignore_whitespace, true),
+			ignoreComments: parseBoolean(query.ignore_comments, false),
+			context: isNaN(context) ? 3 : Math.min(Math.max(context, 0), 20),
+		};
+	}
+
+	/**
+	 * Splits a script into lines.
+	 *
+	 * @param {string} script Script
+	 * @return {string[]} Lines without line breaks
+	 */
+	public getLines(script: string): string[] {
+		return (script || '').split(/\r?\n/);
+	}
+
+	/**
+	 * Returns all procedures (subs, functions and properties) of a script.
+	 *
+	 * Procedures within a class are prefixed with the class name.
+	 *
+	 * @param {string} script Script
+	 * @return {VBScriptProcedure[]} Procedures
+	 */
+	public getProcedures(script: string): VBScriptProcedure[] {
+		const lines = this.getLines(script);
+		const procedures: VBScriptProcedure[] = [];
+		let className: string = null;
+		let procedure: VBScriptProcedure = null;
+		lines.forEach((line, index) => {
+			if (!procedure) {
+				const classMatch = line.match(this.classStart);
+				if (classMatch) {
+					className = classMatch[1];
+					return;
+				}
+				if (this.classEnd.test(line)) {
+					className = null;
+					return;
+				}
+				const match = line.match(this.procedureStart);
+				if (match) {
+					procedure = {
+						kind: match[1].toLowerCase().replace(/\s+/, ' '),
+						name: (className ? className + '.' : '') + match[2],
+						start: index + 1,
+						end: index + 1,
+						lines: [],
+					};
+				}
+			}
+			if (procedure) {
+				procedure.lines.push(line);
+				if (this.procedureEnd.test(line) || this.procedureEndInline.test(line)) {
+					procedure.end = index + 1;
+					procedures.push(procedure);
+					procedure = null;
+				}
+			}
+		});
+		return procedures;
+	}
+
+	/**
+	 * Normalizes a line of code so it can be compared semantically.
+	 *
+	 * String literals are kept as-is.
+	 *
+	 * @param {string} line Line of code
+	 * @param {VBScriptDiffOptions} opts What to ignore
+	 * @return {string} Normalized line
+	 */
+	public normalizeLine(line: string, opts: VBScriptDiffOptions): string {
+		let normalized = '';
+		let inString = false;
+		let pendingSpace = false;
+		for (let i = 0; i < line.length; i++) {
+			const c = line[i];
+			if (inString) {
+				normalized += c;
+				if (c === '"') {
+					if (line[i + 1] === '"') {
+						normalized += '"';
+						i++;
+					} else {
+						inString = false;
+					}
+				}
+				continue;
+			}
+
+			// comments
+			const isComment = c === '\'' || (/^rem(\s|$)/i.test(line.substr(i, 4)) && (i === 0 || /[\s:]/.test(line[i - 1])));
+			if (isComment) {
+				if (!opts.ignoreComments) {
+					normalized += (pendingSpace && normalized ? ' ' : '') + (opts.ignoreCase ? line.substr(i).toLowerCase() : line.substr(i));
+				}
+				break;
+			}
+
+			// whitespace only matters between words
+			if (opts.ignoreWhitespace && /\s/.test(c)) {
+				pendingSpace = true;
+				continue;
+			}
+			if (pendingSpace) {
+				if (/\w$/.test(normalized) && /\w/.test(c)) {
+					normalized += ' ';
+				}
+				pendingSpace = false;
+			}
+			if (c === '"') {
+				inString = true;
+			}
+			normalized += opts.ignoreCase ? c.toLowerCase() : c;
+		}
+		return normalized;
+	}
+
+	/**
+	 * Compares two scripts.
+	 *
+	 * @param {string} oldScript Old script
+	 * @param {string} newScript New script
+	 * @param {VBScriptDiffOptions} opts What to ignore
+	 * @return {VBScriptDiff} Hunks and changed procedures
+	 */
+	public diff(oldScript: string, newScript: string, opts: VBScriptDiffOptions): VBScriptDiff {
+		const oldLines = this.getLines(oldScript);
+		const newLines = this.getLines(newScript);
+		const oldProcedures = this.getProcedures(oldScript);
+		const newProcedures = this.getProcedures(newScript);
+		const normalize = (line: string) => this.normalizeLine(line.replace(/\r?\n$/, ''), opts);
+
+		// the comparator is passed through to the line diff but missing in the typings.
+		const patchOpts = { context: opts.context, comparator: (left: string, right: string) => normalize(left) === normalize(right) } as PatchOptions;
+		const patch = structuredPatch('old', 'new', oldLines.join('\n') + '\n', newLines.join('\n') + '\n', undefined, undefined, patchOpts);
+
+		const diff: VBScriptDiff = {
+			old_lines: oldLines.length,
+			new_lines: newLines.length,
+			additions: 0,
+			deletions: 0,
+			hunks: [],
+			procedures: { added: [], removed: [], changed: [] },
+		};
+		for (const hunk of patch.hunks) {
+			let oldLine = hunk.oldStart;
+			let newLine = hunk.newStart;
+			let procedure: VBScriptProcedure;
+			for (const line of hunk.lines) {
+				if (line[0] === '+') {
+					diff.additions++;
+					procedure = procedure || this.findProcedure(newProcedures, newLine);
+					newLine++;
+				} else if (line[0] === '-') {
+					diff.deletions++;
+					procedure = procedure || this.findProcedure(oldProcedures, oldLine);
+					oldLine++;
+				} else {
+					oldLine++;
+					newLine++;
+				}
+			}
+			diff.hunks.push({
+				old_start: hunk.oldStart,
+				old_lines: hunk.oldLines,
+				new_start: hunk.newStart,
+				new_lines: hunk.newLines,
+				procedure: procedure ? procedure.name : null,
+				lines: hunk.lines.filter(line => line[0] !== '\\'),
+			});
+		}
+
+		// compare procedures
+		const key = (p: VBScriptProcedure) => p.kind + ' ' + p.name.toLowerCase();
+		const body = (p: VBScriptProcedure) => p.lines.map(normalize).filter(line => !opts.ignoreWhitespace || line.length > 0).join('\n');
+		const oldByKey = new Map(oldProcedures.map(p => [key(p), p] as [string, VBScriptProcedure]));
+		const newByKey = new Map(newProcedures.map(p => [key(p), p] as [string, VBScriptProcedure]));
+		for (const [k, p] of newByKey) {
+			if (!oldByKey.has(k)) {
+				diff.procedures.added.push(this.procedureRef(p));
+			} else if (body(oldByKey.get(k)) !== body(p)) {
+				diff.procedures.changed.push(this.procedureRef(p));
+			}
+		}
+		for (const [k, p] of oldByKey) {
+			if (!newByKey.has(k)) {
+				diff.procedures.removed.push(this.procedureRef(p));
+			}
+		}
+		return diff;
+	}
+
+	/**
+	 * Returns the procedure at a given line.
+	 */
+	private findProcedure(procedures: VBScriptProcedure[], line: number): VBScriptProcedure {
+		return procedures.find(p => p.start <= line && p.end >= line);
+	}
+
+	private procedureRef(procedure: VBScriptProcedure): VBScriptProcedureRef {
+		return { kind: procedure.kind, name: procedure.name, start: procedure.start, end: procedure.end };
+	}
+}
+
+export interface VBScriptDiffOptions {
+	/**
+	 * Ignore case outside of string literals. Default true.
+	 */
+	ignoreCase?: boolean;
+
+	/**
+	 * Ignore indentation and whitespace between tokens. Default true.
+	 */
+	ignoreWhitespace?: boolean;
+
+	/**
+	 * Ignore comments. Default false.
+	 */
+	ignoreComments?: boolean;
+
+	/**
+	 * Number of context lines around changes. Default 3.
+	 */
+	context?: number;
+}
+
+export interface VBScriptProcedure {
+	kind: string;
+	name: string;
+	start: number;
+	end: number;
+	lines: string[];
+}
+
+export interface VBScriptProcedureRef {
+	kind: string;
+	name: string;
+	start: number;
+	end: number;
+}
+
+export interface VBScriptDiff {
+	old_lines: number;
+	new_lines: number;
+	additions: number;
+	deletions: number;
+	hunks: Array<{
+		old_start: number;
+		old_lines: number;
+		new_start: number;
+		new_lines: number;
+		procedure: string;
+		lines: string[];
+	}>;
+	procedures: {
+		added: VBScriptProcedureRef[];
+		removed: VBScriptProcedureRef[];
+		changed: VBScriptProcedureRef[];
+	};
+}
+
+export const vbScript = new VBScript();
@@ -24,6 +24,22 @@ import { BinaryReader, OleCompoundDoc, Storage } from 'vpx-js';
 import { TableBlock } from '../releases/release.tableblock';
 import { logger } from './logger';
 import { RequestState } from './typings/context';
+import { vbScript } from './vbscript';
+
+/**
+ * Minimal size of a normalized script procedure to be indexed as a block.
+ */
+const minScriptBlockBytes = 100;
+
+/**
+ * Names of the game item types in the table statistics, by VPX item type.
+ */
+const gameItemTypes: { [itemType: number]: string } = {
+	0: 'walls', 1: 'flippers', 2: 'timers', 3: 'plungers', 4: 'textboxes', 5: 'bumpers', 6: 'triggers', 7: 'lights',
+	8: 'kickers', 9: 'decals', 10: 'gates', 11: 'spinners', 12: 'ramps', 17: 'reels', 18: 'light_sequencers',
+	19: 'primitives', 20: 'flashers', 21: 'rubbers', 22: 'targets',
+};
+export const tableStatisticsItems = Object.values(gameItemTypes);
 
 class VisualPinballTable {
 
@@ -75,8 +91,7 @@ class VisualPinballTable {
 			// game items
 			for (const streamName of times(gameData.numGameItems, n => 'GameItem' + n)) {
 				const data = await this.readStream(storage, streamName);
-				const blocks = await this.parseBiff(data, 4);
-				const meta = await this.parseGameItem(blocks, streamName);
+				const meta = this.parseGameItem(data, streamName);
 				const tableBlock = this.analyzeBlock(requestState, data, 'gameitem', meta);
 				if (tableBlock) {
 					tableBlocks.push(tableBlock);
@@ -94,6 +109,23 @@ class VisualPinballTable {
 				}
 			}
 
+			// script procedures
+			for (const procedure of vbScript.getProcedures(gameData.script)) {
+				const code = procedure.lines
+					.map(line => vbScript.normalizeLine(line, { ignoreCase: true, ignoreWhitespace: true, ignoreComments: true }))
+					.filter(line => line.length > 0)
+					.join('\n');
+
+				// skip one-liners, they're too common to indicate similarity
+				if (code.length < minScriptBlockBytes) {
+					continue;
+				}
+				const tableBlock = this.analyzeBlock(requestState, Buffer.from(code), 'script', { stream: 'GameData', name: procedure.name, kind: procedure.kind });
+				if (tableBlock) {
+					tableBlocks.push(tableBlock);
+				}
+			}
+
 			logger.info(requestState, '[VisualPinballTable.analyzeFile] Found %d items in table file in %sms:', tableBlocks.length, new Date().getTime() - started);
 			logger.info(requestState, '        - %d textures.', gameData.numTextures);
 			logger.info(requestState, '        - %d sounds.', gameData.numSounds);
@@ -108,6 +140,61 @@ class VisualPinballTable {
 		}
 	}
 
+	/**
+	 * Aggregates the game items, textures, sounds and physics settings of a
+	 * table file.
+	 *
+	 * @param requestState For logging
+	 * @param {string} tablePath Path to table file
+	 * @return {Promise<TableStatistics>} Table statistics
+	 */
+	public async getStatistics(requestState: RequestState, tablePath: string): Promise<TableStatistics> {
+		const started = Date.now();
+		let doc: OleCompoundDoc;
+
+		try {
+			doc = await this.readDoc(tablePath);
+			const storage = doc.storage('GameStg');
+			const blocks = this.parseBiff(await this.readStream(storage, 'GameData'));
+			const gameData = this.parseGameData(blocks);
+			const statistics: TableStatistics = {
+				items: tableStatisticsItems.reduce((items, name) => ({ ...items, [name]: 0 }), {}),
+				textures: { count: 0, bytes: 0, memory: 0 },
+				sounds: { count: 0, bytes: 0 },
+				physics: this.parsePhysics(blocks),
+			};
+
+			// images
+			for (const streamName of times(gameData.numTextures, n => 'Image' + n)) {
+				const [data, meta] = this.parseImage(this.parseBiff(await this.readStream(storage, streamName)), streamName);
+				statistics.textures.count++;
+				statistics.textures.bytes += data ? data.length : 0;
+				statistics.textures.memory += (meta.width || 0) * (meta.height || 0) * 4;
+			}
+			// sounds
+			for (const streamName of times(gameData.numSounds, n => 'Sound' + n)) {
+				const [data] = this.parseSound(this.parseUntaggedBiff(await this.readStream(storage, streamName)), streamName);
+				statistics.sounds.count++;
+				statistics.sounds.bytes += data ? data.length : 0;
+			}
+			// game items
+			for (const streamName of times(gameData.numGameItems, n => 'GameItem' + n)) {
+				const meta = this.parseGameItem(await this.readStream(storage, streamName), streamName);
+				const name = gameItemTypes[meta.item_type];
+				if (name) {
+					statistics.items[name]++;
+				}
+			}
+			logger.info(requestState, '[VisualPinballTable.getStatistics] Retrieved statistics in %sms.', Date.now() - started);
+			return statistics;
+
+		} finally {
+			if (doc) {
+				await doc.close();
+			}
+		}
+	}
+
 	/**
 	 * Starts reading the compound documents.
 	 *
@@ -294,6 +381,36 @@ class VisualPinballTable {
 		return gameData;
 	}
 
+	/**
+	 * Parses the physics settings from the "GameData" stream.
+	 *
+	 * Values are stored as single precision floats, so they are rounded to
+	 * six significant digits.
+	 *
+	 * @param {Block[]} blocks "GameData" blocks
+	 * @return {TablePhysics} Physics settings
+	 */
+	private parsePhysics(blocks: Block[]): TablePhysics {
+		const physics: TablePhysics = {};
+		const readFloat = (data: Buffer) => Number(data.readFloatLE(0).toPrecision(6));
+		blocks.forEach(block => {
+			switch (block.tag) {
+				case 'GAVT': physics.gravity = readFloat(block.data); break;
+				case 'FRCT': physics.friction = readFloat(block.data); break;
+				case 'ELAS': physics.elasticity = readFloat(block.data); break;
+				case 'ELFA': physics.elasticity_falloff = readFloat(block.data); break;
+				case 'PFSC': physics.scatter = readFloat(block.data); break;
+				case 'SCAT': physics.default_scatter = readFloat(block.data); break;
+				case 'NDGT': physics.nudge_time = readFloat(block.data); break;
+				case 'SLOP': physics.slope_min = readFloat(block.data); break;
+				case 'SLPX': physics.slope_max = readFloat(block.data); break;
+				case 'PHML': physics.max_loops = block.data.readInt32LE(0); break;
+				case 'ORRP': physics.override_physics = block.data.readInt32LE(0); break;
+			}
+		});
+		return physics;
+	}
+
 	/**
 	 * Parses data from an image stream.
 	 *
@@ -335,13 +452,15 @@ class VisualPinballTable {
 	/**
 	 * Parses data from a game item stream.
 	 *
-	 * @param {Block[]} blocks "GameItem" blocks
+	 * The stream starts with the item type, followed by the BIFF blocks.
+	 *
+	 * @param {Buffer} data "GameItem" stream
 	 * @param {string} streamName Name of the stream, e.g. "GameItem0"
-	 * @return {BaseItem}
+	 * @return {GameItem}
 	 */
-	private parseGameItem(blocks: Block[], streamName: string): BaseItem {
-		const meta: BaseItem = { stream: streamName };
-		blocks.forEach(block => {
+	private parseGameItem(data: Buffer, streamName: string): GameItem {
+		const meta: GameItem = { stream: streamName, item_type: data.readInt32LE(0) };
+		this.parseBiff(data, 4).forEach(block => {
 			switch (block.tag) {
 				case 'NAME':
 					meta.name = this.parseString16(block.data);
@@ -401,7 +520,7 @@ class VisualPinballTable {
 	 *
 	 * @param requestState For logging
 	 * @param {Buffer} data Data to hash
-	 * @param {string} type Item type (image, sound, gameitem, collection)
+	 * @param {string} type Item type (image, sound, gameitem, collection, script)
 	 * @param meta Parsed metadata
 	 * @return {TableBlock}
 	 */
@@ -429,6 +548,10 @@ interface BaseItem {
 	name?: string;
 }
 
+interface GameItem extends BaseItem {
+	item_type: number;
+}
+
 interface SoundItem extends BaseItem {
 	path: string;
 	id: string;
@@ -450,4 +573,41 @@ interface GameDataItem {
 	script?: string;
 }
 
+export interface TableStatistics {
+	/**
+	 * Number of game items by type.
+	 */
+	items: { [type: string]: number };
+	textures: {
+		count: number;
+		/**
+		 * Size of the stored images.
+		 */
+		bytes: number;
+		/**
+		 * Memory used by the decoded images, assuming 32 bits per pixel.
+		 */
+		memory: number;
+	};
+	sounds: {
+		count: number;
+		bytes: number;
+	};
+	physics: TablePhysics;
+}
+
+export interface TablePhysics {
+	gravity?: number;
+	friction?: number;
+	elasticity?: number;
+	elasticity_falloff?: number;
+	scatter?: number;
+	default_scatter?: number;
+	nudge_time?: number;
+	slope_min?: number;
+	slope_max?: number;
+	max_loops?: number;
+	override_physics?: number;
+}
+
 export const visualPinballTable = new VisualPinballTable();
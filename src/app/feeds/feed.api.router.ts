@@ -0,0 +1,50 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import * as Router from 'koa-router';
+import { apiCache } from '../common/api.cache';
+import { ApiRouter } from '../common/api.router';
+import { Scope } from '../common/scope';
+import { FeedApi } from './feed.api';
+
+export class FeedApiRouter implements ApiRouter {
+
+	private readonly router: Router;
+
+	constructor() {
+		const api = new FeedApi();
+		this.router = api.apiRouter();
+
+		this.router.get('/v1/feeds/releases',              api.releases.bind(api));
+		this.router.get('/v1/feeds/games/:id/releases',    api.gameReleases.bind(api));
+		this.router.get('/v1/feeds/authors/:id/releases',  api.authorReleases.bind(api));
+		this.router.get('/v1/feeds/tags/:id/releases',     api.tagReleases.bind(api));
+		this.router.get('/v1/feeds/starred/releases',      api.auth(api.starredReleases.bind(api), 'user', 'view', [ Scope.ALL, Scope.FEED ]));
+
+		// starred feeds aren't cached, since starring games and users doesn't invalidate release lists.
+		apiCache.enable(this.router, '/v1/feeds/releases', { entities: [], listModels: ['release', 'game'] });
+		apiCache.enable(this.router, '/v1/feeds/games/:id/releases', { entities: [], listModels: ['release', 'game'] });
+		apiCache.enable(this.router, '/v1/feeds/authors/:id/releases', { entities: [], listModels: ['release', 'game', 'user'] });
+		apiCache.enable(this.router, '/v1/feeds/tags/:id/releases', { entities: [], listModels: ['release', 'game'] });
+	}
+
+	public getRouter(): Router {
+		return this.router;
+	}
+}
@@ -0,0 +1,163 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+'use strict';
+/*global describe, before, after, afterEach, it*/
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The VPDB `Feed` API', () => {
+
+	let release, otherRelease;
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'], _plan: 'free' },
+			moderator: { roles: ['moderator'] },
+			admin: { roles: ['admin'] },
+		});
+		release = await api.releaseHelper.createRelease('moderator');
+		otherRelease = await api.releaseHelper.createRelease('moderator', { tags: ['dof'] });
+		await api.as('admin').del('/v1/cache').then(res => res.expectStatus(204));
+	});
+
+	afterEach(async () => await api.as('admin').del('/v1/cache').then(res => res.expectStatus(204)));
+	after(async () => await api.teardown());
+
+	describe('when fetching the latest releases', () => {
+
+		it('should fail with an invalid format', async () => {
+			await api
+				.withQuery({ format: 'pdf' })
+				.get('/v1/feeds/releases')
+				.then(res => res.expectError(400, 'invalid format'));
+		});
+
+		it('should return an Atom feed by default', async () => {
+			const res = await api
+				.get('/v1/feeds/releases')
+				.then(res => res.expectStatus(200));
+			expect(res.headers['content-type']).to.contain('application/atom+xml');
+			expect(res.data).to.contain('<feed xmlns="http://www.w3.org/2005/Atom">');
+			expect(res.data).to.contain('/releases/' + release.id + '</id>');
+			expect(res.data).to.contain('/releases/' + otherRelease.id + '</id>');
+		});
+
+		it('should return an RSS feed', async () => {
+			const res = await api
+				.withQuery({ format: 'rss' })
+				.get('/v1/feeds/releases')
+				.then(res => res.expectStatus(200));
+			expect(res.headers['content-type']).to.contain('application/rss+xml');
+			expect(res.data).to.contain('<rss version="2.0"');
+			expect(res.data).to.contain('/releases/' + release.id + '</guid>');
+		});
+
+		it('should return a JSON feed with the serialized release', async () => {
+			const res = await api
+				.withQuery({ format: 'json' })
+				.get('/v1/feeds/releases')
+				.then(res => res.expectStatus(200));
+			expect(res.headers['content-type']).to.contain('application/feed+json');
+			const feed = typeof res.data === 'string' ? JSON.parse(res.data) : res.data;
+			expect(feed.version).to.be('https://jsonfeed.org/version/1.1');
+			const item = feed.items.find(item => item._vpdb.id === release.id);
+			expect(item).to.be.ok();
+			expect(item.tags).to.contain('HD');
+			expect(item._vpdb.game.id).to.be(release.game.id);
+		});
+
+		it('should cache the feed', async () => {
+			await api.get('/v1/feeds/releases').then(res => res.expectHeader('x-cache-api', 'miss'));
+			await api.get('/v1/feeds/releases').then(res => res.expectHeader('x-cache-api', 'hit'));
+		});
+	});
+
+	describe('when fetching releases of a game, author or tag', () => {
+
+		it('should fail for a non-existent game', async () => {
+			await api.get('/v1/feeds/games/doesnotexist/releases').then(res => res.expectError(404, 'no such game'));
+		});
+
+		it('should only list releases of the game', async () => {
+			const res = await api.get('/v1/feeds/games/' + release.game.id + '/releases').then(res => res.expectStatus(200));
+			expect(res.data).to.contain('/releases/' + release.id + '</id>');
+			expect(res.data).not.to.contain('/releases/' + otherRelease.id + '</id>');
+		});
+
+		it('should fail for a non-existent author', async () => {
+			await api.get('/v1/feeds/authors/doesnotexist/releases').then(res => res.expectError(404, 'no such user'));
+		});
+
+		it('should list releases of the author', async () => {
+			const res = await api.get('/v1/feeds/authors/' + api.getUser('moderator').id + '/releases').then(res => res.expectStatus(200));
+			expect(res.data).to.contain('/releases/' + release.id + '</id>');
+		});
+
+		it('should fail for a non-existent tag', async () => {
+			await api.get('/v1/feeds/tags/doesnotexist/releases').then(res => res.expectError(404, 'no such tag'));
+		});
+
+		it('should only list releases with the tag', async () => {
+			const res = await api.get('/v1/feeds/tags/dof/releases').then(res => res.expectStatus(200));
+			expect(res.data).to.contain('/releases/' + otherRelease.id + '</id>');
+			expect(res.data).not.to.contain('/releases/' + release.id + '</id>');
+		});
+	});
+
+	describe('when fetching starred releases', () => {
+
+		let feedToken;
+		before(async () => {
+			await api.as('member').post('/v1/games/' + release.game.id + '/star', {}).then(res => res.expectStatus(201));
+			const res = await api.as('member')
+				.markTeardown()
+				.post('/v1/tokens', { label: 'Feed reader', password: api.getUser('member').password, scopes: ['feed'] })
+				.then(res => res.expectStatus(201));
+			feedToken = res.data.token;
+		});
+
+		it('should fail when not logged', async () => {
+			await api.get('/v1/feeds/starred/releases').then(res => res.expectError(401));
+		});
+
+		it('should list releases of starred games', async () => {
+			const res = await api.as('member').get('/v1/feeds/starred/releases').then(res => res.expectStatus(200));
+			expect(res.data).to.contain('/releases/' + release.id + '</id>');
+			expect(res.data).not.to.contain('/releases/' + otherRelease.id + '</id>');
+		});
+
+		it('should accept a feed token as query parameter', async () => {
+			const res = await api
+				.withQuery({ token: feedToken })
+				.get('/v1/feeds/starred/releases')
+				.then(res => res.expectStatus(200));
+			expect(res.data).to.contain('/releases/' + release.id + '</id>');
+		});
+
+		it('should fail accessing other resources with a feed token', async () => {
+			await api
+				.withQuery({ token: feedToken })
+				.get('/v1/user')
+				.then(res => res.expectError(401, 'invalid scope'));
+		});
+	});
+});
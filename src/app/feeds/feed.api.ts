@@ -0,0 +1,191 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import sanitize = require('mongo-sanitize');
+
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { settings } from '../common/settings';
+import { Context } from '../common/typings/context';
+import { GameDocument } from '../games/game.document';
+import { ReleaseDocument } from '../releases/release.document';
+import { state } from '../state';
+import { TagDocument } from '../tags/tag.document';
+import { UserDocument } from '../users/user.document';
+import { FeedFormat, FeedItem, FeedWriter } from './feed.writer';
+
+export const feedFormats: FeedFormat[] = ['atom', 'rss', 'json'];
+
+export class FeedApi extends Api {
+
+	/**
+	 * Returns the latest releases.
+	 *
+	 * @see GET /v1/feeds/releases
+	 * @param {Context} ctx Koa context
+	 */
+	public async releases(ctx: Context) {
+		await this.serveReleases(ctx, 'VPDB: Latest Releases', 'The latest releases on VPDB.', settings.webUri('/releases'), {});
+	}
+
+	/**
+	 * Returns the latest releases of a game.
+	 *
+	 * @see GET /v1/feeds/games/:id/releases
+	 * @param {Context} ctx Koa context
+	 */
+	public async gameReleases(ctx: Context) {
+		const game = await state.models.Game.findOne({ id: sanitize(ctx.params.id) }).exec();
+		if (!game) {
+			throw new ApiError('No such game with ID "%s".', ctx.params.id).status(404);
+		}
+		await this.serveReleases(ctx, `VPDB: Releases of ${game.title}`, `The latest releases of ${game.title} on VPDB.`,
+			settings.webUri('/games/' + game.id), { _game: game._id });
+	}
+
+	/**
+	 * Returns the latest releases of an author.
+	 *
+	 * @see GET /v1/feeds/authors/:id/releases
+	 * @param {Context} ctx Koa context
+	 */
+	public async authorReleases(ctx: Context) {
+		const user = await state.models.User.findOne({ id: sanitize(ctx.params.id), is_active: true }).exec();
+		if (!user) {
+			throw new ApiError('No such user with ID "%s".', ctx.params.id).status(404);
+		}
+		await this.serveReleases(ctx, `VPDB: Releases by ${user.name}`, `The latest releases by ${user.name} on VPDB.`,
+			settings.webUri('/releases'), { 'authors._user': user._id });
+	}
+
+	/**
+	 * Returns the latest releases with a given tag.
+	 *
+	 * @see GET /v1/feeds/tags/:id/releases
+	 * @param {Context} ctx Koa context
+	 */
+	public async tagReleases(ctx: Context) {
+		const tag = await state.models.Tag.findOne({ _id: sanitize(ctx.params.id), is_active: true }).exec();
+		if (!tag) {
+			throw new ApiError('No such tag with ID "%s".', ctx.params.id).status(404);
+		}
+		await this.serveReleases(ctx, `VPDB: ${tag.name} Releases`, `The latest releases tagged "${tag.name}" on VPDB.`,
+			settings.webUri('/releases'), { _tags: tag._id });
+	}
+
+	/**
+	 * Returns the latest releases the logged user follows, i.e. releases
+	 * they starred, releases of games they starred and releases by authors
+	 * they starred.
+	 *
+	 * Since feed readers can't set headers, a personal token with only the
+	 * `feed` scope can be provided as `token` query parameter.
+	 *
+	 * @see GET /v1/feeds/starred/releases
+	 * @param {Context} ctx Koa context
+	 */
+	public async starredReleases(ctx: Context) {
+		const stars = await state.models.Star.find({ _from: ctx.state.user._id, type: { $in: ['game', 'release', 'user'] } }).exec();
+		const query = { $or: [
+			{ _id: { $in: stars.filter(s => s.type === 'release').map(s => s._ref.release) } },
+			{ _game: { $in: stars.filter(s => s.type === 'game').map(s => s._ref.game) } },
+			{ 'authors._user': { $in: stars.filter(s => s.type === 'user').map(s => s._ref.user) } },
+		] };
+		await this.serveReleases(ctx, `VPDB: Releases followed by ${ctx.state.user.name}`, 'The latest starred releases and releases of starred games and authors on VPDB.',
+			settings.webUri('/releases'), query);
+	}
+
+	/**
+	 * Queries the latest approved releases and renders them as feed.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {string} title Title of the feed
+	 * @param {string} description Description of the feed
+	 * @param {string} homePageUrl Web page the feed corresponds to
+	 * @param {object} filter Query filtering the releases
+	 */
+	private async serveReleases(ctx: Context, title: string, description: string, homePageUrl: string, filter: object) {
+
+		const format = (ctx.query.format || 'atom') as FeedFormat;
+		if (!feedFormats.includes(format)) {
+			throw new ApiError('Invalid format "%s". Valid formats are: [ "%s" ].', format, feedFormats.join('", "')).status(400);
+		}
+		const limit = Math.min(Math.max(parseInt(ctx.query.limit, 10) || 20, 1), 50);
+
+		const query = await state.models.Release.applyRestrictions(ctx, state.models.Release.approvedQuery([ filter ]));
+		const releases = await state.models.Release.find(this.searchQuery(query))
+			.sort({ released_at: -1 })
+			.limit(limit)
+			.populate('_game')
+			.populate('_tags')
+			.populate('authors._user')
+			.populate('versions.files._file')
+			.populate('versions.files._playfield_image')
+			.populate('versions.files._compatibility')
+			.exec();
+
+		logger.info(ctx.state, '[FeedApi.serveReleases] Rendering %s %s feed with %s release(s).', format, ctx.request.path, releases.length);
+
+		const feed = FeedWriter.write(format, {
+			title,
+			description,
+			homePageUrl,
+			feedUrl: settings.apiHost() + settings.intToExt(ctx.request.path) + (format === 'atom' ? '' : '?format=' + format),
+			items: releases.map(release => this.getReleaseItem(ctx, release)),
+		});
+		ctx.status = 200;
+		ctx.set('Content-Type', feed.contentType);
+		ctx.response.body = feed.body;
+	}
+
+	/**
+	 * Converts a release to a feed item.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {ReleaseDocument} release Release with populated game, tags, authors and files
+	 * @return {FeedItem} Feed item
+	 */
+	private getReleaseItem(ctx: Context, release: ReleaseDocument): FeedItem {
+		const game = release._game as GameDocument;
+		const data = state.serializers.Release.simple(ctx, release, { includedFields: ['description'], thumbFormat: 'medium-2x' });
+		return {
+			title: `${this.getGameTitle(game)}: ${release.name}`,
+			url: settings.webUri('/games/' + game.id + '/releases/' + release.id),
+			summary: release.description,
+			image: data.thumb && data.thumb.image ? data.thumb.image.url : undefined,
+			published: release.released_at || release.created_at,
+			updated: release.modified_at,
+			authors: release.authors.map(author => (author._user as UserDocument).name),
+			tags: (release._tags as TagDocument[]).map(tag => tag.name),
+			data,
+		};
+	}
+
+	/**
+	 * Returns the title of a game, followed by manufacturer and year if available.
+	 *
+	 * @param {GameDocument} game Game
+	 * @return {string} Display title
+	 */
+	private getGameTitle(game: GameDocument): string {
+		const details = [game.manufacturer, game.year].filter(detail => !!detail).join(' ');
+		return details ? `${game.title} (${details})` : game.title;
+	}
+}
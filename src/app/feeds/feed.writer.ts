@@ -0,0 +1,192 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { escape } from 'lodash';
+import builder from 'xmlbuilder';
+
+const generator = 'VPDB';
+
+/**
+ * Renders feeds as Atom, RSS 2.0 or JSON Feed.
+ *
+ * @see https://tools.ietf.org/html/rfc4287
+ * @see https://www.rssboard.org/rss-specification
+ * @see https://jsonfeed.org/version/1.1
+ */
+export class FeedWriter {
+
+	/**
+	 * Renders a feed in the given format.
+	 *
+	 * @param {FeedFormat} format Output format
+	 * @param {Feed} feed Feed to render
+	 * @return {{ contentType: string, body: string }} Content type and rendered feed
+	 */
+	public static write(format: FeedFormat, feed: Feed): { contentType: string, body: string } {
+		switch (format) {
+			case 'atom': return { contentType: 'application/atom+xml; charset=utf-8', body: FeedWriter.atom(feed) };
+			case 'rss': return { contentType: 'application/rss+xml; charset=utf-8', body: FeedWriter.rss(feed) };
+			case 'json': return { contentType: 'application/feed+json; charset=utf-8', body: FeedWriter.json(feed) };
+		}
+	}
+
+	private static atom(feed: Feed): string {
+		const root = builder
+			.create('feed', { version: '1.0', encoding: 'UTF-8' })
+			.att('xmlns', 'http://www.w3.org/2005/Atom');
+
+		root.ele('id', feed.feedUrl);
+		root.ele('title', feed.title);
+		root.ele('subtitle', feed.description);
+		root.ele('updated', FeedWriter.getUpdated(feed).toISOString());
+		root.ele('link', { rel: 'self', type: 'application/atom+xml', href: feed.feedUrl });
+		root.ele('link', { rel: 'alternate', type: 'text/html', href: feed.homePageUrl });
+		root.ele('generator', generator);
+
+		for (const item of feed.items) {
+			const entry = root.ele('entry');
+			entry.ele('id', item.url);
+			entry.ele('title', item.title);
+			entry.ele('link', { rel: 'alternate', type: 'text/html', href: item.url });
+			entry.ele('published', item.published.toISOString());
+			entry.ele('updated', item.updated.toISOString());
+			for (const author of item.authors) {
+				entry.ele('author').ele('name', author);
+			}
+			for (const tag of item.tags) {
+				entry.ele('category', { term: tag });
+			}
+			if (item.summary) {
+				entry.ele('summary', { type: 'text' }, item.summary);
+			}
+			entry.ele('content', { type: 'html' }, FeedWriter.getHtml(item));
+		}
+		return root.end({ pretty: true });
+	}
+
+	private static rss(feed: Feed): string {
+		const root = builder
+			.create('rss', { version: '1.0', encoding: 'UTF-8' })
+			.att('version', '2.0')
+			.att('xmlns:atom', 'http://www.w3.org/2005/Atom')
+			.att('xmlns:dc', 'http://purl.org/dc/elements/1.1/');
+
+		const channel = root.ele('channel');
+		channel.ele('title', feed.title);
+		channel.ele('link', feed.homePageUrl);
+		channel.ele('description', feed.description);
+		channel.ele('lastBuildDate', FeedWriter.getUpdated(feed).toUTCString());
+		channel.ele('atom:link', { rel: 'self', type: 'application/rss+xml', href: feed.feedUrl });
+		channel.ele('generator', generator);
+
+		for (const item of feed.items) {
+			const rssItem = channel.ele('item');
+			rssItem.ele('title', item.title);
+			rssItem.ele('link', item.url);
+			rssItem.ele('guid', { isPermaLink: 'true' }, item.url);
+			rssItem.ele('pubDate', item.published.toUTCString());
+			for (const author of item.authors) {
+				rssItem.ele('dc:creator', author);
+			}
+			for (const tag of item.tags) {
+				rssItem.ele('category', tag);
+			}
+			rssItem.ele('description', FeedWriter.getHtml(item));
+		}
+		return root.end({ pretty: true });
+	}
+
+	private static json(feed: Feed): string {
+		return JSON.stringify({
+			version: 'https://jsonfeed.org/version/1.1',
+			title: feed.title,
+			description: feed.description,
+			home_page_url: feed.homePageUrl,
+			feed_url: feed.feedUrl,
+			items: feed.items.map(item => ({
+				id: item.url,
+				url: item.url,
+				title: item.title,
+				summary: item.summary || undefined,
+				content_html: FeedWriter.getHtml(item),
+				image: item.image || undefined,
+				date_published: item.published.toISOString(),
+				date_modified: item.updated.toISOString(),
+				authors: item.authors.map(name => ({ name })),
+				tags: item.tags,
+				_vpdb: item.data,
+			})),
+		});
+	}
+
+	/**
+	 * Returns the most recent update of the feed's items, or now if empty.
+	 */
+	private static getUpdated(feed: Feed): Date {
+		return feed.items.reduce((updated, item) => item.updated > updated ? item.updated : updated, feed.items.length ? new Date(0) : new Date());
+	}
+
+	/**
+	 * Renders the HTML content of an item.
+	 */
+	private static getHtml(item: FeedItem): string {
+		let html = '';
+		if (item.image) {
+			html += `<p><a href="${escape(item.url)}"><img src="${escape(item.image)}" alt="${escape(item.title)}"></a></p>`;
+		}
+		if (item.authors.length) {
+			html += `<p>By ${escape(item.authors.join(', '))}</p>`;
+		}
+		if (item.summary) {
+			html += `<p>${escape(item.summary).replace(/\r?\n/g, '<br>')}</p>`;
+		}
+		return html;
+	}
+}
+
+export type FeedFormat = 'atom' | 'rss' | 'json';
+
+export interface Feed {
+	title: string;
+	description: string;
+	/**
+	 * Web page the feed corresponds to
+	 */
+	homePageUrl: string;
+	/**
+	 * URL of the feed itself
+	 */
+	feedUrl: string;
+	items: FeedItem[];
+}
+
+export interface FeedItem {
+	title: string;
+	url: string;
+	summary?: string;
+	image?: string;
+	published: Date;
+	updated: Date;
+	authors: string[];
+	tags: string[];
+	/**
+	 * Serialized entity, added to JSON feeds
+	 */
+	data: any;
+}
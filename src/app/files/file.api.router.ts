@@ -22,6 +22,7 @@ import { ApiRouter } from '../common/api.router';
 import { Scope } from '../common/scope';
 import { FileApi } from './file.api';
 import { FileBlockmatchApi } from './file.blockmatch.api';
+import { FileScriptApi } from './file.script.api';
 
 export class FileApiRouter implements ApiRouter {
 
@@ -30,11 +31,14 @@ export class FileApiRouter implements ApiRouter {
 	constructor() {
 		const api = new FileApi();
 		const blockmatchApi = new FileBlockmatchApi();
+		const scriptApi = new FileScriptApi();
 		this.router = api.apiRouter();
 
-		this.router.get('/v1/files/:id',           api.view.bind(api));
-		this.router.del('/v1/files/:id',            api.auth(api.del.bind(api), 'files', 'delete-own', [ Scope.ALL, Scope.CREATE ]));
-		this.router.get('/v1/files/:id/blockmatch', api.auth(blockmatchApi.blockmatch.bind(blockmatchApi), 'files', 'blockmatch', [ Scope.ALL, Scope.CREATE ]));
+		this.router.get('/v1/files/:id',                      api.view.bind(api));
+		this.router.del('/v1/files/:id',                      api.auth(api.del.bind(api), 'files', 'delete-own', [ Scope.ALL, Scope.CREATE, Scope.FILES_UPLOAD ]));
+		this.router.get('/v1/files/:id/blockmatch',           api.auth(blockmatchApi.blockmatch.bind(blockmatchApi), 'files', 'blockmatch', [ Scope.ALL, Scope.CREATE, Scope.FILES_UPLOAD ]));
+		this.router.get('/v1/files/:id/script',               api.auth(scriptApi.view.bind(scriptApi), 'files', 'download', [ Scope.ALL, Scope.CREATE, Scope.FILES_UPLOAD ]));
+		this.router.get('/v1/files/:id/script/diff/:otherId', api.auth(scriptApi.diff.bind(scriptApi), 'files', 'download', [ Scope.ALL, Scope.CREATE, Scope.FILES_UPLOAD ]));
 	}
 
 	public getRouter(): Router {
@@ -49,6 +49,11 @@ export const mimeTypes: { [key: string]: MimeType } = {
 		ext: 'directb2s',
 		category: 'directb2s',
 	},
+	'application/x-pinmame-nvram': {
+		name: 'PinMAME NVRAM',
+		ext: 'nv',
+		category: 'nvram',
+	},
 	'application/x-rar-compressed': {
 		name: 'RAR-compressed file',
 		ext: 'rar',
@@ -127,7 +132,7 @@ export const mimeTypeCategories = uniq(values(mimeTypes).map(m => m.category));
 export interface MimeType {
 	name: string;
 	ext: string;
-	category: 'image' | 'text' | 'video' | 'audio' | 'script' | 'archive' | 'directb2s' | 'table' | 'model';
+	category: 'image' | 'text' | 'video' | 'audio' | 'script' | 'archive' | 'directb2s' | 'table' | 'model' | 'nvram';
 }
 
 export function getMimeTypeForFile(filename: string) {
@@ -21,6 +21,7 @@ import { MetricsModel, Schema } from 'mongoose';
 
 import { metricsPlugin } from '../common/mongoose/metrics.plugin';
 import { RequestState } from '../common/typings/context';
+import { tableStatisticsItems } from '../common/visualpinball.table';
 import { ReleaseDocument } from '../releases/release.document';
 import { state } from '../state';
 import { File } from './file';
@@ -68,6 +69,14 @@ export const fileFields = {
 export interface FileModel extends MetricsModel<FileDocument> {}
 export const fileSchema = new Schema(fileFields, { toObject: { virtuals: true, versionKey: false } });
 
+// table statistics for filtering releases, only table files have them.
+const statisticsIndexOptions = { partialFilterExpression: { 'metadata.statistics': { $exists: true } } };
+for (const item of tableStatisticsItems) {
+	fileSchema.index({ ['metadata.statistics.items.' + item]: 1 }, statisticsIndexOptions);
+}
+fileSchema.index({ 'metadata.statistics.textures.memory': 1 }, statisticsIndexOptions);
+fileSchema.index({ 'metadata.statistics.sounds.bytes': 1 }, statisticsIndexOptions);
+
 //-----------------------------------------------------------------------------
 // PLUGINS
 //-----------------------------------------------------------------------------
@@ -0,0 +1,119 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import sanitize = require('mongo-sanitize');
+
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { Context } from '../common/typings/context';
+import { vbScript } from '../common/vbscript';
+import { state } from '../state';
+import { FileDocument } from './file.document';
+
+/**
+ * Exposes the table script that is extracted from the table file when it
+ * gets uploaded.
+ *
+ * Reading the script doesn't count against the download quota, but it's only
+ * served to users who can access the table file.
+ */
+export class FileScriptApi extends Api {
+
+	/**
+	 * Returns the script of a table file.
+	 *
+	 * @see GET /v1/files/:id/script
+	 * @param {Context} ctx Koa context
+	 */
+	public async view(ctx: Context) {
+		const file = await this.findTableFile(ctx, ctx.params.id);
+		const script: string = file.metadata.table_script;
+		this.success(ctx, {
+			file: state.serializers.File.simple(ctx, file),
+			lines: vbScript.getLines(script).length,
+			procedures: vbScript.getProcedures(script).map(p => ({ kind: p.kind, name: p.name, start: p.start, end: p.end })),
+			script,
+		});
+	}
+
+	/**
+	 * Compares the script of a table file with the script of another table
+	 * file, which doesn't need to be of the same release.
+	 *
+	 * @see GET /v1/files/:id/script/diff/:otherId
+	 * @param {Context} ctx Koa context
+	 */
+	public async diff(ctx: Context) {
+		const file = await this.findTableFile(ctx, ctx.params.id);
+		const otherFile = await this.findTableFile(ctx, ctx.params.otherId);
+		this.success(ctx, {
+			from: state.serializers.File.simple(ctx, file),
+			to: state.serializers.File.simple(ctx, otherFile),
+			diff: vbScript.diff(file.metadata.table_script, otherFile.metadata.table_script, vbScript.getDiffOptions(ctx.query)),
+		});
+	}
+
+	/**
+	 * Retrieves a table file with a script and makes sure the user is allowed
+	 * to access it.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {string} id File ID
+	 * @return {Promise<FileDocument>} Table file
+	 */
+	private async findTableFile(ctx: Context, id: string): Promise<FileDocument> {
+		const file = await state.models.File.findOne({ id: sanitize(id) }).exec();
+
+		// fail if not found
+		if (!file) {
+			throw new ApiError('No such file with ID "%s".', id).status(404);
+		}
+
+		// fail if no table file
+		if (file.getMimeCategory() !== 'table') {
+			throw new ApiError('Can only read scripts of table files, "%s" is a %s.', id, file.getMimeCategory()).status(400);
+		}
+
+		// fail if inactive and not owner
+		if (!file.is_active && !file._created_by._id.equals(ctx.state.user._id)) {
+			throw new ApiError('You must own inactive files in order to access them.').status(403);
+		}
+
+		// fail if the release isn't visible to the user
+		const release = await state.models.Release.findOne({ 'versions.files._file': file._id })
+			.populate('_game')
+			.populate('_created_by')
+			.populate('authors._user')
+			.exec();
+		if (release) {
+			try {
+				await release.assertRestrictedView(ctx);
+				await release.assertModeratedView(ctx);
+			} catch (err) {
+				throw new ApiError('No such file with ID "%s".', id).status(404);
+			}
+		}
+
+		// fail if not analyzed
+		if (!file.metadata || typeof file.metadata.table_script !== 'string') {
+			throw new ApiError('No script available for file "%s".', id).status(404);
+		}
+		return file;
+	}
+}
@@ -0,0 +1,118 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+"use strict"; /* global describe, before, after, it */
+
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+const api = new ApiClient();
+
+let res;
+describe('The VPDB `script` API', () => {
+
+	let release1, release2;
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'] },
+			othermember: { roles: ['member'] },
+			moderator: { roles: ['moderator'] }
+		});
+		release1 = await api.releaseHelper.createRelease('moderator');
+		release2 = await api.releaseHelper.createRelease('moderator', { alternateVpt: true });
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when retrieving the script of a table file', () => {
+
+		it('should fail when not logged', async () => {
+			await api.get('/v1/files/' + release1.versions[0].files[0].file.id + '/script').then(res => res.expectError(401));
+		});
+
+		it('should fail if the file does not exist', async () => {
+			await api.as('member').get('/v1/files/doesnotexist/script').then(res => res.expectError(404, 'no such file'));
+		});
+
+		it('should fail if the file is not a table file', async () => {
+			const bg = await api.fileHelper.createBackglass('member');
+			await api.as('member').get('/v1/files/' + bg.id + '/script').then(res => res.expectError(400, 'can only read scripts of table files'));
+		});
+
+		it('should fail if the file is inactive and owned by someone else', async () => {
+			const vpt = await api.fileHelper.createVpt('moderator');
+			await api.as('member').get('/v1/files/' + vpt.id + '/script').then(res => res.expectError(403, 'must own inactive files'));
+		});
+
+		it('should fail if the release is pending approval and created by someone else', async () => {
+			const release = await api.releaseHelper.createRelease('othermember');
+			await api.as('member').get('/v1/files/' + release.versions[0].files[0].file.id + '/script').then(res => res.expectError(404, 'no such file'));
+		});
+
+		it('should succeed for an inactive file of the owner', async () => {
+			const vpt = await api.fileHelper.createVpt('member');
+			res = await api.as('member').get('/v1/files/' + vpt.id + '/script').then(res => res.expectStatus(200));
+			expect(res.data.file.id).to.be(vpt.id);
+		});
+
+		it('should return the script of a released table file', async () => {
+			res = await api.as('member')
+				.save('files/script')
+				.get('/v1/files/' + release1.versions[0].files[0].file.id + '/script')
+				.then(res => res.expectStatus(200));
+			expect(res.data.file.id).to.be(release1.versions[0].files[0].file.id);
+			expect(res.data.script).to.be.a('string');
+			expect(res.data.script.length).to.be.greaterThan(0);
+			expect(res.data.lines).to.be.greaterThan(0);
+			expect(res.data.procedures).to.be.an('array');
+		});
+	});
+
+	describe('when comparing the scripts of two table files', () => {
+
+		it('should fail if the other file does not exist', async () => {
+			await api.as('member')
+				.get('/v1/files/' + release1.versions[0].files[0].file.id + '/script/diff/doesnotexist')
+				.then(res => res.expectError(404, 'no such file'));
+		});
+
+		it('should report no changes when comparing a file with itself', async () => {
+			const fileId = release1.versions[0].files[0].file.id;
+			res = await api.as('member').get('/v1/files/' + fileId + '/script/diff/' + fileId).then(res => res.expectStatus(200));
+			expect(res.data.diff.hunks).to.be.empty();
+			expect(res.data.diff.additions).to.be(0);
+			expect(res.data.diff.deletions).to.be(0);
+		});
+
+		it('should compare the scripts of two different releases', async () => {
+			res = await api.as('member')
+				.save('files/script-diff')
+				.withQuery({ context: 5, ignore_comments: true })
+				.get('/v1/files/' + release1.versions[0].files[0].file.id + '/script/diff/' + release2.versions[0].files[0].file.id)
+				.then(res => res.expectStatus(200));
+			expect(res.data.from.id).to.be(release1.versions[0].files[0].file.id);
+			expect(res.data.to.id).to.be(release2.versions[0].files[0].file.id);
+			expect(res.data.diff.old_lines).to.be.greaterThan(0);
+			expect(res.data.diff.new_lines).to.be.greaterThan(0);
+			expect(res.data.diff.hunks).to.be.an('array');
+			expect(res.data.diff.procedures).to.only.have.keys('added', 'removed', 'changed');
+		});
+	});
+});
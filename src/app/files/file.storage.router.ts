@@ -21,6 +21,7 @@ import * as Router from 'koa-router';
 import { ApiRouter } from '../common/api.router';
 import { Scope } from '../common/scope';
 import { FileStorage } from './file.storage';
+import { FileUploadApi } from './file.upload.api';
 
 export class FileProtectedStorageRouter implements ApiRouter {
 
@@ -28,14 +29,23 @@ export class FileProtectedStorageRouter implements ApiRouter {
 
 	constructor() {
 		const storage = new FileStorage();
+		const upload = new FileUploadApi();
 		this.router = storage.storageRouter(true);
 
-		this.router.post('/v1/files',                  storage.auth(storage.upload.bind(storage), 'files', 'upload', [ Scope.ALL ]));
-		this.router.head('/files/:id.:ext',            storage.auth(storage.head.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE ]));
+		this.router.post('/v1/files',                  storage.auth(storage.upload.bind(storage), 'files', 'upload', [ Scope.ALL, Scope.FILES_UPLOAD ]));
+		this.router.head('/files/:id.:ext',            storage.auth(storage.head.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE, Scope.FILES_DOWNLOAD ]));
+
+		this.router.options('/v1/uploads',             upload.options.bind(upload));
+		this.router.post('/v1/uploads',                upload.auth(upload.create.bind(upload), 'files', 'upload', [ Scope.ALL, Scope.FILES_UPLOAD ]));
+		this.router.head('/v1/uploads/:id',            upload.auth(upload.head.bind(upload), 'files', 'upload', [ Scope.ALL, Scope.FILES_UPLOAD ]));
+		this.router.get('/v1/uploads/:id',             upload.auth(upload.view.bind(upload), 'files', 'upload', [ Scope.ALL, Scope.FILES_UPLOAD ]));
+		this.router.patch('/v1/uploads/:id',           upload.auth(upload.append.bind(upload), 'files', 'upload', [ Scope.ALL, Scope.FILES_UPLOAD ]));
+		this.router.delete('/v1/uploads/:id',          upload.auth(upload.del.bind(upload), 'files', 'upload', [ Scope.ALL, Scope.FILES_UPLOAD ]));
+
 		this.router.get('/files/:id.:ext/:filepath',  storage.zipStream.bind(storage));
-		this.router.head('/files/:variation/:id.:ext', storage.auth(storage.head.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE ]));
-		this.router.get('/files/:id.:ext',             storage.auth(storage.get.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE ]));
-		this.router.get('/files/:variation/:id.:ext',  storage.auth(storage.get.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE ]));
+		this.router.head('/files/:variation/:id.:ext', storage.auth(storage.head.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE, Scope.FILES_DOWNLOAD ]));
+		this.router.get('/files/:id.:ext',             storage.auth(storage.get.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE, Scope.FILES_DOWNLOAD ]));
+		this.router.get('/files/:variation/:id.:ext',  storage.auth(storage.get.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE, Scope.FILES_DOWNLOAD ]));
 	}
 
 	public getRouter(): Router {
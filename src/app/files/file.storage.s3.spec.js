@@ -0,0 +1,77 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+'use strict';
+/*global describe, before, after, it*/
+
+const resolve = require('path').resolve;
+const { existsSync, unlinkSync } = require('fs');
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+const api = new ApiClient();
+
+const privStorage = resolve(process.env.VPDB_DATA_ROOT || './data', 'storage-test-protected');
+const textContent = 'You are looking at a text file generated during a test.';
+
+// needs the test server running against an S3-compatible storage, e.g. MinIO with S3_ENDPOINT=http://localhost:9000
+(process.env.S3_ENDPOINT ? describe : describe.skip)('The VPDB `file` storage API with the S3 backend', () => {
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: [ 'member' ] },
+			moderator: { roles: [ 'moderator' ] },
+		});
+	});
+
+	after(async () => await api.teardown());
+
+	it('should redirect to a signed URL of a stored protected file', async () => {
+		const file = await api.fileHelper.createTextfile('member');
+		const res = await api.as('member').getAbsolute(ApiClient.urlPath(file.url)).then(res => res.expectStatus(302));
+		expect(res.headers.location).to.contain('protected/' + file.id + '.txt');
+		expect(res.headers.location).to.contain('X-Amz-Signature=');
+
+		const download = await api.getAbsolute(res.headers.location).then(res => res.expectStatus(200));
+		expect(download.data).to.be(textContent);
+	});
+
+	it('should fetch a file that is not available locally', async () => {
+		const file = await api.fileHelper.createTextfile('member');
+		const localPath = resolve(privStorage, file.id + '.txt');
+		unlinkSync(localPath);
+
+		await api.as('member').headAbsolute(ApiClient.urlPath(file.url)).then(res => res.expectStatus(200));
+		expect(existsSync(localPath)).to.be(true);
+	});
+
+	it('should move a file to the public storage when activated', async () => {
+		const release = await api.releaseHelper.createRelease('member');
+		const playfield = release.versions[0].files[0].playfield_image;
+		const res = await api.getAbsolute(ApiClient.urlPath(playfield.variations.medium.url)).then(res => res.expectStatus(302));
+		expect(res.headers.location).to.contain('public/medium/' + playfield.id + '.');
+		await api.getAbsolute(res.headers.location).then(res => res.expectStatus(200));
+	});
+
+	it('should remove a file from the storage when deleted', async () => {
+		const file = await api.fileHelper.createTextfile('member', { keep: true });
+		const res = await api.as('member').getAbsolute(ApiClient.urlPath(file.url)).then(res => res.expectStatus(302));
+		await api.as('member').del('/v1/files/' + file.id).then(res => res.expectStatus(204));
+		await api.getAbsolute(res.headers.location).then(res => res.expectStatus(404));
+	});
+});
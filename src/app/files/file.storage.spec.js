@@ -283,6 +283,23 @@ describe('The VPDB `file` storage API', () => {
 			expect(res.headers['content-length']).to.be.greaterThan(0);
 		});
 
+		it('should block until the animated backglass preview finished rendering', async () => {
+			const b2s = await api.fileHelper.createDirectB2S('member');
+			expect(b2s.variations.preview.mime_type).to.be('video/mp4');
+			res = await api.onStorage().as('member').getAbsolute(b2s.variations.preview.url).then(res => res.expectStatus(200));
+			expect(res.headers['content-type']).to.be('video/mp4');
+			expect(res.headers['content-length']).to.be.greaterThan(0);
+		});
+
+		it('should block until the playfield image finished rendering', async () => {
+			const vpx = await api.fileHelper.createVpx('member', 'table-bumper.vpx');
+			expect(vpx.variations['playfield-top'].mime_type).to.be('image/jpeg');
+			expect(vpx.variations['playfield-cabinet'].mime_type).to.be('image/jpeg');
+			res = await api.onStorage().as('member').getAbsolute(vpx.variations['playfield-top'].url).then(res => res.expectStatus(200));
+			expect(res.headers['content-type']).to.be('image/jpeg');
+			expect(res.headers['content-length']).to.be.greaterThan(0);
+		});
+
 		it('should only return the header when requesting a HEAD on the storage URL', async () => {
 			const textFile = await api.fileHelper.createTextfile('member');
 			res = await api.onStorage().as('member').headAbsolute(textFile.url).then(res => res.expectStatus(200));
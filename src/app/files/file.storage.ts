@@ -35,6 +35,7 @@ import { fileTypes } from './file.types';
 import { FileUtil } from './file.util';
 import { ArchiveEntry } from './metadata/archive.metadata';
 import { processorQueue } from './processor/processor.queue';
+import { storageBackend } from './storage/storage.backend';
 
 /**
  * This deals with uploading and downloading files.
@@ -349,6 +350,27 @@ export class FileStorage extends Api {
 
 		const variation = file.getVariation(variationName);
 		const path = file.getPath(ctx.state, variation);
+
+		// let the storage backend serve the file if it can
+		if (!headOnly) {
+
+			// variations are persisted when created, so wait if still processing.
+			if (variation && await processorQueue.hasRemainingCreationJob(file, variation)) {
+				logger.info(ctx.state, '[FileStorage.serve] Waiting for %s to be created before redirecting.', file.toShortString(variation));
+				await processorQueue.waitForVariationCreation(ctx.state, file, variation);
+			}
+			const downloadUrl = await storageBackend.getDownloadUrl(ctx.state, path, {
+				mimeType: file.getMimeType(variation),
+				filename: ctx.query.save_as ? file.name : undefined,
+			});
+			if (downloadUrl) {
+				await this.incrementCounters(file, variationName);
+				logger.info(ctx.state, '[FileStorage.serve] Redirecting %s to %s storage.', file.toShortString(variation), storageBackend.name);
+				ctx.redirect(downloadUrl);
+				return;
+			}
+		}
+
 		const stats = await processorQueue.stats(ctx.state, file, variation);
 
 		// Now serve the file!
@@ -374,24 +396,7 @@ export class FileStorage extends Api {
 			});
 		}
 
-		// for the file, only count original downloads
-		if (!variationName) {
-			await file.incrementCounter('downloads');
-			if (file.isTableFile()) {
-				const release = await file.getVersionFile();
-				if (release) {
-					for (const version of release.versions) {
-						for (const versionFile of version.files) {
-							if (versionFile._file.equals(file._id)) {
-								await versionFile.incrementCounter('downloads');
-								await version.incrementCounter('downloads');
-								await release.incrementCounter('downloads');
-							}
-						}
-					}
-				}
-			}
-		}
+		await this.incrementCounters(file, variationName);
 
 		logger.info(ctx.state, '[FileStorage.serve] Started serving %s.', file.toShortString());
 		await new Promise((resolve, reject) => {
@@ -432,6 +437,34 @@ export class FileStorage extends Api {
 		}
 	}
 
+	/**
+	 * Increments the download counters of a file and, if it's a table file,
+	 * of its release. Only downloads of the original are counted.
+	 *
+	 * @param {FileDocument} file Downloaded file
+	 * @param {string} variationName Name of the downloaded variation, if any
+	 */
+	private async incrementCounters(file: FileDocument, variationName: string): Promise<void> {
+		if (variationName) {
+			return;
+		}
+		await file.incrementCounter('downloads');
+		if (file.isTableFile()) {
+			const release = await file.getVersionFile();
+			if (release) {
+				for (const version of release.versions) {
+					for (const versionFile of version.files) {
+						if (versionFile._file.equals(file._id)) {
+							await versionFile.incrementCounter('downloads');
+							await version.incrementCounter('downloads');
+							await release.incrementCounter('downloads');
+						}
+					}
+				}
+			}
+		}
+	}
+
 	/**
 	 * Serves a file that is part of a zip archive.
 	 *
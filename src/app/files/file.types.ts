@@ -18,7 +18,7 @@
  */
 
 import { flatten, uniq } from 'lodash';
-import { BackglassVariation, FileVariation, ImageFileVariation, VideoFileVariation } from './file.variations';
+import { BackglassVariation, FileVariation, ImageFileVariation, TableRenderVariation, VideoFileVariation } from './file.variations';
 
 class FileTypes {
 
@@ -45,6 +45,7 @@ class FileTypes {
 			{ name: 'medium-2x', width: 728, height: 582, mimeType: 'image/jpeg', cutGrill: true, quality: 80 },
 			{ name: 'small',     width: 253, height: 202, mimeType: 'image/jpeg', cutGrill: true, quality: 90, source: 'small-2x' },
 			{ name: 'small-2x',  width: 506, height: 404, mimeType: 'image/jpeg', cutGrill: true, quality: 80, source: 'medium-2x' },
+			{ name: 'preview',   width: 728, height: 582, mimeType: 'video/mp4',  cutGrill: true, fps: 10, duration: 4, priority: 50 },
 		],
 	};
 
@@ -120,17 +121,31 @@ class FileTypes {
 		variations: [],
 	};
 
-	private readonly releaseTable: FileType<FileVariation> = {
+	private readonly releaseTable: FileType<TableRenderVariation> = {
 		name: 'release',
 		mimeTypes: ['application/x-visual-pinball-table', 'application/x-visual-pinball-table-x'],
 		variations: [
-			{ name: 'gltf', mimeType: 'model/gltf-binary' },
+			{ name: 'gltf',                                 mimeType: 'model/gltf-binary' },
+			{ name: 'playfield-top',     width: 720,  height: 1620, mimeType: 'image/jpeg', quality: 85, camera: 'top',     source: 'gltf' },
+			{ name: 'playfield-cabinet', width: 1080, height: 1920, mimeType: 'image/jpeg', quality: 85, camera: 'cabinet', source: 'gltf' },
 		],
 	};
 
 	private readonly release: FileType<FileVariation> = {
 		name: 'release',
-		mimeTypes: ['text/plain', 'application/vbscript', 'audio/mpeg', 'audio/mp3', 'application/zip', 'application/rar', 'application/x-rar-compressed', 'application/x-zip-compressed'],
+		mimeTypes: ['text/plain', 'application/vbscript', 'audio/mpeg', 'audio/mp3', 'application/zip', 'application/rar', 'application/x-rar-compressed', 'application/x-zip-compressed', 'application/x-pinmame-nvram'],
+		variations: [],
+	};
+
+	private readonly highscore: FileType<ImageFileVariation> = {
+		name: 'highscore',
+		mimeTypes: ['image/jpeg', 'image/png', 'application/x-pinmame-nvram'],
+		variations: [],
+	};
+
+	private readonly nvram: FileType<FileVariation> = {
+		name: 'nvram',
+		mimeTypes: ['application/x-pinmame-nvram'],
 		variations: [],
 	};
 
@@ -145,7 +160,7 @@ class FileTypes {
 	constructor() {
 		this.fileTypes = [this.backglassImage, this.backglassDirectB2s, this.logo, this.playfield,
 			this.playfieldImageLandscape, this.playfieldImagePortrait, this.playfieldVideoLandscape,
-			this.playfieldVideoPortrait, this.landscape, this.releaseTable, this.release, this.rom];
+			this.playfieldVideoPortrait, this.landscape, this.releaseTable, this.release, this.highscore, this.nvram, this.rom];
 
 		this.names = uniq(this.fileTypes.map(t => t.name));
 	}
@@ -0,0 +1,415 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { createWriteStream, stat, truncate, unlink, writeFile } from 'fs';
+import { dirname } from 'path';
+import { Transform } from 'stream';
+import { promisify } from 'util';
+
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { settings } from '../common/settings';
+import { Context } from '../common/typings/context';
+import { state } from '../state';
+import { FileDocument } from './file.document';
+import { fileTypes } from './file.types';
+import { FileUtil } from './file.util';
+
+const randomString = require('randomstring');
+
+const statAsync = promisify(stat);
+const truncateAsync = promisify(truncate);
+const unlinkAsync = promisify(unlink);
+const writeFileAsync = promisify(writeFile);
+
+/**
+ * Supported version of the tus protocol.
+ * @see https://tus.io/protocols/resumable-upload.html
+ */
+const tusVersion = '1.0.0';
+
+/**
+ * Maximal size of an upload in bytes.
+ */
+const maxUploadSize = 4 * 1024 * 1024 * 1024;
+
+/**
+ * Time in seconds after which an untouched upload expires.
+ */
+const uploadExpiry = 86400;
+
+/**
+ * Resumable uploads for large files, compatible with the core protocol of
+ * tus 1.0 and its creation and termination extensions.
+ *
+ * The upload state is kept in Redis, while the data is appended to a partial
+ * file in the protected storage. When the last chunk arrives, the file is
+ * created like a normal upload, i.e. metadata is read and the file is passed
+ * to the processor queue.
+ */
+export class FileUploadApi extends Api {
+
+	/**
+	 * Announces the supported protocol and extensions.
+	 *
+	 * @see OPTIONS /v1/uploads
+	 * @param {Context} ctx Koa context
+	 */
+	public async options(ctx: Context) {
+		this.success(ctx, null, 204, { headers: {
+			'Tus-Resumable': tusVersion,
+			'Tus-Version': tusVersion,
+			'Tus-Extension': 'creation,termination',
+			'Tus-Max-Size': String(maxUploadSize),
+		}});
+	}
+
+	/**
+	 * Creates a new upload.
+	 *
+	 * The file name, MIME type and file type are read from the
+	 * `Upload-Metadata` header, using the keys `filename`, `filetype` and
+	 * `type`. The file type can also be provided as query parameter.
+	 *
+	 * @see POST /v1/uploads
+	 * @param {Context} ctx Koa context
+	 */
+	public async create(ctx: Context) {
+		this.assertTusVersion(ctx);
+
+		// validate length
+		const length = this.parseIntHeader(ctx, 'upload-length');
+		if (length > maxUploadSize) {
+			throw new ApiError('Uploads are limited to %s bytes.', maxUploadSize).status(413);
+		}
+
+		// validate metadata
+		const metadata = this.parseMetadata(ctx.get('upload-metadata'));
+		const fileType = metadata.type || ctx.query.type;
+		if (!metadata.filename) {
+			throw new ApiError('Metadata "filename" must be provided.').status(422);
+		}
+		if (!fileType) {
+			throw new ApiError('Metadata "type" must be provided.').status(422);
+		}
+		if (!fileTypes.names.includes(fileType)) {
+			throw new ApiError('Unknown "type" metadata. Known values are: [ %s ].', fileTypes.names.join(', ')).status(422);
+		}
+		if (!metadata.filetype) {
+			throw new ApiError('Metadata "filetype" must be provided.').status(422);
+		}
+		if (!fileTypes.getMimeTypes(fileType).includes(metadata.filetype)) {
+			throw new ApiError('Invalid "filetype" metadata. Valid values for type "%s" are: [ %s ].', fileType, fileTypes.getMimeTypes(fileType).join(', ')).status(422);
+		}
+
+		const upload: ResumableUpload = {
+			id: randomString.generate(24),
+			name: metadata.filename,
+			mime_type: metadata.filetype,
+			file_type: fileType,
+			length,
+			offset: 0,
+			created_at: new Date().toISOString(),
+			_created_by: ctx.state.user.id,
+		};
+
+		// create empty partial file
+		const partPath = FileUtil.getUploadPath(upload.id);
+		if (!(await FileUtil.exists(dirname(partPath)))) {
+			await FileUtil.mkdirp(dirname(partPath));
+		}
+		await writeFileAsync(partPath, '');
+		await this.saveUpload(upload);
+
+		logger.info(ctx.state, '[FileUploadApi.create] Created upload %s for "%s" (%s bytes).', upload.id, upload.name, upload.length);
+		this.success(ctx, await this.serialize(ctx, upload), 201, { headers: {
+			'Tus-Resumable': tusVersion,
+			Location: settings.storageProtectedUri('/v1/uploads/' + upload.id),
+			'Upload-Offset': '0',
+		}});
+	}
+
+	/**
+	 * Returns the progress of an upload.
+	 *
+	 * @see HEAD /v1/uploads/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async head(ctx: Context) {
+		const upload = await this.findUpload(ctx);
+		this.success(ctx, null, 200, { headers: {
+			'Tus-Resumable': tusVersion,
+			'Upload-Offset': String(upload.offset),
+			'Upload-Length': String(upload.length),
+			'Cache-Control': 'no-store',
+		}});
+	}
+
+	/**
+	 * Returns the details of an upload, including the created file when
+	 * completed.
+	 *
+	 * @see GET /v1/uploads/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async view(ctx: Context) {
+		const upload = await this.findUpload(ctx);
+		this.success(ctx, await this.serialize(ctx, upload));
+	}
+
+	/**
+	 * Appends a chunk to an upload. When all data is received, the file is
+	 * created.
+	 *
+	 * @see PATCH /v1/uploads/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async append(ctx: Context) {
+		this.assertTusVersion(ctx);
+		if (ctx.get('content-type') !== 'application/offset+octet-stream') {
+			throw new ApiError('Header "Content-Type" must be "application/offset+octet-stream".').status(415);
+		}
+		const offset = this.parseIntHeader(ctx, 'upload-offset');
+		let upload = await this.findUpload(ctx);
+		this.assertAppendable(upload, offset);
+
+		// make sure chunks don't arrive in parallel
+		const lockKey = 'upload:lock:' + upload.id;
+		if (await state.redis.set(lockKey, '1', 'EX', 3600, 'NX') !== 'OK') {
+			throw new ApiError('Upload is currently being written to.').status(423);
+		}
+
+		const partPath = FileUtil.getUploadPath(upload.id);
+		try {
+
+			// another chunk might have been written before we got the lock
+			upload = await this.findUpload(ctx);
+			this.assertAppendable(upload, offset);
+
+			// the data on disk must match what we've acknowledged so far
+			if (!(await FileUtil.exists(partPath)) || (await statAsync(partPath)).size !== upload.offset) {
+				throw new ApiError('Received data of upload %s is inconsistent, please restart the upload.', upload.id).status(409);
+			}
+
+			// append data, but never more than announced. if the connection drops, keep what we've got so far.
+			const remaining = upload.length - upload.offset;
+			let received = 0;
+			let isTooLarge = false;
+			await new Promise((resolve, reject) => {
+				const writeStream = createWriteStream(partPath, { flags: 'a' });
+				const limiter = new Transform({
+					transform(chunk: Buffer, encoding: string, callback: (err?: Error, data?: Buffer) => void) {
+						received += chunk.length;
+						if (received > remaining) {
+							return callback(new Error('Upload length exceeded.'));
+						}
+						callback(null, chunk);
+					},
+				});
+				limiter.on('error', () => {
+					isTooLarge = true;
+					ctx.req.unpipe(limiter);
+					limiter.unpipe(writeStream);
+					writeStream.end();
+				});
+				writeStream.on('finish', resolve);
+				writeStream.on('error', reject);
+				ctx.req.on('aborted', () => writeStream.end());
+				ctx.req.pipe(limiter).pipe(writeStream);
+			});
+			if (isTooLarge) {
+				await truncateAsync(partPath, upload.offset);
+				throw new ApiError('Received more data than announced in "Upload-Length".').status(413);
+			}
+			upload.offset = upload.offset + received;
+			logger.info(ctx.state, '[FileUploadApi.append] Upload %s is at %s of %s bytes.', upload.id, upload.offset, upload.length);
+
+			// create the file when complete
+			if (upload.offset === upload.length) {
+				const file = await this.createFile(ctx, upload);
+				upload.file = file.id;
+			}
+			await this.saveUpload(upload);
+
+		} finally {
+			await state.redis.del(lockKey);
+		}
+
+		this.success(ctx, null, 204, { headers: {
+			'Tus-Resumable': tusVersion,
+			'Upload-Offset': String(upload.offset),
+		}});
+	}
+
+	/**
+	 * Aborts an upload and removes the received data.
+	 *
+	 * @see DELETE /v1/uploads/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async del(ctx: Context) {
+		this.assertTusVersion(ctx);
+		const upload = await this.findUpload(ctx);
+		await this.removeUpload(upload);
+
+		logger.info(ctx.state, '[FileUploadApi.del] Upload %s terminated.', upload.id);
+		this.success(ctx, null, 204, { headers: { 'Tus-Resumable': tusVersion } });
+	}
+
+	/**
+	 * Creates the file of a completed upload.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {ResumableUpload} upload Completed upload
+	 * @return {Promise<FileDocument>} Created file
+	 */
+	private async createFile(ctx: Context, upload: ResumableUpload): Promise<FileDocument> {
+		const fileData = {
+			name: upload.name,
+			bytes: upload.length,
+			variations: {},
+			created_at: new Date(),
+			mime_type: upload.mime_type,
+			file_type: upload.file_type,
+			_created_by: ctx.state.user._id,
+		};
+		try {
+			return await FileUtil.createFromPath(ctx.state, fileData as FileDocument, FileUtil.getUploadPath(upload.id));
+
+		} catch (err) {
+			// metadata failed, the data is gone, so is the upload.
+			await this.removeUpload(upload);
+			throw err;
+		}
+	}
+
+	/**
+	 * Retrieves an upload of the current user.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {Promise<ResumableUpload>} Upload
+	 */
+	private async findUpload(ctx: Context): Promise<ResumableUpload> {
+		const data = await state.redis.get('upload:' + ctx.params.id);
+		if (!data) {
+			throw new ApiError('No such upload with ID "%s".', ctx.params.id).status(404);
+		}
+		const upload: ResumableUpload = JSON.parse(data);
+		if (upload._created_by !== ctx.state.user.id) {
+			throw new ApiError('Permission denied, must be owner.').status(403);
+		}
+		return upload;
+	}
+
+	private assertAppendable(upload: ResumableUpload, offset: number): void {
+		if (upload.file) {
+			throw new ApiError('Upload is already completed.').status(409);
+		}
+		if (offset !== upload.offset) {
+			throw new ApiError('Offset mismatch, upload is at %s bytes.', upload.offset).status(409);
+		}
+	}
+
+	private async saveUpload(upload: ResumableUpload): Promise<void> {
+		await state.redis.set('upload:' + upload.id, JSON.stringify(upload), 'EX', uploadExpiry);
+	}
+
+	private async removeUpload(upload: ResumableUpload): Promise<void> {
+		await state.redis.del('upload:' + upload.id);
+		const partPath = FileUtil.getUploadPath(upload.id);
+		if (await FileUtil.exists(partPath)) {
+			await unlinkAsync(partPath);
+		}
+	}
+
+	private async serialize(ctx: Context, upload: ResumableUpload): Promise<{ [key: string]: any }> {
+		const serialized: { [key: string]: any } = {
+			id: upload.id,
+			name: upload.name,
+			mime_type: upload.mime_type,
+			file_type: upload.file_type,
+			bytes: upload.length,
+			offset: upload.offset,
+			created_at: upload.created_at,
+		};
+		if (upload.file) {
+			const file = await state.models.File.findOne({ id: upload.file }).exec();
+			serialized.file = file ? state.serializers.File.detailed(ctx, file) : null;
+		}
+		return serialized;
+	}
+
+	/**
+	 * Makes sure the client speaks our version of the protocol.
+	 *
+	 * @param {Context} ctx Koa context
+	 */
+	private assertTusVersion(ctx: Context) {
+		if (ctx.get('tus-resumable') !== tusVersion) {
+			ctx.response.set('Tus-Version', tusVersion);
+			throw new ApiError('Header "Tus-Resumable" must be "%s".', tusVersion).status(412);
+		}
+	}
+
+	/**
+	 * Reads a header containing a non-negative integer.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {string} name Name of the header
+	 * @return {number} Parsed value
+	 */
+	private parseIntHeader(ctx: Context, name: string): number {
+		const value = ctx.get(name);
+		if (!/^\d+$/.test(value)) {
+			throw new ApiError('Header "%s" must be a non-negative integer.', name).status(400);
+		}
+		return parseInt(value, 10);
+	}
+
+	/**
+	 * Parses the `Upload-Metadata` header, which contains comma-separated,
+	 * space-delimited key-value pairs with base64-encoded values.
+	 *
+	 * @param {string} header Header value
+	 * @return {{[key: string]: string}} Decoded metadata
+	 */
+	private parseMetadata(header: string): { [key: string]: string } {
+		const metadata: { [key: string]: string } = {};
+		for (const pair of (header || '').split(',')) {
+			const [key, value] = pair.trim().split(' ');
+			if (key) {
+				metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+			}
+		}
+		return metadata;
+	}
+}
+
+interface ResumableUpload {
+	id: string;
+	name: string;
+	mime_type: string;
+	file_type: string;
+	length: number;
+	offset: number;
+	created_at: string;
+	_created_by: string;
+	file?: string;
+}
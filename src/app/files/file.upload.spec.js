@@ -0,0 +1,232 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+'use strict';
+/*global describe, before, after, it*/
+
+const resolve = require('path').resolve;
+const readFileSync = require('fs').readFileSync;
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+const api = new ApiClient();
+
+const vpxPath = resolve(__dirname, '../../test/fixtures/table-empty.vpx');
+
+describe('The VPDB resumable upload API', () => {
+
+	const tus = '1.0.0';
+	const data = readFileSync(vpxPath);
+	const metadata = (name, mimeType, type) => [
+		'filename ' + Buffer.from(name).toString('base64'),
+		'filetype ' + Buffer.from(mimeType).toString('base64'),
+		'type ' + Buffer.from(type).toString('base64'),
+	].join(',');
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: [ 'member' ]},
+			anothermember: { roles: [ 'member' ] },
+		});
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when creating an upload', () => {
+
+		it('should announce the protocol', async () => {
+			const res = await api.onStorage().options('/v1/uploads').then(res => res.expectStatus(204));
+			expect(res.headers['tus-resumable']).to.be(tus);
+			expect(res.headers['tus-extension']).to.contain('creation');
+		});
+
+		it('should fail without the protocol header', async () => {
+			await api.onStorage()
+				.as('member')
+				.withHeader('Upload-Length', data.length)
+				.post('/v1/uploads')
+				.then(res => res.expectError(412, 'must be "1.0.0"'));
+		});
+
+		it('should fail without a valid upload length', async () => {
+			await api.onStorage()
+				.as('member')
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Length', 'foobar')
+				.post('/v1/uploads')
+				.then(res => res.expectError(400, 'must be a non-negative integer'));
+		});
+
+		it('should fail when the upload is too large', async () => {
+			await api.onStorage()
+				.as('member')
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Length', 10 * 1024 * 1024 * 1024)
+				.post('/v1/uploads')
+				.then(res => res.expectError(413, 'limited to'));
+		});
+
+		it('should fail without a file type', async () => {
+			await api.onStorage()
+				.as('member')
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Length', data.length)
+				.withHeader('Upload-Metadata', 'filename ' + Buffer.from('test.vpx').toString('base64'))
+				.post('/v1/uploads')
+				.then(res => res.expectError(422, '"type" must be provided'));
+		});
+
+		it('should fail with an invalid mime type', async () => {
+			await api.onStorage()
+				.as('member')
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Length', data.length)
+				.withHeader('Upload-Metadata', metadata('test.vpx', 'image/png', 'release'))
+				.post('/v1/uploads')
+				.then(res => res.expectError(422, 'invalid "filetype"'));
+		});
+
+		it('should fail as anonymous', async () => {
+			await api.onStorage()
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Length', data.length)
+				.withHeader('Upload-Metadata', metadata('test.vpx', 'application/x-visual-pinball-table-x', 'release'))
+				.post('/v1/uploads')
+				.then(res => res.expectStatus(401));
+		});
+
+		it('should succeed with valid metadata', async () => {
+			const res = await api.onStorage()
+				.as('member')
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Length', data.length)
+				.withHeader('Upload-Metadata', metadata('test.vpx', 'application/x-visual-pinball-table-x', 'release'))
+				.post('/v1/uploads')
+				.then(res => res.expectStatus(201));
+			expect(res.headers['location']).to.contain('/v1/uploads/' + res.data.id);
+			expect(res.headers['upload-offset']).to.be('0');
+			expect(res.data.bytes).to.be(data.length);
+			expect(res.data.name).to.be('test.vpx');
+		});
+	});
+
+	describe('when uploading chunks', () => {
+
+		const create = async user => {
+			const res = await api.onStorage()
+				.as(user)
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Length', data.length)
+				.withHeader('Upload-Metadata', metadata('test.vpx', 'application/x-visual-pinball-table-x', 'release'))
+				.post('/v1/uploads')
+				.then(res => res.expectStatus(201));
+			return res.data;
+		};
+
+		it('should fail with the wrong content type', async () => {
+			const upload = await create('member');
+			await api.onStorage()
+				.as('member')
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Offset', 0)
+				.withContentType('application/json')
+				.patch('/v1/uploads/' + upload.id, data.slice(0, 100))
+				.then(res => res.expectError(415, 'application/offset+octet-stream'));
+		});
+
+		it('should fail with the wrong offset', async () => {
+			const upload = await create('member');
+			await api.onStorage()
+				.as('member')
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Offset', 100)
+				.withContentType('application/offset+octet-stream')
+				.patch('/v1/uploads/' + upload.id, data.slice(100, 200))
+				.then(res => res.expectError(409, 'offset mismatch'));
+		});
+
+		it('should fail for an upload of another user', async () => {
+			const upload = await create('member');
+			await api.onStorage()
+				.as('anothermember')
+				.head('/v1/uploads/' + upload.id)
+				.then(res => res.expectStatus(403));
+		});
+
+		it('should fail for a non-existent upload', async () => {
+			await api.onStorage()
+				.as('member')
+				.head('/v1/uploads/foobar')
+				.then(res => res.expectStatus(404));
+		});
+
+		it('should resume and create the file when complete', async () => {
+			const upload = await create('member');
+			const half = Math.floor(data.length / 2);
+
+			let res = await api.onStorage()
+				.as('member')
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Offset', 0)
+				.withContentType('application/offset+octet-stream')
+				.patch('/v1/uploads/' + upload.id, data.slice(0, half))
+				.then(res => res.expectStatus(204));
+			expect(res.headers['upload-offset']).to.be(String(half));
+
+			res = await api.onStorage()
+				.as('member')
+				.head('/v1/uploads/' + upload.id)
+				.then(res => res.expectStatus(200));
+			expect(res.headers['upload-offset']).to.be(String(half));
+			expect(res.headers['upload-length']).to.be(String(data.length));
+
+			res = await api.onStorage()
+				.as('member')
+				.withHeader('Tus-Resumable', tus)
+				.withHeader('Upload-Offset', half)
+				.withContentType('application/offset+octet-stream')
+				.patch('/v1/uploads/' + upload.id, data.slice(half))
+				.then(res => res.expectStatus(204));
+			expect(res.headers['upload-offset']).to.be(String(data.length));
+
+			res = await api.onStorage()
+				.as('member')
+				.markTeardown('file.id', '/v1/files')
+				.get('/v1/uploads/' + upload.id)
+				.then(res => res.expectStatus(200));
+			expect(res.data.file).to.be.an('object');
+			expect(res.data.file.bytes).to.be(data.length);
+			expect(res.data.file.file_type).to.be('release');
+			expect(res.data.file.metadata).to.be.an('object');
+		});
+
+		it('should terminate an upload', async () => {
+			const upload = await create('member');
+			await api.onStorage()
+				.as('member')
+				.withHeader('Tus-Resumable', tus)
+				.del('/v1/uploads/' + upload.id)
+				.then(res => res.expectStatus(204));
+			await api.onStorage()
+				.as('member')
+				.head('/v1/uploads/' + upload.id)
+				.then(res => res.expectStatus(404));
+		});
+	});
+});
@@ -17,7 +17,8 @@
  * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
  */
 
-import { access, createReadStream, createWriteStream, mkdir, rename, stat, unlink, writeFile } from 'fs';
+import { access, createReadStream, createWriteStream, mkdir, readdir, rename, stat, unlink, writeFile } from 'fs';
+import { sortBy } from 'lodash';
 import { dirname, resolve as resolvePath, sep } from 'path';
 import * as Stream from 'stream';
 import { promisify } from 'util';
@@ -25,17 +26,20 @@ import { promisify } from 'util';
 import chalk from 'chalk';
 import { ApiError } from '../common/api.error';
 import { logger } from '../common/logger';
+import { config } from '../common/settings';
 import { RequestState } from '../common/typings/context';
 import { state } from '../state';
 import { UserDocument } from '../users/user.document';
 import { FileDocument } from './file.document';
 import { Metadata } from './metadata/metadata';
 import { processorQueue } from './processor/processor.queue';
+import { storageBackend } from './storage/storage.backend';
 
 const statAsync = promisify(stat);
 const mkdirAsync = promisify(mkdir);
 const unlinkAsync = promisify(unlink);
 const renameAsync = promisify(rename);
+const readdirAsync = promisify(readdir);
 
 export class FileUtil {
 
@@ -50,7 +54,7 @@ export class FileUtil {
 	public static async create(requestState: RequestState, fileData: FileDocument, readStream: Stream): Promise<FileDocument> {
 
 		// instantiate file without persisting it yet
-		let file = new state.models.File(fileData);
+		const file = new state.models.File(fileData);
 		const originalPath = file.getPath(requestState, null, { tmpSuffix: '_original' });
 
 		// create destination folder if necessary
@@ -66,57 +70,45 @@ export class FileUtil {
 			readStream.pipe(writeStream);
 		});
 
-		// update file size
-		const stats = await statAsync(originalPath);
-		file.bytes = stats.size;
+		return FileUtil.store(requestState, file, originalPath);
+	}
 
-		logger.info(requestState, '[FileUtil.create] Saved %s bytes of %s to %s', file.bytes, file.toDetailedString(), originalPath);
+	/**
+	 * Creates a new file from data that is already on disk, like a completed
+	 * resumable upload. The source gets moved.
+	 *
+	 * @param requestState For logging
+	 * @param {FileDocument} fileData File
+	 * @param {string} srcPath Path to the file content
+	 * @returns {Promise<FileDocument>}
+	 */
+	public static async createFromPath(requestState: RequestState, fileData: FileDocument, srcPath: string): Promise<FileDocument> {
 
-		try {
-			logger.info(requestState, '[FileUtil.create] Retrieving metadata for %s', file.toDetailedString());
-			const metadata = await Metadata.readFrom(requestState, file, originalPath);
-			if (metadata) {
-				file.metadata = metadata;
-				await state.models.File.findOneAndUpdate({ _id: file._id }, { metadata }).exec();
-			} else {
-				logger.warn(requestState, '[FileUtil.create] No metadata reader matched for %s, cannot validate integrity!', file.toDetailedString());
-			}
+		// instantiate file without persisting it yet
+		const file = new state.models.File(fileData);
+		const originalPath = file.getPath(requestState, null, { tmpSuffix: '_original' });
 
-			// here metadata is okay, so let's store it in the database.
-			file = await file.save();
+		// create destination folder if necessary
+		if (!(await FileUtil.exists(dirname(originalPath)))) {
+			await FileUtil.mkdirp(dirname(originalPath));
+		}
+
+		// move to destination
+		try {
+			await renameAsync(srcPath, originalPath);
 
 		} catch (err) {
-			try {
-				logger.warn(requestState, '[FileUtil.create] Metadata parsing failed: %s', err.message);
-				//await unlinkAsync(path);
-			} catch (err) {
-				/* istanbul ignore next */
-				logger.error(requestState, '[FileUtil.create] Error removing file at %s: %s', originalPath, err.message);
-			}
-			try {
-				await unlinkAsync(originalPath);
-			} catch (err) {
-				/* istanbul ignore next */
-				logger.warn(requestState, '[FileUtil.create] Could not delete file after metadata failed: %s', err.message);
+			/* istanbul ignore next: only when storage is spread over multiple devices */
+			if (err.code !== 'EXDEV') {
+				throw err;
 			}
-			throw new ApiError('Metadata parsing failed for type "%s": %s', file.mime_type, err.message).log(err).warn().status(400);
-		}
-
-		// copy or move to final destination
-		let srcPath: string;
-		if (processorQueue.modifiesFile(file)) {
-			await FileUtil.cp(originalPath, file.getPath(requestState));
-			srcPath = originalPath;
-		} else {
-			await renameAsync(originalPath, file.getPath(requestState));
-			srcPath = file.getPath(requestState);
+			/* istanbul ignore next */
+			await FileUtil.cp(srcPath, originalPath);
+			/* istanbul ignore next */
+			await unlinkAsync(srcPath);
 		}
 
-		// start processing
-		logger.info(requestState, '[FileUtil.create] Adding file %s to processor queue', file.toShortString());
-		await processorQueue.processFile(requestState, file, srcPath);
-
-		return file;
+		return FileUtil.store(requestState, file, originalPath);
 	}
 
 	/**
@@ -129,6 +121,72 @@ export class FileUtil {
 		});
 	}
 
+	/**
+	 * Returns the path of an incomplete resumable upload, or the folder
+	 * containing them if no ID is given.
+	 *
+	 * @param {string} [uploadId] ID of the upload
+	 * @return {string} Absolute path
+	 */
+	public static getUploadPath(uploadId?: string): string {
+		const folder = resolvePath(config.vpdb.storage.protected.path, 'uploads');
+		return uploadId ? resolvePath(folder, uploadId + '.part') : folder;
+	}
+
+	/**
+	 * Returns the path of a cached release bundle, or the folder containing
+	 * them if no key is given.
+	 *
+	 * @param {string} [key] Key of the bundle
+	 * @return {string} Absolute path
+	 */
+	public static getBundlePath(key?: string): string {
+		const folder = resolvePath(config.vpdb.storage.protected.path, 'bundles');
+		return key ? resolvePath(folder, key + '.zip') : folder;
+	}
+
+	/**
+	 * Removes incomplete resumable uploads that haven't been touched for a
+	 * given time.
+	 *
+	 * @param {number} maxAge Maximal age in milliseconds
+	 * @returns {Promise<void>}
+	 */
+	public static async cleanupUploads(maxAge: number): Promise<void> {
+		await FileUtil.cleanupFolder(FileUtil.getUploadPath(), maxAge, 'abandoned upload');
+	}
+
+	/**
+	 * Removes cached release bundles that weren't served for a given time,
+	 * and then the least recently served bundles until the cache fits into
+	 * the given size.
+	 *
+	 * @param {number} maxAge Maximal age in milliseconds
+	 * @param {number} maxSize Maximal size of all bundles in bytes
+	 * @returns {Promise<void>}
+	 */
+	public static async cleanupBundles(maxAge: number, maxSize: number): Promise<void> {
+		const folder = FileUtil.getBundlePath();
+		await FileUtil.cleanupFolder(folder, maxAge, 'cached bundle');
+		if (!(await FileUtil.exists(folder))) {
+			return;
+		}
+		const bundles: Array<{ filename: string, size: number, mtime: number }> = [];
+		for (const filename of (await readdirAsync(folder)).filter(f => f.endsWith('.zip'))) {
+			const stats = await statAsync(resolvePath(folder, filename));
+			bundles.push({ filename, size: stats.size, mtime: stats.mtime.getTime() });
+		}
+		let size = bundles.reduce((sum, bundle) => sum + bundle.size, 0);
+		for (const bundle of sortBy(bundles, 'mtime')) {
+			if (size <= maxSize) {
+				break;
+			}
+			logger.info(null, '[storage] Cleanup: Removing cached bundle "%s" (cache size %s bytes exceeds %s bytes).', bundle.filename, size, maxSize);
+			await unlinkAsync(resolvePath(folder, bundle.filename));
+			size -= bundle.size;
+		}
+	}
+
 	/**
 	 * Create a directory recursively.
 	 *
@@ -229,6 +287,93 @@ export class FileUtil {
 			.replace(/^data\//, '');
 	}
 
+	/**
+	 * Reads metadata of a freshly written file, persists it and hands it over
+	 * to the processor queue.
+	 *
+	 * @param requestState For logging
+	 * @param {FileDocument} file File, not yet persisted
+	 * @param {string} originalPath Where the file content was written to
+	 * @returns {Promise<FileDocument>} Persisted file
+	 */
+	private static async store(requestState: RequestState, file: FileDocument, originalPath: string): Promise<FileDocument> {
+
+		// update file size
+		const stats = await statAsync(originalPath);
+		file.bytes = stats.size;
+
+		logger.info(requestState, '[FileUtil.store] Saved %s bytes of %s to %s', file.bytes, file.toDetailedString(), originalPath);
+
+		try {
+			logger.info(requestState, '[FileUtil.store] Retrieving metadata for %s', file.toDetailedString());
+			const metadata = await Metadata.readFrom(requestState, file, originalPath);
+			if (metadata) {
+				file.metadata = metadata;
+				await state.models.File.findOneAndUpdate({ _id: file._id }, { metadata }).exec();
+			} else {
+				logger.warn(requestState, '[FileUtil.store] No metadata reader matched for %s, cannot validate integrity!', file.toDetailedString());
+			}
+
+			// here metadata is okay, so let's store it in the database.
+			file = await file.save();
+
+		} catch (err) {
+			try {
+				logger.warn(requestState, '[FileUtil.store] Metadata parsing failed: %s', err.message);
+				//await unlinkAsync(path);
+			} catch (err) {
+				/* istanbul ignore next */
+				logger.error(requestState, '[FileUtil.store] Error removing file at %s: %s', originalPath, err.message);
+			}
+			try {
+				await unlinkAsync(originalPath);
+			} catch (err) {
+				/* istanbul ignore next */
+				logger.warn(requestState, '[FileUtil.store] Could not delete file after metadata failed: %s', err.message);
+			}
+			throw new ApiError('Metadata parsing failed for type "%s": %s', file.mime_type, err.message).log(err).warn().status(400);
+		}
+
+		// copy or move to final destination
+		let srcPath: string;
+		if (processorQueue.modifiesFile(file)) {
+			await FileUtil.cp(originalPath, file.getPath(requestState));
+			srcPath = originalPath;
+		} else {
+			await renameAsync(originalPath, file.getPath(requestState));
+			srcPath = file.getPath(requestState);
+		}
+		await storageBackend.store(requestState, file.getPath(requestState), file.getMimeType());
+
+		// start processing
+		logger.info(requestState, '[FileUtil.store] Adding file %s to processor queue', file.toShortString());
+		await processorQueue.processFile(requestState, file, srcPath);
+
+		return file;
+	}
+
+	/**
+	 * Removes all files of a folder that haven't been modified for a given time.
+	 *
+	 * @param {string} folder Folder to clean up
+	 * @param {number} maxAge Maximal age in milliseconds
+	 * @param {string} what What's being removed, for logging
+	 * @returns {Promise<void>}
+	 */
+	private static async cleanupFolder(folder: string, maxAge: number, what: string): Promise<void> {
+		if (!(await FileUtil.exists(folder))) {
+			return;
+		}
+		for (const filename of await readdirAsync(folder)) {
+			const path = resolvePath(folder, filename);
+			const stats = await statAsync(path);
+			if (stats.mtime.getTime() < Date.now() - maxAge) {
+				logger.info(null, '[storage] Cleanup: Removing %s "%s".', what, filename);
+				await unlinkAsync(path);
+			}
+		}
+	}
+
 	/**
 	 * Physically removes a file and prints a warning when failed.
 	 *
@@ -246,6 +391,12 @@ export class FileUtil {
 				logger.warn(requestState, '[FileUtil.removeFile] Could not remove %s: %s', what, err.message);
 			}
 		}
+		try {
+			await storageBackend.remove(requestState, path);
+		} catch (err) {
+			/* istanbul ignore next */
+			logger.warn(requestState, '[FileUtil.removeFile] Could not remove %s from %s storage: %s', what, storageBackend.name, err.message);
+		}
 	}
 
 	/* tslint:disable:member-ordering */
@@ -87,6 +87,25 @@ export interface ImageFileVariation extends FileVariation {
 
 export interface BackglassVariation extends ImageFileVariation {
 	cutGrill?: boolean;
+
+	/**
+	 * Frame rate of animated previews.
+	 */
+	fps?: number;
+
+	/**
+	 * Duration of animated previews in seconds.
+	 */
+	duration?: number;
+}
+
+export interface TableRenderVariation extends ImageFileVariation {
+
+	/**
+	 * Camera of a rendered playfield image, "top" for a view from straight
+	 * above or "cabinet" for the view of a player standing at the cabinet.
+	 */
+	camera?: 'top' | 'cabinet';
 }
 
 export interface VideoFileVariation extends FileVariation {
@@ -27,6 +27,7 @@ import { RequestState } from '../../common/typings/context';
 import { File } from '../file';
 import { FileDocument } from '../file.document';
 import { FileVariation } from '../file.variations';
+import { Directb2sParser } from './directb2s.parser';
 import { Metadata } from './metadata';
 
 export class Directb2sMetadata extends Metadata {
@@ -39,31 +40,31 @@ export class Directb2sMetadata extends Metadata {
 	public async getMetadata(requestState: RequestState, file: FileDocument, path: string): Promise<{ [p: string]: any }> {
 		const now = Date.now();
 		return new Promise((resolve, reject) => {
-			const metadata: any = {};
+			const parser = new Directb2sParser();
 			const saxStream = createStream(true, {});
 			saxStream.on('error', this.error(reject, 'Error parsing Directb2s metadata.'));
-			saxStream.on('opentag', node => {
-				switch (node.name) {
-					case 'DirectB2SData': metadata.version = node.attributes.Version; break;
-					case 'Name': metadata.name = node.attributes.Value; break;
-					case 'TableType': metadata.table_type = node.attributes.Value; break;
-					case 'DMDType': metadata.dmd_type = node.attributes.Value; break;
-					case 'GrillHeight': metadata.grill_height = node.attributes.Value; break;
-					case 'DualBackglass': metadata.dual_backglass = node.attributes.Value; break;
-					case 'Author': metadata.author = node.attributes.Value; break;
-					case 'Artwork': metadata.artwork = node.attributes.Value; break;
-					case 'GameName': metadata.gamename = node.attributes.Value; break;
-				}
-			});
+			saxStream.on('opentag', node => parser.openTag(node.name, node.attributes as { [key: string]: string }));
+			saxStream.on('closetag', name => parser.closeTag(name));
 			saxStream.on('end', () => {
 				logger.info(requestState, '[Directb2sMetadata] Retrieved metadata in %sms.', Date.now() - now);
-				resolve(metadata);
+				resolve(parser.getModel());
 			});
 			createReadStream(path).on('error', this.error(reject, 'Error reading file at ' + path))
 				.pipe(saxStream).on('error', this.error(reject, 'Error parsing XML metadata.'));
 		});
 	}
 
+	/**
+	 * Returns true if the metadata was parsed before the full model was
+	 * retrieved and the file should be read again.
+	 *
+	 * @param {object} metadata Stored metadata
+	 * @return {boolean} True if incomplete
+	 */
+	public static isOutdated(metadata: { [p: string]: any }): boolean {
+		return !metadata || !metadata.illumination;
+	}
+
 	public serializeDetailed(metadata: { [p: string]: any }): { [p: string]: any } {
 		return pick(metadata, 'name', 'version', 'author', 'gamename');
 	}
@@ -0,0 +1,387 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { compact, sortBy, uniq } from 'lodash';
+
+/**
+ * Types of ROM IDs a bulb can be wired to, as defined by the B2S designer.
+ */
+const romIdTypes: { [key: string]: B2sRomIdType } = { 0: 'none', 1: 'lamp', 2: 'solenoid', 3: 'gi' };
+
+/**
+ * Builds the structured model of a DirectB2S backglass from the tags of its
+ * XML.
+ *
+ * The parser is fed by a SAX stream, so the file is never loaded as a whole.
+ * Embedded images are not kept, only their format, dimensions and size.
+ */
+export class Directb2sParser {
+
+	private readonly model: Directb2sModel = {
+		illumination: [],
+		scores: [],
+		reels: [],
+		animations: [],
+		images: {},
+	};
+	private readonly tagStack: string[] = [];
+	private currentAnimation: B2sAnimation;
+
+	/**
+	 * Processes an opening tag.
+	 *
+	 * @param {string} name Name of the tag
+	 * @param {{[p: string]: string}} attrs Attributes of the tag
+	 */
+	public openTag(name: string, attrs: { [key: string]: string }): void {
+		const parent = this.tagStack[this.tagStack.length - 1];
+		this.tagStack.push(name);
+		switch (name) {
+
+			// header
+			case 'DirectB2SData':
+			case 'B2SBackglassData': this.model.version = attrs.Version; break;
+			case 'Name': this.model.name = attrs.Value; break;
+			case 'TableType': this.model.table_type = attrs.Value; break;
+			case 'DMDType': this.model.dmd_type = attrs.Value; break;
+			case 'GrillHeight': this.model.grill_height = attrs.Value; break;
+			case 'DualBackglass': this.model.dual_backglass = attrs.Value; break;
+			case 'Author': this.model.author = attrs.Value; break;
+			case 'Artwork': this.model.artwork = attrs.Value; break;
+			case 'GameName': this.model.gamename = attrs.Value; break;
+			case 'NumberOfPlayers': this.model.players = int(attrs.Value); break;
+			case 'CommType': this.model.comm_type = int(attrs.Value); break;
+			case 'DestType': this.model.dest_type = int(attrs.Value); break;
+			case 'B2SDataCount': this.model.b2s_data_count = int(attrs.Value); break;
+			case 'ReelType': this.model.reel_type = attrs.Value || undefined; break;
+			case 'UseDream7LEDs': this.model.dream7_leds = bool(attrs.Value); break;
+			case 'DMDDefaultLocationX': this.model.dmd_location = { ...this.model.dmd_location, x: int(attrs.Value) }; break;
+			case 'DMDDefaultLocationY': this.model.dmd_location = { ...this.model.dmd_location, y: int(attrs.Value) }; break;
+
+			// structure
+			case 'Bulb': this.model.illumination.push(this.parseBulb(attrs)); break;
+			case 'Score': this.model.scores.push(this.parseScore(attrs)); break;
+			case 'Animation': this.currentAnimation = this.parseAnimation(attrs); this.model.animations.push(this.currentAnimation); break;
+			case 'AnimationStep': this.parseAnimationStep(attrs); break;
+			case 'Image':
+				if (parent === 'Reels') {
+					this.model.reels.push({ name: attrs.Name, intermediates: int(attrs.CountOfIntermediates), image: getImageInfo(attrs.Image) });
+				}
+				break;
+
+			// images
+			case 'ThumbnailImage': this.model.images.thumbnail = getImageInfo(attrs.Value); break;
+			case 'BackglassImage': this.model.images.backglass = getImageInfo(attrs.Value); break;
+			case 'BackglassOnImage': this.model.images.backglass_on = getImageInfo(attrs.Value); break;
+			case 'BackglassOffImage': this.model.images.backglass_off = getImageInfo(attrs.Value); break;
+			case 'DMDImage': this.model.images.dmd = getImageInfo(attrs.Value); break;
+		}
+	}
+
+	/**
+	 * Processes a closing tag.
+	 *
+	 * @param {string} name Name of the tag
+	 */
+	public closeTag(name: string): void {
+		this.tagStack.pop();
+		if (name === 'Animation') {
+			this.currentAnimation = undefined;
+		}
+	}
+
+	/**
+	 * Returns the model once all tags are processed.
+	 *
+	 * @return {Directb2sModel} Parsed backglass
+	 */
+	public getModel(): Directb2sModel {
+		const romIds = (type: B2sRomIdType) => sortBy(uniq(this.model.illumination
+			.filter(bulb => bulb.rom_id_type === type && bulb.rom_id > 0)
+			.map(bulb => bulb.rom_id)));
+		this.model.rom_ids = {
+			lamps: romIds('lamp'),
+			solenoids: romIds('solenoid'),
+			gis: romIds('gi'),
+		};
+		return this.model;
+	}
+
+	private parseBulb(attrs: { [key: string]: string }): B2sBulb {
+		return {
+			id: int(attrs.ID),
+			name: attrs.Name,
+			parent: attrs.Parent,
+			b2s_id: int(attrs.B2SID),
+			b2s_id_type: int(attrs.B2SIDType),
+			b2s_value: int(attrs.B2SValue),
+			rom_id: int(attrs.RomID),
+			rom_id_type: romIdTypes[attrs.RomIDType] || 'none',
+			rom_inverted: bool(attrs.RomInverted),
+			initial_state: int(attrs.InitialState),
+			dual_mode: int(attrs.DualMode),
+			intensity: int(attrs.Intensity),
+			light_color: color(attrs.LightColor),
+			dodge_color: color(attrs.DodgeColor),
+			visible: attrs.Visible === undefined ? true : bool(attrs.Visible),
+			is_image_snippit: bool(attrs.IsImageSnippit),
+			z_order: int(attrs.ZOrder),
+			text: attrs.Text || undefined,
+			location: { x: int(attrs.LocX), y: int(attrs.LocY) },
+			size: { width: int(attrs.Width), height: int(attrs.Height) },
+			image: getImageInfo(attrs.Image),
+			off_image: getImageInfo(attrs.OffImage),
+		};
+	}
+
+	private parseScore(attrs: { [key: string]: string }): B2sScore {
+		return {
+			id: int(attrs.ID),
+			parent: attrs.Parent,
+			b2s_start_digit: int(attrs.B2SStartDigit),
+			b2s_score_type: int(attrs.B2SScoreType),
+			b2s_player_no: int(attrs.B2SPlayerNo),
+			digits: int(attrs.Digits),
+			spacing: int(attrs.Spacing),
+			display_state: int(attrs.DisplayState),
+			reel_type: attrs.ReelType || undefined,
+			reel_lit_color: color(attrs.ReelLitColor),
+			reel_dark_color: color(attrs.ReelDarkColor),
+			glow: int(attrs.Glow),
+			thickness: int(attrs.Thickness),
+			shear: int(attrs.Shear),
+			dual_mode: int(attrs.DualMode),
+			location: { x: int(attrs.LocX), y: int(attrs.LocY) },
+			size: { width: int(attrs.Width), height: int(attrs.Height) },
+		};
+	}
+
+	private parseAnimation(attrs: { [key: string]: string }): B2sAnimation {
+		return {
+			name: attrs.Name,
+			parent: attrs.Parent,
+			dual_mode: int(attrs.DualMode),
+			interval: int(attrs.Interval),
+			loops: int(attrs.Loops),
+			id_join: attrs.IDJoin || undefined,
+			start_at_startup: bool(attrs.StartAnimationAtBackglassStartup),
+			lights_state_at_start: int(attrs.LightsStateAtAnimationStart),
+			lights_state_at_end: int(attrs.LightsStateAtAnimationEnd),
+			stop_behaviour: int(attrs.AnimationStopBehaviour),
+			lock_involved_lamps: bool(attrs.LockInvolvedLamps),
+			hide_score_displays: bool(attrs.HideScoreDisplays),
+			bring_to_front: bool(attrs.BringToFront),
+			random_start: bool(attrs.RandomStart),
+			steps: [],
+		};
+	}
+
+	private parseAnimationStep(attrs: { [key: string]: string }): void {
+		if (!this.currentAnimation) {
+			return;
+		}
+		this.currentAnimation.steps.push({
+			step: int(attrs.Step),
+			on: list(attrs.On),
+			wait_loops_after_on: int(attrs.WaitLoopsAfterOn),
+			off: list(attrs.Off),
+			wait_loops_after_off: int(attrs.WaitLoopsAfterOff),
+		});
+	}
+}
+
+/**
+ * Reads format, dimensions and size of a base64-encoded PNG or JPEG without
+ * decoding more than necessary.
+ *
+ * @param {string} base64 Encoded image
+ * @return {B2sImageInfo} Image info or undefined if no image given
+ */
+export function getImageInfo(base64: string): B2sImageInfo {
+	if (!base64) {
+		return undefined;
+	}
+	base64 = base64.replace(/\s+/g, '');
+	const size = Math.floor(base64.length * 3 / 4) - (base64.endsWith('==') ? 2 : base64.endsWith('=') ? 1 : 0);
+
+	// png: dimensions are in the IHDR chunk, right after the signature
+	const header = Buffer.from(base64.substr(0, 32), 'base64');
+	if (header.length >= 24 && header.readUInt32BE(0) === 0x89504e47) {
+		return { format: 'png', width: header.readUInt32BE(16), height: header.readUInt32BE(20), size };
+	}
+
+	// jpeg: dimensions are in the first start-of-frame segment
+	if (header.length >= 2 && header[0] === 0xff && header[1] === 0xd8) {
+		const buffer = Buffer.from(base64, 'base64');
+		let offset = 2;
+		while (offset + 9 < buffer.length && buffer[offset] === 0xff) {
+			const marker = buffer[offset + 1];
+			if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+				return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5), size };
+			}
+			offset += 2 + buffer.readUInt16BE(offset + 2);
+		}
+		return { format: 'jpeg', size };
+	}
+	return { size };
+}
+
+function int(value: string): number {
+	const n = parseInt(value, 10);
+	return isNaN(n) ? undefined : n;
+}
+
+function bool(value: string): boolean {
+	return value === '1' || (value || '').toLowerCase() === 'true';
+}
+
+function color(value: string): [number, number, number] {
+	if (!value) {
+		return undefined;
+	}
+	const rgb = value.split('.').map(c => parseInt(c, 10));
+	return rgb.length === 3 && !rgb.some(isNaN) ? rgb as [number, number, number] : undefined;
+}
+
+function list(value: string): string[] {
+	return compact((value || '').split(',').map(v => v.trim()));
+}
+
+export interface Directb2sModel {
+	version?: string;
+	name?: string;
+	table_type?: string;
+	dmd_type?: string;
+	grill_height?: string;
+	dual_backglass?: string;
+	author?: string;
+	artwork?: string;
+	gamename?: string;
+	players?: number;
+	b2s_data_count?: number;
+	comm_type?: number;
+	dest_type?: number;
+	reel_type?: string;
+	dream7_leds?: boolean;
+	dmd_location?: { x?: number, y?: number };
+	images: {
+		thumbnail?: B2sImageInfo;
+		backglass?: B2sImageInfo;
+		backglass_on?: B2sImageInfo;
+		backglass_off?: B2sImageInfo;
+		dmd?: B2sImageInfo;
+	};
+	illumination: B2sBulb[];
+	scores: B2sScore[];
+	reels: B2sReel[];
+	animations: B2sAnimation[];
+	/**
+	 * ROM IDs the bulbs are wired to, per type.
+	 */
+	rom_ids?: { lamps: number[], solenoids: number[], gis: number[] };
+}
+
+export type B2sRomIdType = 'none' | 'lamp' | 'solenoid' | 'gi';
+
+export interface B2sImageInfo {
+	format?: 'png' | 'jpeg';
+	width?: number;
+	height?: number;
+	/**
+	 * Decoded size in bytes
+	 */
+	size: number;
+}
+
+export interface B2sBulb {
+	id: number;
+	name: string;
+	parent: string;
+	b2s_id: number;
+	b2s_id_type: number;
+	b2s_value: number;
+	rom_id: number;
+	rom_id_type: B2sRomIdType;
+	rom_inverted: boolean;
+	initial_state: number;
+	dual_mode: number;
+	intensity: number;
+	light_color: [number, number, number];
+	dodge_color: [number, number, number];
+	visible: boolean;
+	is_image_snippit: boolean;
+	z_order: number;
+	text: string;
+	location: { x: number, y: number };
+	size: { width: number, height: number };
+	image: B2sImageInfo;
+	off_image: B2sImageInfo;
+}
+
+export interface B2sScore {
+	id: number;
+	parent: string;
+	b2s_start_digit: number;
+	b2s_score_type: number;
+	b2s_player_no: number;
+	digits: number;
+	spacing: number;
+	display_state: number;
+	reel_type: string;
+	reel_lit_color: [number, number, number];
+	reel_dark_color: [number, number, number];
+	glow: number;
+	thickness: number;
+	shear: number;
+	dual_mode: number;
+	location: { x: number, y: number };
+	size: { width: number, height: number };
+}
+
+export interface B2sReel {
+	name: string;
+	intermediates: number;
+	image: B2sImageInfo;
+}
+
+export interface B2sAnimation {
+	name: string;
+	parent: string;
+	dual_mode: number;
+	interval: number;
+	loops: number;
+	id_join: string;
+	start_at_startup: boolean;
+	lights_state_at_start: number;
+	lights_state_at_end: number;
+	stop_behaviour: number;
+	lock_involved_lamps: boolean;
+	hide_score_displays: boolean;
+	bring_to_front: boolean;
+	random_start: boolean;
+	steps: B2sAnimationStep[];
+}
+
+export interface B2sAnimationStep {
+	step: number;
+	on: string[];
+	wait_loops_after_on: number;
+	off: string[];
+	wait_loops_after_off: number;
+}
@@ -21,6 +21,7 @@ import { ArchiveMetadata } from './archive.metadata';
 import { Directb2sMetadata } from './directb2s.metadata';
 import { ImageMetadata } from './image.metadata';
 import { Metadata } from './metadata';
+import { NvramMetadata } from './nvram.metadata';
 import { VideoMetadata } from './video.metadata';
 import { VptMetadata } from './vpt.metadata';
 
@@ -28,6 +29,7 @@ export const instances: Metadata[] = [
 	new ArchiveMetadata(),
 	new Directb2sMetadata(),
 	new ImageMetadata(),
+	new NvramMetadata(),
 	new VideoMetadata(),
 	new VptMetadata(),
 ];
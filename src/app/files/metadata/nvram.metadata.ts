@@ -0,0 +1,63 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { readFile } from 'fs';
+import { pick } from 'lodash';
+import { basename } from 'path';
+import { promisify } from 'util';
+
+import { logger } from '../../common/logger';
+import { RequestState } from '../../common/typings/context';
+import { File } from '../file';
+import { FileDocument } from '../file.document';
+import { FileVariation } from '../file.variations';
+import { Metadata } from './metadata';
+import { NvramParser } from './nvram.parser';
+
+const readFileAsync = promisify(readFile);
+
+export class NvramMetadata extends Metadata {
+
+	public isValid(file: FileDocument, variation?: FileVariation): boolean {
+		return File.getMimeType(file, variation) === 'application/x-pinmame-nvram';
+	}
+
+	public async getMetadata(requestState: RequestState, file: FileDocument, path: string): Promise<{ [p: string]: any }> {
+		const data = await readFileAsync(path);
+		const rom = basename(file.name, '.nv').toLowerCase();
+		const map = NvramParser.getMap(rom);
+		const highscores = map ? NvramParser.getHighscores(data, map) : [];
+		logger.info(requestState, '[NvramMetadata] Read %s high scores from NVRAM of ROM "%s".', highscores.length, rom);
+		return {
+			rom,
+			rom_type: NvramParser.getRomType(rom),
+			size: data.length,
+			highscores,
+		};
+	}
+
+	public serializeDetailed(metadata: { [p: string]: any }): { [p: string]: any } {
+		return pick(metadata, 'rom', 'rom_type', 'highscores');
+	}
+
+	/* istanbul ignore next */
+	public serializeVariation(metadata: { [p: string]: any }): { [p: string]: any } {
+		return undefined;
+	}
+}
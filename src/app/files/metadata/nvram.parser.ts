@@ -0,0 +1,191 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { resolve } from 'path';
+
+import { logger } from '../../common/logger';
+import { config } from '../../common/settings';
+
+const romTypes: { [rom: string]: { [filename: string]: { type: string, romType?: string } } } = require('../../../../data/rom-types.json');
+
+/**
+ * Reads high score tables from PinMAME NVRAM files.
+ *
+ * The location and encoding of the high scores differ from game to game,
+ * so they are described by maps in the format of the pinmame-nvram-maps
+ * project. Maps are read from the configured folder and indexed by the ROMs
+ * they apply to.
+ */
+export class NvramParser {
+
+	private static maps: Map<string, NvramMap>;
+
+	/**
+	 * Returns the family of a ROM, e.g. "wpc" or "s11".
+	 *
+	 * @param {string} rom Name of the ROM
+	 * @return {string | undefined} ROM family or undefined if unknown
+	 */
+	public static getRomType(rom: string): string | undefined {
+		const romFiles = romTypes[rom];
+		if (!romFiles) {
+			return undefined;
+		}
+		const mainRom = Object.values(romFiles).find(f => f.type === 'main' && !!f.romType);
+		return mainRom ? mainRom.romType : undefined;
+	}
+
+	/**
+	 * Returns the NVRAM map of a ROM.
+	 *
+	 * @param {string} rom Name of the ROM
+	 * @return {NvramMap | undefined} Map or undefined if none available
+	 */
+	public static getMap(rom: string): NvramMap | undefined {
+		if (!NvramParser.maps) {
+			NvramParser.maps = NvramParser.loadMaps(resolve(config.vpdb.nvramMaps));
+		}
+		return NvramParser.maps.get(rom);
+	}
+
+	/**
+	 * Reads the high scores of an NVRAM file.
+	 *
+	 * @param {Buffer} data Content of the NVRAM file
+	 * @param {NvramMap} map Map of the ROM
+	 * @return {NvramHighscore[]} High scores, in the order of the map
+	 */
+	public static getHighscores(data: Buffer, map: NvramMap): NvramHighscore[] {
+		return (map.high_scores || [])
+			.map(entry => ({
+				label: entry.label,
+				short_label: entry.short_label,
+				initials: entry.initials ? NvramParser.decodeText(data, entry.initials, map) : undefined,
+				score: entry.score ? NvramParser.decodeNumber(data, entry.score, map) : undefined,
+			}))
+			.filter(highscore => highscore.score !== undefined);
+	}
+
+	private static loadMaps(folder: string): Map<string, NvramMap> {
+		const maps = new Map<string, NvramMap>();
+		if (!existsSync(folder)) {
+			logger.warn(null, '[NvramParser.loadMaps] NVRAM map folder %s does not exist, high scores will not be read.', folder);
+			return maps;
+		}
+		for (const filename of readdirSync(folder).filter(f => f.endsWith('.nv.json'))) {
+			try {
+				const map: NvramMap = JSON.parse(readFileSync(resolve(folder, filename)).toString());
+				for (const rom of map._roms || []) {
+					maps.set(rom, map);
+				}
+			} catch (err) {
+				logger.warn(null, '[NvramParser.loadMaps] Ignoring invalid NVRAM map %s: %s', filename, err.message);
+			}
+		}
+		logger.info(null, '[NvramParser.loadMaps] Loaded NVRAM maps for %s ROMs.', maps.size);
+		return maps;
+	}
+
+	private static decodeNumber(data: Buffer, field: NvramMapField, map: NvramMap): number | undefined {
+		const bytes = NvramParser.getBytes(data, field);
+		if (!bytes) {
+			return undefined;
+		}
+		let value = 0;
+		switch (field.encoding) {
+			case 'bcd': {
+				const nibble = field.nibble || map._nibble || 'both';
+				for (const byte of bytes) {
+					const high = Math.floor(byte / 16);
+					const low = byte % 16;
+					if (nibble === 'both') {
+						value = value * 100 + (high > 9 ? 0 : high) * 10 + (low > 9 ? 0 : low);
+					} else {
+						const digit = nibble === 'low' ? low : high;
+						value = value * 10 + (digit > 9 ? 0 : digit);
+					}
+				}
+				break;
+			}
+			case 'int': {
+				const ordered = (map._endian || 'big') === 'little' ? bytes.slice().reverse() : bytes;
+				for (const byte of ordered) {
+					value = value * 256 + byte;
+				}
+				break;
+			}
+			default:
+				return undefined;
+		}
+		return value * (field.scale || 1);
+	}
+
+	private static decodeText(data: Buffer, field: NvramMapField, map: NvramMap): string | undefined {
+		const bytes = NvramParser.getBytes(data, field);
+		if (!bytes || field.encoding !== 'ch') {
+			return undefined;
+		}
+		return bytes
+			.map(byte => map._char_map ? map._char_map.charAt(byte) || '?' : String.fromCharCode(byte))
+			.join('')
+			.replace(/[^\x20-\x7e]/g, '?')
+			.trim();
+	}
+
+	private static getBytes(data: Buffer, field: NvramMapField): number[] | undefined {
+		const start = typeof field.start === 'string' ? parseInt(field.start, 16) : field.start;
+		const length = field.length || 1;
+		if (isNaN(start) || start < 0 || start + length > data.length) {
+			return undefined;
+		}
+		return Array.from(data.slice(start, start + length));
+	}
+}
+
+export interface NvramMap {
+	_roms: string[];
+	_endian?: 'big' | 'little';
+	_nibble?: 'both' | 'low' | 'high';
+	_char_map?: string;
+	high_scores?: Array<{
+		label: string;
+		short_label?: string;
+		initials?: NvramMapField;
+		score?: NvramMapField;
+	}>;
+}
+
+export interface NvramMapField {
+	/**
+	 * Offset in the NVRAM file, as number or hex string
+	 */
+	start: number | string;
+	length?: number;
+	encoding: 'bcd' | 'ch' | 'int' | string;
+	nibble?: 'both' | 'low' | 'high';
+	scale?: number;
+}
+
+export interface NvramHighscore {
+	label: string;
+	short_label?: string;
+	initials?: string;
+	score: number;
+}
@@ -20,6 +20,7 @@ import { mapKeys, omit } from 'lodash';
 
 import { BinaryReader, Table } from 'vpx-js';
 import { RequestState } from '../../common/typings/context';
+import { visualPinballTable } from '../../common/visualpinball.table';
 import { File } from '../file';
 import { FileDocument } from '../file.document';
 import { FileVariation } from '../file.variations';
@@ -49,7 +50,7 @@ export class VptMetadata extends Metadata {
 			}
 		});
 		props.table_script = script;
-		return props;
+		return { ...props, statistics: await visualPinballTable.getStatistics(requestState, path) };
 	}
 
 	public serializeDetailed(metadata: { [p: string]: any }): { [p: string]: any } {
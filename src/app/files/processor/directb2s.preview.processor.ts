@@ -0,0 +1,241 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import Ffmpeg from 'fluent-ffmpeg';
+import { mkdir, readdir, rmdir, unlink, writeFile } from 'fs';
+import gm from 'gm';
+import { resolve as resolvePath } from 'path';
+import { promisify } from 'util';
+
+import { ApiError } from '../../common/api.error';
+import { logger } from '../../common/logger';
+import { config } from '../../common/settings';
+import { RequestState } from '../../common/typings/context';
+import { XmlParser } from '../../common/xml.parser';
+import { FileDocument } from '../file.document';
+import { BackglassVariation, FileVariation } from '../file.variations';
+import { CreationProcessor } from './processor';
+
+const ffmpeg = require('bluebird').promisifyAll(Ffmpeg);
+require('bluebird').promisifyAll(gm.prototype);
+
+const mkdirAsync = promisify(mkdir);
+const readdirAsync = promisify(readdir);
+const rmdirAsync = promisify(rmdir);
+const unlinkAsync = promisify(unlink);
+const writeFileAsync = promisify(writeFile);
+
+/**
+ * Renders an animated preview of a DirectB2S backglass.
+ *
+ * The illuminated bulbs are composited on top of the backglass image in a
+ * lamp test sweep: bulbs light up from left to right, stay lit for a moment
+ * and go dark again from left to right. Frames are rendered with
+ * GraphicsMagick and encoded to a video with ffmpeg.
+ */
+export class Directb2sPreviewProcessor implements CreationProcessor<BackglassVariation> {
+
+	public name: string = 'directb2s.preview';
+
+	constructor() {
+		if (config.ffmpeg && config.ffmpeg.path) {
+			ffmpeg.setFfmpegPath(config.ffmpeg.path);
+		}
+	}
+
+	public canProcess(file: FileDocument, srcVariation: FileVariation, destVariation: FileVariation): boolean {
+		return file.getMimeType(srcVariation) === 'application/x-directb2s' && file.getMimeCategory(destVariation) === 'video';
+	}
+
+	public getOrder(variation?: FileVariation): number {
+		return 300 + (variation && variation.priority ? variation.priority : 0);
+	}
+
+	public async process(requestState: RequestState, file: FileDocument, src: string, dest: string, variation?: BackglassVariation): Promise<string> {
+		const now = Date.now();
+		logger.debug(requestState, '[Directb2sPreviewProcessor] Starting processing %s at %s.', file.toShortString(variation), dest);
+
+		const framesPath = dest + '.frames';
+		await mkdirAsync(framesPath);
+		try {
+			const backglass = await this.extractImages(requestState, src, framesPath);
+			const frames = this.getFrames(backglass.bulbs, variation);
+			logger.debug(requestState, '[Directb2sPreviewProcessor] Rendering %s frames with %s bulbs.', frames.length, backglass.bulbs.length);
+
+			for (let i = 0; i < frames.length; i++) {
+				await this.renderFrame(file, backglass.imagePath, frames[i], resolvePath(framesPath, this.getFrameName(i)), variation);
+			}
+			await this.encode(requestState, resolvePath(framesPath, 'frame-%04d.png'), dest, variation);
+			logger.info(requestState, '[Directb2sPreviewProcessor] Rendered preview of %s to "%s" (%sms).', file.toShortString(variation), dest, Date.now() - now);
+			return dest;
+
+		} finally {
+			for (const f of await readdirAsync(framesPath)) {
+				await unlinkAsync(resolvePath(framesPath, f));
+			}
+			await rmdirAsync(framesPath);
+		}
+	}
+
+	/**
+	 * Writes the backglass image and the images of all visible bulbs on the
+	 * backglass into a folder.
+	 *
+	 * @param requestState For logging
+	 * @param {string} src Path to the DirectB2S file
+	 * @param {string} folder Folder to write the images to
+	 * @return {Promise<PreviewBackglass>} Paths and positions of the images
+	 */
+	private async extractImages(requestState: RequestState, src: string, folder: string): Promise<PreviewBackglass> {
+		const images: Array<{ path: string, data: string }> = [];
+		const backglass: PreviewBackglass = { imagePath: null, bulbs: [] };
+		await new Promise<void>((resolve, reject) => {
+			const parser = new XmlParser(src);
+			parser.on('opentag', node => {
+				const attrs = node.attributes as { [key: string]: string };
+				if (node.name === 'BackglassImage' && attrs.Value && !backglass.imagePath) {
+					backglass.imagePath = resolvePath(folder, 'backglass.png');
+					images.push({ path: backglass.imagePath, data: attrs.Value });
+				}
+				if (node.name === 'Bulb' && attrs.Image && attrs.Parent === 'Backglass' && attrs.Visible !== '0') {
+					const bulb: PreviewBulb = {
+						imagePath: resolvePath(folder, 'bulb-' + backglass.bulbs.length + '.png'),
+						x: parseInt(attrs.LocX, 10) || 0,
+						y: parseInt(attrs.LocY, 10) || 0,
+						width: parseInt(attrs.Width, 10) || 0,
+						height: parseInt(attrs.Height, 10) || 0,
+					};
+					if (bulb.width > 0 && bulb.height > 0) {
+						backglass.bulbs.push(bulb);
+						images.push({ path: bulb.imagePath, data: attrs.Image });
+					}
+				}
+			});
+			parser.on('error', err => reject(new ApiError('Error parsing DirectB2S file from %s.', src).log(err)));
+			parser.on('end', resolve);
+			parser.stream(true);
+		});
+		if (!backglass.imagePath) {
+			throw new ApiError('DirectB2S parsed at %s but no backglass image found.', src);
+		}
+		for (const image of images) {
+			await writeFileAsync(image.path, Buffer.from(image.data, 'base64'));
+		}
+		logger.debug(requestState, '[Directb2sPreviewProcessor] Extracted backglass and %s bulb images from %s.', backglass.bulbs.length, src);
+		return backglass;
+	}
+
+	/**
+	 * Computes which bulbs are lit in every frame of the lamp test sweep.
+	 *
+	 * The first 40% of the frames light up the bulbs, the next 20% keep them
+	 * lit and the last 40% switch them off again.
+	 *
+	 * @param {PreviewBulb[]} bulbs All bulbs
+	 * @param {BackglassVariation} variation Variation to render
+	 * @return {PreviewBulb[][]} Lit bulbs per frame
+	 */
+	private getFrames(bulbs: PreviewBulb[], variation: BackglassVariation): PreviewBulb[][] {
+		const numFrames = Math.max(1, Math.round((variation.fps || 10) * (variation.duration || 4)));
+		const sweepFrames = Math.max(1, Math.round(numFrames * 0.4));
+		const holdFrames = numFrames - 2 * sweepFrames;
+		const sorted = bulbs.slice().sort((a, b) => (a.x + a.width / 2) - (b.x + b.width / 2));
+		const frames: PreviewBulb[][] = [];
+		for (let i = 0; i < sweepFrames; i++) {
+			frames.push(sorted.slice(0, Math.round(sorted.length * (i + 1) / sweepFrames)));
+		}
+		for (let i = 0; i < holdFrames; i++) {
+			frames.push(sorted);
+		}
+		for (let i = 0; i < sweepFrames; i++) {
+			frames.push(sorted.slice(Math.round(sorted.length * (i + 1) / sweepFrames)));
+		}
+		return frames;
+	}
+
+	/**
+	 * Renders a frame with the given bulbs lit.
+	 *
+	 * @param {FileDocument} file DirectB2S file
+	 * @param {string} imagePath Path to the backglass image
+	 * @param {PreviewBulb[]} litBulbs Bulbs to draw
+	 * @param {string} dest Path of the rendered frame
+	 * @param {BackglassVariation} variation Variation to render
+	 */
+	private async renderFrame(file: FileDocument, imagePath: string, litBulbs: PreviewBulb[], dest: string, variation: BackglassVariation): Promise<void> {
+		const img = gm(imagePath);
+		for (const bulb of litBulbs) {
+			img.draw(`image Over ${bulb.x},${bulb.y} ${bulb.width},${bulb.height} "${bulb.imagePath}"`);
+		}
+		if (variation.cutGrill && file.metadata && file.metadata.grill_height) {
+			const size = await (gm(imagePath) as any).sizeAsync();
+			img.crop(size.width, size.height - file.metadata.grill_height, 0, 0);
+		}
+		if (variation.width && variation.height) {
+			img.resize(variation.width, variation.height);
+		}
+		await (img as any).writeAsync(dest);
+	}
+
+	/**
+	 * Encodes the rendered frames to a video.
+	 *
+	 * @param requestState For logging
+	 * @param {string} framesPattern Path pattern of the frames
+	 * @param {string} dest Path of the video
+	 * @param {BackglassVariation} variation Variation to render
+	 */
+	private async encode(requestState: RequestState, framesPattern: string, dest: string, variation: BackglassVariation): Promise<void> {
+		return new Promise<void>((resolve, reject) => {
+			ffmpeg(framesPattern)
+				.inputOptions('-framerate ' + (variation.fps || 10))
+				.noAudio()
+				.videoCodec('libx264')
+				.videoFilters('scale=trunc(iw/2)*2:trunc(ih/2)*2')
+				.outputOptions(['-pix_fmt yuv420p', '-movflags +faststart'])
+				.format('mp4')
+				.on('start', (commandLine: string) => {
+					logger.debug(requestState, '[Directb2sPreviewProcessor] > %s', commandLine);
+				})
+				.on('error', (err: Error, stdout: string, stderr: string) => {
+					logger.error(requestState, '[Directb2sPreviewProcessor] [ffmpeg|stderr] %s', stderr);
+					reject(new ApiError('Error encoding backglass preview.').log(err));
+				})
+				.on('end', () => resolve())
+				.save(dest);
+		});
+	}
+
+	private getFrameName(index: number): string {
+		return 'frame-' + String(index + 1).padStart(4, '0') + '.png';
+	}
+}
+
+interface PreviewBackglass {
+	imagePath: string;
+	bulbs: PreviewBulb[];
+}
+
+interface PreviewBulb {
+	imagePath: string;
+	x: number;
+	y: number;
+	width: number;
+	height: number;
+}
@@ -0,0 +1,152 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import gm from 'gm';
+import { resolve } from 'path';
+import { Worker } from 'worker_threads';
+
+import { ApiError } from '../../common/api.error';
+import { logger } from '../../common/logger';
+import { RequestState } from '../../common/typings/context';
+import { FileDocument } from '../file.document';
+import { FileVariation, TableRenderVariation } from '../file.variations';
+import { GltfRenderRequest, GltfRenderResponse } from './gltf.render.worker';
+import { CreationProcessor } from './processor';
+
+require('bluebird').promisifyAll(gm.prototype);
+
+/**
+ * Factor by which the playfield is rendered larger than the variation, for
+ * anti-aliasing.
+ */
+const supersampling = 2;
+
+/**
+ * Renders playfield images from the GLB exported from a table file.
+ *
+ * Rendering is done by a software rasterizer, so authors get a playfield
+ * image of their release without having to take a screenshot in Visual
+ * Pinball. It runs in a worker thread, which keeps the loaded scene for the
+ * next variation. The rendered image is downscaled and encoded with
+ * GraphicsMagick.
+ */
+export class GltfPlayfieldProcessor implements CreationProcessor<TableRenderVariation> {
+
+	private static worker: Worker = null;
+	private static lastRequestId = 0;
+	private static requests = new Map<number, { resolve: (pixels: Buffer) => void, reject: (err: Error) => void }>();
+
+	public name: string = 'gltf.playfield';
+
+	public canProcess(file: FileDocument, srcVariation: FileVariation, destVariation: FileVariation): boolean {
+		return file.getMimeType(srcVariation) === 'model/gltf-binary' && file.getMimeCategory(destVariation) === 'image';
+	}
+
+	public getOrder(variation?: FileVariation): number {
+		return 200 + (variation && variation.priority ? variation.priority : 0);
+	}
+
+	public async process(requestState: RequestState, file: FileDocument, src: string, dest: string, variation?: TableRenderVariation): Promise<string> {
+		const now = Date.now();
+		const camera = variation.camera || 'top';
+		logger.debug(requestState, '[GltfPlayfieldProcessor] Starting rendering %s view of %s at %s.', camera, file.toShortString(variation), dest);
+
+		const width = variation.width * supersampling;
+		const height = variation.height * supersampling;
+		const pixels = await GltfPlayfieldProcessor.render({
+			id: ++GltfPlayfieldProcessor.lastRequestId,
+			sceneKey: file.id + ':' + variation.source,
+			src, camera, width, height,
+		});
+
+		// GraphicsMagick reads the pixels as binary PPM
+		const img = gm(Buffer.concat([Buffer.from(`P6\n${width} ${height}\n255\n`), pixels]), 'playfield.ppm');
+		img.resize(variation.width, variation.height);
+		img.quality(variation.quality || 85);
+		img.interlace('Line');
+		img.setFormat(file.getMimeSubtype(variation));
+		await (img as any).writeAsync(dest);
+
+		logger.info(requestState, '[GltfPlayfieldProcessor] Rendered %s view of %s to "%s" (%sms).', camera, file.toShortString(variation), dest, Date.now() - now);
+		return dest;
+	}
+
+	/**
+	 * Sends a render request to the worker thread and waits for the pixels.
+	 *
+	 * @param {GltfRenderRequest} request Render request
+	 * @return {Promise<Buffer>} RGB pixels, row by row
+	 */
+	private static render(request: GltfRenderRequest): Promise<Buffer> {
+		return new Promise<Buffer>((resolvePixels, reject) => {
+			const worker = GltfPlayfieldProcessor.getWorker();
+			GltfPlayfieldProcessor.requests.set(request.id, { resolve: resolvePixels, reject });
+			worker.ref();
+			worker.postMessage(request);
+		});
+	}
+
+	/**
+	 * Returns the render worker and starts it if not running.
+	 *
+	 * When running through ts-node, the worker registers it as well, since
+	 * worker threads can't load TypeScript files directly.
+	 *
+	 * @return {Worker} Render worker
+	 */
+	private static getWorker(): Worker {
+		if (GltfPlayfieldProcessor.worker) {
+			return GltfPlayfieldProcessor.worker;
+		}
+		const workerPath = resolve(__dirname, 'gltf.render.worker');
+		const script = (__filename.endsWith('.ts') ? 'require(' + JSON.stringify(require.resolve('ts-node/register')) + ');' : '')
+			+ 'require(' + JSON.stringify(workerPath) + ');';
+		const worker = new Worker(script, { eval: true });
+		worker.on('message', (response: GltfRenderResponse) => {
+			const request = GltfPlayfieldProcessor.requests.get(response.id);
+			GltfPlayfieldProcessor.requests.delete(response.id);
+			if (GltfPlayfieldProcessor.requests.size === 0) {
+				// don't keep the process alive when idle
+				worker.unref();
+			}
+			if (!request) {
+				return;
+			}
+			if (response.error) {
+				request.reject(new ApiError('Error rendering playfield: %s', response.error));
+			} else {
+				request.resolve(Buffer.from(response.pixels.buffer, response.pixels.byteOffset, response.pixels.length));
+			}
+		});
+		const fail = (err: Error) => {
+			if (GltfPlayfieldProcessor.worker !== worker) {
+				return;
+			}
+			for (const request of GltfPlayfieldProcessor.requests.values()) {
+				request.reject(err);
+			}
+			GltfPlayfieldProcessor.requests.clear();
+			GltfPlayfieldProcessor.worker = null;
+		};
+		worker.on('error', err => fail(new ApiError('Render worker crashed: %s', err.message).log(err)));
+		worker.on('exit', code => fail(new ApiError('Render worker exited with code %s.', code)));
+		GltfPlayfieldProcessor.worker = worker;
+		return worker;
+	}
+}
@@ -0,0 +1,708 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import gm from 'gm';
+
+import { ApiError } from '../../common/api.error';
+
+const draco3d = require('draco3d');
+require('bluebird').promisifyAll(gm.prototype);
+
+const GLB_MAGIC = 0x46546c67;
+const GLB_CHUNK_JSON = 0x4e4f534a;
+const GLB_CHUNK_BIN = 0x004e4942;
+const GLTF_MODE_TRIANGLES = 4;
+
+const accessorSizes: { [type: string]: number } = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 };
+const componentSizes: { [componentType: number]: number } = { 5120: 1, 5121: 1, 5122: 2, 5123: 2, 5125: 4, 5126: 4 };
+
+/**
+ * Direction to the light source, from the player's side and slightly right.
+ */
+const lightDirection = normalize([0.3, 0.5, 1]);
+
+/**
+ * Share of the light that doesn't depend on the orientation of a surface.
+ */
+const ambientLight = 0.45;
+
+/**
+ * Angle between the playfield and the line of sight of a player standing at
+ * the cabinet, in degrees.
+ */
+const cabinetInclination = 45;
+
+/**
+ * Space left empty around the table, relative to the image size.
+ */
+const margin = 0.02;
+
+/**
+ * Textures are downscaled on decode so neither side exceeds this size.
+ */
+const maxTextureSize = 2048;
+
+const background = [0x10, 0x10, 0x10];
+const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+/**
+ * A software rasterizer for the GLB files exported from VPX tables.
+ *
+ * It renders on the CPU only, so it runs on any headless server. Meshes are
+ * drawn with their base color, base color texture and emission, and lit by
+ * a single directional light. There are no shadows, reflections or
+ * transmissions.
+ *
+ * The scene is expected in VPX coordinates, i.e. the playfield lies in the
+ * XY plane, with X pointing right, Y pointing towards the player and Z up.
+ */
+export class GltfRasterizer {
+
+	private static decoderModule: any;
+
+	private readonly primitives: RasterPrimitive[];
+	private readonly min: Vec3 = [Infinity, Infinity, Infinity];
+	private readonly max: Vec3 = [-Infinity, -Infinity, -Infinity];
+
+	private constructor(primitives: RasterPrimitive[]) {
+		this.primitives = primitives;
+		for (const primitive of primitives) {
+			for (let i = 0; i < primitive.positions.length; i++) {
+				this.min[i % 3] = Math.min(this.min[i % 3], primitive.positions[i]);
+				this.max[i % 3] = Math.max(this.max[i % 3], primitive.positions[i]);
+			}
+		}
+	}
+
+	/**
+	 * Reads a GLB file into a flat list of primitives in world space.
+	 *
+	 * Draco-compressed meshes are decompressed and textures embedded in the
+	 * GLB are decoded.
+	 *
+	 * @param {Buffer} glb Content of the GLB file
+	 * @return {Promise<GltfRasterizer>} Rasterizer with the loaded scene
+	 */
+	public static async load(glb: Buffer): Promise<GltfRasterizer> {
+		const { gltf, bin } = GltfRasterizer.parseGlb(glb);
+		if ((gltf.extensionsUsed || []).includes('KHR_draco_mesh_compression')) {
+			await GltfRasterizer.loadDecoderModule();
+		}
+		const textures = new Map<number, RasterTexture>();
+		const materials: RasterMaterial[] = [];
+		for (const material of gltf.materials || []) {
+			materials.push(await GltfRasterizer.readMaterial(gltf, bin, material, textures));
+		}
+		const primitives: RasterPrimitive[] = [];
+		const scene = gltf.scenes && gltf.scenes[gltf.scene || 0];
+		for (const node of scene ? scene.nodes || [] : []) {
+			GltfRasterizer.readNode(gltf, bin, node, identity, materials, primitives);
+		}
+		if (primitives.length === 0) {
+			throw new ApiError('No triangles found in glTF scene.');
+		}
+		return new GltfRasterizer(primitives);
+	}
+
+	/**
+	 * Renders the scene.
+	 *
+	 * The table is scaled to fit into the image, centered and drawn on a dark
+	 * background.
+	 *
+	 * @param {RasterCamera} camera Camera to use
+	 * @param {number} width Width of the image in pixels
+	 * @param {number} height Height of the image in pixels
+	 * @return {Buffer} RGB pixels, row by row
+	 */
+	public render(camera: RasterCamera, width: number, height: number): Buffer {
+		const view = this.getView(camera);
+		const projections = this.primitives.map(primitive => this.project(primitive, view));
+
+		// fit the scene into the image
+		const min = [Infinity, Infinity];
+		const max = [-Infinity, -Infinity];
+		for (const projection of projections) {
+			for (let i = 0; i < projection.length; i += 4) {
+				if (projection[i + 3] > 0) {
+					min[0] = Math.min(min[0], projection[i]);
+					min[1] = Math.min(min[1], projection[i + 1]);
+					max[0] = Math.max(max[0], projection[i]);
+					max[1] = Math.max(max[1], projection[i + 1]);
+				}
+			}
+		}
+		const scale = Math.min(width / (max[0] - min[0]), height / (max[1] - min[1])) * (1 - 2 * margin);
+		const offsetX = (width - (max[0] - min[0]) * scale) / 2 - min[0] * scale;
+		const offsetY = (height - (max[1] - min[1]) * scale) / 2 - min[1] * scale;
+		for (const projection of projections) {
+			for (let i = 0; i < projection.length; i += 4) {
+				projection[i] = projection[i] * scale + offsetX;
+				projection[i + 1] = projection[i + 1] * scale + offsetY;
+			}
+		}
+
+		const target: RasterTarget = {
+			width, height,
+			pixels: Buffer.alloc(width * height * 3),
+			depth: new Float32Array(width * height).fill(-Infinity),
+		};
+		for (let i = 0; i < target.pixels.length; i++) {
+			target.pixels[i] = background[i % 3];
+		}
+
+		// opaque triangles first, then the transparent ones from back to front
+		const transparent: Array<{ primitive: number, triangle: number, depth: number }> = [];
+		this.primitives.forEach((primitive, p) => {
+			for (let t = 0; t < primitive.indices.length; t += 3) {
+				if (primitive.material.alphaMode === 'BLEND') {
+					const depth = Math.min(...[0, 1, 2].map(v => projections[p][primitive.indices[t + v] * 4 + 2]));
+					transparent.push({ primitive: p, triangle: t, depth });
+				} else {
+					this.drawTriangle(target, primitive, projections[p], t, false);
+				}
+			}
+		});
+		transparent.sort((a, b) => a.depth - b.depth);
+		for (const triangle of transparent) {
+			this.drawTriangle(target, this.primitives[triangle.primitive], projections[triangle.primitive], triangle.triangle, true);
+		}
+		return target.pixels;
+	}
+
+	/**
+	 * Rasterizes a triangle with a depth test.
+	 *
+	 * @param {RasterTarget} target Image to draw into
+	 * @param {RasterPrimitive} primitive Primitive of the triangle
+	 * @param {Float32Array} projection Projected vertices of the primitive
+	 * @param {number} triangle Index of the first vertex index of the triangle
+	 * @param {boolean} blend If true, blend with the image and don't update the depth buffer
+	 */
+	private drawTriangle(target: RasterTarget, primitive: RasterPrimitive, projection: Float32Array, triangle: number, blend: boolean): void {
+		const [i0, i1, i2] = [primitive.indices[triangle], primitive.indices[triangle + 1], primitive.indices[triangle + 2]];
+		const [x0, y0, d0, w0] = projection.subarray(i0 * 4, i0 * 4 + 4);
+		const [x1, y1, d1, w1] = projection.subarray(i1 * 4, i1 * 4 + 4);
+		const [x2, y2, d2, w2] = projection.subarray(i2 * 4, i2 * 4 + 4);
+
+		// skip triangles behind the camera or without area
+		if (w0 <= 0 || w1 <= 0 || w2 <= 0) {
+			return;
+		}
+		const area = (x1 - x0) * (y2 - y0) - (x2 - x0) * (y1 - y0);
+		if (Math.abs(area) < 1e-9) {
+			return;
+		}
+		const minX = Math.max(0, Math.floor(Math.min(x0, x1, x2)));
+		const maxX = Math.min(target.width - 1, Math.ceil(Math.max(x0, x1, x2)));
+		const minY = Math.max(0, Math.floor(Math.min(y0, y1, y2)));
+		const maxY = Math.min(target.height - 1, Math.ceil(Math.max(y0, y1, y2)));
+		if (minX > maxX || minY > maxY) {
+			return;
+		}
+
+		// diffuse light of the face, both sides are lit.
+		const p = primitive.positions;
+		const normal = normalize(cross(
+			[p[i1 * 3] - p[i0 * 3], p[i1 * 3 + 1] - p[i0 * 3 + 1], p[i1 * 3 + 2] - p[i0 * 3 + 2]],
+			[p[i2 * 3] - p[i0 * 3], p[i2 * 3 + 1] - p[i0 * 3 + 1], p[i2 * 3 + 2] - p[i0 * 3 + 2]],
+		));
+		const light = ambientLight + (1 - ambientLight) * Math.abs(dot(normal, lightDirection));
+
+		const material = primitive.material;
+		const texture = primitive.uvs ? material.texture : null;
+		const uvs = primitive.uvs;
+		for (let y = minY; y <= maxY; y++) {
+			const cy = y + 0.5;
+			for (let x = minX; x <= maxX; x++) {
+				const cx = x + 0.5;
+				const b0 = ((x2 - x1) * (cy - y1) - (cx - x1) * (y2 - y1)) / area;
+				const b1 = ((x0 - x2) * (cy - y2) - (cx - x2) * (y0 - y2)) / area;
+				const b2 = 1 - b0 - b1;
+				if (b0 < 0 || b1 < 0 || b2 < 0) {
+					continue;
+				}
+				const index = y * target.width + x;
+				const depth = b0 * d0 + b1 * d1 + b2 * d2;
+				if (depth <= target.depth[index]) {
+					continue;
+				}
+
+				let r = material.color[0];
+				let g = material.color[1];
+				let b = material.color[2];
+				let a = material.color[3];
+				if (texture) {
+					// perspective-correct texture coordinates
+					const w = b0 * w0 + b1 * w1 + b2 * w2;
+					const u = (b0 * w0 * uvs[i0 * 2] + b1 * w1 * uvs[i1 * 2] + b2 * w2 * uvs[i2 * 2]) / w;
+					const v = (b0 * w0 * uvs[i0 * 2 + 1] + b1 * w1 * uvs[i1 * 2 + 1] + b2 * w2 * uvs[i2 * 2 + 1]) / w;
+					const tx = Math.min(texture.width - 1, Math.floor((u - Math.floor(u)) * texture.width));
+					const ty = Math.min(texture.height - 1, Math.floor((v - Math.floor(v)) * texture.height));
+					const t = (ty * texture.width + tx) * 4;
+					r *= texture.data[t] / 255;
+					g *= texture.data[t + 1] / 255;
+					b *= texture.data[t + 2] / 255;
+					a *= texture.data[t + 3] / 255;
+				}
+				if (material.alphaMode === 'MASK' && a < material.alphaCutoff) {
+					continue;
+				}
+				const alpha = blend ? a : 1;
+				const pixel = index * 3;
+				target.pixels[pixel] = Math.round(Math.min(255, (r * light + material.emissive[0]) * 255) * alpha + target.pixels[pixel] * (1 - alpha));
+				target.pixels[pixel + 1] = Math.round(Math.min(255, (g * light + material.emissive[1]) * 255) * alpha + target.pixels[pixel + 1] * (1 - alpha));
+				target.pixels[pixel + 2] = Math.round(Math.min(255, (b * light + material.emissive[2]) * 255) * alpha + target.pixels[pixel + 2] * (1 - alpha));
+				if (!blend) {
+					target.depth[index] = depth;
+				}
+			}
+		}
+	}
+
+	/**
+	 * Projects the vertices of a primitive onto the image plane.
+	 *
+	 * For every vertex, this returns the screen coordinates, a depth value
+	 * that is larger the closer the vertex is to the camera and a weight for
+	 * perspective-correct interpolation, which is zero or negative if the
+	 * vertex lies behind the camera.
+	 *
+	 * @param {RasterPrimitive} primitive Primitive to project
+	 * @param {RasterView} view Camera
+	 * @return {Float32Array} Four values per vertex
+	 */
+	private project(primitive: RasterPrimitive, view: RasterView): Float32Array {
+		const numVertices = primitive.positions.length / 3;
+		const projection = new Float32Array(numVertices * 4);
+		for (let i = 0; i < numVertices; i++) {
+			const d: Vec3 = [
+				primitive.positions[i * 3] - view.eye[0],
+				primitive.positions[i * 3 + 1] - view.eye[1],
+				primitive.positions[i * 3 + 2] - view.eye[2],
+			];
+			const x = dot(d, view.right);
+			const y = -dot(d, view.up);
+			const z = dot(d, view.forward);
+			if (view.perspective) {
+				const w = z > view.near ? 1 / z : 0;
+				projection.set([x * w, y * w, w, w], i * 4);
+			} else {
+				projection.set([x, y, -z, 1], i * 4);
+			}
+		}
+		return projection;
+	}
+
+	/**
+	 * Computes the camera position and orientation.
+	 *
+	 * @param {RasterCamera} camera Camera
+	 * @return {RasterView} View of the camera
+	 */
+	private getView(camera: RasterCamera): RasterView {
+		if (camera === 'top') {
+			return {
+				perspective: false,
+				eye: [0, 0, this.max[2] + 1],
+				right: [1, 0, 0],
+				up: [0, -1, 0],
+				forward: [0, 0, -1],
+				near: 0,
+			};
+		}
+		const length = this.max[1] - this.min[1];
+		const distance = length * 1.6;
+		const inclination = cabinetInclination * Math.PI / 180;
+		const target = [(this.min[0] + this.max[0]) / 2, this.min[1] + length * 0.55, (this.min[2] + this.max[2]) / 2];
+		return {
+			perspective: true,
+			eye: [target[0], target[1] + distance * Math.cos(inclination), target[2] + distance * Math.sin(inclination)],
+			right: [1, 0, 0],
+			up: [0, -Math.sin(inclination), Math.cos(inclination)],
+			forward: [0, -Math.cos(inclination), -Math.sin(inclination)],
+			near: distance * 0.01,
+		};
+	}
+
+	/**
+	 * Reads a node and its children and adds their primitives to the list.
+	 *
+	 * @param gltf glTF JSON
+	 * @param {Buffer} bin Binary chunk
+	 * @param {number} index Index of the node
+	 * @param {number[]} parentMatrix World matrix of the parent node
+	 * @param {RasterMaterial[]} materials Loaded materials
+	 * @param {RasterPrimitive[]} primitives List of primitives to add to
+	 */
+	private static readNode(gltf: any, bin: Buffer, index: number, parentMatrix: number[], materials: RasterMaterial[], primitives: RasterPrimitive[]): void {
+		const node = gltf.nodes[index];
+		const matrix = multiply(parentMatrix, node.matrix || compose(node.translation, node.rotation, node.scale));
+		if (node.mesh !== undefined) {
+			for (const primitive of gltf.meshes[node.mesh].primitives) {
+				if (primitive.mode === undefined || primitive.mode === GLTF_MODE_TRIANGLES) {
+					primitives.push(GltfRasterizer.readPrimitive(gltf, bin, primitive, matrix, materials));
+				}
+			}
+		}
+		for (const child of node.children || []) {
+			GltfRasterizer.readNode(gltf, bin, child, matrix, materials, primitives);
+		}
+	}
+
+	/**
+	 * Reads the geometry of a primitive and transforms it into world space.
+	 *
+	 * @param gltf glTF JSON
+	 * @param {Buffer} bin Binary chunk
+	 * @param primitive Primitive JSON
+	 * @param {number[]} matrix World matrix of the node
+	 * @param {RasterMaterial[]} materials Loaded materials
+	 * @return {RasterPrimitive} Primitive in world space
+	 */
+	private static readPrimitive(gltf: any, bin: Buffer, primitive: any, matrix: number[], materials: RasterMaterial[]): RasterPrimitive {
+		let positions: Float32Array;
+		let uvs: Float32Array = null;
+		let indices: Uint32Array;
+		const draco = primitive.extensions && primitive.extensions.KHR_draco_mesh_compression;
+		if (draco) {
+			({ positions, uvs, indices } = GltfRasterizer.decodeDraco(GltfRasterizer.readBufferView(gltf, bin, draco.bufferView), draco.attributes));
+
+		} else {
+			positions = GltfRasterizer.readAccessor(gltf, bin, primitive.attributes.POSITION);
+			if (primitive.attributes.TEXCOORD_0 !== undefined) {
+				uvs = GltfRasterizer.readAccessor(gltf, bin, primitive.attributes.TEXCOORD_0);
+			}
+			indices = primitive.indices !== undefined
+				? Uint32Array.from(GltfRasterizer.readAccessor(gltf, bin, primitive.indices))
+				: Uint32Array.from({ length: positions.length / 3 }, (v, i) => i);
+		}
+		const worldPositions = new Float32Array(positions.length);
+		for (let i = 0; i < positions.length; i += 3) {
+			const [x, y, z] = [positions[i], positions[i + 1], positions[i + 2]];
+			worldPositions[i] = matrix[0] * x + matrix[4] * y + matrix[8] * z + matrix[12];
+			worldPositions[i + 1] = matrix[1] * x + matrix[5] * y + matrix[9] * z + matrix[13];
+			worldPositions[i + 2] = matrix[2] * x + matrix[6] * y + matrix[10] * z + matrix[14];
+		}
+		return {
+			positions: worldPositions,
+			uvs,
+			indices: indices.length % 3 === 0 ? indices : indices.subarray(0, indices.length - indices.length % 3),
+			material: materials[primitive.material] || defaultMaterial,
+		};
+	}
+
+	/**
+	 * Reads the values of an accessor.
+	 *
+	 * @param gltf glTF JSON
+	 * @param {Buffer} bin Binary chunk
+	 * @param {number} index Index of the accessor
+	 * @return {Float32Array} Values, normalized if the accessor says so
+	 */
+	private static readAccessor(gltf: any, bin: Buffer, index: number): Float32Array {
+		const accessor = gltf.accessors[index];
+		const size = accessorSizes[accessor.type];
+		const componentSize = componentSizes[accessor.componentType];
+		if (!size || !componentSize) {
+			throw new ApiError('Unsupported glTF accessor %s of type %s.', accessor.componentType, accessor.type);
+		}
+		const values = new Float32Array(accessor.count * size);
+		if (accessor.bufferView === undefined) {
+			return values;
+		}
+		const view = gltf.bufferViews[accessor.bufferView];
+		const stride = view.byteStride || size * componentSize;
+		const offset = (view.byteOffset || 0) + (accessor.byteOffset || 0);
+		for (let i = 0; i < accessor.count; i++) {
+			for (let c = 0; c < size; c++) {
+				values[i * size + c] = readComponent(bin, offset + i * stride + c * componentSize, accessor.componentType, accessor.normalized);
+			}
+		}
+		return values;
+	}
+
+	/**
+	 * Returns the content of a buffer view.
+	 *
+	 * @param gltf glTF JSON
+	 * @param {Buffer} bin Binary chunk
+	 * @param {number} index Index of the buffer view
+	 * @return {Buffer} Content
+	 */
+	private static readBufferView(gltf: any, bin: Buffer, index: number): Buffer {
+		const view = gltf.bufferViews[index];
+		return bin.slice(view.byteOffset || 0, (view.byteOffset || 0) + view.byteLength);
+	}
+
+	/**
+	 * Reads a material and decodes its base color texture.
+	 *
+	 * @param gltf glTF JSON
+	 * @param {Buffer} bin Binary chunk
+	 * @param material Material JSON
+	 * @param {Map<number, RasterTexture>} textures Already decoded textures by image index
+	 * @return {Promise<RasterMaterial>} Material
+	 */
+	private static async readMaterial(gltf: any, bin: Buffer, material: any, textures: Map<number, RasterTexture>): Promise<RasterMaterial> {
+		const pbr = material.pbrMetallicRoughness || {};
+		let texture: RasterTexture = null;
+		if (pbr.baseColorTexture && gltf.textures && gltf.textures[pbr.baseColorTexture.index]) {
+			const source = gltf.textures[pbr.baseColorTexture.index].source;
+			if (source !== undefined && !textures.has(source)) {
+				textures.set(source, await GltfRasterizer.decodeImage(gltf, bin, gltf.images[source]));
+			}
+			texture = textures.get(source) || null;
+		}
+		return {
+			color: pbr.baseColorFactor || defaultMaterial.color,
+			emissive: material.emissiveFactor || defaultMaterial.emissive,
+			texture,
+			alphaMode: material.alphaMode || defaultMaterial.alphaMode,
+			alphaCutoff: material.alphaCutoff !== undefined ? material.alphaCutoff : defaultMaterial.alphaCutoff,
+		};
+	}
+
+	/**
+	 * Decodes an image embedded in the GLB to RGBA pixels, downscaled to
+	 * {@link maxTextureSize}.
+	 *
+	 * @param gltf glTF JSON
+	 * @param {Buffer} bin Binary chunk
+	 * @param image Image JSON
+	 * @return {Promise<RasterTexture>} Texture or null if the image is not embedded.
+	 */
+	private static async decodeImage(gltf: any, bin: Buffer, image: any): Promise<RasterTexture> {
+		if (!image || image.bufferView === undefined) {
+			return null;
+		}
+		const data = GltfRasterizer.readBufferView(gltf, bin, image.bufferView);
+		const originalSize = await (gm(data) as any).sizeAsync();
+
+		// larger textures don't add any detail to the rendered image but take a lot of memory
+		const scale = Math.min(1, maxTextureSize / Math.max(originalSize.width, originalSize.height));
+		const size = { width: Math.max(1, Math.round(originalSize.width * scale)), height: Math.max(1, Math.round(originalSize.height * scale)) };
+		const img = gm(data).bitdepth(8);
+		if (scale < 1) {
+			img.resize(size.width, size.height, '!');
+		}
+		const pixels: Buffer = await (img as any).toBufferAsync('RGBA');
+		if (pixels.length !== size.width * size.height * 4) {
+			throw new ApiError('Expected %s bytes when decoding %sx%s texture but got %s.', size.width * size.height * 4, size.width, size.height, pixels.length);
+		}
+		return { width: size.width, height: size.height, data: pixels };
+	}
+
+	/**
+	 * Decompresses a mesh compressed with KHR_draco_mesh_compression.
+	 *
+	 * @param {Buffer} data Compressed data
+	 * @param {{[p: string]: number}} attributes Draco attribute IDs by glTF attribute name
+	 * @return Positions, texture coordinates and indices
+	 */
+	private static decodeDraco(data: Buffer, attributes: { [name: string]: number }): { positions: Float32Array, uvs: Float32Array, indices: Uint32Array } {
+		const module = GltfRasterizer.decoderModule;
+		const decoder = new module.Decoder();
+		const buffer = new module.DecoderBuffer();
+		const mesh = new module.Mesh();
+		const readAttribute = (id: number, size: number): Float32Array => {
+			const values = new module.DracoFloat32Array();
+			decoder.GetAttributeFloatForAllPoints(mesh, decoder.GetAttributeByUniqueId(mesh, id), values);
+			const result = new Float32Array(mesh.num_points() * size);
+			for (let i = 0; i < result.length; i++) {
+				result[i] = values.GetValue(i);
+			}
+			module.destroy(values);
+			return result;
+		};
+		try {
+			buffer.Init(new Int8Array(data.buffer, data.byteOffset, data.length), data.length);
+			const status = decoder.DecodeBufferToMesh(buffer, mesh);
+			if (!status.ok() || mesh.ptr === 0) {
+				throw new ApiError('Error decoding Draco mesh: %s', status.error_msg());
+			}
+			const indices = new Uint32Array(mesh.num_faces() * 3);
+			const face = new module.DracoInt32Array();
+			for (let i = 0; i < mesh.num_faces(); i++) {
+				decoder.GetFaceFromMesh(mesh, i, face);
+				indices[i * 3] = face.GetValue(0);
+				indices[i * 3 + 1] = face.GetValue(1);
+				indices[i * 3 + 2] = face.GetValue(2);
+			}
+			module.destroy(face);
+			return {
+				positions: readAttribute(attributes.POSITION, 3),
+				uvs: attributes.TEXCOORD_0 !== undefined ? readAttribute(attributes.TEXCOORD_0, 2) : null,
+				indices,
+			};
+
+		} finally {
+			module.destroy(mesh);
+			module.destroy(buffer);
+			module.destroy(decoder);
+		}
+	}
+
+	/**
+	 * Initializes the Draco decoder, if not already done.
+	 */
+	private static async loadDecoderModule(): Promise<void> {
+		if (!GltfRasterizer.decoderModule) {
+			// the module is a thenable itself, so don't resolve the promise with it.
+			const loaded = await new Promise<{ module: any }>(resolve => draco3d.createDecoderModule({ onModuleLoaded: (module: any) => resolve({ module }) }));
+			GltfRasterizer.decoderModule = loaded.module;
+		}
+	}
+
+	/**
+	 * Splits a GLB file into its JSON and binary chunk.
+	 *
+	 * @param {Buffer} glb Content of the GLB file
+	 * @return Parsed JSON and binary chunk
+	 */
+	private static parseGlb(glb: Buffer): { gltf: any, bin: Buffer } {
+		if (glb.length < 20 || glb.readUInt32LE(0) !== GLB_MAGIC) {
+			throw new ApiError('Not a GLB file.');
+		}
+		let gltf: any = null;
+		let bin: Buffer = Buffer.alloc(0);
+		let offset = 12;
+		while (offset + 8 <= glb.length) {
+			const length = glb.readUInt32LE(offset);
+			const type = glb.readUInt32LE(offset + 4);
+			const chunk = glb.slice(offset + 8, offset + 8 + length);
+			if (type === GLB_CHUNK_JSON) {
+				gltf = JSON.parse(chunk.toString('utf8'));
+			}
+			if (type === GLB_CHUNK_BIN) {
+				bin = chunk;
+			}
+			offset += 8 + length;
+		}
+		if (!gltf) {
+			throw new ApiError('No JSON chunk found in GLB file.');
+		}
+		return { gltf, bin };
+	}
+}
+
+const defaultMaterial: RasterMaterial = {
+	color: [1, 1, 1, 1],
+	emissive: [0, 0, 0],
+	texture: null,
+	alphaMode: 'OPAQUE',
+	alphaCutoff: 0.5,
+};
+
+function readComponent(buffer: Buffer, offset: number, componentType: number, normalized: boolean): number {
+	switch (componentType) {
+		case 5120: return normalized ? Math.max(buffer.readInt8(offset) / 127, -1) : buffer.readInt8(offset);
+		case 5121: return normalized ? buffer.readUInt8(offset) / 255 : buffer.readUInt8(offset);
+		case 5122: return normalized ? Math.max(buffer.readInt16LE(offset) / 32767, -1) : buffer.readInt16LE(offset);
+		case 5123: return normalized ? buffer.readUInt16LE(offset) / 65535 : buffer.readUInt16LE(offset);
+		case 5125: return buffer.readUInt32LE(offset);
+		default: return buffer.readFloatLE(offset);
+	}
+}
+
+/**
+ * Computes the column-major matrix of a node's translation, rotation and scale.
+ */
+function compose(translation: number[] = [0, 0, 0], rotation: number[] = [0, 0, 0, 1], scale: number[] = [1, 1, 1]): number[] {
+	const [x, y, z, w] = rotation;
+	const [sx, sy, sz] = scale;
+	return [
+		(1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + w * z) * sx, 2 * (x * z - w * y) * sx, 0,
+		2 * (x * y - w * z) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + w * x) * sy, 0,
+		2 * (x * z + w * y) * sz, 2 * (y * z - w * x) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+		translation[0], translation[1], translation[2], 1,
+	];
+}
+
+function multiply(a: number[], b: number[]): number[] {
+	const result: number[] = new Array(16);
+	for (let col = 0; col < 4; col++) {
+		for (let row = 0; row < 4; row++) {
+			let sum = 0;
+			for (let k = 0; k < 4; k++) {
+				sum += a[k * 4 + row] * b[col * 4 + k];
+			}
+			result[col * 4 + row] = sum;
+		}
+	}
+	return result;
+}
+
+function dot(a: number[], b: number[]): number {
+	return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a: number[], b: number[]): Vec3 {
+	return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function normalize(v: number[]): Vec3 {
+	const length = Math.sqrt(dot(v, v)) || 1;
+	return [v[0] / length, v[1] / length, v[2] / length];
+}
+
+/**
+ * Camera of a rendered image. "top" is an orthographic view from straight
+ * above, "cabinet" a perspective view from where the player stands.
+ */
+export type RasterCamera = 'top' | 'cabinet';
+
+type Vec3 = [number, number, number];
+
+interface RasterPrimitive {
+	positions: Float32Array;
+	uvs: Float32Array;
+	indices: Uint32Array;
+	material: RasterMaterial;
+}
+
+interface RasterMaterial {
+	color: number[];
+	emissive: number[];
+	texture: RasterTexture;
+	alphaMode: 'OPAQUE' | 'MASK' | 'BLEND';
+	alphaCutoff: number;
+}
+
+interface RasterTexture {
+	width: number;
+	height: number;
+	data: Buffer;
+}
+
+interface RasterView {
+	perspective: boolean;
+	eye: number[];
+	right: number[];
+	up: number[];
+	forward: number[];
+	near: number;
+}
+
+interface RasterTarget {
+	width: number;
+	height: number;
+	pixels: Buffer;
+	depth: Float32Array;
+}
@@ -0,0 +1,113 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { readFile, stat } from 'fs';
+import { promisify } from 'util';
+import { parentPort } from 'worker_threads';
+
+import { GltfRasterizer, RasterCamera } from './gltf.rasterizer';
+
+const readFileAsync = promisify(readFile);
+const statAsync = promisify(stat);
+
+/**
+ * How long a loaded scene is kept after the last rendering, in milliseconds.
+ */
+const sceneLifetime = 60000;
+
+/**
+ * The last loaded scene. All playfield variations of a table are rendered
+ * from the same GLB, so it's only loaded once.
+ */
+let scene: { key: string, rasterizer: Promise<GltfRasterizer> } = null;
+let sceneTimeout: NodeJS.Timer = null;
+
+/**
+ * Renders GLB files in a worker thread, so the software rasterizer doesn't
+ * block the event loop. See {@link GltfPlayfieldProcessor}.
+ */
+parentPort.on('message', async (request: GltfRenderRequest) => {
+	try {
+		const rasterizer = await getRasterizer(request);
+		const pixels = rasterizer.render(request.camera, request.width, request.height);
+		parentPort.postMessage({ id: request.id, pixels } as GltfRenderResponse, [pixels.buffer]);
+
+	} catch (err) {
+		parentPort.postMessage({ id: request.id, error: err.message } as GltfRenderResponse);
+	}
+});
+
+/**
+ * Returns the rasterizer of the requested scene, and loads it if it's not
+ * the last loaded one.
+ *
+ * @param {GltfRenderRequest} request Render request
+ * @return {Promise<GltfRasterizer>} Rasterizer with the loaded scene
+ */
+async function getRasterizer(request: GltfRenderRequest): Promise<GltfRasterizer> {
+	const key = request.sceneKey + ':' + (await statAsync(request.src)).size;
+	if (!scene || scene.key !== key) {
+		const loading = { key, rasterizer: readFileAsync(request.src).then(glb => GltfRasterizer.load(glb)) };
+		loading.rasterizer.catch(() => scene = scene === loading ? null : scene);
+		scene = loading;
+	}
+	if (sceneTimeout) {
+		clearTimeout(sceneTimeout);
+	}
+	sceneTimeout = setTimeout(() => scene = null, sceneLifetime);
+	sceneTimeout.unref();
+	return scene.rasterizer;
+}
+
+export interface GltfRenderRequest {
+
+	/**
+	 * ID of the request, returned with the response.
+	 */
+	id: number;
+
+	/**
+	 * Identifies the scene, so the loaded scene can be reused for the
+	 * next variation. The file size is added by the worker.
+	 */
+	sceneKey: string;
+
+	/**
+	 * Path to the GLB file
+	 */
+	src: string;
+
+	camera: RasterCamera;
+	width: number;
+	height: number;
+}
+
+export interface GltfRenderResponse {
+	id: number;
+
+	/**
+	 * RGB pixels, row by row
+	 */
+	pixels?: Uint8Array;
+
+	/**
+	 * Error message, if failed
+	 */
+	error?: string;
+}
@@ -28,7 +28,9 @@ import { FileDocument } from '../file.document';
 import { mimeTypeCategories } from '../file.mimetypes';
 import { FileVariation } from '../file.variations';
 import { Directb2sOptimizationProcessor } from './directb2s.optimization.processor';
+import { Directb2sPreviewProcessor } from './directb2s.preview.processor';
 import { Directb2sThumbProcessor } from './directb2s.thumb.processor';
+import { GltfPlayfieldProcessor } from './gltf.playfield.processor';
 import { ImageOptimizationProcessor } from './image.optimization.processor';
 import { ImageVariationProcessor } from './image.variation.processor';
 import { CreationProcessor, OptimizationProcessor, Processor } from './processor';
@@ -98,7 +100,9 @@ class ProcessorManager {
 
 		// create processors
 		this.creationProcessors = [
+			new Directb2sPreviewProcessor(),
 			new Directb2sThumbProcessor(),
+			new GltfPlayfieldProcessor(),
 			new ImageVariationProcessor(),
 			new VideoScreenshotProcessor(),
 			new VideoThumbProcessor(),
@@ -30,6 +30,7 @@ import { state } from '../../state';
 import { FileDocument } from '../file.document';
 import { FileUtil } from '../file.util';
 import { FileVariation } from '../file.variations';
+import { storageBackend } from '../storage/storage.backend';
 import { OptimizationProcessor } from './processor';
 import { processorManager } from './processor.manager';
 import { ProcessorWorker } from './processor.worker';
@@ -175,9 +176,14 @@ class ProcessorQueue {
 				stats = await statAsync(path);
 			}
 		} catch (err) {
+			// not on this node, but might be in the storage backend.
+			if (await storageBackend.fetch(requestState, path)) {
+				return statAsync(path);
+			}
 			// statAsync failed, no file at all yet.
 			logger.info(requestState, '[ProcessorQueue.stats] Waiting for %s to start (and finish)', file.toShortString());
 			await this.waitForVariationCreation(requestState, file, variation);
+			await storageBackend.fetch(requestState, path);
 			stats = await statAsync(path);
 		}
 		return stats;
@@ -335,6 +341,11 @@ class ProcessorQueue {
 			.filter(v => file.getPath(requestState, v) !== file.getPath(requestState, v, { forceProtected: true }))
 			.forEach(v => changes.set(file.getPath(requestState, v, { forceProtected: true }), file.getPath(requestState, v)));
 
+		// move persisted files in the storage backend
+		for (const [srcPath, destPath] of changes) {
+			await storageBackend.move(requestState, srcPath, destPath);
+		}
+
 		// announce new destPath to active jobs
 		let numActiveJobs = 0;
 		for (const queue of processorManager.getQueues(file)) {
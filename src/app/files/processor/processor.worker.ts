@@ -31,6 +31,7 @@ import { FileDocument } from '../file.document';
 import { FileUtil } from '../file.util';
 import { FileVariation } from '../file.variations';
 import { Metadata } from '../metadata/metadata';
+import { storageBackend } from '../storage/storage.backend';
 import { processorManager } from './processor.manager';
 import { JobData } from './processor.queue';
 
@@ -122,6 +123,7 @@ export class ProcessorWorker {
 				await unlinkAsync(finalPath);
 			}
 			await renameAsync(destPath, finalPath);
+			await storageBackend.store(requestState, finalPath, file.getMimeType(variation));
 
 			logger.debug(requestState, '[ProcessorWorker.create] [%s | #%s] done: %s at %s', data.processor, job.id, file.toDetailedString(variation), FileUtil.log(finalPath));
 
@@ -226,6 +228,7 @@ export class ProcessorWorker {
 			const finalPath = newPath || file.getPath(requestState, variation);
 			if (createdFile) {
 				await renameAsync(createdFile, finalPath); // overwrites destination
+				await storageBackend.store(requestState, finalPath, file.getMimeType(variation));
 			}
 			logger.debug(requestState, '[ProcessorWorker.optimize] [%s | #%s] done: %s at %s', data.processor, job.id, file.toDetailedString(variation), FileUtil.log(finalPath));
 
@@ -30,7 +30,7 @@ export class VptGltfProcessor implements CreationProcessor<FileVariation> {
 	public name: string = 'vpt.gltf';
 
 	public canProcess(file: FileDocument, srcVariation: FileVariation, destVariation: FileVariation): boolean {
-		return file.getMimeCategory() === 'table';
+		return file.getMimeCategory() === 'table' && file.getMimeType(destVariation) === 'model/gltf-binary';
 	}
 
 	public getOrder(variation?: FileVariation): number {
@@ -0,0 +1,53 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { RequestState } from '../../common/typings/context';
+import { FileUtil } from '../file.util';
+import { StorageBackend, StorageDownloadOptions } from './storage.backend';
+
+/**
+ * Stores files on the local file system.
+ *
+ * Since the local file system is where files are processed, there is nothing
+ * to persist, and downloads are served by the API.
+ */
+export class LocalStorageBackend implements StorageBackend {
+
+	public readonly name = 'local';
+
+	public async store(requestState: RequestState, path: string, mimeType: string): Promise<void> {
+		// already there
+	}
+
+	public async fetch(requestState: RequestState, path: string): Promise<boolean> {
+		return FileUtil.exists(path);
+	}
+
+	public async move(requestState: RequestState, srcPath: string, destPath: string): Promise<void> {
+		// renamed by the processor queue
+	}
+
+	public async remove(requestState: RequestState, path: string): Promise<void> {
+		// removed by the file util
+	}
+
+	public async getDownloadUrl(requestState: RequestState, path: string, opts: StorageDownloadOptions): Promise<string | null> {
+		return null;
+	}
+}
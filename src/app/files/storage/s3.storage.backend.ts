@@ -0,0 +1,226 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import axios, { AxiosResponse, Method } from 'axios';
+import { createReadStream, createWriteStream, rename, stat, unlink } from 'fs';
+import { dirname, relative, resolve as resolvePath, sep } from 'path';
+import { Stream } from 'stream';
+import { format as formatUrl, parse as parseUrl, Url } from 'url';
+import { promisify } from 'util';
+
+import { ApiError } from '../../common/api.error';
+import { logger } from '../../common/logger';
+import { config } from '../../common/settings';
+import { VpdbS3StorageConfig } from '../../common/typings/config';
+import { RequestState } from '../../common/typings/context';
+import { FileUtil } from '../file.util';
+import { StorageBackend, StorageDownloadOptions } from './storage.backend';
+
+const aws4 = require('aws4');
+const randomString = require('randomstring');
+
+const statAsync = promisify(stat);
+const renameAsync = promisify(rename);
+const unlinkAsync = promisify(unlink);
+
+/**
+ * Stores files in an S3-compatible object storage such as AWS S3 or MinIO.
+ *
+ * Requests are signed with AWS Signature Version 4. Downloads are redirected
+ * to the object storage, using pre-signed URLs for protected files.
+ */
+export class S3StorageBackend implements StorageBackend {
+
+	public readonly name = 's3';
+
+	private readonly config: VpdbS3StorageConfig;
+	private readonly endpoint: Url;
+
+	constructor(s3Config: VpdbS3StorageConfig) {
+		this.config = s3Config;
+		this.endpoint = parseUrl(s3Config.endpoint);
+	}
+
+	public async store(requestState: RequestState, path: string, mimeType: string): Promise<void> {
+		const key = this.getKey(path);
+		const stats = await statAsync(path);
+		const now = Date.now();
+		await this.request('PUT', key, {
+			'Content-Type': mimeType,
+			'Content-Length': String(stats.size),
+			'X-Amz-Content-Sha256': 'UNSIGNED-PAYLOAD',
+		}, createReadStream(path));
+		logger.info(requestState, '[S3StorageBackend.store] Stored %s bytes at %s in %sms.', stats.size, key, Date.now() - now);
+	}
+
+	public async fetch(requestState: RequestState, path: string): Promise<boolean> {
+		if (await FileUtil.exists(path)) {
+			return true;
+		}
+		const key = this.getKey(path);
+		const res = await this.request('GET', key, {}, null, 'stream', [200, 404]);
+		if (res.status === 404) {
+			return false;
+		}
+		if (!(await FileUtil.exists(dirname(path)))) {
+			await FileUtil.mkdirp(dirname(path));
+		}
+
+		// download to a temp file first, so concurrent requests don't read half-written files.
+		const tmpPath = path + '.' + randomString.generate(8) + '.download';
+		try {
+			await new Promise((resolve, reject) => {
+				const writeStream = createWriteStream(tmpPath);
+				writeStream.on('finish', resolve);
+				writeStream.on('error', reject);
+				res.data.on('error', reject);
+				res.data.pipe(writeStream);
+			});
+			await renameAsync(tmpPath, path);
+
+		} catch (err) {
+			if (await FileUtil.exists(tmpPath)) {
+				await unlinkAsync(tmpPath);
+			}
+			throw new ApiError('Error fetching %s from object storage: %s', key, err.message).log(err);
+		}
+		logger.info(requestState, '[S3StorageBackend.fetch] Fetched %s from object storage.', key);
+		return true;
+	}
+
+	public async move(requestState: RequestState, srcPath: string, destPath: string): Promise<void> {
+		const srcKey = this.getKey(srcPath);
+		const destKey = this.getKey(destPath);
+		const res = await this.request('PUT', destKey, {
+			'X-Amz-Copy-Source': encodeURI('/' + this.config.bucket + '/' + srcKey),
+		}, null, 'text', [200, 404]);
+		if (res.status === 404) {
+			logger.info(requestState, '[S3StorageBackend.move] Skipping %s, not stored yet.', srcKey);
+			return;
+		}
+		await this.request('DELETE', srcKey, {}, null, 'text', [204, 404]);
+		logger.info(requestState, '[S3StorageBackend.move] Moved %s to %s.', srcKey, destKey);
+	}
+
+	public async remove(requestState: RequestState, path: string): Promise<void> {
+		const key = this.getKey(path);
+		await this.request('DELETE', key, {}, null, 'text', [204, 404]);
+		logger.info(requestState, '[S3StorageBackend.remove] Removed %s.', key);
+	}
+
+	public async getDownloadUrl(requestState: RequestState, path: string, opts: StorageDownloadOptions): Promise<string | null> {
+		const key = this.getKey(path);
+		const res = await this.request('HEAD', key, {}, null, 'text', [200, 404]);
+		if (res.status === 404) {
+			return null;
+		}
+
+		// public files don't need a signature if the bucket exposes them.
+		if (key.startsWith('public/') && this.config.publicUrl && !opts.filename) {
+			return this.config.publicUrl.replace(/\/$/, '') + '/' + key;
+		}
+
+		const query = [
+			'X-Amz-Expires=' + (this.config.signedUrlLifetime || 300),
+			'response-content-type=' + encodeURIComponent(opts.mimeType),
+		];
+		if (opts.filename) {
+			query.push('response-content-disposition=' + encodeURIComponent('attachment; filename="' + opts.filename + '"'));
+		}
+		const signed = aws4.sign({
+			host: this.getHost(),
+			path: this.getPath(key) + '?' + query.join('&'),
+			service: 's3',
+			region: this.config.region,
+			signQuery: true,
+		}, this.getCredentials());
+
+		return formatUrl({ protocol: this.endpoint.protocol, host: signed.host }) + signed.path;
+	}
+
+	/**
+	 * Returns the object key of a local path.
+	 *
+	 * @param {string} path Local path within the public or protected storage
+	 * @return {string} Object key
+	 */
+	private getKey(path: string): string {
+		const publicPath = resolvePath(config.vpdb.storage.public.path);
+		const protectedPath = resolvePath(config.vpdb.storage.protected.path);
+		path = resolvePath(path);
+		if (path.startsWith(publicPath + sep)) {
+			return 'public/' + relative(publicPath, path).split(sep).join('/');
+		}
+		if (path.startsWith(protectedPath + sep)) {
+			return 'protected/' + relative(protectedPath, path).split(sep).join('/');
+		}
+		throw new ApiError('Path %s is outside of the storage.', path);
+	}
+
+	private getHost(): string {
+		return this.config.forcePathStyle ? this.endpoint.host : this.config.bucket + '.' + this.endpoint.host;
+	}
+
+	private getPath(key: string): string {
+		return this.config.forcePathStyle ? '/' + this.config.bucket + '/' + key : '/' + key;
+	}
+
+	private getCredentials() {
+		return { accessKeyId: this.config.accessKeyId, secretAccessKey: this.config.secretAccessKey };
+	}
+
+	/**
+	 * Sends a signed request to the object storage.
+	 *
+	 * @param {Method} method HTTP method
+	 * @param {string} key Object key
+	 * @param {{[p: string]: string}} headers Request headers
+	 * @param {Stream} body Request body
+	 * @param {"stream" | "text"} responseType How to read the response
+	 * @param {number[]} validStatuses Statuses that don't throw an error
+	 * @return {Promise<AxiosResponse>} Response
+	 */
+	private async request(method: Method, key: string, headers: { [key: string]: string }, body: Stream = null,
+							responseType: 'stream' | 'text' = 'text', validStatuses: number[] = [200]): Promise<AxiosResponse> {
+
+		const signed = aws4.sign({
+			host: this.getHost(),
+			path: this.getPath(key),
+			method,
+			service: 's3',
+			region: this.config.region,
+			headers,
+		}, this.getCredentials());
+
+		const res = await axios.request({
+			method,
+			url: formatUrl({ protocol: this.endpoint.protocol, host: signed.host }) + signed.path,
+			headers: signed.headers,
+			data: body,
+			responseType,
+			maxContentLength: Infinity,
+			maxRedirects: 0,
+			validateStatus: () => true,
+		});
+		if (!validStatuses.includes(res.status)) {
+			throw new ApiError('Object storage returned status %s for %s %s: %s', res.status, method, key, responseType === 'text' ? res.data : '');
+		}
+		return res;
+	}
+}
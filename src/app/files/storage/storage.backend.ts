@@ -0,0 +1,118 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { config } from '../../common/settings';
+import { VpdbStorageBackendConfig } from '../../common/typings/config';
+import { RequestState } from '../../common/typings/context';
+import { LocalStorageBackend } from './local.storage.backend';
+import { S3StorageBackend } from './s3.storage.backend';
+
+/**
+ * A storage backend persists the files of the public and protected storage.
+ *
+ * Processing always happens on the local file system, so the backend is
+ * addressed by local paths below the configured storage folders. The local
+ * backend uses those paths directly, while remote backends use the local
+ * folders as a cache and keep their objects under the same relative keys,
+ * prefixed with `public/` or `protected/`.
+ */
+export interface StorageBackend {
+
+	/**
+	 * Name of the backend, e.g. "local".
+	 */
+	name: string;
+
+	/**
+	 * Persists a local file.
+	 *
+	 * @param requestState For logging
+	 * @param {string} path Local path of the file
+	 * @param {string} mimeType MIME type of the file
+	 */
+	store(requestState: RequestState, path: string, mimeType: string): Promise<void>;
+
+	/**
+	 * Makes sure a file is available on the local file system.
+	 *
+	 * @param requestState For logging
+	 * @param {string} path Local path of the file
+	 * @return {Promise<boolean>} True if the file is now available locally, false if it doesn't exist.
+	 */
+	fetch(requestState: RequestState, path: string): Promise<boolean>;
+
+	/**
+	 * Moves a persisted file, typically from the protected to the public
+	 * storage when a file gets activated. Files that haven't been persisted
+	 * yet are ignored.
+	 *
+	 * @param requestState For logging
+	 * @param {string} srcPath Old local path
+	 * @param {string} destPath New local path
+	 */
+	move(requestState: RequestState, srcPath: string, destPath: string): Promise<void>;
+
+	/**
+	 * Removes a persisted file.
+	 *
+	 * @param requestState For logging
+	 * @param {string} path Local path of the file
+	 */
+	remove(requestState: RequestState, path: string): Promise<void>;
+
+	/**
+	 * Returns an URL from where the file can be downloaded directly. For
+	 * protected files, the URL is signed and expires.
+	 *
+	 * @param requestState For logging
+	 * @param {string} path Local path of the file
+	 * @param {StorageDownloadOptions} opts Download options
+	 * @return {Promise<string | null>} URL or null if the file must be served by the API.
+	 */
+	getDownloadUrl(requestState: RequestState, path: string, opts: StorageDownloadOptions): Promise<string | null>;
+}
+
+export interface StorageDownloadOptions {
+
+	/**
+	 * MIME type to serve the file with
+	 */
+	mimeType: string;
+
+	/**
+	 * If set, the file is served as attachment with the given file name.
+	 */
+	filename?: string;
+}
+
+/**
+ * Creates the backend configured in `vpdb.storage.backend`. Defaults to the
+ * local file system.
+ */
+function createStorageBackend(backendConfig: VpdbStorageBackendConfig): StorageBackend {
+	if (!backendConfig || backendConfig.type === 'local') {
+		return new LocalStorageBackend();
+	}
+	if (backendConfig.type === 's3') {
+		return new S3StorageBackend(backendConfig.s3);
+	}
+	throw new Error('Unknown storage backend "' + backendConfig.type + '".');
+}
+
+export const storageBackend = createStorageBackend(config.vpdb.storage.backend);
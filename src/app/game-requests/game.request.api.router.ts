@@ -30,10 +30,10 @@ export class GameRequestApiRouter implements ApiRouter {
 		const api = new GameRequestApi();
 		this.router = api.apiRouter();
 
-		this.router.post('/v1/game_requests', api.auth(api.create.bind(api), 'game_requests', 'add', [Scope.ALL, Scope.COMMUNITY]));
+		this.router.post('/v1/game_requests', api.auth(api.create.bind(api), 'game_requests', 'add', [Scope.ALL, Scope.COMMUNITY, Scope.GAME_REQUESTS_WRITE]));
 		this.router.get('/v1/game_requests', api.auth(api.list.bind(api), 'game_requests', 'list', [Scope.ALL]));
-		this.router.patch('/v1/game_requests/:id', api.auth(api.update.bind(api), 'game_requests', 'update', [Scope.ALL, Scope.COMMUNITY]));
-		this.router.delete('/v1/game_requests/:id', api.auth(api.del.bind(api), 'game_requests', 'delete-own', [Scope.ALL, Scope.COMMUNITY]));
+		this.router.patch('/v1/game_requests/:id', api.auth(api.update.bind(api), 'game_requests', 'update', [Scope.ALL, Scope.COMMUNITY, Scope.GAME_REQUESTS_WRITE]));
+		this.router.delete('/v1/game_requests/:id', api.auth(api.del.bind(api), 'game_requests', 'delete-own', [Scope.ALL, Scope.COMMUNITY, Scope.GAME_REQUESTS_WRITE]));
 	}
 
 	public getRouter(): Router {
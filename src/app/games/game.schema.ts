@@ -101,6 +101,7 @@ export const gameFields = {
 };
 export interface GameModel extends PrettyIdModel<GameDocument>, PaginateModel<GameDocument> {}
 export const gameSchema = new Schema(gameFields, { toObject: { virtuals: true, versionKey: false } });
+gameSchema.index({ title: 'text', manufacturer: 'text', keywords: 'text' }, { weights: { title: 10, manufacturer: 2, keywords: 1 } });
 
 //-----------------------------------------------------------------------------
 // PLUGINS
@@ -0,0 +1,46 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import * as Router from 'koa-router';
+
+import { ApiRouter } from '../common/api.router';
+import { Scope } from '../common/scope';
+import { HighscoreApi } from './highscore.api';
+
+export class HighscoreApiRouter implements ApiRouter {
+
+	private readonly router: Router;
+
+	constructor() {
+		const api = new HighscoreApi();
+		this.router = api.apiRouter();
+
+		this.router.get('/v1/highscores/:id',         api.view.bind(api));
+		this.router.delete('/v1/highscores/:id',        api.auth(api.del.bind(api), 'highscores', 'delete-own', [ Scope.ALL, Scope.COMMUNITY, Scope.HIGHSCORES_WRITE ]));
+		this.router.post('/v1/highscores/:id/verify',  api.auth(api.verify.bind(api), 'highscores', 'verify', [ Scope.ALL ]));
+
+		this.router.get('/v1/releases/:id/highscores',  api.leaderboards.bind(api));
+		this.router.post('/v1/releases/:id/highscores', api.auth(api.create.bind(api), 'highscores', 'add', [ Scope.ALL, Scope.COMMUNITY, Scope.HIGHSCORES_WRITE ]));
+		this.router.get('/v1/games/:gameId/highscores', api.leaderboards.bind(api));
+	}
+
+	public getRouter(): Router {
+		return this.router;
+	}
+}
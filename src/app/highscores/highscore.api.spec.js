@@ -0,0 +1,195 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+"use strict"; /* global describe, before, after, it */
+
+const expect = require('expect.js');
+const ApiClient = require('../../test/api.client');
+const api = new ApiClient();
+
+let res;
+describe('The VPDB `Highscore` API', () => {
+
+	let release, tableFile;
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'] },
+			member2: { roles: ['member'] },
+			moderator: { roles: ['moderator'] },
+		});
+		release = await api.releaseHelper.createRelease('moderator');
+		tableFile = release.versions[0].files[0].file;
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when submitting a score', () => {
+
+		it('should fail for a non-existent release', async () => {
+			await api.as('member')
+				.post('/v1/releases/doesnotexist/highscores', {})
+				.then(res => res.expectError(404, 'no such release'));
+		});
+
+		it('should fail validations when providing no data', async () => {
+			await api.as('member')
+				.post(`/v1/releases/${release.id}/highscores`, {})
+				.then(res => res.expectValidationErrors([
+					['score', 'must be provided'],
+					['version', 'must be provided'],
+					['_file', 'must be provided'],
+				]));
+		});
+
+		it('should fail validations for a negative score', async () => {
+			await api.as('member')
+				.post(`/v1/releases/${release.id}/highscores`, { score: -10, version: '1.0.0', _file: tableFile.id })
+				.then(res => res.expectValidationError('score', 'must be a positive integer'));
+		});
+
+		it('should fail validations for a non-existent version', async () => {
+			await api.as('member')
+				.post(`/v1/releases/${release.id}/highscores`, { score: 1000, version: '9.9.9', _file: tableFile.id })
+				.then(res => res.expectValidationError('version', 'no such version'));
+		});
+
+		it('should fail validations for a file not belonging to the version', async () => {
+			const otherRelease = await api.releaseHelper.createRelease('moderator');
+			await api.as('member')
+				.post(`/v1/releases/${release.id}/highscores`, { score: 1000, version: '1.0.0', _file: otherRelease.versions[0].files[0].file.id })
+				.then(res => res.expectValidationError('_file', 'must be a table file'));
+		});
+
+		it('should fail validations for a date in the future', async () => {
+			await api.as('member')
+				.post(`/v1/releases/${release.id}/highscores`, { score: 1000, version: '1.0.0', _file: tableFile.id, achieved_at: new Date(Date.now() + 86400000) })
+				.then(res => res.expectValidationError('achieved_at', 'must not be in the future'));
+		});
+
+		it('should fail validations for a proof of someone else', async () => {
+			const proof = await api.fileHelper.createHighscoreProof('member2');
+			await api.as('member')
+				.post(`/v1/releases/${release.id}/highscores`, { score: 1000, version: '1.0.0', _file: tableFile.id, _proof: proof.id })
+				.then(res => res.expectValidationError('_proof', 'must be uploaded by the player'));
+		});
+
+		it('should succeed with a proof', async () => {
+			const proof = await api.fileHelper.createHighscoreProof('member', { keep: true });
+			res = await api.as('member')
+				.markTeardown('id', '/v1/highscores')
+				.post(`/v1/releases/${release.id}/highscores`, { score: 1234567, version: '1.0.0', _file: tableFile.id, _proof: proof.id, notes: 'Tilted on ball 3.' })
+				.then(res => res.expectStatus(201));
+			expect(res.data.score).to.be(1234567);
+			expect(res.data.is_verified).to.be(false);
+			expect(res.data.player.id).to.be(api.getUser('member').id);
+			expect(res.data.file.id).to.be(tableFile.id);
+			expect(res.data.proof.id).to.be(proof.id);
+			expect(res.data.release.id).to.be(release.id);
+		});
+	});
+
+	describe('when listing leaderboards', () => {
+
+		let leaderRelease, leaderFile, memberScore;
+
+		before(async () => {
+			leaderRelease = await api.releaseHelper.createRelease('moderator');
+			leaderFile = leaderRelease.versions[0].files[0].file;
+			const submit = (user, score) => api.as(user)
+				.markTeardown('id', '/v1/highscores')
+				.post(`/v1/releases/${leaderRelease.id}/highscores`, { score, version: '1.0.0', _file: leaderFile.id })
+				.then(res => res.expectStatus(201));
+			memberScore = (await submit('member', 1000)).data;
+			await submit('member', 500);
+			await submit('member2', 2000);
+		});
+
+		it('should only list the best score of each player', async () => {
+			res = await api.get(`/v1/releases/${leaderRelease.id}/highscores`).then(res => res.expectStatus(200));
+			expect(res.data).to.have.length(1);
+			expect(res.data[0].version).to.be('1.0.0');
+			expect(res.data[0].file.id).to.be(leaderFile.id);
+			expect(res.data[0].highscores.map(h => h.score)).to.eql([2000, 1000]);
+			expect(res.data[0].highscores.map(h => h.rank)).to.eql([1, 2]);
+			expect(res.data[0].highscores[0].player.id).to.be(api.getUser('member2').id);
+		});
+
+		it('should list the leaderboards of all releases of a game', async () => {
+			res = await api.get(`/v1/games/${leaderRelease.game.id}/highscores`).then(res => res.expectStatus(200));
+			expect(res.data).to.have.length(1);
+			expect(res.data[0].release.id).to.be(leaderRelease.id);
+			expect(res.data[0].highscores).to.have.length(2);
+		});
+
+		it('should fail for an invalid date', async () => {
+			await api.withQuery({ from: 'yesterday' })
+				.get(`/v1/releases/${leaderRelease.id}/highscores`)
+				.then(res => res.expectError(400, 'invalid date'));
+		});
+
+		it('should list no scores for a period without scores', async () => {
+			res = await api.withQuery({ to: '2000-01-01' })
+				.get(`/v1/releases/${leaderRelease.id}/highscores`)
+				.then(res => res.expectStatus(200));
+			expect(res.data).to.be.empty();
+		});
+
+		it('should fail verifying a score as a member', async () => {
+			await api.as('member2')
+				.post(`/v1/highscores/${memberScore.id}/verify`, {})
+				.then(res => res.expectError(403));
+		});
+
+		it('should only list verified scores when requested', async () => {
+			res = await api.as('moderator')
+				.post(`/v1/highscores/${memberScore.id}/verify`, {})
+				.then(res => res.expectStatus(200));
+			expect(res.data.is_verified).to.be(true);
+			expect(res.data.verified_by.id).to.be(api.getUser('moderator').id);
+
+			res = await api.withQuery({ verified: 'true' })
+				.get(`/v1/releases/${leaderRelease.id}/highscores`)
+				.then(res => res.expectStatus(200));
+			expect(res.data[0].highscores).to.have.length(1);
+			expect(res.data[0].highscores[0].id).to.be(memberScore.id);
+		});
+	});
+
+	describe('when deleting a score', () => {
+
+		it('should fail as a different member', async () => {
+			res = await api.as('member')
+				.markTeardown('id', '/v1/highscores')
+				.post(`/v1/releases/${release.id}/highscores`, { score: 100, version: '1.0.0', _file: tableFile.id })
+				.then(res => res.expectStatus(201));
+			await api.as('member2')
+				.del(`/v1/highscores/${res.data.id}`)
+				.then(res => res.expectError(403, 'must be owner'));
+		});
+
+		it('should succeed as the player', async () => {
+			res = await api.as('member')
+				.post(`/v1/releases/${release.id}/highscores`, { score: 100, version: '1.0.0', _file: tableFile.id })
+				.then(res => res.expectStatus(201));
+			await api.as('member').del(`/v1/highscores/${res.data.id}`).then(res => res.expectStatus(204));
+			await api.get(`/v1/highscores/${res.data.id}`).then(res => res.expectError(404));
+		});
+	});
+});
@@ -0,0 +1,311 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { extend, pick } from 'lodash';
+import sanitize = require('mongo-sanitize');
+import { Types } from 'mongoose';
+
+import { acl } from '../common/acl';
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { Context } from '../common/typings/context';
+import { FileDocument } from '../files/file.document';
+import { GameDocument } from '../games/game.document';
+import { LogEventUtil } from '../log-event/log.event.util';
+import { ReleaseDocument } from '../releases/release.document';
+import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+import { HighscoreDocument } from './highscore.document';
+
+export class HighscoreApi extends Api {
+
+	/**
+	 * Submits a new score for a table file of a release.
+	 *
+	 * @see POST /v1/releases/:id/highscores
+	 * @param {Context} ctx Koa context
+	 */
+	public async create(ctx: Context) {
+
+		const now = new Date();
+		const release = await state.models.Release.findOne({ id: sanitize(ctx.params.id) })
+			.populate('_game')
+			.populate('versions.files._file')
+			.exec();
+		if (!release) {
+			throw new ApiError('No such release with ID "%s".', ctx.params.id).status(404);
+		}
+		await release.assertRestrictedView(ctx);
+		await release.assertModeratedView(ctx);
+
+		const highscore = await state.models.Highscore.getInstance(ctx.state, extend(pick(ctx.request.body, ['score', 'version', '_file', '_proof', 'notes']), {
+			_release: release._id,
+			_game: (release._game as GameDocument)._id,
+			_player: ctx.state.user._id,
+			_created_by: ctx.state.user._id,
+			achieved_at: ctx.request.body.achieved_at || now,
+			created_at: now,
+		}));
+
+		// the file must be a table of the given release version
+		const version = release.versions.find(v => v.version === highscore.version);
+		if (highscore.version && !version) {
+			highscore.invalidate('version', 'No such version in release "' + release.id + '".', highscore.version);
+		}
+		if (version && highscore._file) {
+			const versionFile = version.files.find(f => (f._file as FileDocument)._id.equals(highscore._file as Types.ObjectId));
+			if (!versionFile || (versionFile._file as FileDocument).getMimeCategory() !== 'table') {
+				highscore.invalidate('_file', 'Must be a table file of version "' + version.version + '".', ctx.request.body._file);
+			}
+		}
+
+		// proof must be the player's
+		if (highscore._proof) {
+			const proof = await state.models.File.findById(highscore._proof).exec();
+			if (proof && !(proof._created_by as Types.ObjectId).equals(ctx.state.user._id)) {
+				highscore.invalidate('_proof', 'Proof must be uploaded by the player.', ctx.request.body._proof);
+			}
+		}
+
+		await highscore.validate();
+		await highscore.save();
+		await highscore.activateFiles();
+		logger.info(ctx.state, '[HighscoreApi.create] Score %s for release "%s" successfully submitted.', highscore.score, release.id);
+
+		const populatedHighscore = await this.populate(highscore);
+		await LogEventUtil.log(ctx, 'submit_highscore', true, {
+			highscore: state.serializers.Highscore.simple(ctx, populatedHighscore),
+			release: state.serializers.Release.reduced(ctx, release),
+			game: state.serializers.Game.reduced(ctx, release._game as GameDocument),
+		}, {
+			release: release._id,
+			game: (release._game as GameDocument)._id,
+		});
+
+		this.success(ctx, state.serializers.Highscore.detailed(ctx, populatedHighscore), 201);
+	}
+
+	/**
+	 * Returns the leaderboards of a release or of all releases of a game.
+	 *
+	 * There is one leaderboard per table file and release version, listing
+	 * the best score of each player.
+	 *
+	 * @see GET /v1/releases/:id/highscores
+	 * @see GET /v1/games/:gameId/highscores
+	 * @param {Context} ctx Koa context
+	 */
+	public async leaderboards(ctx: Context) {
+
+		const limit = Math.min(Math.max(parseInt(ctx.query.limit, 10) || 10, 1), 100);
+		let releases: ReleaseDocument[] = [];
+
+		if (ctx.params.gameId) {
+			const game = await state.models.Game.findOne({ id: sanitize(ctx.params.gameId) }).exec();
+			if (!game) {
+				throw new ApiError('No such game with ID "%s".', ctx.params.gameId).status(404);
+			}
+			const query = await state.models.Release.applyRestrictions(ctx, state.models.Release.approvedQuery({ _game: game._id }));
+			if (query) {
+				releases = await state.models.Release.find(query).populate('versions.files._file').sort({ released_at: -1 }).exec();
+			}
+
+		} else {
+			const release = await state.models.Release.findOne({ id: sanitize(ctx.params.id) })
+				.populate('_game')
+				.populate('versions.files._file')
+				.exec();
+			if (!release) {
+				throw new ApiError('No such release with ID "%s".', ctx.params.id).status(404);
+			}
+			await release.assertRestrictedView(ctx);
+			await release.assertModeratedView(ctx);
+			releases = [release];
+		}
+
+		// filters
+		const match: any = { _release: { $in: releases.map(r => r._id) } };
+		if (ctx.query.version) {
+			match.version = String(ctx.query.version);
+		}
+		if (ctx.query.file) {
+			const file = await state.models.File.findOne({ id: sanitize(ctx.query.file) }).exec();
+			match._file = file ? file._id : null;
+		}
+		if (ctx.query.verified === 'true') {
+			match.is_verified = true;
+		}
+		if (ctx.query.from || ctx.query.to) {
+			match.achieved_at = {};
+			if (ctx.query.from) {
+				match.achieved_at.$gte = this.parseDate(ctx.query.from, 'from');
+			}
+			if (ctx.query.to) {
+				match.achieved_at.$lt = this.parseDate(ctx.query.to, 'to');
+			}
+		}
+
+		// best score per player and board
+		const results = await state.models.Highscore.aggregate([
+			{ $match: match },
+			{ $sort: { score: -1, achieved_at: 1 } },
+			{ $group: { _id: { release: '$_release', version: '$version', file: '$_file', player: '$_player' }, highscore: { $first: '$$ROOT' } } },
+		]).exec();
+		const highscores = await state.models.Highscore.populate(
+			results.map((r: any) => state.models.Highscore.hydrate(r.highscore)), { path: '_player' }) as HighscoreDocument[];
+
+		// group by board, in the order of the releases
+		const leaderboards: Leaderboard[] = [];
+		for (const release of releases) {
+			for (const version of release.versions) {
+				for (const versionFile of version.files) {
+					const file = versionFile._file as FileDocument;
+					const boardScores = highscores
+						.filter(h => (h._release as Types.ObjectId).equals(release._id) && h.version === version.version && (h._file as Types.ObjectId).equals(file._id))
+						.sort((a, b) => b.score - a.score || a.achieved_at.getTime() - b.achieved_at.getTime())
+						.slice(0, limit);
+					if (boardScores.length === 0) {
+						continue;
+					}
+					let rank = 0;
+					leaderboards.push({
+						release: state.serializers.Release.reduced(ctx, release),
+						version: version.version,
+						file: state.serializers.File.reduced(ctx, file),
+						highscores: boardScores.map((highscore, index) => {
+							rank = index > 0 && highscore.score === boardScores[index - 1].score ? rank : index + 1;
+							return extend(state.serializers.Highscore.reduced(ctx, highscore), { rank });
+						}),
+					});
+				}
+			}
+		}
+		this.success(ctx, leaderboards);
+	}
+
+	/**
+	 * Returns the details of a score.
+	 *
+	 * @see GET /v1/highscores/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async view(ctx: Context) {
+		const highscore = await this.getHighscore(ctx);
+		this.success(ctx, state.serializers.Highscore.detailed(ctx, await this.populate(highscore)));
+	}
+
+	/**
+	 * Marks a score as verified or unverified.
+	 *
+	 * @see POST /v1/highscores/:id/verify
+	 * @param {Context} ctx Koa context
+	 */
+	public async verify(ctx: Context) {
+		const highscore = await this.getHighscore(ctx);
+		const isVerified = ctx.request.body.is_verified !== false;
+
+		highscore.is_verified = isVerified;
+		highscore.verified_at = isVerified ? new Date() : undefined;
+		highscore._verified_by = isVerified ? ctx.state.user._id : undefined;
+		await highscore.save();
+		logger.info(ctx.state, '[HighscoreApi.verify] Score "%s" %s.', highscore.id, isVerified ? 'verified' : 'unverified');
+
+		const populatedHighscore = await this.populate(highscore);
+		await LogEventUtil.log(ctx, 'verify_highscore', false, {
+			highscore: state.serializers.Highscore.simple(ctx, populatedHighscore),
+			is_verified: isVerified,
+		}, {
+			release: (populatedHighscore._release as ReleaseDocument)._id,
+			game: (populatedHighscore._game as GameDocument)._id,
+			user: (populatedHighscore._player as UserDocument)._id,
+		});
+
+		this.success(ctx, state.serializers.Highscore.detailed(ctx, populatedHighscore));
+	}
+
+	/**
+	 * Deletes a score.
+	 *
+	 * @see DELETE /v1/highscores/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async del(ctx: Context) {
+		const canDelete = await acl.isAllowed(ctx.state.user.id, 'highscores', 'delete');
+		const highscore = await this.getHighscore(ctx);
+
+		// only allow deleting own scores
+		if (!canDelete && !(highscore._player as Types.ObjectId).equals(ctx.state.user._id)) {
+			throw new ApiError('Permission denied, must be owner.').status(403);
+		}
+		await highscore.remove();
+		logger.info(ctx.state, '[HighscoreApi.del] Score "%s" successfully deleted.', highscore.id);
+		this.success(ctx, null, 204);
+	}
+
+	/**
+	 * Retrieves a score whose release is visible to the user.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {Promise<HighscoreDocument>} Score with populated release
+	 */
+	private async getHighscore(ctx: Context): Promise<HighscoreDocument> {
+		const highscore = await state.models.Highscore.findOne({ id: sanitize(ctx.params.id) })
+			.populate({ path: '_release', populate: { path: '_game' } })
+			.exec();
+		if (!highscore) {
+			throw new ApiError('No such score with ID "%s".', ctx.params.id).status(404);
+		}
+		await (highscore._release as ReleaseDocument).assertRestrictedView(ctx);
+		await (highscore._release as ReleaseDocument).assertModeratedView(ctx);
+		return highscore;
+	}
+
+	/**
+	 * Populates all references of a score.
+	 *
+	 * @param {HighscoreDocument} highscore Score
+	 * @return {Promise<HighscoreDocument>} Populated score
+	 */
+	private async populate(highscore: HighscoreDocument): Promise<HighscoreDocument> {
+		return highscore.populate('_release _game _file _proof _player _verified_by').execPopulate();
+	}
+
+	/**
+	 * Parses a date from the query.
+	 *
+	 * @param {string} value Value of the query parameter
+	 * @param {string} name Name of the query parameter
+	 * @return {Date} Parsed date
+	 */
+	private parseDate(value: string, name: string): Date {
+		const date = new Date(value);
+		if (isNaN(date.getTime())) {
+			throw new ApiError('Invalid date "%s" for parameter "%s".', value, name).status(400);
+		}
+		return date;
+	}
+}
+
+interface Leaderboard {
+	release: ReleaseDocument;
+	version: string;
+	file: FileDocument;
+	highscores: HighscoreDocument[];
+}
@@ -0,0 +1,52 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { FileReferenceDocument, PrettyIdDocument, Types } from 'mongoose';
+
+import { FileDocument } from '../files/file.document';
+import { GameDocument } from '../games/game.document';
+import { ReleaseDocument } from '../releases/release.document';
+import { UserDocument } from '../users/user.document';
+
+export interface HighscoreDocument extends PrettyIdDocument, FileReferenceDocument {
+	id: string;
+	score: number;
+	_release: ReleaseDocument | Types.ObjectId;
+	_game: GameDocument | Types.ObjectId;
+	version: string;
+	_file: FileDocument | Types.ObjectId;
+	_proof?: FileDocument | Types.ObjectId;
+	notes?: string;
+	is_verified: boolean;
+	verified_at?: Date;
+	_verified_by?: UserDocument | Types.ObjectId;
+	achieved_at: Date;
+	created_at: Date;
+	_player: UserDocument | Types.ObjectId;
+	_created_by: UserDocument | Types.ObjectId;
+
+	// serialized
+	release: ReleaseDocument;
+	game: GameDocument;
+	file: FileDocument;
+	proof: FileDocument;
+	player: UserDocument;
+	verified_by: UserDocument;
+	rank: number;
+}
@@ -0,0 +1,72 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { PaginateModel, PrettyIdModel, Schema } from 'mongoose';
+import paginatePlugin = require('mongoose-paginate');
+
+import { fileReferencePlugin } from '../common/mongoose/file.reference.plugin';
+import { prettyIdPlugin } from '../common/mongoose/pretty.id.plugin';
+import { HighscoreDocument } from './highscore.document';
+
+const shortId = require('shortid32');
+
+//-----------------------------------------------------------------------------
+// SCHEMA
+//-----------------------------------------------------------------------------
+export const highscoreFields = {
+	id: { type: String, required: true, unique: true, default: shortId.generate },
+	score: { type: Number, required: 'Score must be provided.' },
+	_release: { type: Schema.Types.ObjectId, required: true, ref: 'Release', index: true },
+	_game: { type: Schema.Types.ObjectId, required: true, ref: 'Game', index: true },
+	version: { type: String, required: 'Release version must be provided.' },
+	_file: { type: Schema.Types.ObjectId, ref: 'File', required: 'Reference to the table file must be provided.' },
+	_proof: { type: Schema.Types.ObjectId, ref: 'File' },
+	notes: { type: String },
+	is_verified: { type: Boolean, required: true, default: false },
+	verified_at: { type: Date },
+	_verified_by: { type: Schema.Types.ObjectId, ref: 'User' },
+	achieved_at: { type: Date, required: true },
+	created_at: { type: Date, required: true },
+	_player: { type: Schema.Types.ObjectId, required: true, ref: 'User', index: true },
+	_created_by: { type: Schema.Types.ObjectId, required: true, ref: 'User' },
+};
+export interface HighscoreModel extends PrettyIdModel<HighscoreDocument>, PaginateModel<HighscoreDocument> { }
+export const highscoreSchema = new Schema(highscoreFields, { toObject: { virtuals: true, versionKey: false } });
+highscoreSchema.index({ _release: 1, version: 1, _file: 1, score: -1 });
+
+//-----------------------------------------------------------------------------
+// PLUGINS
+//-----------------------------------------------------------------------------
+highscoreSchema.plugin(prettyIdPlugin, { model: 'Highscore', ignore: ['_release', '_game', '_player', '_created_by', '_verified_by'], validations: [
+	{ path: '_proof', fileType: 'highscore', message: 'Must be a file of type "highscore".' },
+] });
+// the table file belongs to the release and must neither be validated as inactive nor removed with the score
+highscoreSchema.plugin(fileReferencePlugin, { ignore: ['_file'] });
+highscoreSchema.plugin(paginatePlugin);
+
+//-----------------------------------------------------------------------------
+// VALIDATIONS
+//-----------------------------------------------------------------------------
+highscoreSchema.path('score').validate((score: any) => {
+	return Number.isSafeInteger(score) && score >= 0;
+}, 'Score must be a positive integer.');
+
+highscoreSchema.path('achieved_at').validate((achievedAt: Date) => {
+	return achievedAt.getTime() <= Date.now() + 60000;
+}, 'Date must not be in the future.');
@@ -0,0 +1,98 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { assign, pick } from 'lodash';
+
+import { Serializer, SerializerLevel, SerializerOptions, SerializerReference } from '../common/serializer';
+import { Context } from '../common/typings/context';
+import { ModelName } from '../common/typings/models';
+import { FileDocument } from '../files/file.document';
+import { GameDocument } from '../games/game.document';
+import { ReleaseDocument } from '../releases/release.document';
+import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+import { HighscoreDocument } from './highscore.document';
+
+export class HighscoreSerializer extends Serializer<HighscoreDocument> {
+
+	public readonly modelName: ModelName = 'Highscore';
+	public readonly references: { [level in SerializerLevel]: SerializerReference[] } = {
+		reduced: [
+			{ path: 'player', modelName: 'User', level: 'reduced' },
+		],
+		simple: [
+			{ path: 'player', modelName: 'User', level: 'reduced' },
+			{ path: 'release', modelName: 'Release', level: 'reduced' },
+			{ path: 'game', modelName: 'Game', level: 'reduced' },
+			{ path: 'file', modelName: 'File', level: 'reduced' },
+			{ path: 'proof', modelName: 'File', level: 'simple' },
+		],
+		detailed: [
+			{ path: 'player', modelName: 'User', level: 'reduced' },
+			{ path: 'release', modelName: 'Release', level: 'reduced' },
+			{ path: 'game', modelName: 'Game', level: 'reduced' },
+			{ path: 'file', modelName: 'File', level: 'reduced' },
+			{ path: 'proof', modelName: 'File', level: 'simple' },
+			{ path: 'verified_by', modelName: 'User', level: 'reduced' },
+		],
+	};
+
+	protected _reduced(ctx: Context, doc: HighscoreDocument, opts: SerializerOptions): HighscoreDocument {
+		const highscore = pick(doc, ['id', 'score', 'is_verified', 'achieved_at']) as HighscoreDocument;
+
+		// player
+		if (this._populated(doc, '_player')) {
+			highscore.player = state.serializers.User.reduced(ctx, doc._player as UserDocument, opts);
+		}
+		return highscore;
+	}
+
+	protected _simple(ctx: Context, doc: HighscoreDocument, opts: SerializerOptions): HighscoreDocument {
+		const highscore = this._reduced(ctx, doc, opts);
+		assign(highscore, pick(doc, ['version', 'notes', 'created_at']));
+
+		// release and game
+		if (this._populated(doc, '_release')) {
+			highscore.release = state.serializers.Release.reduced(ctx, doc._release as ReleaseDocument, opts);
+		}
+		if (this._populated(doc, '_game')) {
+			highscore.game = state.serializers.Game.reduced(ctx, doc._game as GameDocument, opts);
+		}
+
+		// files
+		if (this._populated(doc, '_file')) {
+			highscore.file = state.serializers.File.reduced(ctx, doc._file as FileDocument, opts);
+		}
+		if (this._populated(doc, '_proof')) {
+			highscore.proof = state.serializers.File.simple(ctx, doc._proof as FileDocument, opts);
+		}
+		return highscore;
+	}
+
+	protected _detailed(ctx: Context, doc: HighscoreDocument, opts: SerializerOptions): HighscoreDocument {
+		const highscore = this._simple(ctx, doc, opts);
+
+		// verification
+		highscore.verified_at = doc.verified_at;
+		if (this._populated(doc, '_verified_by')) {
+			highscore.verified_by = state.serializers.User.reduced(ctx, doc._verified_by as UserDocument, opts);
+		}
+		return highscore;
+	}
+}
@@ -78,10 +78,19 @@ shortId.characters('123456789abcdefghkmnopqrstuvwxyz');
 		// setup ACLs
 		await initAcls();
 
+		// make sure content of deleted accounts can be transferred
+		if (config.vpdb.accountDeletion.content === 'transfer' && !(await state.models.User.findOne({ id: config.vpdb.accountDeletion.transferTo }).exec())) {
+			throw new Error('Cannot find user "' + config.vpdb.accountDeletion.transferTo + '" to transfer content of deleted accounts to.');
+		}
+
 		// cleanup inactive storage
 		logger.info(null, '[app] Cleaning up inactive storage files older than one week.');
 		await FileUtil.cleanup(3600000 * 24 * 7);
 
+		// cleanup abandoned uploads and cached release bundles, now and then every hour
+		await cleanupTemporaryFiles();
+		setInterval(() => cleanupTemporaryFiles().catch(err => logger.error(null, err)), 3600000).unref();
+
 		// go!
 		server.start();
 
@@ -90,3 +99,17 @@ shortId.characters('123456789abcdefghkmnopqrstuvwxyz');
 		logger.error(null, err);
 	}
 })();
+
+/**
+ * Removes resumable uploads untouched for one day and release bundles
+ * older than one week.
+ *
+ * @returns {Promise<void>}
+ */
+async function cleanupTemporaryFiles(): Promise<void> {
+	logger.info(null, '[app] Cleaning up resumable uploads untouched for one day.');
+	await FileUtil.cleanupUploads(3600000 * 24);
+
+	logger.info(null, '[app] Cleaning up release bundles not served for one week or exceeding the cache size.');
+	await FileUtil.cleanupBundles(3600000 * 24 * 7, config.vpdb.storage.bundleCacheSize);
+}
@@ -22,7 +22,7 @@ import paginatePlugin = require('mongoose-paginate');
 import { LogEventDocument } from './log.event.document';
 
 // also update slackbot when adding new events
-const events = [
+export const events = [
 	'create_comment', 'create_moderated_comment', 'update_comment',
 	'star_game', 'star_release', 'star_user',
 	'unstar_game', 'unstar_release', 'unstar_user',
@@ -35,6 +35,7 @@ const events = [
 	'moderate',
 	'create_game_request', 'update_game_request', 'delete_game_request',
 	'download_file', 'download_release',
+	'submit_highscore', 'verify_highscore',
 ];
 
 //-----------------------------------------------------------------------------
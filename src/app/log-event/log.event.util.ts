@@ -17,18 +17,23 @@
  * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
  */
 
-import { isEqual, isObject, keys, pick, reduce } from 'lodash';
+import { isEqual, isObject, keys, pick, reduce, uniq } from 'lodash';
 
+import { BackglassDocument } from '../backglasses/backglass.document';
+import { realtime } from '../clients/realtime';
 import { slackbot } from '../common/slackbot';
 import { Context } from '../common/typings/context';
+import { ReleaseDocument } from '../releases/release.document';
 import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+import { webhookQueue } from '../webhooks/webhook.queue';
+import { LogEventDocument } from './log.event.document';
 
 export class LogEventUtil {
 
-	public static async log(ctx: Context, event: string, isPublic: boolean, payload: any, ref: any) {
-		const actor = ctx.state.user ? ctx.state.user._id : null;
+	public static async log(ctx: Context, event: string, isPublic: boolean, payload: any, ref: any, actor: UserDocument | null = ctx.state.user) {
 		let log = new state.models.LogEvent({
-			_actor: actor,
+			_actor: actor ? actor._id : null,
 			_ref: ref,
 			event,
 			payload,
@@ -41,6 +46,49 @@ export class LogEventUtil {
 
 		// noinspection JSIgnoredPromiseFromCall
 		slackbot.logEvent(ctx, log);
+
+		// noinspection JSIgnoredPromiseFromCall
+		realtime.logEvent(ctx, log);
+
+		// noinspection JSIgnoredPromiseFromCall
+		webhookQueue.dispatch(ctx, log);
+	}
+
+	/**
+	 * Computes which users are involved in a log event, i.e. who should
+	 * receive it even if it's not public.
+	 *
+	 * That's the actor, the referenced user, and for moderation events,
+	 * the creator of the moderated entity.
+	 *
+	 * @param log Log event
+	 * @return User IDs
+	 */
+	public static async getRecipients(log: LogEventDocument): Promise<string[]> {
+		const userIds: string[] = [];
+		// automatic moderation is logged without actor
+		const actor = log._actor ? await state.models.User.findById((log._actor as UserDocument)._id || log._actor).exec() : null;
+		if (actor) {
+			userIds.push(actor.id);
+		}
+		if (log._ref && log._ref.user) {
+			const user = await state.models.User.findById((log._ref.user as UserDocument)._id || log._ref.user).exec();
+			if (user) {
+				userIds.push(user.id);
+			}
+		}
+		if (log.event === 'moderate' && log._ref) {
+			let entity: ReleaseDocument | BackglassDocument;
+			if (log._ref.release) {
+				entity = await state.models.Release.findById((log._ref.release as ReleaseDocument)._id || log._ref.release).populate('_created_by').exec();
+			} else if (log._ref.backglass) {
+				entity = await state.models.Backglass.findById((log._ref.backglass as BackglassDocument)._id || log._ref.backglass).populate('_created_by').exec();
+			}
+			if (entity && entity._created_by) {
+				userIds.push((entity._created_by as UserDocument).id);
+			}
+		}
+		return uniq(userIds);
 	}
 
 	public static diff(fromDB: { [key: string]: any }, fromAPI: { [key: string]: any }) {
@@ -0,0 +1,42 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import * as Router from 'koa-router';
+import { ApiRouter } from '../common/api.router';
+import { Scope } from '../common/scope';
+import { ModerationApi } from './moderation.api';
+
+export class ModerationApiRouter implements ApiRouter {
+
+	private readonly router: Router;
+
+	constructor() {
+		const api = new ModerationApi();
+		this.router = api.apiRouter();
+
+		this.router.get('/v1/moderation/queue',                  api.auth(api.queue.bind(api), 'moderation', 'view', [ Scope.ALL ]));
+		this.router.post('/v1/moderation/queue/:type/:id/claim',   api.auth(api.claim.bind(api), 'moderation', 'claim', [ Scope.ALL ]));
+		this.router.delete('/v1/moderation/queue/:type/:id/claim', api.auth(api.unclaim.bind(api), 'moderation', 'claim', [ Scope.ALL ]));
+		this.router.get('/v1/moderation/stats',                  api.auth(api.stats.bind(api), 'moderation', 'view', [ Scope.ALL ]));
+	}
+
+	public getRouter(): Router {
+		return this.router;
+	}
+}
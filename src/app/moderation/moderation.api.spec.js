@@ -0,0 +1,168 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+"use strict"; /* global describe, before, after, it */
+
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The VPDB `moderation` API', () => {
+
+	let release, backglass;
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: [ 'member' ] },
+			moderator: { roles: [ 'moderator' ] },
+			moderator2: { roles: [ 'moderator' ] },
+		});
+		release = await api.releaseHelper.createRelease('member');
+		backglass = await api.releaseHelper.createDirectB2S('member');
+	});
+
+	after(async () => await api.teardown());
+
+	const findItem = (res, type, id) => res.data.find(i => i.type === type && i.item.id === id);
+
+	describe('when listing the queue', () => {
+
+		it('should fail as member', async () => {
+			await api.as('member').get('/v1/moderation/queue').then(res => res.expectStatus(403));
+		});
+
+		it('should fail with an invalid type', async () => {
+			await api.as('moderator').withQuery({ types: 'release,foo' }).get('/v1/moderation/queue').then(res => res.expectError(400, 'invalid type "foo"'));
+		});
+
+		it('should fail with an invalid claim filter', async () => {
+			await api.as('moderator').withQuery({ claim: 'foo' }).get('/v1/moderation/queue').then(res => res.expectError(400, 'invalid claim filter'));
+		});
+
+		it('should list pending releases and backglasses', async () => {
+			const res = await api.as('moderator').withQuery({ per_page: 100 }).get('/v1/moderation/queue').then(res => res.expectStatus(200));
+			const releaseItem = findItem(res, 'release', release.id);
+			expect(releaseItem).to.be.ok();
+			expect(releaseItem.priority).to.be('normal');
+			expect(releaseItem.age).to.be.within(0, 600);
+			expect(releaseItem.sla.is_overdue).to.be(false);
+			expect(releaseItem.claim).to.be(null);
+			expect(findItem(res, 'backglass', backglass.id)).to.be.ok();
+		});
+
+		it('should only list the requested types', async () => {
+			const res = await api.as('moderator').withQuery({ types: 'backglass', per_page: 100 }).get('/v1/moderation/queue').then(res => res.expectStatus(200));
+			expect(res.data.filter(i => i.type !== 'backglass')).to.be.empty();
+			expect(findItem(res, 'backglass', backglass.id)).to.be.ok();
+		});
+
+		it('should not list approved items', async () => {
+			const approved = await api.releaseHelper.createRelease('moderator');
+			const res = await api.as('moderator').withQuery({ per_page: 100 }).get('/v1/moderation/queue').then(res => res.expectStatus(200));
+			expect(findItem(res, 'release', approved.id)).to.not.be.ok();
+		});
+	});
+
+	describe('when claiming an item', () => {
+
+		it('should fail for a non-existent item', async () => {
+			await api.as('moderator').post('/v1/moderation/queue/release/nonexistent/claim', {}).then(res => res.expectError(404, 'no such release'));
+		});
+
+		it('should fail for an approved item', async () => {
+			const approved = await api.releaseHelper.createRelease('moderator');
+			await api.as('moderator').post('/v1/moderation/queue/release/' + approved.id + '/claim', {}).then(res => res.expectError(400, 'not pending'));
+		});
+
+		it('should fail when assigning to a non-moderator', async () => {
+			await api.as('moderator')
+				.post('/v1/moderation/queue/backglass/' + backglass.id + '/claim', { _user: api.getUser('member').id })
+				.then(res => res.expectValidationError('_user', 'must be a moderator'));
+		});
+
+		it('should succeed and filter by claimant', async () => {
+			const res = await api.as('moderator').post('/v1/moderation/queue/release/' + release.id + '/claim', {}).then(res => res.expectStatus(200));
+			expect(res.data.claim.claimed_by.id).to.be(api.getUser('moderator').id);
+			expect(res.data.claim.assigned_by).to.not.be.ok();
+
+			const mine = await api.as('moderator').withQuery({ claim: 'mine' }).get('/v1/moderation/queue').then(res => res.expectStatus(200));
+			expect(findItem(mine, 'release', release.id)).to.be.ok();
+			const unclaimed = await api.as('moderator').withQuery({ claim: 'unclaimed', per_page: 100 }).get('/v1/moderation/queue').then(res => res.expectStatus(200));
+			expect(findItem(unclaimed, 'release', release.id)).to.not.be.ok();
+		});
+
+		it('should fail when already claimed by another moderator', async () => {
+			await api.as('moderator2').post('/v1/moderation/queue/release/' + release.id + '/claim', {}).then(res => res.expectError(409, 'already claimed'));
+		});
+
+		it('should succeed assigning to another moderator', async () => {
+			const res = await api.as('moderator')
+				.post('/v1/moderation/queue/release/' + release.id + '/claim', { _user: api.getUser('moderator2').id })
+				.then(res => res.expectStatus(200));
+			expect(res.data.claim.claimed_by.id).to.be(api.getUser('moderator2').id);
+			expect(res.data.claim.assigned_by.id).to.be(api.getUser('moderator').id);
+		});
+
+		it('should succeed releasing the claim', async () => {
+			const item = await api.releaseHelper.createDirectB2S('member');
+			await api.as('moderator').post('/v1/moderation/queue/backglass/' + item.id + '/claim', {}).then(res => res.expectStatus(200));
+			await api.as('moderator').del('/v1/moderation/queue/backglass/' + item.id + '/claim').then(res => res.expectStatus(204));
+			const res = await api.as('moderator').withQuery({ claim: 'unclaimed', per_page: 100 }).get('/v1/moderation/queue').then(res => res.expectStatus(200));
+			expect(findItem(res, 'backglass', item.id)).to.be.ok();
+		});
+
+		it('should remove the item from the queue when moderated', async () => {
+			const item = await api.releaseHelper.createRelease('member');
+			await api.as('moderator').post('/v1/moderation/queue/release/' + item.id + '/claim', {}).then(res => res.expectStatus(200));
+			await api.as('moderator').post('/v1/releases/' + item.id + '/moderate', { action: 'approve' }).then(res => res.expectStatus(200));
+			const res = await api.as('moderator').withQuery({ claim: 'mine' }).get('/v1/moderation/queue').then(res => res.expectStatus(200));
+			expect(findItem(res, 'release', item.id)).to.not.be.ok();
+		});
+	});
+
+	describe('when retrieving statistics', () => {
+
+		it('should fail with an invalid date', async () => {
+			await api.as('moderator').withQuery({ from: 'yesterday' }).get('/v1/moderation/stats').then(res => res.expectError(400, 'invalid date'));
+		});
+
+		it('should fail with an invalid end date', async () => {
+			await api.as('moderator').withQuery({ to: 'tomorrow' }).get('/v1/moderation/stats').then(res => res.expectError(400, 'parameter "to"'));
+		});
+
+		it('should count the events of a moderator', async () => {
+			const item = await api.releaseHelper.createRelease('member');
+			await api.as('moderator2').post('/v1/releases/' + item.id + '/moderate', { action: 'refuse', message: 'Nope.' }).then(res => res.expectStatus(200));
+			const res = await api.as('moderator').get('/v1/moderation/stats').then(res => res.expectStatus(200));
+			const stats = res.data.moderators.find(m => m.user.id === api.getUser('moderator2').id);
+			expect(stats).to.be.ok();
+			expect(stats.refused).to.be(1);
+			expect(stats.claimed).to.be(1);
+			expect(stats.avg_response_time).to.be.a('number');
+		});
+
+		it('should not count auto-approvals', async () => {
+			const res = await api.as('moderator').get('/v1/moderation/stats').then(res => res.expectStatus(200));
+			const stats = res.data.moderators.find(m => m.user.id === api.getUser('moderator').id);
+			expect(stats.approved).to.be(1);
+		});
+	});
+});
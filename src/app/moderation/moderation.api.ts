@@ -0,0 +1,364 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { uniq } from 'lodash';
+import sanitize = require('mongo-sanitize');
+import { ModeratedDocument, ModeratedModel, Types } from 'mongoose';
+
+import { BackglassDocument } from '../backglasses/backglass.document';
+import { acl } from '../common/acl';
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { Context } from '../common/typings/context';
+import { ReleaseDocument } from '../releases/release.document';
+import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+
+/**
+ * Age in milliseconds after which a pending item gets a high priority, and
+ * after which it's overdue.
+ */
+const sla = { highPriority: 2 * 86400000, due: 7 * 86400000 };
+
+const queueTypes: { [T in ModerationQueueType]: ModerationQueueTypeDefinition } = {
+	release: {
+		modelName: 'Release',
+		resource: 'releases',
+		populate: ['_game', '_created_by', 'versions.files._file', 'versions.files._playfield_image', 'versions.files._compatibility', 'authors._user'],
+		serialize: (ctx, doc) => state.serializers.Release.simple(ctx, doc as ReleaseDocument),
+	},
+	backglass: {
+		modelName: 'Backglass',
+		resource: 'backglasses',
+		populate: ['_game', '_created_by', 'authors._user', 'versions._file'],
+		serialize: (ctx, doc) => state.serializers.Backglass.simple(ctx, doc as BackglassDocument),
+	},
+};
+
+export const moderationQueueTypes = Object.keys(queueTypes) as ModerationQueueType[];
+export const moderationPriorities: ModerationPriority[] = ['normal', 'high', 'overdue'];
+
+export class ModerationApi extends Api {
+
+	/**
+	 * Lists all entities waiting for moderation across all moderated models.
+	 *
+	 * Items are sorted by the time they are pending, oldest first. Items set
+	 * back to pending are counted from the last time they were.
+	 *
+	 * @see GET /v1/moderation/queue
+	 * @param {Context} ctx Koa context
+	 */
+	public async queue(ctx: Context) {
+
+		const pagination = this.pagination(ctx, 20, 100);
+		const now = Date.now();
+
+		// types
+		let types = moderationQueueTypes;
+		if (ctx.query.types) {
+			types = uniq(String(ctx.query.types).split(',').map(t => t.trim()) as ModerationQueueType[]);
+			const invalidTypes = types.filter(t => !moderationQueueTypes.includes(t));
+			if (invalidTypes.length > 0) {
+				throw new ApiError('Invalid type "%s". Valid types are: [ "%s" ].', invalidTypes[0], moderationQueueTypes.join('", "')).status(400);
+			}
+		}
+
+		// claim filter
+		const claimFilters = ['mine', 'claimed', 'unclaimed'];
+		if (ctx.query.claim && !claimFilters.includes(ctx.query.claim)) {
+			throw new ApiError('Invalid claim filter. Valid filters are: [ "%s" ].', claimFilters.join('", "')).status(400);
+		}
+
+		// priority filter
+		if (ctx.query.priority && !moderationPriorities.includes(ctx.query.priority)) {
+			throw new ApiError('Invalid priority. Valid priorities are: [ "%s" ].', moderationPriorities.join('", "')).status(400);
+		}
+
+		let entries: Array<{ type: ModerationQueueType, doc: ModeratedDocument, pendingSince: Date }> = [];
+		for (const type of types) {
+			const query: any = this.getModel(type).pendingQuery({});
+			switch (ctx.query.claim) {
+				case 'mine': query['moderation.claim._claimed_by'] = ctx.state.user._id; break;
+				case 'claimed': query['moderation.claim._claimed_by'] = { $ne: null }; break;
+				case 'unclaimed': query['moderation.claim._claimed_by'] = null; break;
+			}
+			const docs = await this.getModel(type).find(query).exec();
+			entries = [...entries, ...docs.map(doc => ({ type, doc, pendingSince: this.getPendingSince(doc) }))];
+		}
+		if (ctx.query.priority) {
+			entries = entries.filter(e => this.getPriority(now - e.pendingSince.getTime()) === ctx.query.priority);
+		}
+		entries.sort((a, b) => a.pendingSince.getTime() - b.pendingSince.getTime());
+
+		// only populate the current page
+		const page = entries.slice((pagination.page - 1) * pagination.perPage, pagination.page * pagination.perPage);
+		const items: ModerationQueueItem[] = [];
+		for (const entry of page) {
+			items.push(this.serializeItem(ctx, entry.type, await this.populate(entry.type, entry.doc), now));
+		}
+
+		logger.info(ctx.state, '[ModerationApi.queue] Found %s pending items in [ %s ].', entries.length, types.join(', '));
+		this.success(ctx, items, 200, this.paginationOpts(pagination, entries.length));
+	}
+
+	/**
+	 * Claims a pending item for the current user, or assigns it to another
+	 * moderator.
+	 *
+	 * Items already claimed by someone else can only be re-assigned
+	 * explicitly by providing the user.
+	 *
+	 * @see POST /v1/moderation/queue/:type/:id/claim
+	 * @param {Context} ctx Koa context
+	 */
+	public async claim(ctx: Context) {
+
+		const type = this.getType(ctx);
+		const doc = await this.getPendingItem(ctx, type);
+
+		let claimant: UserDocument = ctx.state.user;
+		if (ctx.request.body._user && ctx.request.body._user !== ctx.state.user.id) {
+			claimant = await state.models.User.findOne({ id: sanitize(ctx.request.body._user) }).exec();
+			if (!claimant) {
+				throw new ApiError().validationError('_user', 'No such user.', ctx.request.body._user);
+			}
+			const isModerator = await acl.isAllowed(claimant.id, queueTypes[type].resource, 'moderate');
+			if (!isModerator) {
+				throw new ApiError().validationError('_user', 'User must be a moderator.', ctx.request.body._user);
+			}
+		}
+
+		// without explicit user, only claim if not claimed by someone else already.
+		const condition: any = { _id: doc._id };
+		if (!ctx.request.body._user) {
+			condition.$or = [
+				{ 'moderation.claim._claimed_by': null },
+				{ 'moderation.claim._claimed_by': ctx.state.user._id },
+			];
+		}
+		const claim = {
+			_claimed_by: claimant._id,
+			_assigned_by: claimant._id.equals(ctx.state.user._id) ? undefined : ctx.state.user._id,
+			claimed_at: new Date(),
+		};
+		const claimed = await this.getModel(type).findOneAndUpdate(condition, { 'moderation.claim': claim }, { new: true }).exec();
+		if (!claimed) {
+			throw new ApiError('This %s is already claimed by another moderator.', type).status(409);
+		}
+
+		logger.info(ctx.state, '[ModerationApi.claim] %s "%s" claimed by <%s>.', type, doc.id, claimant.email);
+		this.success(ctx, this.serializeItem(ctx, type, await this.populate(type, claimed), Date.now()), 200);
+	}
+
+	/**
+	 * Releases the claim of a pending item.
+	 *
+	 * @see DELETE /v1/moderation/queue/:type/:id/claim
+	 * @param {Context} ctx Koa context
+	 */
+	public async unclaim(ctx: Context) {
+
+		const type = this.getType(ctx);
+		const doc = await this.getPendingItem(ctx, type);
+		if (!doc.moderation.claim || !doc.moderation.claim._claimed_by) {
+			throw new ApiError('This %s is not claimed.', type).status(400);
+		}
+		await this.getModel(type).updateOne({ _id: doc._id }, { $unset: { 'moderation.claim': 1 } }).exec();
+
+		logger.info(ctx.state, '[ModerationApi.unclaim] Claim of %s "%s" released.', type, doc.id);
+		this.success(ctx, null, 204);
+	}
+
+	/**
+	 * Returns per-moderator statistics computed from the moderation history.
+	 *
+	 * Auto-approvals are not counted. The response time is the time between
+	 * an item becoming pending and the moderator approving or refusing it.
+	 *
+	 * @see GET /v1/moderation/stats
+	 * @param {Context} ctx Koa context
+	 */
+	public async stats(ctx: Context) {
+
+		const to = ctx.query.to ? new Date(ctx.query.to) : new Date();
+		if (isNaN(to.getTime())) {
+			throw new ApiError('Invalid date "%s" for parameter "to".', ctx.query.to).status(400);
+		}
+		const from = ctx.query.from ? new Date(ctx.query.from) : new Date(to.getTime() - 30 * 86400000);
+		if (isNaN(from.getTime())) {
+			throw new ApiError('Invalid date "%s" for parameter "from".', ctx.query.from).status(400);
+		}
+
+		const stats = new Map<string, { events: { [key: string]: number }, responseTimes: number[], claimed: number }>();
+		const getStats = (userId: Types.ObjectId) => {
+			if (!stats.has(userId.toString())) {
+				stats.set(userId.toString(), { events: {}, responseTimes: [], claimed: 0 });
+			}
+			return stats.get(userId.toString());
+		};
+
+		for (const type of moderationQueueTypes) {
+			const model = this.getModel(type);
+			const docs = await model.find({ 'moderation.history.created_at': { $gte: from, $lte: to } }, 'created_at moderation').exec();
+			for (const doc of docs) {
+				let pendingSince = doc.moderation.auto_approved ? null : doc.created_at;
+				doc.moderation.history.forEach((event, index) => {
+					// the first event of an auto-approved item is the approval of the uploader
+					if (doc.moderation.auto_approved && index === 0) {
+						return;
+					}
+					const inRange = event.created_at >= from && event.created_at <= to && event._created_by;
+					if (inRange) {
+						const userStats = getStats(event._created_by as Types.ObjectId);
+						userStats.events[event.event] = (userStats.events[event.event] || 0) + 1;
+					}
+					switch (event.event) {
+						case 'pending':
+							pendingSince = event.created_at;
+							break;
+						case 'approved':
+						case 'refused':
+							if (inRange && pendingSince) {
+								getStats(event._created_by as Types.ObjectId).responseTimes.push(event.created_at.getTime() - pendingSince.getTime());
+							}
+							pendingSince = null;
+							break;
+					}
+				});
+			}
+			const claimedDocs = await model.find(model.pendingQuery({ 'moderation.claim._claimed_by': { $ne: null } }), 'moderation').exec();
+			for (const doc of claimedDocs) {
+				getStats(doc.moderation.claim._claimed_by as Types.ObjectId).claimed++;
+			}
+		}
+
+		const users = await state.models.User.find({ _id: { $in: [...stats.keys()] } }).exec();
+		const result = users.map(user => {
+			const userStats = stats.get(user._id.toString());
+			const responseTimes = userStats.responseTimes;
+			return {
+				user: state.serializers.User.reduced(ctx, user),
+				approved: userStats.events.approved || 0,
+				refused: userStats.events.refused || 0,
+				pending: userStats.events.pending || 0,
+				deleted: userStats.events.deleted || 0,
+				undeleted: userStats.events.undeleted || 0,
+				claimed: userStats.claimed,
+				avg_response_time: responseTimes.length
+					? Math.round(responseTimes.reduce((sum, t) => sum + t, 0) / responseTimes.length / 1000)
+					: null,
+			};
+		}).sort((a, b) => (b.approved + b.refused) - (a.approved + a.refused));
+
+		this.success(ctx, { from, to, moderators: result }, 200);
+	}
+
+	/**
+	 * Retrieves the queue type from the URL and validates it.
+	 */
+	private getType(ctx: Context): ModerationQueueType {
+		const type = ctx.params.type as ModerationQueueType;
+		if (!moderationQueueTypes.includes(type)) {
+			throw new ApiError('Invalid type "%s". Valid types are: [ "%s" ].', type, moderationQueueTypes.join('", "')).status(400);
+		}
+		return type;
+	}
+
+	/**
+	 * Retrieves a pending item from the URL.
+	 */
+	private async getPendingItem(ctx: Context, type: ModerationQueueType): Promise<ModeratedDocument> {
+		const doc = await this.getModel(type).findOne({ id: sanitize(ctx.params.id) }).exec();
+		if (!doc) {
+			throw new ApiError('No such %s with ID "%s".', type, ctx.params.id).status(404);
+		}
+		if (doc.moderation.is_approved || doc.moderation.is_refused || doc.moderation.is_deleted) {
+			throw new ApiError('This %s is not pending moderation.', type).status(400);
+		}
+		return doc;
+	}
+
+	private getModel(type: ModerationQueueType): ModeratedModel<ModeratedDocument> {
+		return state.getModel<ModeratedModel<ModeratedDocument>>(queueTypes[type].modelName);
+	}
+
+	private async populate(type: ModerationQueueType, doc: ModeratedDocument): Promise<ModeratedDocument> {
+		const paths = [...queueTypes[type].populate, 'moderation.claim._claimed_by', 'moderation.claim._assigned_by'];
+		return this.getModel(type).populate(doc, paths.map(path => ({ path })));
+	}
+
+	/**
+	 * Returns when an item was last set to pending.
+	 */
+	private getPendingSince(doc: ModeratedDocument): Date {
+		const pendingEvents = (doc.moderation.history || []).filter(h => h.event === 'pending');
+		return pendingEvents.length > 0 ? pendingEvents[pendingEvents.length - 1].created_at : doc.created_at;
+	}
+
+	private getPriority(age: number): ModerationPriority {
+		if (age >= sla.due) {
+			return 'overdue';
+		}
+		return age >= sla.highPriority ? 'high' : 'normal';
+	}
+
+	private serializeItem(ctx: Context, type: ModerationQueueType, doc: ModeratedDocument, now: number): ModerationQueueItem {
+		const pendingSince = this.getPendingSince(doc);
+		const age = now - pendingSince.getTime();
+		const claim = doc.moderation.claim && doc.moderation.claim._claimed_by ? doc.moderation.claim : null;
+		return {
+			type,
+			item: queueTypes[type].serialize(ctx, doc),
+			pending_since: pendingSince,
+			age: Math.round(age / 1000),
+			priority: this.getPriority(age),
+			sla: {
+				due_at: new Date(pendingSince.getTime() + sla.due),
+				is_overdue: age >= sla.due,
+			},
+			claim: claim ? {
+				claimed_by: state.serializers.User.reduced(ctx, claim._claimed_by as UserDocument),
+				assigned_by: claim._assigned_by ? state.serializers.User.reduced(ctx, claim._assigned_by as UserDocument) : undefined,
+				claimed_at: claim.claimed_at,
+			} : null,
+		};
+	}
+}
+
+export type ModerationQueueType = 'release' | 'backglass';
+export type ModerationPriority = 'normal' | 'high' | 'overdue';
+
+interface ModerationQueueTypeDefinition {
+	modelName: string;
+	resource: string;
+	populate: string[];
+	serialize: (ctx: Context, doc: ModeratedDocument) => any;
+}
+
+interface ModerationQueueItem {
+	type: ModerationQueueType;
+	item: any;
+	pending_since: Date;
+	age: number;
+	priority: ModerationPriority;
+	sla: { due_at: Date, is_overdue: boolean };
+	claim: { claimed_by: UserDocument, assigned_by?: UserDocument, claimed_at: Date };
+}
@@ -0,0 +1,126 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+import { randomBytes } from 'crypto';
+import { extend, pick } from 'lodash';
+import sanitize = require('mongo-sanitize');
+
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { Context } from '../common/typings/context';
+import { state } from '../state';
+import { ApplicationDocument } from './application.document';
+
+export class ApplicationApi extends Api {
+
+	/**
+	 * Registers a new OAuth2 application.
+	 *
+	 * Confidential applications get a random secret, which is only returned
+	 * when creating or viewing the application.
+	 *
+	 * @see POST /v1/oauth/applications
+	 * @param {Context} ctx Koa context
+	 */
+	public async create(ctx: Context) {
+		const application = new state.models.Application(extend(pick(ctx.request.body, ['name', 'description', 'homepage_url', 'redirect_uris', 'type']), {
+			created_at: new Date(),
+			_created_by: ctx.state.user._id,
+		}));
+		if (application.type === 'confidential') {
+			application.secret = randomBytes(32).toString('hex');
+		}
+		await application.save();
+
+		logger.info(ctx.state, '[ApplicationApi.create] Application "%s" (%s) successfully created.', application.name, application.id);
+		this.success(ctx, state.serializers.Application.detailed(ctx, application), 201);
+	}
+
+	/**
+	 * Lists all applications of the logged user.
+	 *
+	 * @see GET /v1/oauth/applications
+	 * @param {Context} ctx Koa context
+	 */
+	public async list(ctx: Context) {
+		const applications = await state.models.Application.find({ _created_by: ctx.state.user._id }).sort({ created_at: -1 }).exec();
+		this.success(ctx, applications.map(application => state.serializers.Application.simple(ctx, application)));
+	}
+
+	/**
+	 * Returns an application of the logged user, including its secret.
+	 *
+	 * @see GET /v1/oauth/applications/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async view(ctx: Context) {
+		const application = await this.getApplication(ctx);
+		this.success(ctx, state.serializers.Application.detailed(ctx, application));
+	}
+
+	/**
+	 * Updates an application.
+	 *
+	 * The type can't be changed, since tokens of a public application were
+	 * issued without authenticating the client.
+	 *
+	 * @see PATCH /v1/oauth/applications/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async update(ctx: Context) {
+		const updatableFields = ['name', 'description', 'homepage_url', 'redirect_uris'];
+		const application = await this.getApplication(ctx);
+		this.assertFields(ctx, updatableFields);
+		extend(application, pick(ctx.request.body, updatableFields));
+		await application.save();
+
+		logger.info(ctx.state, '[ApplicationApi.update] Application %s successfully updated.', application.id);
+		this.success(ctx, state.serializers.Application.detailed(ctx, application), 200);
+	}
+
+	/**
+	 * Deletes an application and revokes all tokens issued to it.
+	 *
+	 * @see DELETE /v1/oauth/applications/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async del(ctx: Context) {
+		const application = await this.getApplication(ctx);
+		const result = await state.models.Token.deleteMany({ _application: application._id }).exec();
+		await application.remove();
+
+		logger.info(ctx.state, '[ApplicationApi.del] Application %s successfully deleted, revoked %s token(s).', application.id, result.n);
+		this.success(ctx, null, 204);
+	}
+
+	/**
+	 * Retrieves an application of the logged user.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {Promise<ApplicationDocument>} Application
+	 * @throws {ApiError} If not found or not owned by the logged user
+	 */
+	private async getApplication(ctx: Context): Promise<ApplicationDocument> {
+		const application = await state.models.Application.findOne({ id: sanitize(ctx.params.id), _created_by: ctx.state.user._id }).exec();
+		if (!application) {
+			throw new ApiError('No such application with ID "%s".', ctx.params.id).status(404);
+		}
+		return application;
+	}
+}
@@ -0,0 +1,102 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+import { isArray, isString } from 'lodash';
+import { PaginateModel, Schema } from 'mongoose';
+import paginatePlugin = require('mongoose-paginate');
+import { parse } from 'url';
+import { isLength, isURL } from 'validator';
+
+import { ApplicationDocument } from './application.document';
+
+const shortId = require('shortid32');
+
+export const applicationTypes = ['public', 'confidential'];
+
+//-----------------------------------------------------------------------------
+// SCHEMA
+//-----------------------------------------------------------------------------
+export const applicationFields = {
+	id: { type: String, required: true, unique: true, default: shortId.generate },
+	name: { type: String, required: 'A name must be provided.' },
+	description: { type: String },
+	homepage_url: { type: String },
+	redirect_uris: { type: [String] },
+	type: { type: String, enum: applicationTypes, required: true, default: 'public' },
+	secret: { type: String }, // confidential applications only
+	created_at: { type: Date, required: true },
+	_created_by: { type: Schema.Types.ObjectId, required: true, ref: 'User', index: true },
+};
+export interface ApplicationModel extends PaginateModel<ApplicationDocument> { }
+export const applicationSchema = new Schema(applicationFields, { toObject: { virtuals: true, versionKey: false } });
+
+//-----------------------------------------------------------------------------
+// VALIDATIONS
+//-----------------------------------------------------------------------------
+applicationSchema.path('name').validate((name: string) => {
+	return isString(name) && isLength(name.trim(), 3, 50);
+}, 'Name must contain between three and 50 characters.');
+
+applicationSchema.path('homepage_url').validate((url: string) => {
+	return !url || (isString(url) && isURL(url, { protocols: ['http', 'https'], require_protocol: true }));
+}, 'Homepage must be a valid HTTP or HTTPS URL.');
+
+applicationSchema.path('redirect_uris').validate(function(uris: string[]) {
+	if (!isArray(uris) || uris.length === 0) {
+		this.invalidate('redirect_uris', 'At least one redirect URI must be provided.');
+		return true;
+	}
+	const invalidUris = uris.filter(uri => !isValidRedirectUri(uri));
+	if (invalidUris.length) {
+		this.invalidate('redirect_uris', 'Invalid redirect URI "' + invalidUris[0] + '". Redirect URIs must use HTTPS, HTTP on the loopback interface or a private-use scheme, and must not contain a fragment.');
+	}
+	return true;
+});
+
+//-----------------------------------------------------------------------------
+// PLUGINS
+//-----------------------------------------------------------------------------
+applicationSchema.plugin(paginatePlugin);
+
+/**
+ * Checks whether an URI can be used as redirection endpoint.
+ *
+ * Following RFC 8252, plain HTTP is only allowed for the loopback interface,
+ * so native apps like the launcher can use a local port or their own scheme.
+ *
+ * @param {string} uri Redirect URI
+ * @return {boolean} True if valid, false otherwise.
+ */
+function isValidRedirectUri(uri: string): boolean {
+	if (!isString(uri)) {
+		return false;
+	}
+	const url = parse(uri);
+	if (!url.protocol || url.hash) {
+		return false;
+	}
+	const protocol = url.protocol.replace(/:$/, '').toLowerCase();
+	if (protocol === 'https') {
+		return isURL(uri, { protocols: ['https'], require_protocol: true, require_tld: process.env.NODE_ENV !== 'test' });
+	}
+	if (protocol === 'http') {
+		return ['localhost', '127.0.0.1', '::1'].includes(url.hostname);
+	}
+	// private-use schemes must be reverse domain names (RFC 8252, section 7.1)
+	return /^[a-z][a-z0-9+\-]*(\.[a-z0-9+\-]+)+$/.test(protocol);
+}
@@ -0,0 +1,54 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+import { pick } from 'lodash';
+
+import { Serializer, SerializerLevel, SerializerOptions, SerializerReference } from '../common/serializer';
+import { Context } from '../common/typings/context';
+import { ModelName } from '../common/typings/models';
+import { ApplicationDocument } from './application.document';
+
+export class ApplicationSerializer extends Serializer<ApplicationDocument> {
+
+	public readonly modelName: ModelName = 'Application';
+	public readonly references: { [level in SerializerLevel]: SerializerReference[] } = {
+		reduced: [],
+		simple: [],
+		detailed: [],
+	};
+
+	protected _reduced(ctx: Context, doc: ApplicationDocument, opts: SerializerOptions): ApplicationDocument {
+		return pick(doc, ['id', 'name', 'description', 'homepage_url']) as ApplicationDocument;
+	}
+
+	protected _simple(ctx: Context, doc: ApplicationDocument, opts: SerializerOptions): ApplicationDocument {
+		const application = pick(doc, ['id', 'name', 'description', 'homepage_url', 'type', 'created_at']) as ApplicationDocument;
+		application.redirect_uris = doc.redirect_uris;
+		return application;
+	}
+
+	protected _detailed(ctx: Context, doc: ApplicationDocument, opts: SerializerOptions): ApplicationDocument {
+		const application = this._simple(ctx, doc, opts);
+
+		// secret
+		if (doc.type === 'confidential') {
+			application.secret = doc.secret;
+		}
+		return application;
+	}
+}
@@ -0,0 +1,51 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+import * as Router from 'koa-router';
+import { ApiRouter } from '../common/api.router';
+import { Scope } from '../common/scope';
+import { ApplicationApi } from './application.api';
+import { OAuthApi } from './oauth.api';
+
+export class OAuthApiRouter implements ApiRouter {
+
+	private readonly router: Router;
+
+	constructor() {
+		const api = new OAuthApi();
+		const applicationApi = new ApplicationApi();
+		this.router = api.apiRouter();
+
+		// authorization server
+		this.router.get('/v1/oauth/authorize',  api.auth(api.authorize.bind(api), 'oauth', 'authorize', [ Scope.ALL ]));
+		this.router.post('/v1/oauth/authorize', api.auth(api.consent.bind(api), 'oauth', 'authorize', [ Scope.ALL ]));
+		this.router.post('/v1/oauth/token',     api.token.bind(api));
+		this.router.post('/v1/oauth/revoke',    api.revoke.bind(api));
+
+		// application registration
+		this.router.post('/v1/oauth/applications',      api.auth(applicationApi.create.bind(applicationApi), 'oauth', 'add', [ Scope.ALL ]));
+		this.router.get('/v1/oauth/applications',       api.auth(applicationApi.list.bind(applicationApi), 'oauth', 'list', [ Scope.ALL ]));
+		this.router.get('/v1/oauth/applications/:id',   api.auth(applicationApi.view.bind(applicationApi), 'oauth', 'list', [ Scope.ALL ]));
+		this.router.patch('/v1/oauth/applications/:id', api.auth(applicationApi.update.bind(applicationApi), 'oauth', 'update-own', [ Scope.ALL ]));
+		this.router.del('/v1/oauth/applications/:id',   api.auth(applicationApi.del.bind(applicationApi), 'oauth', 'delete-own', [ Scope.ALL ]));
+	}
+
+	public getRouter(): Router {
+		return this.router;
+	}
+}
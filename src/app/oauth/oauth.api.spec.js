@@ -0,0 +1,372 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+'use strict';
+/*global describe, before, after, it*/
+const expect = require('expect.js');
+const crypto = require('crypto');
+const { parse } = require('url');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The VPDB `OAuth2` API', () => {
+
+	const redirectUri = 'http://127.0.0.1:4711/callback';
+	let publicApp, confidentialApp;
+
+	before(async () => {
+		await api.setupUsers({
+			developer: { roles: ['member'] },
+			member: { roles: ['member'] },
+			other: { roles: ['member'] },
+		});
+		let res = await api.as('developer')
+			.post('/v1/oauth/applications', { name: 'VPDB Launcher', redirect_uris: [redirectUri, 'io.vpdb.launcher:/callback'] })
+			.then(res => res.expectStatus(201));
+		publicApp = res.data;
+		res = await api.as('developer')
+			.post('/v1/oauth/applications', { name: 'Highscore Sync', type: 'confidential', redirect_uris: ['https://sync.vpdb.io/callback'] })
+			.then(res => res.expectStatus(201));
+		confidentialApp = res.data;
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when registering an application', () => {
+
+		it('should fail without redirect URI', async () => {
+			await api.as('developer')
+				.post('/v1/oauth/applications', { name: 'My App' })
+				.then(res => res.expectValidationError('redirect_uris', 'at least one redirect uri'));
+		});
+
+		it('should fail with a plain HTTP redirect URI to a remote host', async () => {
+			await api.as('developer')
+				.post('/v1/oauth/applications', { name: 'My App', redirect_uris: ['http://vpdb.io/callback'] })
+				.then(res => res.expectValidationError('redirect_uris', 'invalid redirect uri'));
+		});
+
+		it('should fail with a redirect URI containing a fragment', async () => {
+			await api.as('developer')
+				.post('/v1/oauth/applications', { name: 'My App', redirect_uris: ['https://vpdb.io/callback#token'] })
+				.then(res => res.expectValidationError('redirect_uris', 'invalid redirect uri'));
+		});
+
+		it('should only return a secret for confidential applications', async () => {
+			expect(publicApp.secret).to.be(undefined);
+			expect(confidentialApp.secret).to.match(/^[0-9a-f]{64}$/);
+		});
+
+		it('should list only own applications', async () => {
+			let res = await api.as('developer').get('/v1/oauth/applications').then(res => res.expectStatus(200));
+			expect(res.data.map(app => app.id)).to.contain(publicApp.id);
+			expect(res.data[0].secret).to.be(undefined);
+			res = await api.as('other').get('/v1/oauth/applications').then(res => res.expectStatus(200));
+			expect(res.data).to.be.empty();
+		});
+
+		it('should not allow updating applications of other users', async () => {
+			await api.as('other')
+				.patch('/v1/oauth/applications/' + publicApp.id, { name: 'Stolen' })
+				.then(res => res.expectStatus(404));
+		});
+
+		it('should not allow changing the type', async () => {
+			await api.as('developer')
+				.patch('/v1/oauth/applications/' + publicApp.id, { type: 'confidential' })
+				.then(res => res.expectError(400, 'invalid field'));
+		});
+	});
+
+	describe('when authorizing an application', () => {
+
+		it('should fail for an unknown client', async () => {
+			await api.as('member')
+				.withQuery(authorizeQuery({ client_id: 'nope' }))
+				.get('/v1/oauth/authorize')
+				.then(res => res.expectError(400, 'unknown client'));
+		});
+
+		it('should fail for an unregistered redirect URI', async () => {
+			await api.as('member')
+				.withQuery(authorizeQuery({ redirect_uri: 'http://127.0.0.1:4712/callback' }))
+				.get('/v1/oauth/authorize')
+				.then(res => res.expectError(400, 'is not registered'));
+		});
+
+		it('should fail without a code challenge', async () => {
+			await api.as('member')
+				.withQuery(authorizeQuery({ code_challenge: undefined }))
+				.get('/v1/oauth/authorize')
+				.then(res => res.expectError(400, 'code challenge must be'));
+		});
+
+		it('should fail with the plain code challenge method', async () => {
+			await api.as('member')
+				.withQuery(authorizeQuery({ code_challenge_method: 'plain' }))
+				.get('/v1/oauth/authorize')
+				.then(res => res.expectError(400, 'must be "s256"'));
+		});
+
+		it('should fail when requesting the "all" scope', async () => {
+			await api.as('member')
+				.withQuery(authorizeQuery({ scope: 'community all' }))
+				.get('/v1/oauth/authorize')
+				.then(res => res.expectError(400, 'scopes must be one or more'));
+		});
+
+		it('should return what is needed for the consent screen', async () => {
+			const res = await api.as('member')
+				.withQuery(authorizeQuery({ state: 'xyz' }))
+				.get('/v1/oauth/authorize')
+				.then(res => res.expectStatus(200));
+			expect(res.data.application.id).to.be(publicApp.id);
+			expect(res.data.application.name).to.be('VPDB Launcher');
+			expect(res.data.scopes).to.eql(['community', 'storage']);
+			expect(res.data.redirect_uri).to.be(redirectUri);
+			expect(res.data.state).to.be('xyz');
+		});
+
+		it('should redirect with an error when denied', async () => {
+			const res = await api.as('member')
+				.post('/v1/oauth/authorize', authorizeQuery({ state: 'xyz', approve: false }))
+				.then(res => res.expectStatus(200));
+			const query = parse(res.data.redirect_uri, true).query;
+			expect(query.error).to.be('access_denied');
+			expect(query.state).to.be('xyz');
+			expect(query.code).to.be(undefined);
+		});
+	});
+
+	describe('when exchanging an authorization code', () => {
+
+		it('should fail with a wrong code verifier', async () => {
+			const { code } = await authorize('member');
+			await api
+				.post('/v1/oauth/token', tokenRequest(code, { code_verifier: verifier('wrong') }))
+				.then(res => res.expectError(400, 'invalid_grant'));
+		});
+
+		it('should fail with a different redirect URI', async () => {
+			const { code, codeVerifier } = await authorize('member');
+			await api
+				.post('/v1/oauth/token', tokenRequest(code, { code_verifier: codeVerifier, redirect_uri: 'io.vpdb.launcher:/callback' }))
+				.then(res => res.expectError(400, 'invalid_grant'));
+		});
+
+		it('should not require the redirect URI if it was omitted when authorizing', async () => {
+			const codeVerifier = verifier('omitted');
+			let res = await api.as('member')
+				.post('/v1/oauth/authorize', authorizeQuery({ client_id: confidentialApp.id, redirect_uri: undefined, code_challenge: challenge(codeVerifier), approve: true }))
+				.then(res => res.expectStatus(200));
+			const query = parse(res.data.redirect_uri, true).query;
+			res = await api
+				.withHeader('Authorization', 'Basic ' + Buffer.from(confidentialApp.id + ':' + confidentialApp.secret).toString('base64'))
+				.post('/v1/oauth/token', tokenRequest(query.code, { code_verifier: codeVerifier, client_id: undefined, redirect_uri: undefined }))
+				.then(res => res.expectStatus(200));
+			expect(res.data.access_token).to.be.ok();
+		});
+
+		it('should fail for another client', async () => {
+			const { code, codeVerifier } = await authorize('member');
+			await api
+				.post('/v1/oauth/token', tokenRequest(code, { code_verifier: codeVerifier, client_id: confidentialApp.id, client_secret: confidentialApp.secret }))
+				.then(res => res.expectError(400, 'invalid_grant'));
+		});
+
+		it('should fail for a confidential client without secret', async () => {
+			const { code, codeVerifier } = await authorize('member', confidentialApp, 'https://sync.vpdb.io/callback');
+			await api
+				.post('/v1/oauth/token', tokenRequest(code, { code_verifier: codeVerifier, client_id: confidentialApp.id, redirect_uri: 'https://sync.vpdb.io/callback' }))
+				.then(res => res.expectError(401, 'invalid_client'));
+		});
+
+		it('should fail with an unsupported grant type', async () => {
+			await api
+				.post('/v1/oauth/token', { grant_type: 'password', client_id: publicApp.id })
+				.then(res => res.expectError(400, 'unsupported_grant_type'));
+		});
+
+		it('should issue a scoped token that can only be used once', async () => {
+			const { code, codeVerifier } = await authorize('member');
+			const res = await api
+				.post('/v1/oauth/token', tokenRequest(code, { code_verifier: codeVerifier }))
+				.then(res => res.expectStatus(200));
+			expect(res.data.token_type).to.be('bearer');
+			expect(res.data.access_token).to.match(/^[0-9a-f]{32}$/);
+			expect(res.data.refresh_token).to.be.ok();
+			expect(res.data.expires_in).to.be.within(3500, 3600);
+			expect(res.data.scope).to.be('community storage');
+
+			// use it for a community resource
+			const profile = await api.withToken(res.data.access_token).get('/v1/profile').then(res => res.expectStatus(200));
+			expect(profile.data.id).to.be(api.getUser('member').id);
+
+			// but not for anything else
+			await api.withToken(res.data.access_token)
+				.patch('/v1/profile', { name: 'Hacked' })
+				.then(res => res.expectError(401, 'invalid scope'));
+
+			// and never twice
+			await api
+				.post('/v1/oauth/token', tokenRequest(code, { code_verifier: codeVerifier }))
+				.then(res => res.expectError(400, 'invalid_grant'));
+		});
+
+		it('should authenticate a confidential client with HTTP basic authentication', async () => {
+			const { code, codeVerifier } = await authorize('member', confidentialApp, 'https://sync.vpdb.io/callback');
+			await api
+				.withHeader('Authorization', 'Basic ' + Buffer.from(confidentialApp.id + ':' + confidentialApp.secret).toString('base64'))
+				.post('/v1/oauth/token', tokenRequest(code, { code_verifier: codeVerifier, client_id: undefined, redirect_uri: 'https://sync.vpdb.io/callback' }))
+				.then(res => res.expectStatus(200));
+		});
+
+		it('should not allow creating application tokens through the token API', async () => {
+			await api.as('member')
+				.post('/v1/tokens', { label: 'Fake', type: 'application', scopes: ['community'] })
+				.then(res => res.expectValidationError('type', 'only be obtained through oauth2'));
+		});
+	});
+
+	describe('when refreshing a token', () => {
+
+		it('should rotate the tokens', async () => {
+			const token = await issueToken('member');
+			const res = await api
+				.post('/v1/oauth/token', { grant_type: 'refresh_token', refresh_token: token.refresh_token, client_id: publicApp.id })
+				.then(res => res.expectStatus(200));
+			expect(res.data.access_token).not.to.be(token.access_token);
+			expect(res.data.refresh_token).not.to.be(token.refresh_token);
+
+			// old ones are dead
+			await api.withToken(token.access_token).get('/v1/profile').then(res => res.expectError(401, 'invalid application token'));
+			await api
+				.post('/v1/oauth/token', { grant_type: 'refresh_token', refresh_token: token.refresh_token, client_id: publicApp.id })
+				.then(res => res.expectError(400, 'invalid_grant'));
+
+			// new one works
+			await api.withToken(res.data.access_token).get('/v1/profile').then(res => res.expectStatus(200));
+		});
+
+		it('should narrow down but not extend the scopes', async () => {
+			const token = await issueToken('member');
+			await api
+				.post('/v1/oauth/token', { grant_type: 'refresh_token', refresh_token: token.refresh_token, client_id: publicApp.id, scope: 'community create' })
+				.then(res => res.expectError(400, 'invalid_scope'));
+			const res = await api
+				.post('/v1/oauth/token', { grant_type: 'refresh_token', refresh_token: token.refresh_token, client_id: publicApp.id, scope: 'community' })
+				.then(res => res.expectStatus(200));
+			expect(res.data.scope).to.be('community');
+		});
+
+		it('should fail for another client', async () => {
+			const token = await issueToken('member');
+			await api
+				.post('/v1/oauth/token', { grant_type: 'refresh_token', refresh_token: token.refresh_token, client_id: confidentialApp.id, client_secret: confidentialApp.secret })
+				.then(res => res.expectError(400, 'invalid_grant'));
+		});
+	});
+
+	describe('when revoking a token', () => {
+
+		it('should revoke it with the refresh token', async () => {
+			const token = await issueToken('member');
+			await api.post('/v1/oauth/revoke', { token: token.refresh_token, client_id: publicApp.id }).then(res => res.expectStatus(200));
+			await api.withToken(token.access_token).get('/v1/profile').then(res => res.expectError(401, 'invalid application token'));
+		});
+
+		it('should succeed for an unknown token', async () => {
+			await api.post('/v1/oauth/revoke', { token: 'unknown', client_id: publicApp.id }).then(res => res.expectStatus(200));
+		});
+
+		it('should let the user list and revoke granted tokens', async () => {
+			const token = await issueToken('other');
+			const res = await api.as('other')
+				.withQuery({ type: 'application' })
+				.get('/v1/tokens')
+				.then(res => res.expectStatus(200));
+			expect(res.data).to.have.length(1);
+			expect(res.data[0].application.id).to.be(publicApp.id);
+			expect(res.data[0].token).to.be(undefined);
+
+			await api.as('other').del('/v1/tokens/' + res.data[0].id).then(res => res.expectStatus(204));
+			await api.withToken(token.access_token).get('/v1/profile').then(res => res.expectError(401, 'invalid application token'));
+		});
+
+		it('should revoke all tokens when the application is deleted', async () => {
+			const res = await api.as('developer')
+				.post('/v1/oauth/applications', { name: 'Short-lived', redirect_uris: [redirectUri] })
+				.then(res => res.expectStatus(201));
+			const token = await issueToken('member', res.data);
+			await api.as('developer').del('/v1/oauth/applications/' + res.data.id).then(res => res.expectStatus(204));
+			await api.withToken(token.access_token).get('/v1/profile').then(res => res.expectError(401, 'invalid application token'));
+		});
+	});
+
+	function verifier(seed) {
+		return crypto.createHash('sha256').update(seed).digest('hex');
+	}
+
+	function challenge(codeVerifier) {
+		return crypto.createHash('sha256').update(codeVerifier).digest('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+	}
+
+	function authorizeQuery(params) {
+		return Object.assign({
+			response_type: 'code',
+			client_id: publicApp.id,
+			redirect_uri: redirectUri,
+			scope: 'community storage',
+			code_challenge: challenge(verifier('launcher')),
+			code_challenge_method: 'S256',
+		}, params);
+	}
+
+	async function authorize(user, app, uri) {
+		app = app || publicApp;
+		uri = uri || redirectUri;
+		const codeVerifier = verifier(String(Math.random()));
+		const res = await api.as(user)
+			.post('/v1/oauth/authorize', authorizeQuery({ client_id: app.id, redirect_uri: uri, code_challenge: challenge(codeVerifier), approve: true }))
+			.then(res => res.expectStatus(200));
+		const query = parse(res.data.redirect_uri, true).query;
+		expect(query.code).to.match(/^[0-9a-f]{64}$/);
+		return { code: query.code, codeVerifier };
+	}
+
+	function tokenRequest(code, params) {
+		return Object.assign({
+			grant_type: 'authorization_code',
+			code,
+			redirect_uri: redirectUri,
+			client_id: publicApp.id,
+		}, params);
+	}
+
+	async function issueToken(user, app) {
+		app = app || publicApp;
+		const { code, codeVerifier } = await authorize(user, app);
+		const res = await api
+			.post('/v1/oauth/token', tokenRequest(code, { code_verifier: codeVerifier, client_id: app.id }))
+			.then(res => res.expectStatus(200));
+		return res.data;
+	}
+});
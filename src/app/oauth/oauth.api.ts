@@ -0,0 +1,417 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+import { createHash, randomBytes, timingSafeEqual } from 'crypto';
+import { difference, isString, uniq } from 'lodash';
+import sanitize = require('mongo-sanitize');
+
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { scope } from '../common/scope';
+import { Context } from '../common/typings/context';
+import { state } from '../state';
+import { TokenDocument } from '../tokens/token.document';
+import { ApplicationDocument } from './application.document';
+
+/**
+ * How long an authorization code can be exchanged for a token.
+ */
+const codeLifetime = 60000; // 1 minute
+
+/**
+ * How long an access token is valid before it must be refreshed.
+ */
+const accessTokenLifetime = 3600000; // 1 hour
+
+/**
+ * How long a refresh token is valid. Every refresh issues a new one.
+ */
+const refreshTokenLifetime = 31536000000; // 1 year
+
+export class OAuthApi extends Api {
+
+	/**
+	 * Validates an authorization request and returns what the consent
+	 * screen needs to display.
+	 *
+	 * Only the authorization code grant with PKCE is supported, so the
+	 * request must contain a `code_challenge` using the `S256` method.
+	 *
+	 * @see GET /v1/oauth/authorize
+	 * @param {Context} ctx Koa context
+	 */
+	public async authorize(ctx: Context) {
+		const request = await this.getAuthorizationRequest(ctx, ctx.query);
+		this.success(ctx, {
+			application: state.serializers.Application.reduced(ctx, request.application),
+			scopes: request.scopes,
+			redirect_uri: request.redirectUri,
+			state: request.state,
+		});
+	}
+
+	/**
+	 * Approves or denies an authorization request.
+	 *
+	 * Since the consent screen is rendered by the web application, the URI
+	 * the user agent should be redirected to is returned instead of
+	 * redirecting.
+	 *
+	 * @see POST /v1/oauth/authorize
+	 * @param {Context} ctx Koa context
+	 */
+	public async consent(ctx: Context) {
+		const request = await this.getAuthorizationRequest(ctx, ctx.request.body);
+
+		if (ctx.request.body.approve !== true) {
+			logger.info(ctx.state, '[OAuthApi.consent] User <%s> denied access to application %s.', ctx.state.user.email, request.application.id);
+			this.success(ctx, { redirect_uri: this.getRedirectUri(request.redirectUri, { error: 'access_denied', state: request.state }) });
+			return;
+		}
+
+		const code = randomBytes(32).toString('hex');
+		const grant: AuthorizationGrant = {
+			application: request.application.id,
+			user: ctx.state.user.id,
+			scopes: request.scopes,
+			redirect_uri: request.isRedirectUriProvided ? request.redirectUri : undefined,
+			code_challenge: request.codeChallenge,
+		};
+		await state.redis.set(this.getCodeKey(code), JSON.stringify(grant));
+		await state.redis.expire(this.getCodeKey(code), Math.ceil(codeLifetime / 1000));
+
+		logger.info(ctx.state, '[OAuthApi.consent] User <%s> granted [ %s ] to application %s.', ctx.state.user.email, request.scopes.join(', '), request.application.id);
+		this.success(ctx, { redirect_uri: this.getRedirectUri(request.redirectUri, { code, state: request.state }) });
+	}
+
+	/**
+	 * Exchanges an authorization code or a refresh token for an access token.
+	 *
+	 * Errors are returned in the format of RFC 6749, section 5.2.
+	 *
+	 * @see POST /v1/oauth/token
+	 * @param {Context} ctx Koa context
+	 */
+	public async token(ctx: Context) {
+		const application = await this.authenticateClient(ctx);
+		let token: TokenDocument;
+		switch (ctx.request.body.grant_type) {
+			case 'authorization_code':
+				token = await this.exchangeCode(ctx, application);
+				break;
+			case 'refresh_token':
+				token = await this.refreshToken(ctx, application);
+				break;
+			default:
+				throw this.oauthError('unsupported_grant_type', 'Grant type must be either "authorization_code" or "refresh_token".');
+		}
+		ctx.set('Cache-Control', 'no-store');
+		ctx.set('Pragma', 'no-cache');
+		this.success(ctx, {
+			access_token: token.token,
+			token_type: 'bearer',
+			expires_in: Math.round((token.expires_at.getTime() - Date.now()) / 1000),
+			refresh_token: token.refresh_token,
+			scope: token.scopes.join(' '),
+		});
+	}
+
+	/**
+	 * Revokes an access or refresh token issued to the authenticated client.
+	 *
+	 * Following RFC 7009, unknown tokens are not treated as error.
+	 *
+	 * @see POST /v1/oauth/revoke
+	 * @param {Context} ctx Koa context
+	 */
+	public async revoke(ctx: Context) {
+		const application = await this.authenticateClient(ctx);
+		const value = ctx.request.body.token;
+		if (!isString(value) || !value) {
+			throw this.oauthError('invalid_request', 'Token to revoke must be provided.');
+		}
+		const token = await state.models.Token.findOne({
+			$or: [{ token: sanitize(value) }, { refresh_token: sanitize(value) }],
+			_application: application._id,
+		}).exec();
+		if (token) {
+			await token.remove();
+			logger.info(ctx.state, '[OAuthApi.revoke] Revoked token of application %s.', application.id);
+		}
+		this.success(ctx, null, 200);
+	}
+
+	/**
+	 * Creates an access token from an authorization code.
+	 *
+	 * Codes can only be used once and only by the client they were issued to.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {ApplicationDocument} application Authenticated client
+	 * @return {Promise<TokenDocument>} New token
+	 */
+	private async exchangeCode(ctx: Context, application: ApplicationDocument): Promise<TokenDocument> {
+		const code = ctx.request.body.code;
+		const codeKey = /^[0-9a-f]{64}$/i.test(code) ? this.getCodeKey(code) : null;
+		const serializedGrant = codeKey ? await state.redis.get(codeKey) : null;
+
+		// the first one to delete the code wins
+		if (!serializedGrant || (await state.redis.del(codeKey)) !== 1) {
+			throw this.oauthError('invalid_grant', 'Invalid or expired authorization code.');
+		}
+		const grant: AuthorizationGrant = JSON.parse(serializedGrant);
+		if (grant.application !== application.id) {
+			throw this.oauthError('invalid_grant', 'Authorization code was issued to another client.');
+		}
+		// only required if it was part of the authorization request, see RFC 6749, section 4.1.3.
+		if (grant.redirect_uri && grant.redirect_uri !== ctx.request.body.redirect_uri) {
+			throw this.oauthError('invalid_grant', 'Redirect URI does not match the one of the authorization request.');
+		}
+		const verifier = ctx.request.body.code_verifier;
+		if (!isString(verifier) || !/^[A-Za-z0-9\-._~]{43,128}$/.test(verifier)) {
+			throw this.oauthError('invalid_request', 'Code verifier must be between 43 and 128 unreserved characters.');
+		}
+		if (!this.safeEquals(this.getCodeChallenge(verifier), grant.code_challenge)) {
+			throw this.oauthError('invalid_grant', 'Code verifier does not match the code challenge.');
+		}
+		const user = await state.models.User.findOne({ id: grant.user }).exec();
+		if (!user || !user.is_active) {
+			throw this.oauthError('invalid_grant', 'User is not active anymore.');
+		}
+
+		const now = new Date();
+		const token = new state.models.Token({
+			label: application.name,
+			type: 'application',
+			scopes: grant.scopes,
+			refresh_token: randomBytes(32).toString('hex'),
+			refresh_expires_at: new Date(now.getTime() + refreshTokenLifetime),
+			is_active: true,
+			created_at: now,
+			expires_at: new Date(now.getTime() + accessTokenLifetime),
+			_created_by: user._id,
+			_application: application._id,
+		});
+		await token.save();
+
+		logger.info(ctx.state, '[OAuthApi.exchangeCode] Issued token for user <%s> to application %s.', user.email, application.id);
+		return token;
+	}
+
+	/**
+	 * Issues a new access and refresh token for a refresh token.
+	 *
+	 * The scopes can be narrowed down but not extended.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {ApplicationDocument} application Authenticated client
+	 * @return {Promise<TokenDocument>} Refreshed token
+	 */
+	private async refreshToken(ctx: Context, application: ApplicationDocument): Promise<TokenDocument> {
+		const refreshToken = ctx.request.body.refresh_token;
+		const token = isString(refreshToken) && refreshToken ? await state.models.Token.findOne({
+			refresh_token: sanitize(refreshToken),
+			_application: application._id,
+		}).exec() : null;
+		if (!token || !token.is_active || token.refresh_expires_at.getTime() < Date.now()) {
+			throw this.oauthError('invalid_grant', 'Invalid or expired refresh token.');
+		}
+		const user = await state.models.User.findById(token._created_by).exec();
+		if (!user || !user.is_active) {
+			throw this.oauthError('invalid_grant', 'User is not active anymore.');
+		}
+		let scopes = token.scopes;
+		if (ctx.request.body.scope) {
+			scopes = this.parseScopes(ctx.request.body.scope);
+			if (difference(scopes, token.scopes).length > 0) {
+				throw this.oauthError('invalid_scope', 'Scopes must be a subset of the originally granted scopes [ "%s" ].', token.scopes.join('", "'));
+			}
+		}
+
+		// rotate, so a leaked refresh token can only be used once
+		const now = new Date();
+		const refreshed = await state.models.Token.findOneAndUpdate({ _id: token._id, refresh_token: token.refresh_token }, {
+			token: randomBytes(16).toString('hex'),
+			scopes,
+			refresh_token: randomBytes(32).toString('hex'),
+			refresh_expires_at: new Date(now.getTime() + refreshTokenLifetime),
+			expires_at: new Date(now.getTime() + accessTokenLifetime),
+		}, { new: true }).exec();
+		if (!refreshed) {
+			throw this.oauthError('invalid_grant', 'Invalid or expired refresh token.');
+		}
+		logger.info(ctx.state, '[OAuthApi.refreshToken] Refreshed token %s of application %s.', token.id, application.id);
+		return refreshed;
+	}
+
+	/**
+	 * Validates the parameters of an authorization request.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param params Query or body of the request
+	 * @return {Promise<AuthorizationRequest>} Validated request
+	 */
+	private async getAuthorizationRequest(ctx: Context, params: { [key: string]: any }): Promise<AuthorizationRequest> {
+		const application = isString(params.client_id) ? await state.models.Application.findOne({ id: sanitize(params.client_id) }).exec() : null;
+		if (!application) {
+			throw new ApiError('Unknown client "%s".', params.client_id).status(400);
+		}
+
+		// only one redirect uri registered? then it's optional.
+		let redirectUri = params.redirect_uri;
+		if (!redirectUri && application.redirect_uris.length === 1) {
+			redirectUri = application.redirect_uris[0];
+		}
+		if (!application.redirect_uris.includes(redirectUri)) {
+			throw new ApiError('Redirect URI "%s" is not registered for client "%s".', redirectUri, application.id).status(400);
+		}
+		if (params.response_type !== 'code') {
+			throw new ApiError('Response type must be "code".').status(400);
+		}
+		if (params.code_challenge_method !== 'S256') {
+			throw new ApiError('Code challenge method must be "S256".').status(400);
+		}
+		if (!isString(params.code_challenge) || !/^[A-Za-z0-9\-_]{43}$/.test(params.code_challenge)) {
+			throw new ApiError('Code challenge must be the base64url-encoded SHA-256 hash of the code verifier.').status(400);
+		}
+		const scopes = this.parseScopes(params.scope);
+		const validScopes = scope.getScopes('application');
+		const invalidScopes = difference(scopes, validScopes);
+		if (scopes.length === 0 || invalidScopes.length > 0) {
+			throw new ApiError('Scopes must be one or more of the following: [ "%s" ].', validScopes.join('", "')).status(400);
+		}
+		return {
+			application,
+			redirectUri,
+			isRedirectUriProvided: !!params.redirect_uri,
+			scopes,
+			state: isString(params.state) ? params.state : undefined,
+			codeChallenge: params.code_challenge,
+		};
+	}
+
+	/**
+	 * Authenticates the client, either with the `client_id` and `client_secret`
+	 * parameters or with HTTP basic authentication.
+	 *
+	 * Public clients only provide their ID.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {Promise<ApplicationDocument>} Authenticated client
+	 */
+	private async authenticateClient(ctx: Context): Promise<ApplicationDocument> {
+		let clientId = ctx.request.body.client_id;
+		let clientSecret = ctx.request.body.client_secret;
+		const authorization = ctx.get('authorization');
+		if (/^Basic /i.test(authorization)) {
+			const credentials = Buffer.from(authorization.substr(6), 'base64').toString();
+			const colon = credentials.indexOf(':');
+			clientId = decodeURIComponent(credentials.substr(0, colon));
+			clientSecret = decodeURIComponent(credentials.substr(colon + 1));
+		}
+		const application = isString(clientId) ? await state.models.Application.findOne({ id: sanitize(clientId) }).exec() : null;
+		if (!application) {
+			throw this.oauthError('invalid_client', 'Unknown client.').status(401);
+		}
+		if (application.type === 'confidential' && !(isString(clientSecret) && this.safeEquals(clientSecret, application.secret))) {
+			throw this.oauthError('invalid_client', 'Invalid client secret.').status(401);
+		}
+		return application;
+	}
+
+	/**
+	 * Splits a space-delimited scope parameter.
+	 *
+	 * @param scopeParam Scope parameter
+	 * @return {string[]} Unique scopes
+	 */
+	private parseScopes(scopeParam: any): string[] {
+		return isString(scopeParam) ? uniq(scopeParam.split(' ').filter(s => !!s)) : [];
+	}
+
+	/**
+	 * Computes the S256 code challenge of a code verifier (RFC 7636, section 4.2).
+	 *
+	 * @param {string} verifier Code verifier
+	 * @return {string} Base64url-encoded SHA-256 hash
+	 */
+	private getCodeChallenge(verifier: string): string {
+		return createHash('sha256').update(verifier).digest('base64')
+			.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+	}
+
+	/**
+	 * Adds parameters to a redirect URI.
+	 *
+	 * @param {string} redirectUri Registered redirect URI
+	 * @param params Parameters to add, undefined values are skipped
+	 * @return {string} Redirect URI with parameters
+	 */
+	private getRedirectUri(redirectUri: string, params: { [key: string]: string }): string {
+		const query = Object.keys(params)
+			.filter(key => params[key] !== undefined)
+			.map(key => key + '=' + encodeURIComponent(params[key]))
+			.join('&');
+		return redirectUri + (redirectUri.includes('?') ? '&' : '?') + query;
+	}
+
+	/**
+	 * Compares two strings in constant time.
+	 */
+	private safeEquals(a: string, b: string): boolean {
+		return !!a && !!b && a.length === b.length && timingSafeEqual(Buffer.from(a), Buffer.from(b));
+	}
+
+	/**
+	 * Creates an error with a body as defined by RFC 6749, section 5.2.
+	 *
+	 * @param {string} error Error code
+	 * @param {string} description Human-readable description
+	 * @param params Parameters of the description
+	 * @return {ApiError} Error with status 400
+	 */
+	private oauthError(error: string, description: string, ...params: any[]): ApiError {
+		const err = new ApiError(description, ...params).warn().status(400);
+		return err.body({ error, error_description: err.message });
+	}
+
+	private getCodeKey(code: string): string {
+		return 'oauth_code_' + code;
+	}
+}
+
+interface AuthorizationRequest {
+	application: ApplicationDocument;
+	redirectUri: string;
+	isRedirectUriProvided: boolean;
+	scopes: string[];
+	state: string;
+	codeChallenge: string;
+}
+
+/**
+ * What's stored in Redis for an authorization code.
+ */
+interface AuthorizationGrant {
+	application: string;
+	user: string;
+	scopes: string[];
+	redirect_uri?: string;
+	code_challenge: string;
+}
@@ -0,0 +1,126 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+'use strict';
+/*global describe, before, after, it*/
+const expect = require('expect.js');
+const AdmZip = require('adm-zip');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The VPDB `account` API', () => {
+
+	let release;
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'] },
+			exporter: { roles: ['member'] },
+			deleter: { roles: ['member'] },
+			commenter: { roles: ['member'] },
+			root: { roles: ['root'] },
+			moderator: { roles: ['moderator'] },
+		});
+		release = await api.releaseHelper.createRelease('moderator');
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when exporting data', () => {
+
+		it('should fail when not logged', async () => {
+			await api.get('/v1/profile/export').then(res => res.expectError(401));
+		});
+
+		it('should return an archive with all data', async () => {
+			await api.as('exporter').post('/v1/releases/' + release.id + '/comments', { message: 'Export me!' }).then(res => res.expectStatus(201));
+			await api.as('exporter').post('/v1/releases/' + release.id + '/rating', { value: 7 }).then(res => res.expectStatus(201));
+
+			const res = await api.as('exporter').responseAsBuffer().get('/v1/profile/export').then(res => res.expectStatus(200));
+			expect(res.headers['content-type']).to.be('application/zip');
+
+			const zip = new AdmZip(res.data);
+			const entries = zip.getEntries().map(entry => entry.entryName);
+			expect(entries).to.contain('profile.json');
+			expect(entries).to.contain('logs.json');
+			expect(entries).to.contain('events.json');
+			expect(entries).to.contain('stars.json');
+			expect(entries).to.contain('files.json');
+			expect(entries).to.contain('releases.json');
+
+			const profile = JSON.parse(zip.readAsText('profile.json'));
+			const comments = JSON.parse(zip.readAsText('comments.json'));
+			const ratings = JSON.parse(zip.readAsText('ratings.json'));
+			expect(profile.email).to.be(api.getUser('exporter').email);
+			expect(comments).to.have.length(1);
+			expect(comments[0].message).to.be('Export me!');
+			expect(ratings).to.have.length(1);
+			expect(ratings[0].value).to.be(7);
+			expect(ratings[0].release.id).to.be(release.id);
+		});
+
+		it('should include authored releases', async () => {
+			const res = await api.as('moderator').responseAsBuffer().get('/v1/profile/export').then(res => res.expectStatus(200));
+			const releases = JSON.parse(new AdmZip(res.data).readAsText('releases.json'));
+			expect(releases.map(r => r.id)).to.contain(release.id);
+		});
+	});
+
+	describe('when deleting an account', () => {
+
+		it('should fail without password', async () => {
+			await api.as('member').del('/v1/profile').then(res => res.expectValidationError('password', 'must provide your password'));
+		});
+
+		it('should fail with a wrong password', async () => {
+			await api.as('member').del('/v1/profile', { password: 'xxx' }).then(res => res.expectValidationError('password', 'invalid password'));
+		});
+
+		it('should fail for a root account', async () => {
+			await api.as('root').del('/v1/profile', { password: api.getUser('root').password }).then(res => res.expectError(400, 'cannot be deleted'));
+		});
+
+		it('should anonymize the account and keep its comments', async () => {
+			const user = api.getUser('commenter');
+			await api.as('commenter').post('/v1/releases/' + release.id + '/comments', { message: 'Keep me!' }).then(res => res.expectStatus(201));
+			await api.as('commenter').del('/v1/profile', { password: user.password }).then(res => res.expectStatus(204));
+
+			const res = await api.get('/v1/releases/' + release.id + '/comments').then(res => res.expectStatus(200));
+			const comment = res.data.find(c => c.message === 'Keep me!');
+			expect(comment.from.name).to.be('Deleted User ' + user.id);
+		});
+
+		it('should not be able to login anymore', async () => {
+			const user = api.getUser('deleter');
+			await api.as('deleter').del('/v1/profile', { password: user.password }).then(res => res.expectStatus(204));
+			await api.post('/v1/authenticate', { username: user.username, password: user.password }).then(res => res.expectError(401));
+			await api.as('deleter').get('/v1/profile').then(res => res.expectError(401, 'account has been deleted'));
+		});
+
+		it('should remove the personal data', async () => {
+			const user = api.getUser('deleter');
+			const res = await api.asRoot().get('/v1/users/' + user.id).then(res => res.expectStatus(200));
+			expect(res.data.name).to.be('Deleted User ' + user.id);
+			expect(res.data.email).not.to.be(user.email);
+			expect(res.data.username).to.be(undefined);
+			expect(res.data.is_active).to.be(false);
+		});
+	});
+});
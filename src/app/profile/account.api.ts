@@ -0,0 +1,145 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+import archiver from 'archiver';
+import { pick } from 'lodash';
+
+import { Api } from '../common/api';
+import { apiCache } from '../common/api.cache';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { Context } from '../common/typings/context';
+import { GameDocument } from '../games/game.document';
+import { LogUserUtil } from '../log-user/log.user.util';
+import { ReleaseDocument } from '../releases/release.document';
+import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+import { UserUtil } from '../users/user.util';
+
+export class AccountApi extends Api {
+
+	/**
+	 * Exports all data of the current user as a zip archive.
+	 *
+	 * The archive contains one JSON file per data type: the profile, user
+	 * logs, events, comments, ratings, stars, uploaded files and releases.
+	 * Uploaded files are listed with their metadata and download URL.
+	 *
+	 * @see GET /v1/profile/export
+	 * @param {Context} ctx Koa context
+	 */
+	public async export(ctx: Context) {
+		const user = await this.getUser(ctx);
+		const now = new Date();
+
+		const releaseQuery = { $or: [{ _created_by: user._id }, { 'authors._user': user._id }] };
+		const data: { [name: string]: any } = {
+			profile: {
+				...state.serializers.User.detailed(ctx, user),
+				providers: Object.keys(user.providers || {})
+					.filter(provider => user.providers[provider] && user.providers[provider].id)
+					.map(provider => ({ provider, ...pick(user.providers[provider], ['id', 'name', 'emails', 'created_at', 'modified_at']) })),
+			},
+			logs: (await state.models.LogUser.find({ _user: user._id }).populate('_actor').sort({ logged_at: -1 }).exec())
+				.map(log => state.serializers.LogUser.detailed(ctx, log)),
+			events: (await state.models.LogEvent.find({ _actor: user._id }).populate('_ref.game _ref.release _ref.backglass _ref.user _ref.game_request').sort({ logged_at: -1 }).exec())
+				.map(event => state.serializers.LogEvent.detailed(ctx, event)),
+			comments: (await state.models.Comment.find({ _from: user._id }).populate('_ref.release _ref.release_moderation').sort({ created_at: -1 }).exec())
+				.map(comment => state.serializers.Comment.detailed(ctx, comment)),
+			ratings: (await state.models.Rating.find({ _from: user._id }).populate('_ref.game _ref.release').sort({ created_at: -1 }).exec())
+				.map(rating => ({
+					value: rating.value,
+					game: rating._ref.game ? state.serializers.Game.reduced(ctx, rating._ref.game as GameDocument) : undefined,
+					release: rating._ref.release ? state.serializers.Release.reduced(ctx, rating._ref.release as ReleaseDocument) : undefined,
+					created_at: rating.created_at,
+					modified_at: rating.modified_at,
+				})),
+			stars: (await state.models.Star.find({ _from: user._id }).sort({ created_at: -1 }).exec())
+				.map(star => ({ type: star.type, created_at: star.created_at })),
+			files: (await state.models.File.find({ _created_by: user._id }).sort({ created_at: -1 }).exec())
+				.map(file => state.serializers.File.detailed(ctx, file)),
+			releases: (await state.models.Release.find(releaseQuery)
+				.populate('_game _tags _created_by versions.files._file versions.files._playfield_image versions.files._compatibility authors._user')
+				.sort({ created_at: -1 })
+				.exec())
+				.map(release => state.serializers.Release.detailed(ctx, release)),
+		};
+
+		const archive = archiver('zip');
+		archive.on('error', err => logger.error(ctx.state, '[AccountApi.export] Error creating archive: %s', err.message));
+		for (const name of Object.keys(data)) {
+			archive.append(JSON.stringify(data[name], null, '  '), { name: name + '.json', date: now });
+		}
+		// noinspection JSIgnoredPromiseFromCall
+		archive.finalize();
+
+		await LogUserUtil.success(ctx, user, 'export_data');
+		logger.info(ctx.state, '[AccountApi.export] Exporting data of user <%s>.', user.email);
+
+		ctx.status = 200;
+		ctx.set('Content-Type', 'application/zip');
+		ctx.set('Content-Disposition', 'attachment; filename="vpdb-export-' + user.id + '-' + now.toISOString().substr(0, 10) + '.zip"');
+		ctx.set('Cache-Control', 'private');
+		ctx.body = archive;
+	}
+
+	/**
+	 * Deletes the account of the current user.
+	 *
+	 * Personal data is removed and the account is anonymized. Comments and
+	 * authored content are kept or removed as configured. Users with a
+	 * local password must provide it, others must be logged with a token
+	 * coming directly from an authentication request.
+	 *
+	 * @see DELETE /v1/profile
+	 * @param {Context} ctx Koa context
+	 */
+	public async del(ctx: Context) {
+		const user = await this.getUser(ctx);
+
+		if (user.roles.includes('root')) {
+			throw new ApiError('Root accounts cannot be deleted.').status(400);
+		}
+		if (user.passwordSet()) {
+			if (!ctx.request.body.password) {
+				throw new ApiError().validationError('password', 'You must provide your password in order to delete your account.');
+			}
+			if (!user.authenticate(ctx.request.body.password)) {
+				throw new ApiError().validationError('password', 'Invalid password.');
+			}
+
+		} else if (ctx.state.tokenType !== 'jwt') {
+			throw new ApiError('When deleting an account without a password, you must be logged with a token coming ' +
+				'directly from an authentication request.').warn().status(401);
+		}
+
+		const email = user.email;
+		await UserUtil.anonymizeUser(ctx, user);
+		await apiCache.invalidateUpdatedUser(ctx.state, user);
+
+		logger.info(ctx.state, '[AccountApi.del] User <%s> (%s) successfully deleted their account.', email, user.id);
+		this.success(ctx, null, 204);
+	}
+
+	/**
+	 * Returns the current user with all fields.
+	 */
+	private async getUser(ctx: Context): Promise<UserDocument> {
+		return state.models.User.findById(ctx.state.user._id).exec();
+	}
+}
@@ -22,7 +22,9 @@ import { ApiRouter } from '../common/api.router';
 import { Scope } from '../common/scope';
 import { LogEventApi } from '../log-event/log.event.api';
 import { LogUserApi } from '../log-user/log.user.api';
+import { AccountApi } from './account.api';
 import { ProfileApi } from './profile.api';
+import { TwoFactorApi } from './two.factor.api';
 
 export class ProfileApiRouter implements ApiRouter {
 
@@ -32,12 +34,23 @@ export class ProfileApiRouter implements ApiRouter {
 		const api = new ProfileApi();
 		this.router = api.apiRouter();
 
-		this.router.get('/v1/profile',               api.auth(api.view.bind(api), 'user', 'view', [ Scope.ALL, Scope.COMMUNITY ]));
-		this.router.patch('/v1/profile',             api.auth(api.update.bind(api), 'user', 'update', [ Scope.ALL ]));
+		this.router.get('/v1/profile',               api.auth(api.view.bind(api), 'user', 'view', [ Scope.ALL, Scope.COMMUNITY, Scope.PROFILE_READ ]));
+		this.router.patch('/v1/profile',             api.auth(api.update.bind(api), 'user', 'update', [ Scope.ALL, Scope.PROFILE_WRITE ]));
 		this.router.get('/v1/profile/confirm/:tkn', api.confirm.bind(api));
 		this.router.post('/v1/profile/request-password-reset', api.requestResetPassword.bind(api));
 		this.router.post('/v1/profile/password-reset',         api.resetPassword.bind(api));
 
+		const accountApi = new AccountApi();
+		this.router.get('/v1/profile/export',        api.auth(accountApi.export.bind(accountApi), 'user', 'view', [ Scope.ALL ]));
+		this.router.del('/v1/profile',               api.auth(accountApi.del.bind(accountApi), 'user', 'update', [ Scope.ALL ]));
+
+		const twoFactorApi = new TwoFactorApi();
+		this.router.get('/v1/profile/2fa',                  api.auth(twoFactorApi.view.bind(twoFactorApi), 'user', 'view', [ Scope.ALL ]));
+		this.router.post('/v1/profile/2fa',                 api.auth(twoFactorApi.setup.bind(twoFactorApi), 'user', 'update', [ Scope.ALL ]));
+		this.router.post('/v1/profile/2fa/verify',          api.auth(twoFactorApi.enable.bind(twoFactorApi), 'user', 'update', [ Scope.ALL ]));
+		this.router.post('/v1/profile/2fa/disable',         api.auth(twoFactorApi.disable.bind(twoFactorApi), 'user', 'update', [ Scope.ALL ]));
+		this.router.post('/v1/profile/2fa/recovery-codes',  api.auth(twoFactorApi.regenerateRecoveryCodes.bind(twoFactorApi), 'user', 'update', [ Scope.ALL ]));
+
 		const logApi = new LogUserApi();
 		this.router.get('/v1/profile/logs',          api.auth(logApi.list.bind(api), 'user', 'view', [ Scope.ALL ]));
 
@@ -45,8 +58,8 @@ export class ProfileApiRouter implements ApiRouter {
 		this.router.get('/v1/profile/events',        api.auth(eventsApi.list({ loggedUser: true }).bind(eventsApi), 'user', 'view', [ Scope.ALL ]));
 
 		// deprecated, remove when clients are updated.
-		this.router.get('/v1/user',               api.auth(api.view.bind(api), 'user', 'view', [ Scope.ALL, Scope.COMMUNITY ]));
-		this.router.patch('/v1/user',             api.auth(api.update.bind(api), 'user', 'update', [ Scope.ALL ]));
+		this.router.get('/v1/user',               api.auth(api.view.bind(api), 'user', 'view', [ Scope.ALL, Scope.COMMUNITY, Scope.PROFILE_READ ]));
+		this.router.patch('/v1/user',             api.auth(api.update.bind(api), 'user', 'update', [ Scope.ALL, Scope.PROFILE_WRITE ]));
 		this.router.get('/v1/user/logs',          api.auth(logApi.list.bind(api), 'user', 'view', [ Scope.ALL ]));
 		this.router.get('/v1/user/events',        api.auth(eventsApi.list({ loggedUser: true }).bind(eventsApi), 'user', 'view', [ Scope.ALL ]));
 		this.router.get('/v1/user/confirm/:tkn', api.confirm.bind(api));
@@ -0,0 +1,183 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+"use strict"; /* global describe, before, after, it */
+
+const crypto = require('crypto');
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+/**
+ * Computes the one-time password of a base32-encoded secret, offset by a
+ * number of time steps.
+ */
+function totp(secret, offset) {
+	const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+	const bits = secret.split('').map(c => alphabet.indexOf(c).toString(2).padStart(5, '0')).join('');
+	const key = Buffer.from(bits.match(/.{8}/g).map(b => parseInt(b, 2)));
+	const counter = Buffer.alloc(8);
+	counter.writeUInt32BE(Math.floor(Date.now() / 30000) + (offset || 0), 4);
+	const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+	const offs = hmac[hmac.length - 1] % 16;
+	const binary = (hmac[offs] % 128) * 0x1000000 + hmac[offs + 1] * 0x10000 + hmac[offs + 2] * 0x100 + hmac[offs + 3];
+	return String(binary % 1000000).padStart(6, '0');
+}
+
+describe('The VPDB `two-factor authentication` API', () => {
+
+	let user, secret, recoveryCodes;
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: [ 'member' ], _plan: 'subscribed' },
+		});
+		user = api.getUser('member');
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when enrolling', () => {
+
+		it('should show it as disabled', async () => {
+			const res = await api.as('member').get('/v1/profile/2fa').then(res => res.expectStatus(200));
+			expect(res.data.is_enabled).to.be(false);
+			expect(res.data.is_enforced).to.be(false);
+		});
+
+		it('should fail verifying before setup', async () => {
+			await api.as('member').post('/v1/profile/2fa/verify', { code: '123456' }).then(res => res.expectError(400, 'must be set up first'));
+		});
+
+		it('should fail setting up without password', async () => {
+			await api.as('member').post('/v1/profile/2fa', {}).then(res => res.expectValidationError('current_password', 'must provide your current password'));
+		});
+
+		it('should fail setting up with an invalid password', async () => {
+			await api.as('member').post('/v1/profile/2fa', { current_password: 'xxx' }).then(res => res.expectValidationError('current_password', 'invalid password'));
+		});
+
+		it('should fail setting up with a personal token', async () => {
+			const res = await api.as('member')
+				.markTeardown()
+				.post('/v1/tokens', { label: '2FA test token', password: user.password, type: 'personal', scopes: [ 'all' ] })
+				.then(res => res.expectStatus(201));
+			await api.withToken(res.data.token).post('/v1/profile/2fa', { current_password: user.password }).then(res => res.expectError(401, 'directly from an authentication request'));
+		});
+
+		it('should return a secret', async () => {
+			const res = await api.as('member').post('/v1/profile/2fa', { current_password: user.password }).then(res => res.expectStatus(201));
+			secret = res.data.secret;
+			expect(secret).to.match(/^[A-Z2-7]{32}$/);
+			expect(res.data.uri).to.contain('otpauth://totp/');
+			expect(res.data.uri).to.contain('secret=' + secret);
+		});
+
+		it('should fail verifying with an invalid code', async () => {
+			await api.as('member').post('/v1/profile/2fa/verify', { current_password: user.password, code: 'abcdef' }).then(res => res.expectValidationError('code', 'invalid code'));
+		});
+
+		it('should fail verifying without password', async () => {
+			await api.as('member').post('/v1/profile/2fa/verify', { code: totp(secret) }).then(res => res.expectValidationError('current_password', 'must provide your current password'));
+		});
+
+		it('should enable with a valid code and return recovery codes', async () => {
+			const res = await api.as('member').post('/v1/profile/2fa/verify', { current_password: user.password, code: totp(secret) }).then(res => res.expectStatus(200));
+			recoveryCodes = res.data.recovery_codes;
+			expect(recoveryCodes).to.have.length(10);
+			expect(recoveryCodes[0]).to.match(/^[0-9a-f]{5}(-[0-9a-f]{5}){3}$/);
+
+			const status = await api.as('member').get('/v1/profile/2fa').then(res => res.expectStatus(200));
+			expect(status.data.is_enabled).to.be(true);
+			expect(status.data.recovery_codes_left).to.be(10);
+		});
+
+		it('should fail setting up again', async () => {
+			await api.as('member').post('/v1/profile/2fa', { current_password: user.password }).then(res => res.expectError(409, 'already enabled'));
+		});
+	});
+
+	describe('when authenticating', () => {
+
+		it('should return a challenge instead of a token', async () => {
+			const res = await api.post('/v1/authenticate', { username: user.username, password: user.password }).then(res => res.expectStatus(200));
+			expect(res.data.challenge).to.be.ok();
+			expect(res.data.token).to.not.be.ok();
+			expect(res.data.enrollment).to.not.be.ok();
+		});
+
+		it('should fail with an invalid challenge', async () => {
+			await api.post('/v1/authenticate', { challenge: 'abcd', code: totp(secret) }).then(res => res.expectError(401, 'invalid or expired'));
+		});
+
+		it('should fail with a wrong code', async () => {
+			const res = await api.post('/v1/authenticate', { username: user.username, password: user.password }).then(res => res.expectStatus(200));
+			await api.post('/v1/authenticate', { challenge: res.data.challenge, code: 'abcdef' }).then(res => res.expectError(401, 'wrong authentication code'));
+		});
+
+		it('should remove the challenge after too many wrong codes', async () => {
+			const res = await api.post('/v1/authenticate', { username: user.username, password: user.password }).then(res => res.expectStatus(200));
+			for (let i = 0; i < 5; i++) {
+				await api.post('/v1/authenticate', { challenge: res.data.challenge, recovery_code: 'aaaaa-aaaaa-aaaaa-aaaaa' }).then(res => res.expectError(401, 'wrong authentication code'));
+			}
+			await api.post('/v1/authenticate', { challenge: res.data.challenge, code: totp(secret) }).then(res => res.expectError(401, 'invalid or expired'));
+		});
+
+		it('should succeed with a valid code but not accept it twice', async () => {
+			let res = await api.post('/v1/authenticate', { username: user.username, password: user.password }).then(res => res.expectStatus(200));
+			const code = totp(secret, 1);
+			res = await api.post('/v1/authenticate', { challenge: res.data.challenge, code }).then(res => res.expectStatus(200));
+			expect(res.data.token).to.be.ok();
+
+			res = await api.post('/v1/authenticate', { username: user.username, password: user.password }).then(res => res.expectStatus(200));
+			await api.post('/v1/authenticate', { challenge: res.data.challenge, code }).then(res => res.expectError(401, 'wrong authentication code'));
+		});
+
+		it('should succeed with a recovery code but not accept it twice', async () => {
+			let res = await api.post('/v1/authenticate', { username: user.username, password: user.password }).then(res => res.expectStatus(200));
+			res = await api.post('/v1/authenticate', { challenge: res.data.challenge, recovery_code: recoveryCodes[0] }).then(res => res.expectStatus(200));
+			expect(res.data.token).to.be.ok();
+
+			res = await api.post('/v1/authenticate', { username: user.username, password: user.password }).then(res => res.expectStatus(200));
+			await api.post('/v1/authenticate', { challenge: res.data.challenge, recovery_code: recoveryCodes[0] }).then(res => res.expectError(401, 'wrong authentication code'));
+		});
+	});
+
+	describe('when managing two-factor authentication', () => {
+
+		it('should regenerate the recovery codes', async () => {
+			const res = await api.as('member').post('/v1/profile/2fa/recovery-codes', { recovery_code: recoveryCodes[1] }).then(res => res.expectStatus(200));
+			expect(res.data.recovery_codes).to.have.length(10);
+			expect(res.data.recovery_codes).to.not.contain(recoveryCodes[2]);
+			recoveryCodes = res.data.recovery_codes;
+		});
+
+		it('should fail disabling without password', async () => {
+			await api.as('member').post('/v1/profile/2fa/disable', { recovery_code: recoveryCodes[0] }).then(res => res.expectValidationError('current_password', 'must provide your current password'));
+		});
+
+		it('should disable with password and recovery code', async () => {
+			await api.as('member').post('/v1/profile/2fa/disable', { current_password: user.password, recovery_code: recoveryCodes[0] }).then(res => res.expectStatus(204));
+			const res = await api.post('/v1/authenticate', { username: user.username, password: user.password }).then(res => res.expectStatus(200));
+			expect(res.data.token).to.be.ok();
+		});
+	});
+});
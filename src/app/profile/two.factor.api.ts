@@ -0,0 +1,200 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { TwoFactorUtil } from '../authentication/two.factor.util';
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { Context } from '../common/typings/context';
+import { LogUserUtil } from '../log-user/log.user.util';
+import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+
+export class TwoFactorApi extends Api {
+
+	/**
+	 * Returns the two-factor status of the current user.
+	 *
+	 * @see GET /v1/profile/2fa
+	 * @param {Context} ctx Koa context
+	 */
+	public async view(ctx: Context) {
+		const user = await this.getUser(ctx);
+		this.success(ctx, {
+			is_enabled: TwoFactorUtil.isEnabled(user),
+			is_enforced: TwoFactorUtil.isEnforced(user),
+			enabled_at: TwoFactorUtil.isEnabled(user) ? user.two_factor.enabled_at : undefined,
+			recovery_codes_left: TwoFactorUtil.isEnabled(user) ? user.two_factor.recovery_codes.filter(c => !c.used_at).length : 0,
+		}, 200);
+	}
+
+	/**
+	 * Creates a new secret for the authenticator app. Two-factor
+	 * authentication is only enabled once a valid code has been posted to
+	 * the verify resource. Needs the password.
+	 *
+	 * @see POST /v1/profile/2fa
+	 * @param {Context} ctx Koa context
+	 */
+	public async setup(ctx: Context) {
+		this.assertLoginSession(ctx);
+		const user = await this.getUser(ctx);
+		if (!user.passwordSet()) {
+			throw new ApiError('Two-factor authentication is only available for accounts with local credentials.').status(400);
+		}
+		if (TwoFactorUtil.isEnabled(user)) {
+			throw new ApiError('Two-factor authentication is already enabled.').status(409);
+		}
+		await this.assertPassword(ctx, user, 'setup_two_factor');
+		const secret = TwoFactorUtil.generateSecret();
+		await state.models.User.updateOne({ _id: user._id }, { $set: { 'two_factor.secret': secret } }).exec();
+
+		logger.info(ctx.state, '[TwoFactorApi.setup] Created new two-factor secret for user <%s>.', user.email);
+		this.success(ctx, { secret, uri: TwoFactorUtil.getUri(user, secret) }, 201);
+	}
+
+	/**
+	 * Enables two-factor authentication if the posted code matches the
+	 * previously set up secret, and returns the recovery codes. Needs the
+	 * password.
+	 *
+	 * @see POST /v1/profile/2fa/verify
+	 * @param {Context} ctx Koa context
+	 */
+	public async enable(ctx: Context) {
+		this.assertLoginSession(ctx);
+		const user = await this.getUser(ctx);
+		if (TwoFactorUtil.isEnabled(user)) {
+			throw new ApiError('Two-factor authentication is already enabled.').status(409);
+		}
+		if (!user.two_factor || !user.two_factor.secret) {
+			throw new ApiError('Two-factor authentication must be set up first.').status(400);
+		}
+		await this.assertPassword(ctx, user, 'enable_two_factor');
+		await this.assertCode(ctx, user, false);
+		const recoveryCodes = await TwoFactorUtil.enable(user);
+
+		await LogUserUtil.success(ctx, user, 'enable_two_factor', { how: 'profile' });
+		logger.info(ctx.state, '[TwoFactorApi.enable] User <%s> enabled two-factor authentication.', user.email);
+		this.success(ctx, { recovery_codes: recoveryCodes }, 200);
+	}
+
+	/**
+	 * Disables two-factor authentication. Needs the password and a code or
+	 * recovery code.
+	 *
+	 * @see POST /v1/profile/2fa/disable
+	 * @param {Context} ctx Koa context
+	 */
+	public async disable(ctx: Context) {
+		this.assertLoginSession(ctx);
+		const user = await this.getUser(ctx);
+		if (!TwoFactorUtil.isEnabled(user)) {
+			throw new ApiError('Two-factor authentication is not enabled.').status(400);
+		}
+		if (TwoFactorUtil.isEnforced(user)) {
+			throw new ApiError('Two-factor authentication is mandatory for your role and cannot be disabled.').status(403);
+		}
+		await this.assertPassword(ctx, user, 'disable_two_factor');
+		await this.assertCode(ctx, user, true);
+		await state.models.User.updateOne({ _id: user._id }, { $unset: { two_factor: 1 } }).exec();
+
+		await LogUserUtil.success(ctx, user, 'disable_two_factor');
+		logger.info(ctx.state, '[TwoFactorApi.disable] User <%s> disabled two-factor authentication.', user.email);
+		this.success(ctx, null, 204);
+	}
+
+	/**
+	 * Replaces the recovery codes. Needs a code or recovery code.
+	 *
+	 * @see POST /v1/profile/2fa/recovery-codes
+	 * @param {Context} ctx Koa context
+	 */
+	public async regenerateRecoveryCodes(ctx: Context) {
+		this.assertLoginSession(ctx);
+		const user = await this.getUser(ctx);
+		if (!TwoFactorUtil.isEnabled(user)) {
+			throw new ApiError('Two-factor authentication is not enabled.').status(400);
+		}
+		await this.assertCode(ctx, user, true);
+		const recoveryCodes = await TwoFactorUtil.regenerateRecoveryCodes(user);
+
+		await LogUserUtil.success(ctx, user, 'regenerate_recovery_codes');
+		logger.info(ctx.state, '[TwoFactorApi.regenerateRecoveryCodes] User <%s> created new recovery codes.', user.email);
+		this.success(ctx, { recovery_codes: recoveryCodes }, 200);
+	}
+
+	/**
+	 * Makes sure the request is authenticated with a token coming directly
+	 * from a login, and not with a refreshed or an application token.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @throws {ApiError} If authenticated otherwise.
+	 */
+	private assertLoginSession(ctx: Context) {
+		if (ctx.state.tokenType !== 'jwt') {
+			throw new ApiError('Two-factor authentication can only be managed with a token coming directly from ' +
+				'an authentication request.').warn().status(401);
+		}
+	}
+
+	/**
+	 * Makes sure the posted current password is valid.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {UserDocument} user Current user
+	 * @param {string} action Action logged when the password is invalid
+	 * @throws {ApiError} If no or an invalid password was provided.
+	 */
+	private async assertPassword(ctx: Context, user: UserDocument, action: string) {
+		if (!ctx.request.body.current_password) {
+			throw new ApiError().validationError('current_password', 'You must provide your current password.');
+		}
+		if (!user.authenticate(ctx.request.body.current_password)) {
+			await LogUserUtil.failure(ctx, user, action, {}, null, 'Invalid password.');
+			throw new ApiError().validationError('current_password', 'Invalid password.');
+		}
+	}
+
+	/**
+	 * Makes sure the posted one-time password or recovery code is valid.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {UserDocument} user Current user
+	 * @param {boolean} allowRecoveryCode If true, a recovery code is accepted as well
+	 * @throws {ApiError} If no or an invalid code was provided.
+	 */
+	private async assertCode(ctx: Context, user: UserDocument, allowRecoveryCode: boolean) {
+		const recoveryCode = allowRecoveryCode ? ctx.request.body.recovery_code : undefined;
+		if (!ctx.request.body.code && !recoveryCode) {
+			throw new ApiError().validationError('code', 'You must provide the code of your authenticator app.');
+		}
+		if (!await TwoFactorUtil.verify(user, ctx.request.body.code, recoveryCode)) {
+			throw new ApiError().validationError(ctx.request.body.code ? 'code' : 'recovery_code', 'Invalid code.');
+		}
+	}
+
+	/**
+	 * Retrieves the current user from the database, since the two-factor
+	 * fields change between requests.
+	 */
+	private async getUser(ctx: Context): Promise<UserDocument> {
+		return state.models.User.findById(ctx.state.user._id).exec();
+	}
+}
@@ -61,7 +61,9 @@ export abstract class ReleaseAbstractApi extends Api {
 			.populate({ path: 'versions.files._playfield_image' })
 			.populate({ path: 'versions.files._playfield_video' })
 			.populate({ path: 'versions.files._compatibility' })
-			.populate({ path: 'versions.files.validation._validated_by' });
+			.populate({ path: 'versions.files.validation._validated_by' })
+			.populate({ path: 'versions.dependencies._roms' })
+			.populate({ path: 'versions.dependencies._backglass' });
 	}
 
 	/**
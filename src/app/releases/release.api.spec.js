@@ -1096,6 +1096,31 @@ describe('The VPDB `Release` API', () => {
 		it('should only list releases with table files of a given size');
 		it('should only list releases with table files of a given size and threshold');
 
+		it('should only list releases with table files of a given number of flippers', async () => {
+			res = await api.get('/v1/releases?flippers=2').then(res => res.expectStatus(200));
+			expect(res.data).to.have.length(numReleases);
+			res = await api.get('/v1/releases?flippers=3').then(res => res.expectStatus(200));
+			expect(res.data).to.be.empty();
+		});
+
+		it('should only list releases with table files within a range of game items', async () => {
+			res = await api.get('/v1/releases?min_flippers=1&max_triggers=4').then(res => res.expectStatus(200));
+			expect(res.data).to.have.length(numReleases);
+			res = await api.get('/v1/releases?min_flippers=1&max_triggers=3').then(res => res.expectStatus(200));
+			expect(res.data).to.be.empty();
+		});
+
+		it('should only list releases with table files below a given texture memory', async () => {
+			res = await api.get('/v1/releases?max_texture_mb=1').then(res => res.expectStatus(200));
+			expect(res.data).to.have.length(numReleases);
+			res = await api.get('/v1/releases?max_texture_mb=0').then(res => res.expectStatus(200));
+			expect(res.data).to.be.empty();
+		});
+
+		it('should fail when filtering by an invalid number of game items', async () => {
+			await api.get('/v1/releases?flippers=two').then(res => res.expectError(400, 'must be a positive number'));
+		});
+
 	});
 
 	describe('when only listing "mine"', () => {
@@ -271,6 +271,7 @@ export class ReleaseApi extends ReleaseAbstractApi {
 			await qb.filterByStarred(ctx.query.starred, ctx.state.user, starredReleaseIds);
 			await qb.filterByCompatibility(ctx.query.builds);
 			await qb.filterByFileSize(parseInt(ctx.query.filesize, 10), parseInt(ctx.query.threshold, 10));
+			await qb.filterByTableStatistics(ctx.query);
 			// todo filter by user id
 
 			query = [...query, ...qb.getQuery()];
@@ -22,6 +22,7 @@ import { isUndefined } from 'util';
 
 import { ApiError } from '../common/api.error';
 import { SerializerOptions } from '../common/serializer';
+import { tableStatisticsItems } from '../common/visualpinball.table';
 import { state } from '../state';
 import { UserDocument } from '../users/user.document';
 import { flavors } from './release.flavors';
@@ -147,4 +148,47 @@ export class ReleaseListQueryBuilder {
 			}
 		}
 	}
+
+	/**
+	 * Filters by the statistics of the table files.
+	 *
+	 * Game items can be filtered by exact count (e.g. `flippers=2`) or by
+	 * range (e.g. `min_ramps=1`, `max_primitives=100`). Texture memory and
+	 * sound size are limited in megabytes with `max_texture_mb` and
+	 * `max_sound_mb`. All conditions must be met by the same file.
+	 *
+	 * @param {{[p: string]: string}} query Query parameters
+	 */
+	public async filterByTableStatistics(query: { [key: string]: string }): Promise<void> {
+		const conditions: { [path: string]: { [operator: string]: number } } = {};
+		const addCondition = (param: string, path: string, operator: string, factor: number = 1) => {
+			if (isUndefined(query[param])) {
+				return;
+			}
+			const value = Number(query[param]);
+			if (query[param] === '' || isNaN(value) || value < 0) {
+				throw new ApiError('Parameter "%s" must be a positive number.', param).status(400);
+			}
+			conditions[path] = { ...conditions[path], [operator]: value * factor };
+		};
+		for (const item of tableStatisticsItems) {
+			addCondition(item, 'metadata.statistics.items.' + item, '$eq');
+			addCondition('min_' + item, 'metadata.statistics.items.' + item, '$gte');
+			addCondition('max_' + item, 'metadata.statistics.items.' + item, '$lte');
+		}
+		addCondition('max_texture_mb', 'metadata.statistics.textures.memory', '$lte', 1048576);
+		addCondition('max_sound_mb', 'metadata.statistics.sounds.bytes', '$lte', 1048576);
+		if (Object.keys(conditions).length === 0) {
+			return;
+		}
+		// resolve the releases on the server, so the query only contains one ID per release instead of every matching file.
+		// the existence condition lets MongoDB use the partial statistics indexes
+		const releases = await state.models.File.aggregate([
+			{ $match: { file_type: 'release', 'metadata.statistics': { $exists: true }, ...conditions } },
+			{ $lookup: { from: state.models.Release.collection.name, localField: '_id', foreignField: 'versions.files._file', as: 'releases' } },
+			{ $unwind: '$releases' },
+			{ $group: { _id: '$releases._id' } },
+		]).exec();
+		this.query.push({ _id: { $in: releases.map((r: any) => r._id) } });
+	}
 }
@@ -99,6 +99,8 @@ export const releaseFields = {
 
 export interface ReleaseModel extends GameReferenceModel<ReleaseDocument>, PrettyIdModel<ReleaseDocument>, ModeratedModel<ReleaseDocument>, PaginateModel<ReleaseDocument>, MetricsModel<ReleaseDocument> { }
 export const releaseSchema = new Schema(releaseFields, { toObject: { virtuals: true, versionKey: false } });
+releaseSchema.index({ name: 'text', description: 'text' }, { weights: { name: 10, description: 1 } });
+releaseSchema.index({ 'versions.files._file': 1 }); // lookup of releases by table statistics
 
 //-----------------------------------------------------------------------------
 // PLUGINS
@@ -152,6 +154,11 @@ releaseSchema.pre('remove', async function(this: ReleaseDocument) {
 	// remove linked comments
 	await state.models.Comment.deleteMany({ $or: [{ '_ref.release': this._id }, { '_ref.release_moderation': this._id }] }).exec();
 
+	// remove scores, including their proofs
+	for (const highscore of await state.models.Highscore.find({ _release: this._id }).exec()) {
+		await highscore.remove();
+	}
+
 	// remove table blocks
 	const fileIds: string[] = [];
 	this.versions.forEach(version => {
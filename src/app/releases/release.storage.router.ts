@@ -30,9 +30,9 @@ export class ReleaseStorageRouter implements ApiRouter {
 		const storage = new ReleaseStorage();
 		this.router = storage.storageRouter(true);
 
-		this.router.head('/v1/releases/:release_id',       storage.auth(storage.checkDownload.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE ]));
-		this.router.get('/v1/releases/:release_id',        storage.auth(storage.download.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE ]));
-		this.router.post('/v1/releases/:release_id',       storage.auth(storage.download.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE ]));
+		this.router.head('/v1/releases/:release_id',       storage.auth(storage.checkDownload.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE, Scope.FILES_DOWNLOAD ]));
+		this.router.get('/v1/releases/:release_id',        storage.auth(storage.download.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE, Scope.FILES_DOWNLOAD ]));
+		this.router.post('/v1/releases/:release_id',       storage.auth(storage.download.bind(storage), 'files', 'download', [ Scope.ALL, Scope.STORAGE, Scope.FILES_DOWNLOAD ]));
 		this.router.get('/v1/releases/:release_id/thumb', storage.thumbRedirect.bind(storage));
 	}
 
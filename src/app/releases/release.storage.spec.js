@@ -35,6 +35,7 @@ describe('The VPDB `Release` storage API', () => {
 		await api.setupUsers({
 			member: { roles: ['member'] },
 			countertest: { roles: ['member'] },
+			quotatest: { roles: ['member'] },
 			moderator: { roles: ['moderator'] },
 			contributor: { roles: ['contributor'] },
 			creator: { roles: ['moderator', 'contributor'] },
@@ -307,6 +308,80 @@ describe('The VPDB `Release` storage API', () => {
 		});
 	});
 
+	describe('when resuming a release download', () => {
+
+		let body;
+		before(() => {
+			body = {
+				files: [release.versions[0].files[0].file.id],
+				media: { playfield_image: true, playfield_video: false },
+			};
+		});
+
+		const download = () => api.onStorage()
+			.as('quotatest')
+			.withQuery(({ body: JSON.stringify(body) }))
+			.responseAsBuffer();
+
+		it('should serve the same bundle with an ETag', async () => {
+			const res1 = await download().get('/v1/releases/' + release.id).then(res => res.expectStatus(200));
+			const res2 = await download().get('/v1/releases/' + release.id).then(res => res.expectStatus(200));
+			expect(res1.headers['etag']).to.be.ok();
+			expect(res1.headers['accept-ranges']).to.be('bytes');
+			expect(res2.headers['etag']).to.be(res1.headers['etag']);
+			expect(Buffer.compare(res1.data, res2.data)).to.be(0);
+		});
+
+		it('should only consume quota once', async () => {
+			const res1 = await download().get('/v1/releases/' + release.id).then(res => res.expectStatus(200));
+			const res2 = await download().get('/v1/releases/' + release.id).then(res => res.expectStatus(200));
+			expect(res2.headers['x-ratelimit-remaining']).to.be(res1.headers['x-ratelimit-remaining']);
+		});
+
+		it('should return not modified for a matching ETag', async () => {
+			const res1 = await download().get('/v1/releases/' + release.id).then(res => res.expectStatus(200));
+			await download()
+				.withHeader('If-None-Match', res1.headers['etag'])
+				.get('/v1/releases/' + release.id)
+				.then(res => res.expectStatus(304));
+		});
+
+		it('should serve a byte range', async () => {
+			const full = await download().get('/v1/releases/' + release.id).then(res => res.expectStatus(200));
+			res = await download()
+				.withHeader('Range', 'bytes=100-')
+				.withHeader('If-Range', full.headers['etag'])
+				.get('/v1/releases/' + release.id)
+				.then(res => res.expectStatus(206));
+			expect(res.headers['content-range']).to.be('bytes 100-' + (full.data.length - 1) + '/' + full.data.length);
+			expect(Buffer.compare(res.data, full.data.slice(100))).to.be(0);
+		});
+
+		it('should serve a suffix range', async () => {
+			const full = await download().get('/v1/releases/' + release.id).then(res => res.expectStatus(200));
+			res = await download()
+				.withHeader('Range', 'bytes=-10')
+				.get('/v1/releases/' + release.id)
+				.then(res => res.expectStatus(206));
+			expect(Buffer.compare(res.data, full.data.slice(-10))).to.be(0);
+		});
+
+		it('should serve everything if the ETag changed', async () => {
+			await download()
+				.withHeader('Range', 'bytes=100-')
+				.withHeader('If-Range', '"outdated"')
+				.get('/v1/releases/' + release.id)
+				.then(res => res.expectStatus(200));
+		});
+
+		it('should fail for an unsatisfiable range', async () => {
+			await download()
+				.withHeader('Range', 'bytes=100000000-')
+				.get('/v1/releases/' + release.id)
+				.then(res => res.expectStatus(416));
+		});
+	});
+
 	describe('when downloading a release file', () => {
 
 		it('should update the counters of the release version', async () => {
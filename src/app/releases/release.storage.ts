@@ -18,12 +18,14 @@
  */
 
 import archiver, { Archiver } from 'archiver';
-import { createReadStream } from 'fs';
-import { intersection, isArray, isUndefined, sortBy } from 'lodash';
+import { createHash } from 'crypto';
+import { createReadStream, createWriteStream, rename, stat, unlink, utimes } from 'fs';
+import { flatten, intersection, isArray, isUndefined, sortBy } from 'lodash';
 import sanitize = require('mongo-sanitize');
 import { Types } from 'mongoose';
-import { basename, extname } from 'path';
+import { basename, dirname, extname } from 'path';
 import unzip from 'unzipper';
+import { promisify } from 'util';
 
 import { BuildDocument } from '../builds/build.document';
 import { Api } from '../common/api';
@@ -33,8 +35,10 @@ import { quota } from '../common/quota';
 import { Context, RequestState } from '../common/typings/context';
 import { FileDocument } from '../files/file.document';
 import { fileTypes } from '../files/file.types';
+import { FileUtil } from '../files/file.util';
 import { FileVariation } from '../files/file.variations';
 import { processorQueue } from '../files/processor/processor.queue';
+import { storageBackend } from '../files/storage/storage.backend';
 import { GameDocument } from '../games/game.document';
 import { LogEventUtil } from '../log-event/log.event.util';
 import { state } from '../state';
@@ -45,6 +49,12 @@ import { ReleaseVersionFileDocument } from './version/file/release.version.file.
 import { ReleaseVersionDocument } from './version/release.version.document';
 
 const Unrar = require('unrar');
+const randomString = require('randomstring');
+
+const statAsync = promisify(stat);
+const renameAsync = promisify(rename);
+const unlinkAsync = promisify(unlink);
+const utimesAsync = promisify(utimes);
 
 export class ReleaseStorage extends Api {
 
@@ -71,32 +81,59 @@ export class ReleaseStorage extends Api {
 	 *  	"roms": [ "afm_113b", "afm_113" ]
 	 *  }
 	 *
+	 * The zip file is built once per file set and cached in the storage, so
+	 * downloads can be resumed using the `Range` and `If-Range` headers. Quota
+	 * is only consumed once per bundle and quota period.
+	 *
 	 * @see GET /v1/releases/:release_id
 	 * @see POST /v1/releases/:release_id
 	 * @param {Context} ctx Koa context
 	 */
 	public async download(ctx: Context) {
 
-		const [release, requestedFiles] = await this.collectFiles(ctx, false);
+		const [release, requestedFiles] = await this.collectFiles(ctx, ctx.params.release_id, this.getBody(ctx), false);
 		const game = release._game as GameDocument;
+		const bundle = this.getBundle(ctx, release, requestedFiles);
+		const etag = '"' + bundle.key + '"';
 
-		// create zip stream
-		const archive = archiver('zip');
+		ctx.set('Accept-Ranges', 'bytes');
+		ctx.set('ETag', etag);
+		ctx.set('Cache-Control', 'private');
 
-		let gameName = game.title;
-		if (game.year && game.manufacturer) {
-			gameName += ' (' + game.manufacturer + ' ' + game.year + ')';
+		// check if the client already has it
+		if (ctx.get('if-none-match').split(',').map(t => t.trim()).includes(etag)) {
+			return this.success(ctx, null, 304);
 		}
 
-		ctx.respond = false;
-		ctx.status = 200;
-		ctx.set('Content-Type', 'application/zip');
-		ctx.set('Content-Disposition', 'attachment; filename="' + encodeURIComponent(gameName) + '.zip"'); // todo add release name and authors to zip filename
-		let bytesSent = 0;
+		// build bundle if not cached
+		const path = FileUtil.getBundlePath(bundle.key);
+		if (!(await FileUtil.exists(path))) {
+			await this.buildBundle(ctx.state, release, bundle, path);
+		} else {
+			logger.info(ctx.state, '[ReleaseStorage.download] Serving cached bundle %s.', bundle.key);
+
+			// the cache is cleaned up by modification time, so mark it as recently used.
+			await utimesAsync(path, new Date(), new Date());
+		}
+		const stats = await statAsync(path);
+
+		// only honor the range if the bundle didn't change
+		let range: { start: number, end: number } = null;
+		if (ctx.get('range') && (!ctx.get('if-range') || ctx.get('if-range') === etag)) {
+			range = this.parseRange(ctx.get('range'), stats.size);
+			if (range === undefined) {
+				ctx.set('Content-Range', 'bytes */' + stats.size);
+				throw new ApiError('Cannot satisfy range "%s" for %s bytes.', ctx.get('range'), stats.size).status(416);
+			}
+		}
+
+		const start = range ? range.start : 0;
+		const end = range ? range.end : stats.size - 1;
 		const timeStarted = Date.now();
-		archive.on('data', chunk => bytesSent += (chunk as any).length);
-		archive.on('end', () => {
+		const readStream = createReadStream(path, { start, end });
+		readStream.on('end', () => {
 			const timeMs = Date.now() - timeStarted;
+			const bytesSent = end - start + 1;
 			logger.info(ctx.state, '[ReleaseStorage.download] Download finished, sent %s bytes in %ss (%s MB/s).', bytesSent, timeMs / 1000, Math.round(bytesSent / timeMs) / 1000);
 
 			// noinspection JSIgnoredPromiseFromCall
@@ -105,109 +142,22 @@ export class ReleaseStorage extends Api {
 				response: {
 					bytes_sent: bytesSent,
 					time_ms: timeMs,
+					range: range ? [start, end] : undefined,
 				},
 			}, {
 				release: release._id,
-				game: game._id ,
+				game: game._id,
 			});
 		});
-		archive.pipe(ctx.res);
-
-		// add tables to stream
-		const releaseFiles: string[] = [];
-		for (const file of requestedFiles) {
-			let name = '';
-			let variation: FileVariation = null;
-			let filename;
-			switch (file.file_type) {
-				case 'logo':
-					name = 'PinballX/Media/Visual Pinball/Wheel Images/' + gameName + file.getExt();
-					break;
-
-				case 'backglass':
-					if (file.getMimeCategory() === 'image') {
-						name = 'PinballX/Media/Visual Pinball/Backglass Images/' + gameName + file.getExt();
-					}
-					if (file.getMimeCategory() === 'directb2s') {
-						name = 'Visual Pinball/Tables/' + gameName + file.getExt();
-					}
-					break;
-
-				case 'playfield-fs':
-				case 'playfield-ws':
-					if (file.getMimeCategory() === 'image') {
-						name = 'PinballX/Media/Visual Pinball/Table Images/' + gameName + file.getExt();
-						variation = file.getVariation('hyperpin');
-					}
-					if (file.getMimeCategory() === 'video') {
-						name = 'PinballX/Media/Visual Pinball/Table Videos/' + gameName + file.getExt();
-					}
-					break;
 
-				case 'release':
-					switch (file.getMimeCategory()) {
-						case 'table':
-							filename = this.getTableFilename(ctx.state.user, release, file, releaseFiles);
-							releaseFiles.push(filename);
-							name = 'Visual Pinball/Tables/' + filename;
-							break;
-
-						case 'audio':
-							name = 'Visual Pinball/Music/' + file.name;
-							break;
-
-						case 'script':
-							name = 'Visual Pinball/Scripts/' + file.name;
-							break;
-
-						case 'archive':
-							if (file.metadata && isArray(file.metadata.entries)) {
-								if (/rar/i.test(file.getMimeSubtype())) {
-									await this.streamRarfile(ctx.state, file, archive);
-									continue;
-								}
-								if (/zip/i.test(file.getMimeSubtype())) {
-									await this.streamZipfile(ctx.state, file, archive);
-									continue;
-								}
-							}
-
-							// otherwise, add as normal file
-							name = 'Visual Pinball/Tables/' + file.name;
-							break;
-
-						default:
-							name = 'Visual Pinball/Tables/' + file.name;
-					}
-					break;
-
-				case 'rom':
-					name = 'Visual Pinball/VPinMAME/roms/' + file.name;
-					break;
-			}
-			// per default, put files into the root folder.
-			name = name || file.name;
-
-			// wait until created
-			if (variation) {
-				await processorQueue.stats(ctx.state, file, variation);
-			}
-
-			// now stream it
-			archive.append(createReadStream(file.getPath(ctx.state, variation)), {
-				name,
-				date: file.created_at,
-			});
-		}
-
-		if (release.description) {
-			archive.append(release.description, { name: 'README.txt' });
-		}
-		if (release.acknowledgements) {
-			archive.append(release.acknowledgements, { name: 'CREDITS.txt' });
+		ctx.status = range ? 206 : 200;
+		ctx.set('Content-Type', 'application/zip');
+		ctx.set('Content-Disposition', 'attachment; filename="' + encodeURIComponent(bundle.filename) + '.zip"'); // todo add release name and authors to zip filename
+		ctx.set('Content-Length', String(end - start + 1));
+		if (range) {
+			ctx.set('Content-Range', 'bytes ' + start + '-' + end + '/' + stats.size);
 		}
-		archive.finalize();
-		logger.info(ctx.state, '[ReleaseStorage.download] Archive successfully created.');
+		ctx.body = readStream;
 	}
 
 	/**
@@ -222,7 +172,8 @@ export class ReleaseStorage extends Api {
 	 */
 	public async checkDownload(ctx: Context) {
 		try {
-			await this.collectFiles(ctx, true);
+			await this.collectFiles(ctx, ctx.params.release_id, this.getBody(ctx), true);
+			ctx.set('Accept-Ranges', 'bytes');
 			ctx.set('Content-Length', String(0));
 			ctx.response.status = 200;
 			ctx.response.body = null;
@@ -264,19 +215,20 @@ export class ReleaseStorage extends Api {
 	}
 
 	/**
-	 * Collects and checks all files based on the HTTP request.
+	 * Collects and checks all files of a download request.
 	 *
 	 * @param {Context} ctx Koa context
+	 * @param {string} releaseId ID of the release to download
+	 * @param {DownloadReleaseBody} body Download request
 	 * @param {boolean} dryRun If true, don't update counters and don't apply quota.
 	 * @returns {Promise<[ReleaseDocument, FileExtended[]]>} Release and collected files.
 	 */
-	private async collectFiles(ctx: Context, dryRun: boolean): Promise<[ReleaseDocument, FileExtended[]]> {
+	public async collectFiles(ctx: Context, releaseId: string, body: DownloadReleaseBody, dryRun: boolean): Promise<[ReleaseDocument, FileExtended[]]> {
 		const counters: Array<() => Promise<any>> = [];
 		const requestedFiles: FileExtended[] = [];
 		let requestedFileIds: string[];
 		let numTables = 0;
 
-		const body = this.getBody(ctx);
 		requestedFileIds = body.files;
 
 		logger.info(ctx.state, '[ReleaseStorage.collectFiles] RELEASE: %s', JSON.stringify(body));
@@ -284,7 +236,7 @@ export class ReleaseStorage extends Api {
 			throw new ApiError('You need to provide which files you want to include in the download.').status(422);
 		}
 
-		const release = await state.models.Release.findOne({ id: sanitize(ctx.params.release_id) })
+		const release = await state.models.Release.findOne({ id: sanitize(releaseId) })
 			.populate({ path: '_game' })
 			.populate({ path: '_game._backglass' })
 			.populate({ path: '_game._logo' })
@@ -296,7 +248,7 @@ export class ReleaseStorage extends Api {
 			.exec();
 
 		if (!release) {
-			throw new ApiError('No such release with ID "%s".', ctx.params.release_id).status(404);
+			throw new ApiError('No such release with ID "%s".', releaseId).status(404);
 		}
 		await release.assertRestrictedView(ctx);
 		await release.assertModeratedView(ctx);
@@ -363,9 +315,17 @@ export class ReleaseStorage extends Api {
 			});
 		}
 
+		// roms and backglasses declared as dependencies may belong to another game
+		const requestedVersions = release.versions.filter(v => intersection(v.files.map(f => (f._file as FileDocument).id), requestedFileIds).length > 0);
+		const dependencyRomIds = flatten(requestedVersions.map(v => v.dependencies._roms as Types.ObjectId[]));
+		const dependencyBackglassIds = requestedVersions.filter(v => !!v.dependencies._backglass).map(v => v.dependencies._backglass as Types.ObjectId);
+
 		// check for roms
 		if (isArray(body.roms)) {
-			const roms = await state.models.Rom.find({ _game: release._game._id.toString() }).populate('_file').exec();
+			const roms = await state.models.Rom.find({ $or: [
+				{ _game: release._game._id.toString() },
+				{ _id: { $in: dependencyRomIds } },
+			] }).populate('_file').exec();
 			body.roms.forEach(romId => {
 				const rom = roms.find(r => r.id === romId);
 				if (!rom) {
@@ -382,7 +342,7 @@ export class ReleaseStorage extends Api {
 			if (!backglass) {
 				throw new ApiError('Could not find backglass with id %s.', body.backglass).status(422);
 			}
-			if (!(backglass._game as Types.ObjectId).equals(release._game._id)) {
+			if (!(backglass._game as Types.ObjectId).equals(release._game._id) && !dependencyBackglassIds.some(id => id.equals(backglass._id))) {
 				throw new ApiError('Backglass is not the same game as release.', body.backglass).status(422);
 			}
 			const file = sortBy(backglass.versions, v => -v.released_at)[0]._file;
@@ -394,12 +354,14 @@ export class ReleaseStorage extends Api {
 			throw new ApiError('Requested file IDs did not match any release file.').status(422);
 		}
 
-		// check the quota && update counters
+		// check the quota && update counters, but only once per bundle and period, so downloads can be resumed.
+		const bundleKey = this.getBundle(ctx, release, requestedFiles).key;
 		if (!dryRun) {
-			await quota.assert(ctx, requestedFiles);
-			await Promise.all(counters.map(p => p()));
+			if (await quota.assertOnce(ctx, requestedFiles, bundleKey)) {
+				await Promise.all(counters.map(p => p()));
+			}
 
-		} else {
+		} else if (!(await quota.isCharged(ctx.state.user, bundleKey))) {
 			const q = await quota.get(ctx.state, ctx.state.user);
 			if (!q.unlimited && quota.getTotalCost(ctx.state, requestedFiles) > q.remaining) {
 				throw new ApiError('Not enough quota left.').status(403);
@@ -424,6 +386,220 @@ export class ReleaseStorage extends Api {
 		return ctx.request.body;
 	}
 
+	/**
+	 * Computes the entries of the zip file of a download.
+	 *
+	 * The key of the bundle is a hash of everything that ends up in the zip
+	 * file, so the same request results in the same bundle, while changes to
+	 * file names (e.g. through the user's preferences) result in a new one.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {ReleaseDocument} release Release with populated game
+	 * @param {FileExtended[]} requestedFiles Files to put into the zip
+	 * @return {ReleaseBundle} Bundle
+	 */
+	private getBundle(ctx: Context, release: ReleaseDocument, requestedFiles: FileExtended[]): ReleaseBundle {
+		const game = release._game as GameDocument;
+		let gameName = game.title;
+		if (game.year && game.manufacturer) {
+			gameName += ' (' + game.manufacturer + ' ' + game.year + ')';
+		}
+
+		const entries: ReleaseBundleEntry[] = [];
+		const releaseFiles: string[] = [];
+		for (const file of requestedFiles) {
+			let name = '';
+			let variation: FileVariation = null;
+			let filename;
+			switch (file.file_type) {
+				case 'logo':
+					name = 'PinballX/Media/Visual Pinball/Wheel Images/' + gameName + file.getExt();
+					break;
+
+				case 'backglass':
+					if (file.getMimeCategory() === 'image') {
+						name = 'PinballX/Media/Visual Pinball/Backglass Images/' + gameName + file.getExt();
+					}
+					if (file.getMimeCategory() === 'directb2s') {
+						name = 'Visual Pinball/Tables/' + gameName + file.getExt();
+					}
+					break;
+
+				case 'playfield-fs':
+				case 'playfield-ws':
+					if (file.getMimeCategory() === 'image') {
+						name = 'PinballX/Media/Visual Pinball/Table Images/' + gameName + file.getExt();
+						variation = file.getVariation('hyperpin');
+					}
+					if (file.getMimeCategory() === 'video') {
+						name = 'PinballX/Media/Visual Pinball/Table Videos/' + gameName + file.getExt();
+					}
+					break;
+
+				case 'release':
+					switch (file.getMimeCategory()) {
+						case 'table':
+							filename = this.getTableFilename(ctx.state.user, release, file, releaseFiles);
+							releaseFiles.push(filename);
+							name = 'Visual Pinball/Tables/' + filename;
+							break;
+
+						case 'audio':
+							name = 'Visual Pinball/Music/' + file.name;
+							break;
+
+						case 'script':
+							name = 'Visual Pinball/Scripts/' + file.name;
+							break;
+
+						case 'archive':
+							if (file.metadata && isArray(file.metadata.entries)) {
+								if (/rar/i.test(file.getMimeSubtype())) {
+									entries.push({ file, extract: 'rar' });
+									continue;
+								}
+								if (/zip/i.test(file.getMimeSubtype())) {
+									entries.push({ file, extract: 'zip' });
+									continue;
+								}
+							}
+
+							// otherwise, add as normal file
+							name = 'Visual Pinball/Tables/' + file.name;
+							break;
+
+						default:
+							name = 'Visual Pinball/Tables/' + file.name;
+					}
+					break;
+
+				case 'rom':
+					name = 'Visual Pinball/VPinMAME/roms/' + file.name;
+					break;
+			}
+			// per default, put files into the root folder.
+			entries.push({ file, name: name || file.name, variation });
+		}
+
+		const key = createHash('sha1').update(JSON.stringify({
+			release: release.id,
+			entries: entries.map(e => [e.file.id, e.name, e.variation ? e.variation.name : null, e.extract || null]),
+			readme: release.description || null,
+			credits: release.acknowledgements || null,
+		})).digest('hex');
+
+		return { key, filename: gameName, entries };
+	}
+
+	/**
+	 * Writes the zip file of a bundle to the storage.
+	 *
+	 * Entries are dated with the creation date of their file, so the same
+	 * bundle results in the same zip file when rebuilt.
+	 *
+	 * @param requestState For logging
+	 * @param {ReleaseDocument} release Release
+	 * @param {ReleaseBundle} bundle Bundle to build
+	 * @param {string} path Destination
+	 * @return {Promise<void>}
+	 */
+	private async buildBundle(requestState: RequestState, release: ReleaseDocument, bundle: ReleaseBundle, path: string): Promise<void> {
+
+		if (!(await FileUtil.exists(dirname(path)))) {
+			await FileUtil.mkdirp(dirname(path));
+		}
+
+		// write to a temp file first, so concurrent requests don't serve half-written bundles.
+		const tmpPath = path + '.' + randomString.generate(8) + '.tmp';
+		const timeStarted = Date.now();
+		const archive = archiver('zip');
+		const written = new Promise((resolve, reject) => {
+			const writeStream = createWriteStream(tmpPath);
+			writeStream.on('close', resolve);
+			writeStream.on('error', reject);
+			archive.on('error', reject);
+			archive.pipe(writeStream);
+		});
+		// errors are handled below, don't let them go unhandled while still adding entries
+		written.catch(() => null);
+
+		try {
+			for (const entry of bundle.entries) {
+
+				// wait until created, then make sure it's available locally. extracted archives are read from the original.
+				await processorQueue.stats(requestState, entry.file, entry.variation);
+				const entryPath = entry.file.getPath(requestState, entry.extract ? null : entry.variation);
+				if (!(await storageBackend.fetch(requestState, entryPath))) {
+					throw new ApiError('Cannot find %s in %s storage.', entry.file.toShortString(entry.variation), storageBackend.name).status(500).log();
+				}
+
+				if (entry.extract === 'rar') {
+					await this.streamRarfile(requestState, entry.file, archive);
+					continue;
+				}
+				if (entry.extract === 'zip') {
+					await this.streamZipfile(requestState, entry.file, archive);
+					continue;
+				}
+
+				archive.append(createReadStream(entryPath), {
+					name: entry.name,
+					date: entry.file.created_at,
+				});
+			}
+
+			if (release.description) {
+				archive.append(release.description, { name: 'README.txt', date: release.created_at });
+			}
+			if (release.acknowledgements) {
+				archive.append(release.acknowledgements, { name: 'CREDITS.txt', date: release.created_at });
+			}
+			archive.finalize();
+
+			await written;
+			await renameAsync(tmpPath, path);
+
+		} catch (err) {
+			// stop writing and wait for the stream to close before removing the temp file
+			archive.abort();
+			await written.catch(() => null);
+			if (await FileUtil.exists(tmpPath)) {
+				await unlinkAsync(tmpPath);
+			}
+			throw err;
+		}
+		logger.info(requestState, '[ReleaseStorage.buildBundle] Bundle %s with %s bytes built in %ss.', bundle.key, archive.pointer(), (Date.now() - timeStarted) / 1000);
+	}
+
+	/**
+	 * Parses the `Range` header. Only single byte ranges are supported,
+	 * others are ignored, meaning the entire file is served.
+	 *
+	 * @param {string} header Value of the `Range` header
+	 * @param {number} size Size of the file
+	 * @return {{start: number, end: number}} Range, null if not supported, undefined if not satisfiable.
+	 */
+	private parseRange(header: string, size: number): { start: number, end: number } {
+		const match = header.trim().match(/^bytes=(\d*)-(\d*)$/);
+		if (!match || (!match[1] && !match[2])) {
+			return null;
+		}
+		let start: number;
+		let end: number;
+		if (!match[1]) {
+			// suffix range, i.e. the last n bytes
+			start = Math.max(0, size - parseInt(match[2], 10));
+			end = size - 1;
+		} else {
+			start = parseInt(match[1], 10);
+			end = match[2] ? Math.min(parseInt(match[2], 10), size - 1) : size - 1;
+		}
+		if (start >= size || start > end) {
+			return undefined;
+		}
+		return { start, end };
+	}
+
 	/**
 	 * Returns the name of the table file within the zip archive, depending on the
 	 * user's preferences.
@@ -489,15 +665,19 @@ export class ReleaseStorage extends Api {
 	}
 
 	/**
-	 * Streams the contents of a zip file into the current zip archive.
+	 * Streams the contents of a rar file into the current zip archive.
 	 * @param requestState For logging
-	 * @param {FileDocument} file Zip file to stream (source)
+	 * @param {FileDocument} file RAR file to stream (source)
 	 * @param archive Destination
-	 * @returns {Promise}
+	 * @returns {Promise} Resolves when all entries are streamed, rejects if an entry can't be extracted.
 	 */
 	private async streamRarfile(requestState: RequestState, file: FileDocument, archive: Archiver) {
-		return new Promise(resolve => {
+		return new Promise((resolve, reject) => {
 			const rarFile = new Unrar(file.getPath(requestState));
+			let remaining = file.metadata.entries.length;
+			if (!remaining) {
+				return resolve();
+			}
 			file.metadata.entries.forEach((entry: any) => {
 				const stream = rarFile.stream(entry.filename);
 				archive.append(stream, {
@@ -505,45 +685,56 @@ export class ReleaseStorage extends Api {
 					date: entry.modified_at,
 				});
 				stream.on('error', (err: Error) => {
-					logger.info(requestState, 'Error extracting file %s from rar: %s', entry.filename, err);
+					logger.warn(requestState, '[ReleaseStorage.streamRarfile] Error extracting file %s from rar: %s', entry.filename, err.message);
+					reject(err);
+				});
+				stream.on('close', () => {
+					if (--remaining === 0) {
+						resolve();
+					}
 				});
-				stream.on('close', resolve);
 			});
 		});
 	}
 
 	/**
-	 * Streams the contents of a rar file into the current zip archive.
+	 * Streams the contents of a zip file into the current zip archive.
 	 * @param requestState For logging
-	 * @param {FileDocument} file RAR file to stream (source)
+	 * @param {FileDocument} file Zip file to stream (source)
 	 * @param archive Destination
-	 * @returns {Promise}
+	 * @returns {Promise} Resolves when all entries are streamed, rejects if the zip file can't be read.
 	 */
 	private async streamZipfile(requestState: RequestState, file: FileDocument, archive: Archiver) {
-		return new Promise(resolve => {
+		return new Promise((resolve, reject) => {
+			const onError = (err: Error) => {
+				logger.warn(requestState, '[ReleaseStorage.streamZipfile] Error extracting from zip: %s', err.message);
+				reject(err);
+			};
 			createReadStream(file.getPath(requestState))
+				.on('error', onError)
 				.pipe(unzip.Parse())
 				.on('entry', entry => {
 					if (entry.type === 'File') {
 						archive.append(entry, {
 							name: this.getArchivedFilename(entry.path, file.name),
+							date: file.created_at,
 						});
 					} else {
 						entry.autodrain();
 					}
 				})
-				.on('error', (err: Error) => logger.info(requestState, 'Error extracting from zip: %s', err.message))
+				.on('error', onError)
 				.on('close', resolve);
 		});
 	}
 }
 
-interface FileExtended extends FileDocument {
+export interface FileExtended extends FileDocument {
 	release_version?: ReleaseVersionDocument;
 	release_file?: ReleaseVersionFileDocument;
 }
 
-interface DownloadReleaseBody {
+export interface DownloadReleaseBody {
 	files: string[];
 	media: {
 		playfield_image: boolean;
@@ -553,3 +744,30 @@ interface DownloadReleaseBody {
 	backglass: string;
 	roms: string[];
 }
+
+/**
+ * A zip file containing the requested files of a release download.
+ */
+interface ReleaseBundle {
+	/**
+	 * Hash of the bundle's content
+	 */
+	key: string;
+
+	/**
+	 * File name of the zip file, without extension
+	 */
+	filename: string;
+
+	/**
+	 * Files in the zip file
+	 */
+	entries: ReleaseBundleEntry[];
+}
+
+interface ReleaseBundleEntry {
+	file: FileExtended;
+	name?: string;
+	variation?: FileVariation;
+	extract?: 'rar' | 'zip';
+}
@@ -27,7 +27,7 @@ import { ReleaseVersionDocument } from './version/release.version.document';
 export interface TableBlock extends Document {
 	hash: Buffer;
 	bytes: number;
-	type: 'image' | 'sound' | 'gameitem' | 'collection';
+	type: 'image' | 'sound' | 'gameitem' | 'collection' | 'script';
 	meta: any;
 	_files?: FileDocument[] | Types.ObjectId[];
 }
@@ -367,4 +367,185 @@ describe('The VPDB `Release Version` API', () => {
 			expect(version.changes).to.be(newChanges);
 		});
 	});
+
+	describe('when comparing two versions of a release', () => {
+
+		let release;
+
+		before(async () => {
+			await api.setupUsers({
+				member: { roles: ['member'] },
+				othermember: { roles: ['member'] },
+				moderator: { roles: ['moderator'] }
+			});
+			release = await api.releaseHelper.createRelease('moderator');
+			const vptfile = await api.fileHelper.createVpt('moderator', { keep: true, alternateVpt: true });
+			const playfield = await api.fileHelper.createPlayfield('moderator', 'fs', undefined, { keep: true });
+			await api.as('moderator')
+				.post('/v1/releases/' + release.id + '/versions', {
+					version: '2.0.0',
+					changes: '*Second release.*',
+					files: [{
+						_file: vptfile.id,
+						_playfield_image: playfield.id,
+						_compatibility: ['9.9.0'],
+						flavor: { orientation: 'fs', lighting: 'night' }
+					}]
+				})
+				.then(res => res.expectStatus(201));
+		});
+
+		after(async () => await api.teardown());
+
+		it('should fail when not logged', async () => {
+			await api.get('/v1/releases/' + release.id + '/versions/1.0.0/diff/2.0.0')
+				.then(res => res.expectError(401));
+		});
+
+		it('should fail for a non-existing release', async () => {
+			await api.as('member')
+				.get('/v1/releases/doesnotexist/versions/1.0.0/diff/2.0.0')
+				.then(res => res.expectError(404, 'no such release'));
+		});
+
+		it('should fail for a non-existing version', async () => {
+			await api.as('member')
+				.get('/v1/releases/' + release.id + '/versions/1.0.0/diff/3.0.0')
+				.then(res => res.expectError(404, 'no such version "3.0.0"'));
+		});
+
+		it('should fail for a release pending approval of another user', async () => {
+			const pendingRelease = await api.releaseHelper.createRelease('othermember');
+			await api.as('member')
+				.get('/v1/releases/' + pendingRelease.id + '/versions/1.0.0/diff/1.0.0')
+				.then(res => res.expectError(404, 'no such release'));
+		});
+
+		it('should report no differences when comparing a version with itself', async () => {
+			res = await api.as('member')
+				.get('/v1/releases/' + release.id + '/versions/1.0.0/diff/1.0.0')
+				.then(res => res.expectStatus(200));
+			expect(res.data.files).to.have.length(1);
+			const diff = res.data.files[0].diff;
+			for (const type of ['images', 'sounds', 'game_items', 'collections']) {
+				expect(diff[type].added).to.be.empty();
+				expect(diff[type].removed).to.be.empty();
+				expect(diff[type].changed).to.be.empty();
+				expect(diff[type].renamed).to.be.empty();
+			}
+			expect(diff.game_items.unchanged).to.be.greaterThan(0);
+		});
+
+		it('should report the differences between two versions', async () => {
+			res = await api.as('member')
+				.save('releases/diff-versions')
+				.get('/v1/releases/' + release.id + '/versions/1.0.0/diff/2.0.0')
+				.then(res => res.expectStatus(200));
+			expect(res.data.from.version).to.be('1.0.0');
+			expect(res.data.to.version).to.be('2.0.0');
+			expect(res.data.to.changes).to.be('*Second release.*');
+			expect(res.data.files).to.have.length(1);
+			const file = res.data.files[0];
+			expect(file.flavor).to.eql({ orientation: 'fs', lighting: 'night' });
+			expect(file.from.id).to.be(release.versions[0].files[0].file.id);
+			const diff = file.diff;
+			const numChanges = ['images', 'sounds', 'game_items', 'collections']
+				.map(type => diff[type].added.length + diff[type].removed.length + diff[type].changed.length + diff[type].renamed.length)
+				.reduce((a, b) => a + b, 0);
+			expect(numChanges).to.be.greaterThan(0);
+			expect(file.script.hunks).to.be.an('array');
+			expect(file.script.procedures).to.only.have.keys('added', 'removed', 'changed');
+		});
+	});
+
+	describe('when declaring dependencies of a version', () => {
+
+		let game, release, rom, backglass, medium;
+
+		before(async () => {
+			await api.setupUsers({
+				member: { roles: ['member'] },
+				member2: { roles: ['member'] },
+				moderator: { roles: ['moderator'] },
+			});
+			game = await api.gameHelper.createGame('moderator');
+			release = await api.releaseHelper.createReleaseForGame('member', game);
+			rom = await api.gameHelper.createRom('moderator', game.id, { romName: 'depsrom_l1' });
+			backglass = await api.releaseHelper.createDirectB2S('moderator', { game });
+			const bg = await api.fileHelper.createBackglass('moderator', { keep: true });
+			medium = await api.as('moderator')
+				.markTeardown()
+				.post('/v1/media', { category: 'backglass_image', _file: bg.id, _ref: { game: game.id } })
+				.then(res => res.expectStatus(201)).then(res => res.data);
+		});
+
+		after(async () => await api.teardown());
+
+		it('should fail for non-existing ROMs and backglasses', async () => {
+			await api.as('member')
+				.patch('/v1/releases/' + release.id + '/versions/1.0.0', { dependencies: { _roms: ['doesnotexist'], _backglass: 'doesnotexist' } })
+				.then(res => res.expectValidationErrors([
+					['dependencies._roms.0', 'no such rom'],
+					['dependencies._backglass', 'no such backglass'],
+				]));
+		});
+
+		it('should fail for an invalid media category', async () => {
+			await api.as('member')
+				.patch('/v1/releases/' + release.id + '/versions/1.0.0', { dependencies: { media: ['nope'] } })
+				.then(res => res.expectValidationError('dependencies.media', 'invalid media category'));
+		});
+
+		it('should fail for an add-on with an invalid URL', async () => {
+			await api.as('member')
+				.patch('/v1/releases/' + release.id + '/versions/1.0.0', { dependencies: { addons: [{ name: 'PuP-Pack', category: 'pup-pack', url: 'nope' }] } })
+				.then(res => res.expectValidationError('dependencies.addons.0.url', 'valid http or https url'));
+		});
+
+		it('should succeed with valid dependencies', async () => {
+			res = await api.as('member')
+				.patch('/v1/releases/' + release.id + '/versions/1.0.0', { dependencies: {
+					_roms: [rom.id],
+					_backglass: backglass.id,
+					media: ['backglass_image'],
+					addons: [{ name: 'PuP-Pack', category: 'pup-pack', url: 'https://example.org/pup.zip', version: '1.2' }],
+				} })
+				.then(res => res.expectStatus(200));
+			expect(res.data.dependencies.roms[0].id).to.be(rom.id);
+			expect(res.data.dependencies.backglass.id).to.be(backglass.id);
+			expect(res.data.dependencies.media).to.eql(['backglass_image']);
+			expect(res.data.dependencies.addons[0].is_required).to.be(true);
+		});
+
+		it('should fail resolving a non-table file', async () => {
+			await api.get('/v1/releases/' + release.id + '/versions/1.0.0/files/doesnotexist/dependencies')
+				.then(res => res.expectError(404, 'no such table file'));
+		});
+
+		it('should resolve all dependencies of a table file', async () => {
+			const tableFile = release.versions[0].files[0].file;
+			res = await api.get('/v1/releases/' + release.id + '/versions/1.0.0/files/' + tableFile.id + '/dependencies')
+				.then(res => res.expectStatus(200));
+			expect(res.data.file.file.id).to.be(tableFile.id);
+			expect(res.data.roms).to.have.length(1);
+			expect(res.data.roms[0].file).to.be.an('object');
+			expect(res.data.backglass.id).to.be(backglass.id);
+			expect(res.data.media).to.have.length(1);
+			expect(res.data.addons[0].url).to.be('https://example.org/pup.zip');
+			expect(res.data.download).to.eql({
+				files: [tableFile.id],
+				media: { playfield_image: false, playfield_video: false },
+				game_media: [medium.id],
+				backglass: backglass.id,
+				roms: [rom.id],
+			});
+		});
+
+		it('should remove dependencies when updating with empty dependencies', async () => {
+			res = await api.as('member')
+				.patch('/v1/releases/' + release.id + '/versions/1.0.0', { dependencies: {} })
+				.then(res => res.expectStatus(200));
+			expect(res.data.dependencies).to.be(undefined);
+		});
+	});
 });
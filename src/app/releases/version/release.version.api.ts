@@ -20,22 +20,36 @@
 import { cloneDeep, defaults, orderBy, pick } from 'lodash';
 import sanitize = require('mongo-sanitize');
 
+import { BackglassDocument } from '../../backglasses/backglass.document';
 import { acl } from '../../common/acl';
 import { apiCache } from '../../common/api.cache';
 import { ApiError } from '../../common/api.error';
 import { logger } from '../../common/logger';
 import { mailer } from '../../common/mailer';
 import { Context } from '../../common/typings/context';
+import { vbScript } from '../../common/vbscript';
+import { visualPinballTable } from '../../common/visualpinball.table';
 import { FileDocument } from '../../files/file.document';
+import { storageBackend } from '../../files/storage/storage.backend';
 import { GameDocument } from '../../games/game.document';
 import { LogEventUtil } from '../../log-event/log.event.util';
+import { MediumDocument } from '../../media/medium.document';
+import { RomDocument } from '../../roms/rom.document';
 import { state } from '../../state';
 import { UserDocument } from '../../users/user.document';
 import { ReleaseAbstractApi } from '../release.abstract.api';
 import { ReleaseDocument } from '../release.document';
+import { flavors } from '../release.flavors';
+import { DownloadReleaseBody } from '../release.storage';
 import { ReleaseVersionFileDocument } from './file/release.version.file.document';
+import { diffTableBlocks, TableDiff } from './release.version.diff';
 import { ReleaseVersionDocument } from './release.version.document';
 
+/**
+ * How long table diffs are cached, in seconds.
+ */
+const tableDiffCacheTtl = 604800;
+
 /* tslint:disable:no-unsafe-finally */
 export class ReleaseVersionApi extends ReleaseAbstractApi {
 
@@ -230,6 +244,15 @@ export class ReleaseVersionApi extends ReleaseAbstractApi {
 				}
 			}
 
+			// dependencies are replaced as a whole
+			if (ctx.request.body.dependencies) {
+				await versionToUpdate.updateInstance(ctx.state, {
+					dependencies: defaults(pick(ctx.request.body.dependencies, ['_roms', '_backglass', 'media', 'addons']), {
+						_roms: [], _backglass: null, media: [], addons: [],
+					}),
+				});
+			}
+
 			await this.preProcess(ctx, versionToUpdate.getFileIds().concat(version.getFileIds(newFiles)));
 
 			// assign fields and validate
@@ -266,6 +289,8 @@ export class ReleaseVersionApi extends ReleaseAbstractApi {
 				.populate({ path: 'versions.files._playfield_image' })
 				.populate({ path: 'versions.files._playfield_video' })
 				.populate({ path: 'versions.files._compatibility' })
+				.populate({ path: 'versions.dependencies._roms' })
+				.populate({ path: 'versions.dependencies._backglass' })
 				.exec();
 
 			version = state.serializers.ReleaseVersion.detailed(ctx, release.versions.find(v => v._id.equals(versionToUpdate._id)));
@@ -301,4 +326,233 @@ export class ReleaseVersionApi extends ReleaseAbstractApi {
 		});
 	}
 
+	/**
+	 * Compares the table files of two versions.
+	 *
+	 * Table files are paired by flavor. If both versions contain only one
+	 * table file, those are compared regardless of their flavor. Besides the
+	 * table blocks, the scripts are compared line by line.
+	 *
+	 * @see GET /v1/releases/:id/versions/:a/diff/:b
+	 * @param {Context} ctx Koa context
+	 */
+	public async diffVersions(ctx: Context) {
+
+		const span = this.apmStartSpan('ReleaseVersionApi.diffVersions');
+		try {
+			const release = await state.models.Release.findOne({ id: sanitize(ctx.params.id) })
+				.populate('_game')
+				.populate('_created_by')
+				.populate('authors._user')
+				.populate('versions.files._file')
+				.exec();
+
+			// fail if no release
+			if (!release) {
+				throw new ApiError('No such release with ID "%s".', ctx.params.id).status(404);
+			}
+			await release.assertRestrictedView(ctx);
+			await release.assertModeratedView(ctx);
+
+			// fail if no versions
+			const fromVersion = release.versions.find(v => v.version === ctx.params.a);
+			if (!fromVersion) {
+				throw new ApiError('No such version "%s" for release "%s".', ctx.params.a, ctx.params.id).status(404);
+			}
+			const toVersion = release.versions.find(v => v.version === ctx.params.b);
+			if (!toVersion) {
+				throw new ApiError('No such version "%s" for release "%s".', ctx.params.b, ctx.params.id).status(404);
+			}
+
+			// pair table files
+			const pairs = this.pairTableFiles(fromVersion, toVersion);
+			if (pairs.length === 0) {
+				throw new ApiError('Versions "%s" and "%s" have no table files of the same flavor to compare.', fromVersion.version, toVersion.version).status(400);
+			}
+
+			const files = [];
+			for (const [fromFile, toFile] of pairs) {
+				const fromTable = fromFile._file as FileDocument;
+				const toTable = toFile._file as FileDocument;
+				files.push({
+					flavor: pick(toFile.flavor, flavors.flavorTypes()),
+					from: state.serializers.File.simple(ctx, fromTable),
+					to: state.serializers.File.simple(ctx, toTable),
+					diff: await this.diffTableFiles(ctx, fromTable, toTable),
+					script: fromTable.metadata && toTable.metadata
+						? vbScript.diff(fromTable.metadata.table_script, toTable.metadata.table_script, vbScript.getDiffOptions(ctx.query))
+						: null,
+				});
+			}
+
+			this.success(ctx, {
+				from: pick(fromVersion, ['version', 'released_at', 'changes']),
+				to: pick(toVersion, ['version', 'released_at', 'changes']),
+				files,
+			});
+
+		} catch (err) {
+			throw err;
+
+		} finally {
+			this.apmEndSpan(span);
+		}
+	}
+
+	/**
+	 * Resolves everything needed to run a table file of a version.
+	 *
+	 * Besides the table and the non-table files of the version, this returns
+	 * the declared ROMs, the recommended backglass, the game's media of the
+	 * declared categories and the external add-ons. The returned `download`
+	 * object can be posted as-is to the download endpoint.
+	 *
+	 * @see GET /v1/releases/:id/versions/:version/files/:file/dependencies
+	 * @param {Context} ctx Koa context
+	 */
+	public async resolveDependencies(ctx: Context) {
+
+		const release = await state.models.Release.findOne({ id: sanitize(ctx.params.id) })
+			.populate('_game')
+			.populate('versions.files._file')
+			.populate({ path: 'versions.dependencies._roms', populate: [ { path: '_file' }, { path: '_game' } ] })
+			.populate({ path: 'versions.dependencies._backglass', populate: [ { path: 'versions._file' }, { path: '_game' } ] })
+			.exec();
+
+		// fail if no release
+		if (!release) {
+			throw new ApiError('No such release with ID "%s".', ctx.params.id).status(404);
+		}
+		await release.assertRestrictedView(ctx);
+		await release.assertModeratedView(ctx);
+
+		// fail if no version or table file
+		const version = release.versions.find(v => v.version === ctx.params.version);
+		if (!version) {
+			throw new ApiError('No such version "%s" for release "%s".', ctx.params.version, ctx.params.id).status(404);
+		}
+		const tableFile = version.files.find(f => (f._file as FileDocument).id === ctx.params.file);
+		if (!tableFile || (tableFile._file as FileDocument).getMimeCategory() !== 'table') {
+			throw new ApiError('No such table file "%s" in version "%s".', ctx.params.file, version.version).status(404);
+		}
+
+		const deps = version.dependencies;
+
+		// only return dependencies the user is allowed to see
+		const roms: RomDocument[] = [];
+		for (const rom of deps._roms as RomDocument[]) {
+			if (await this.isVisible(() => rom._game ? rom.assertRestrictedView(ctx) : Promise.resolve(rom))) {
+				roms.push(rom);
+			}
+		}
+		let backglass = deps._backglass as BackglassDocument;
+		if (backglass && !(await this.isVisible(() => backglass.assertRestrictedView(ctx), () => backglass.assertModeratedView(ctx)))) {
+			backglass = undefined;
+		}
+		const otherFiles = version.files
+			.map(f => f._file as FileDocument)
+			.filter(f => f.getMimeCategory() !== 'table');
+
+		// media of the game matching the declared categories
+		let media: MediumDocument[] = [];
+		if (deps.media.length > 0) {
+			media = (await state.models.Medium.find({ '_ref.game': release._game }).populate('_file').exec())
+				.filter(m => deps.media.some(category => m.category === category || m.category.startsWith(category + '/')));
+		}
+
+		logger.info(ctx.state, '[ReleaseVersionApi.resolveDependencies] Resolved %s ROM(s), %s backglass(es), %s medium/media and %s add-on(s) for %s.',
+			roms.length, backglass ? 1 : 0, media.length, deps.addons.length, ctx.params.file);
+
+		const download: DownloadReleaseBody = {
+			files: [ctx.params.file],
+			media: { playfield_image: false, playfield_video: false },
+			game_media: media.map(m => m.id),
+			backglass: backglass ? backglass.id : undefined,
+			roms: roms.map(r => r.id),
+		};
+		this.success(ctx, {
+			version: version.version,
+			file: state.serializers.ReleaseVersionFile.simple(ctx, tableFile),
+			files: otherFiles.map(f => state.serializers.File.simple(ctx, f)),
+			roms: roms.map(r => state.serializers.Rom.simple(ctx, r)),
+			backglass: backglass ? state.serializers.Backglass.simple(ctx, backglass) : undefined,
+			media: media.map(m => state.serializers.Medium.simple(ctx, m)),
+			addons: deps.addons.map(addon => pick(addon, ['name', 'category', 'url', 'version', 'is_required', 'notes'])),
+			download,
+		});
+	}
+
+	/**
+	 * Runs view assertions on an entity and returns whether all passed.
+	 *
+	 * @param {Array<() => Promise<any>>} assertions Assertions throwing a 404 when access is denied
+	 * @return {Promise<boolean>} True if the entity is visible, false otherwise
+	 */
+	private async isVisible(...assertions: Array<() => Promise<any>>): Promise<boolean> {
+		try {
+			for (const assertion of assertions) {
+				await assertion();
+			}
+			return true;
+		} catch (err) {
+			if (err instanceof ApiError && err.statusCode === 404) {
+				return false;
+			}
+			throw err;
+		}
+	}
+
+	/**
+	 * Compares the blocks of two table files.
+	 *
+	 * Analyzing a table file is expensive and files never change, so the
+	 * result is cached per file pair.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {FileDocument} fromTable Older table file
+	 * @param {FileDocument} toTable Newer table file
+	 * @return {Promise<TableDiff>} Differences, grouped by block type
+	 */
+	private async diffTableFiles(ctx: Context, fromTable: FileDocument, toTable: FileDocument): Promise<TableDiff> {
+		const key = 'table-diff:' + fromTable.id + ':' + toTable.id;
+		const cached = await state.redis.get(key);
+		if (cached) {
+			return JSON.parse(cached);
+		}
+		logger.info(ctx.state, '[ReleaseVersionApi.diffTableFiles] Comparing %s with %s.', fromTable.id, toTable.id);
+		for (const table of [fromTable, toTable]) {
+			if (!(await storageBackend.fetch(ctx.state, table.getPath(ctx.state)))) {
+				throw new ApiError('Cannot find %s in %s storage.', table.toShortString(), storageBackend.name).status(500).log();
+			}
+		}
+		const fromBlocks = await visualPinballTable.analyzeFile(ctx.state, fromTable.getPath(ctx.state));
+		const toBlocks = await visualPinballTable.analyzeFile(ctx.state, toTable.getPath(ctx.state));
+		const diff = diffTableBlocks(fromBlocks, toBlocks);
+		await state.redis.set(key, JSON.stringify(diff), 'EX', tableDiffCacheTtl);
+		return diff;
+	}
+
+	/**
+	 * Pairs the table files of two versions by flavor.
+	 *
+	 * @param {ReleaseVersionDocument} fromVersion Older version
+	 * @param {ReleaseVersionDocument} toVersion Newer version
+	 * @return {Array<[ReleaseVersionFileDocument, ReleaseVersionFileDocument]>} Pairs of version files
+	 */
+	private pairTableFiles(fromVersion: ReleaseVersionDocument, toVersion: ReleaseVersionDocument): Array<[ReleaseVersionFileDocument, ReleaseVersionFileDocument]> {
+		const isTable = (f: ReleaseVersionFileDocument) => (f._file as FileDocument).getMimeCategory() === 'table';
+		const fromFiles = fromVersion.files.filter(isTable);
+		const toFiles = toVersion.files.filter(isTable);
+		if (fromFiles.length === 1 && toFiles.length === 1) {
+			return [[fromFiles[0], toFiles[0]]];
+		}
+		const pairs: Array<[ReleaseVersionFileDocument, ReleaseVersionFileDocument]> = [];
+		for (const fromFile of fromFiles) {
+			const toFile = toFiles.find(f => flavors.flavorTypes().every(type => f.flavor[type] === fromFile.flavor[type]));
+			if (toFile) {
+				pairs.push([fromFile, toFile]);
+			}
+		}
+		return pairs;
+	}
 }
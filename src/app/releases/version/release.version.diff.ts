@@ -0,0 +1,119 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { TableBlock } from '../release.tableblock';
+
+/**
+ * Maps block types to the property names of the diff.
+ *
+ * Script blocks are skipped, the script is compared line by line instead.
+ */
+const blockTypes: { [T in TableBlock['type']]?: keyof TableDiff } = {
+	image: 'images',
+	sound: 'sounds',
+	gameitem: 'game_items',
+	collection: 'collections',
+};
+
+/**
+ * Compares the blocks of two table files.
+ *
+ * Blocks with the same hash are considered unchanged, or renamed if their
+ * name differs. Of the remaining blocks, those with the same name are
+ * considered changed, and the rest added or removed.
+ *
+ * @param {TableBlock[]} fromBlocks Blocks of the older table file
+ * @param {TableBlock[]} toBlocks Blocks of the newer table file
+ * @return {TableDiff} Differences, grouped by block type
+ */
+export function diffTableBlocks(fromBlocks: TableBlock[], toBlocks: TableBlock[]): TableDiff {
+	const diff = {} as TableDiff;
+	for (const type of Object.keys(blockTypes) as Array<TableBlock['type']>) {
+		diff[blockTypes[type]] = diffBlocks(
+			fromBlocks.filter(b => b.type === type),
+			toBlocks.filter(b => b.type === type),
+		);
+	}
+	return diff;
+}
+
+function diffBlocks(fromBlocks: TableBlock[], toBlocks: TableBlock[]): TableBlockDiff {
+	const diff: TableBlockDiff = { added: [], removed: [], changed: [], renamed: [], unchanged: 0 };
+	const remainingFrom: TableBlock[] = [];
+	const remainingTo = [...toBlocks];
+
+	// pair identical blocks, preferring the same name
+	for (const fromBlock of fromBlocks) {
+		const candidates = remainingTo.filter(b => b.hash.equals(fromBlock.hash));
+		if (candidates.length === 0) {
+			remainingFrom.push(fromBlock);
+			continue;
+		}
+		const toBlock = candidates.find(b => blockName(b) === blockName(fromBlock)) || candidates[0];
+		remainingTo.splice(remainingTo.indexOf(toBlock), 1);
+		if (blockName(toBlock) === blockName(fromBlock)) {
+			diff.unchanged++;
+		} else {
+			diff.renamed.push({ from: diffItem(fromBlock), to: diffItem(toBlock) });
+		}
+	}
+
+	// pair remaining blocks by name
+	for (const fromBlock of remainingFrom) {
+		const toBlock = remainingTo.find(b => blockName(b) === blockName(fromBlock));
+		if (toBlock) {
+			remainingTo.splice(remainingTo.indexOf(toBlock), 1);
+			diff.changed.push({ from: diffItem(fromBlock), to: diffItem(toBlock) });
+		} else {
+			diff.removed.push(diffItem(fromBlock));
+		}
+	}
+	diff.added = remainingTo.map(diffItem);
+	return diff;
+}
+
+function blockName(block: TableBlock): string {
+	return String(block.meta.name || block.meta.stream).toLowerCase();
+}
+
+function diffItem(block: TableBlock): TableBlockDiffItem {
+	return Object.assign({}, block.meta, { bytes: block.bytes });
+}
+
+export interface TableDiff {
+	images: TableBlockDiff;
+	sounds: TableBlockDiff;
+	game_items: TableBlockDiff;
+	collections: TableBlockDiff;
+}
+
+export interface TableBlockDiff {
+	added: TableBlockDiffItem[];
+	removed: TableBlockDiffItem[];
+	changed: Array<{ from: TableBlockDiffItem, to: TableBlockDiffItem }>;
+	renamed: Array<{ from: TableBlockDiffItem, to: TableBlockDiffItem }>;
+	unchanged: number;
+}
+
+export interface TableBlockDiffItem {
+	stream: string;
+	name?: string;
+	bytes: number;
+	[key: string]: any;
+}
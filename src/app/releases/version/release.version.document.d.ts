@@ -17,7 +17,10 @@
  * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
  */
 
-import { FileReferenceDocument, MetricsDocument, PrettyIdDocument } from 'mongoose';
+import { FileReferenceDocument, MetricsDocument, PrettyIdDocument, Types } from 'mongoose';
+
+import { BackglassDocument } from '../../backglasses/backglass.document';
+import { RomDocument } from '../../roms/rom.document';
 import { ReleaseVersionFileDocument } from './file/release.version.file.document';
 
 export interface ReleaseVersionDocument extends FileReferenceDocument, PrettyIdDocument, MetricsDocument {
@@ -25,6 +28,7 @@ export interface ReleaseVersionDocument extends FileReferenceDocument, PrettyIdD
 	released_at: Date | string;
 	changes: string;
 	files: ReleaseVersionFileDocument[];
+	dependencies: ReleaseVersionDependencies;
 	counter: { [T in ReleaseVersionCounterType]: number; };
 
 	/**
@@ -44,3 +48,34 @@ export interface ReleaseVersionDocument extends FileReferenceDocument, PrettyIdD
 }
 
 export type ReleaseVersionCounterType = 'downloads' | 'comments';
+
+/**
+ * What's needed besides the files of the version to run its tables.
+ */
+export interface ReleaseVersionDependencies {
+	_roms: Array<RomDocument | Types.ObjectId>;
+	_backglass?: BackglassDocument | Types.ObjectId;
+
+	/**
+	 * Medium categories of the game's media, e.g. `wheel_image`
+	 */
+	media: string[];
+
+	/**
+	 * Add-ons not hosted on VPDB
+	 */
+	addons: ReleaseVersionAddon[];
+
+	// serialized
+	roms?: RomDocument[];
+	backglass?: BackglassDocument;
+}
+
+export interface ReleaseVersionAddon {
+	name: string;
+	category: 'pup-pack' | 'dmd-colorization' | 'altsound' | 'music' | 'other';
+	url: string;
+	version?: string;
+	is_required: boolean;
+	notes?: string;
+}
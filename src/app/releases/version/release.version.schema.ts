@@ -16,12 +16,14 @@
  * along with this program; if not, write to the Free Software
  * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
  */
-import { filter, isArray, isEqual, keys, map, uniq } from 'lodash';
+import { filter, isArray, isEqual, isString, keys, map, uniq } from 'lodash';
 import { MetricsModel, PrettyIdModel, Schema, Types } from 'mongoose';
+import { isURL } from 'validator';
 
 import { fileReferencePlugin } from '../../common/mongoose/file.reference.plugin';
 import { metricsPlugin } from '../../common/mongoose/metrics.plugin';
 import { prettyIdPlugin } from '../../common/mongoose/pretty.id.plugin';
+import { mediumCategories } from '../../media/medium.category';
 import { state } from '../../state';
 import { ReleaseDocument } from '../release.document';
 import { ReleaseFileFlavor, ReleaseVersionFileDocument } from './file/release.version.file.document';
@@ -29,6 +31,19 @@ import { releaseVersionFileFields, releaseVersionFileSchema } from './file/relea
 import { ReleaseVersion } from './release.version';
 import { ReleaseVersionDocument } from './release.version.document';
 
+export const releaseVersionAddonFields = {
+	name: { type: String, required: 'Name of the add-on must be provided.' },
+	category: { type: String, enum: { values: ['pup-pack', 'dmd-colorization', 'altsound', 'music', 'other'], message: 'Invalid category. Valid categories are: [ "pup-pack", "dmd-colorization", "altsound", "music", "other" ].' }, required: 'Category must be provided.' },
+	url: { type: String, required: 'URL must be provided.' },
+	version: { type: String },
+	is_required: { type: Boolean, default: true },
+	notes: { type: String },
+};
+export const releaseVersionAddonSchema = new Schema(releaseVersionAddonFields, { _id: false });
+releaseVersionAddonSchema.path('url').validate((url: any) => {
+	return isString(url) && isURL(url, { protocols: ['http', 'https'], require_protocol: true });
+}, 'URL must be a valid HTTP or HTTPS URL.');
+
 export const releaseVersionFields = {
 	version: { type: String, required: 'Version must be provided.' },
 	released_at: { type: Date, required: true },
@@ -38,6 +53,12 @@ export const releaseVersionFields = {
 		type: [releaseVersionFileSchema],
 		index: true,
 	},
+	dependencies: {
+		_roms: [{ type: Schema.Types.ObjectId, ref: 'Rom' }],
+		_backglass: { type: Schema.Types.ObjectId, ref: 'Backglass' },
+		media: [{ type: String }],
+		addons: [releaseVersionAddonSchema],
+	},
 	counter: {
 		downloads: { type: Number, default: 0 },
 		comments: { type: Number, default: 0 },
@@ -51,6 +72,19 @@ releaseVersionSchema.plugin(fileReferencePlugin);
 releaseVersionSchema.plugin(prettyIdPlugin, { model: 'ReleaseVersion' });
 releaseVersionSchema.plugin(metricsPlugin, { getId: ((doc: any) => [ doc.getParentId(), doc.version ].join(',')), hasChildren: true });
 
+releaseVersionSchema.path('dependencies.media').validate(function(categories: string[]) {
+	for (const category of categories || []) {
+		if (!mediumCategories[category.split('/')[0]]) {
+			this.invalidate('dependencies.media', 'Invalid media category "' + category + '". Must be one of: [ "' + keys(mediumCategories).join('", "') + '" ].', category);
+		}
+	}
+	return true;
+});
+
+releaseVersionSchema.path('dependencies._roms').validate((roms: any[]) => {
+	return !isArray(roms) || roms.length === uniq(roms.map(r => (r._id || r).toString())).length;
+}, 'Cannot reference a ROM multiple times.');
+
 /**
  * Validates files.
  *
@@ -19,12 +19,15 @@
 
 import { compact, includes, isArray, pick } from 'lodash';
 
+import { BackglassDocument } from '../../backglasses/backglass.document';
+
 import { Serializer, SerializerLevel, SerializerOptions, SerializerReference } from '../../common/serializer';
 import { Context } from '../../common/typings/context';
 import { ModelName } from '../../common/typings/models';
+import { RomDocument } from '../../roms/rom.document';
 import { state } from '../../state';
 import { flavors } from '../release.flavors';
-import { ReleaseVersionDocument } from './release.version.document';
+import { ReleaseVersionDependencies, ReleaseVersionDocument } from './release.version.document';
 
 /* tslint:disable:member-ordering */
 export class ReleaseVersionSerializer extends Serializer<ReleaseVersionDocument> {
@@ -39,6 +42,8 @@ export class ReleaseVersionSerializer extends Serializer<ReleaseVersionDocument>
 		],
 		detailed: [
 			{ path: 'files', modelName: 'ReleaseVersionFile', level: 'detailed', idField: 'file.id' },
+			{ path: 'dependencies.roms', modelName: 'Rom', level: 'reduced' },
+			{ path: 'dependencies.backglass', modelName: 'Backglass', level: 'reduced' },
 		],
 	};
 	public idField = 'version';
@@ -57,9 +62,38 @@ export class ReleaseVersionSerializer extends Serializer<ReleaseVersionDocument>
 		const version = pick(doc, ['version', 'released_at', 'changes']) as ReleaseVersionDocument;
 		version.counter = doc.counter;
 		version.files = doc.files.map(versionFile => state.serializers.ReleaseVersionFile.detailed(ctx, versionFile, opts));
+		version.dependencies = this.serializeDependencies(ctx, doc, opts);
 		return version;
 	}
 
+	/**
+	 * Serializes the dependencies of a version.
+	 *
+	 * ROMs and backglass are only included when populated.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {ReleaseVersionDocument} doc Version
+	 * @param {SerializerOptions} opts
+	 * @return {ReleaseVersionDependencies} Dependencies or undefined if none declared
+	 */
+	public serializeDependencies(ctx: Context, doc: ReleaseVersionDocument, opts: SerializerOptions): ReleaseVersionDependencies {
+		const deps = doc.dependencies;
+		if (!deps || (!deps._roms.length && !deps._backglass && !deps.media.length && !deps.addons.length)) {
+			return undefined;
+		}
+		const dependencies = {
+			media: [...deps.media],
+			addons: deps.addons.map(addon => pick(addon, ['name', 'category', 'url', 'version', 'is_required', 'notes'])),
+		} as ReleaseVersionDependencies;
+		if (this._populated(doc, 'dependencies._roms')) {
+			dependencies.roms = deps._roms.map(rom => state.serializers.Rom.reduced(ctx, rom as RomDocument, opts));
+		}
+		if (deps._backglass && this._populated(doc, 'dependencies._backglass')) {
+			dependencies.backglass = state.serializers.Backglass.reduced(ctx, deps._backglass as BackglassDocument, opts);
+		}
+		return dependencies;
+	}
+
 	/**
 	 * Takes a sorted list of versions and removes files that have a newer
 	 * flavor. Also removes empty versions.
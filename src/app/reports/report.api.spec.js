@@ -0,0 +1,153 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+"use strict"; /* global describe, before, after, it */
+
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The VPDB `report` API', () => {
+
+	let release;
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: [ 'member' ] },
+			member2: { roles: [ 'member' ] },
+			member3: { roles: [ 'member' ] },
+			member4: { roles: [ 'member' ] },
+			moderator: { roles: [ 'moderator' ] },
+		});
+		release = await api.releaseHelper.createRelease('moderator');
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when reporting an entity', () => {
+
+		it('should fail as anonymous', async () => {
+			await api.post('/v1/reports', {}).then(res => res.expectStatus(401));
+		});
+
+		it('should fail without a reference', async () => {
+			await api.as('member').post('/v1/reports', { reason: 'spam' }).then(res => res.expectValidationError('_ref', 'must point to exactly one'));
+		});
+
+		it('should fail with an invalid reference type', async () => {
+			await api.as('member').post('/v1/reports', { _ref: { game: 'abc' }, reason: 'spam' }).then(res => res.expectValidationError('_ref', 'must point to exactly one'));
+		});
+
+		it('should fail for a non-existent release', async () => {
+			await api.as('member').post('/v1/reports', { _ref: { release: 'nonexistent' }, reason: 'spam' }).then(res => res.expectValidationError('_ref.release', 'no such release'));
+		});
+
+		it('should fail for a release that is not approved', async () => {
+			const pendingRelease = await api.releaseHelper.createRelease('member');
+			await api.as('member2').post('/v1/reports', { _ref: { release: pendingRelease.id }, reason: 'spam' }).then(res => res.expectValidationError('_ref.release', 'no such release'));
+		});
+
+		it('should fail for reporting yourself', async () => {
+			await api.as('member').post('/v1/reports', { _ref: { user: api.getUser('member').id }, reason: 'spam' }).then(res => res.expectValidationError('_ref.user', 'cannot report yourself'));
+		});
+
+		it('should fail with an invalid reason', async () => {
+			await api.as('member').post('/v1/reports', { _ref: { release: release.id }, reason: 'boring' }).then(res => res.expectValidationError('reason', 'invalid reason'));
+		});
+
+		it('should fail with another reason but no message', async () => {
+			await api.as('member').post('/v1/reports', { _ref: { release: release.id }, reason: 'other' }).then(res => res.expectValidationError('message', 'must be provided'));
+		});
+
+		it('should succeed reporting a user', async () => {
+			const res = await api.as('member').post('/v1/reports', { _ref: { user: api.getUser('member2').id }, reason: 'offensive' }).then(res => res.expectStatus(201));
+			expect(res.data.ref.type).to.be('user');
+			expect(res.data.ref.item.id).to.be(api.getUser('member2').id);
+			expect(res.data.status).to.be('open');
+		});
+
+		it('should fail reporting the same entity twice', async () => {
+			await api.as('member').post('/v1/reports', { _ref: { release: release.id }, reason: 'copyright' }).then(res => res.expectStatus(201));
+			await api.as('member').post('/v1/reports', { _ref: { release: release.id }, reason: 'stolen' }).then(res => res.expectError(409, 'already reported'));
+		});
+
+		it('should set the release back to pending when reaching the threshold', async () => {
+			const reportedRelease = await api.releaseHelper.createRelease('moderator');
+			for (const user of ['member', 'member2', 'member3']) {
+				await api.as(user).post('/v1/reports', { _ref: { release: reportedRelease.id }, reason: 'stolen', message: 'This is my table!' }).then(res => res.expectStatus(201));
+			}
+			const res = await api.as('moderator')
+				.withQuery({ fields: 'moderation' })
+				.get('/v1/releases/' + reportedRelease.id)
+				.then(res => res.expectStatus(200));
+			expect(res.data.moderation.is_approved).to.be(false);
+			expect(res.data.moderation.is_refused).to.be(false);
+		});
+
+		it('should only count reports filed after the last approval', async () => {
+			const reportedRelease = await api.releaseHelper.createRelease('moderator');
+			for (const user of ['member', 'member2', 'member3']) {
+				await api.as(user).post('/v1/reports', { _ref: { release: reportedRelease.id }, reason: 'stolen' }).then(res => res.expectStatus(201));
+			}
+			await api.as('moderator').post('/v1/releases/' + reportedRelease.id + '/moderate', { action: 'approve' }).then(res => res.expectStatus(200));
+			await api.as('member4').post('/v1/reports', { _ref: { release: reportedRelease.id }, reason: 'stolen' }).then(res => res.expectStatus(201));
+			const res = await api.as('moderator')
+				.withQuery({ fields: 'moderation' })
+				.get('/v1/releases/' + reportedRelease.id)
+				.then(res => res.expectStatus(200));
+			expect(res.data.moderation.is_approved).to.be(true);
+		});
+	});
+
+	describe('when triaging reports', () => {
+
+		it('should fail listing as member', async () => {
+			await api.as('member').get('/v1/reports').then(res => res.expectStatus(403));
+		});
+
+		it('should fail listing with an invalid status', async () => {
+			await api.as('moderator').withQuery({ status: 'closed' }).get('/v1/reports').then(res => res.expectError(400, 'invalid status'));
+		});
+
+		it('should list open reports by type', async () => {
+			const res = await api.as('moderator').withQuery({ type: 'release' }).get('/v1/reports').then(res => res.expectStatus(200));
+			expect(res.data.length).to.be.greaterThan(0);
+			expect(res.data.filter(r => r.ref.type !== 'release')).to.be.empty();
+			expect(res.data.filter(r => r.status !== 'open')).to.be.empty();
+		});
+
+		it('should fail updating with an invalid status', async () => {
+			const report = await api.as('member3').post('/v1/reports', { _ref: { release: release.id }, reason: 'broken' }).then(res => res.expectStatus(201));
+			await api.as('moderator').patch('/v1/reports/' + report.data.id, { status: 'closed' }).then(res => res.expectValidationError('status', 'invalid status'));
+		});
+
+		it('should succeed resolving a report', async () => {
+			const report = await api.as('member2').post('/v1/reports', { _ref: { release: release.id }, reason: 'copyright' }).then(res => res.expectStatus(201));
+			const res = await api.as('moderator').patch('/v1/reports/' + report.data.id, { status: 'resolved', message: 'Removed the logo.' }).then(res => res.expectStatus(200));
+			expect(res.data.status).to.be('resolved');
+			expect(res.data.resolution.message).to.be('Removed the logo.');
+			expect(res.data.resolution.resolved_by.id).to.be(api.getUser('moderator').id);
+
+			const list = await api.as('moderator').withQuery({ per_page: 100 }).get('/v1/reports').then(res => res.expectStatus(200));
+			expect(list.data.find(r => r.id === report.data.id)).to.not.be.ok();
+		});
+	});
+});
@@ -0,0 +1,253 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { isObject, keys } from 'lodash';
+import sanitize = require('mongo-sanitize');
+import { Document, ModeratedDocument, ModeratedModel } from 'mongoose';
+
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { Context } from '../common/typings/context';
+import { state } from '../state';
+import { ReportDocument } from './report.document';
+import { reportReasons, reportReferences, reportStatuses } from './report.schema';
+
+/**
+ * Number of open reports after which an approved entity goes back to the
+ * moderation queue.
+ */
+export const reportThreshold = 3;
+
+const referenceModels: { [key: string]: string } = {
+	release: 'Release',
+	backglass: 'Backglass',
+	comment: 'Comment',
+	medium: 'Medium',
+	rom: 'Rom',
+	user: 'User',
+};
+
+export class ReportApi extends Api {
+
+	/**
+	 * Reports an entity to the moderators.
+	 *
+	 * If the entity is moderated and enough open reports pile up, it's set
+	 * back to pending.
+	 *
+	 * @see POST /v1/reports
+	 * @param {Context} ctx Koa context
+	 */
+	public async create(ctx: Context) {
+
+		const ref = ctx.request.body._ref;
+		const refTypes = isObject(ref) ? keys(ref) : [];
+		if (refTypes.length !== 1 || !reportReferences.includes(refTypes[0])) {
+			throw new ApiError().validationError('_ref', 'Reference must point to exactly one of: [ "' + reportReferences.join('", "') + '" ].', ref);
+		}
+		const type = refTypes[0];
+		const entity = await this.getReportedEntity(ctx, type, ref[type]);
+
+		const existingReport = await state.models.Report.findOne({ ['_ref.' + type]: entity._id, _created_by: ctx.state.user._id, status: 'open' }).exec();
+		if (existingReport) {
+			throw new ApiError('You have already reported this %s.', type).status(409);
+		}
+
+		let report = new state.models.Report({
+			_ref: { [type]: entity._id },
+			reason: ctx.request.body.reason,
+			message: ctx.request.body.message,
+			status: 'open',
+			created_at: new Date(),
+			_created_by: ctx.state.user._id,
+		});
+		await report.save();
+		logger.info(ctx.state, '[ReportApi.create] User <%s> reported %s "%s" for "%s".', ctx.state.user.email, type, ref[type], report.reason);
+
+		await this.applyThreshold(ctx, type, entity);
+
+		report = await this.populate(state.models.Report.findById(report._id)).exec();
+		this.success(ctx, state.serializers.Report.detailed(ctx, report), 201);
+	}
+
+	/**
+	 * Lists reports for triage, newest first.
+	 *
+	 * Only open reports are returned unless the status is provided.
+	 *
+	 * @see GET /v1/reports
+	 * @param {Context} ctx Koa context
+	 */
+	public async list(ctx: Context) {
+
+		const pagination = this.pagination(ctx, 20, 100);
+		const query: any = { status: 'open' };
+
+		if (ctx.query.status) {
+			const statuses: string[] = ctx.query.status.split(',');
+			const invalidStatuses = statuses.filter(status => !reportStatuses.includes(status));
+			if (invalidStatuses.length) {
+				throw new ApiError('Invalid status "%s". Valid statuses are: [ "%s" ].', invalidStatuses[0], reportStatuses.join('", "')).status(400);
+			}
+			query.status = { $in: statuses };
+		}
+		if (ctx.query.reason) {
+			const reasons: string[] = ctx.query.reason.split(',');
+			const invalidReasons = reasons.filter(reason => !reportReasons.includes(reason));
+			if (invalidReasons.length) {
+				throw new ApiError('Invalid reason "%s". Valid reasons are: [ "%s" ].', invalidReasons[0], reportReasons.join('", "')).status(400);
+			}
+			query.reason = { $in: reasons };
+		}
+		if (ctx.query.type) {
+			if (!reportReferences.includes(ctx.query.type)) {
+				throw new ApiError('Invalid type "%s". Valid types are: [ "%s" ].', ctx.query.type, reportReferences.join('", "')).status(400);
+			}
+			query['_ref.' + ctx.query.type] = { $exists: true };
+		}
+
+		const results = await state.models.Report.paginate(query, {
+			page: pagination.page,
+			limit: pagination.perPage,
+			populate: ['_created_by', ...reportReferences.map(ref => '_ref.' + ref)],
+			sort: { created_at: -1 },
+		});
+		const reports = results.docs.map(report => state.serializers.Report.simple(ctx, report));
+		this.success(ctx, reports, 200, this.paginationOpts(pagination, results.total));
+	}
+
+	/**
+	 * Returns a report.
+	 *
+	 * @see GET /v1/reports/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async view(ctx: Context) {
+		const report = await this.getReport(ctx);
+		this.success(ctx, state.serializers.Report.detailed(ctx, report));
+	}
+
+	/**
+	 * Resolves, dismisses or re-opens a report.
+	 *
+	 * @see PATCH /v1/reports/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async update(ctx: Context) {
+
+		let report = await this.getReport(ctx);
+		const status = ctx.request.body.status;
+		if (!status) {
+			throw new ApiError().validationError('status', 'Status must be provided.');
+		}
+		if (status === 'open') {
+			report.status = 'open';
+			report.resolution = undefined;
+		} else {
+			report.status = status;
+			report.resolution = {
+				message: ctx.request.body.message,
+				resolved_at: new Date(),
+				_resolved_by: ctx.state.user._id,
+			};
+		}
+		await report.save();
+		logger.info(ctx.state, '[ReportApi.update] Report %s set to %s.', report.id, report.status);
+
+		report = await this.getReport(ctx);
+		this.success(ctx, state.serializers.Report.detailed(ctx, report), 200);
+	}
+
+	/**
+	 * Sets a moderated entity back to pending if it has reached the report
+	 * threshold since its last approval.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {string} type Type of the reported entity
+	 * @param {Document} entity Reported entity
+	 */
+	private async applyThreshold(ctx: Context, type: string, entity: Document) {
+		const moderated = entity as ModeratedDocument;
+		if (!moderated.moderation || !moderated.moderation.is_approved) {
+			return;
+		}
+		// only count reports filed since a moderator last approved the entity
+		const approvals = (moderated.moderation.history || []).filter(h => h.event === 'approved');
+		const query: any = { ['_ref.' + type]: entity._id, status: 'open' };
+		if (approvals.length) {
+			query.created_at = { $gt: approvals[approvals.length - 1].created_at };
+		}
+		const numReports = await state.models.Report.countDocuments(query).exec();
+		if (numReports < reportThreshold) {
+			return;
+		}
+		const message = 'Automatically set back to pending after ' + numReports + ' reports.';
+		await moderated.moderate(null, message);
+
+		const modelName = referenceModels[type];
+		await state.getModel<ModeratedModel<ModeratedDocument>>(modelName).afterModeration(ctx, moderated, 'moderate', message, null);
+		logger.info(ctx.state, '[ReportApi.applyThreshold] %s "%s" reached %s open reports and was set back to pending.', modelName, entity.id, numReports);
+	}
+
+	/**
+	 * Retrieves the reported entity. Only entities visible to the public can
+	 * be reported.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {string} type Type of the entity
+	 * @param {string} id ID of the entity
+	 * @return {Promise<Document>} Entity
+	 * @throws {ApiError} If not found
+	 */
+	private async getReportedEntity(ctx: Context, type: string, id: string): Promise<Document> {
+		const entity = await state.getModel(referenceModels[type]).findOne({ id: sanitize(id) }).exec();
+		const moderation = entity ? (entity as ModeratedDocument).moderation : null;
+		if (!entity || (moderation && (!moderation.is_approved || moderation.is_deleted)) || (type === 'user' && !entity.get('is_active'))) {
+			throw new ApiError().validationError('_ref.' + type, 'No such ' + type + ' with ID "' + id + '".', id);
+		}
+		if (type === 'user' && ctx.state.user._id.equals(entity._id)) {
+			throw new ApiError().validationError('_ref.user', 'You cannot report yourself.', id);
+		}
+		return entity;
+	}
+
+	/**
+	 * Retrieves a report with all references populated.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {Promise<ReportDocument>} Report
+	 * @throws {ApiError} If not found
+	 */
+	private async getReport(ctx: Context): Promise<ReportDocument> {
+		const report = await this.populate(state.models.Report.findOne({ id: sanitize(ctx.params.id) })).exec();
+		if (!report) {
+			throw new ApiError('No such report with ID "%s".', ctx.params.id).status(404);
+		}
+		return report;
+	}
+
+	private populate<T>(query: T): T {
+		let q: any = query;
+		for (const path of ['_created_by', 'resolution._resolved_by', ...reportReferences.map(ref => '_ref.' + ref)]) {
+			q = q.populate(path);
+		}
+		return q;
+	}
+}
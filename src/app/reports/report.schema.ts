@@ -0,0 +1,88 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { isString } from 'lodash';
+import { PaginateModel, Schema } from 'mongoose';
+import paginatePlugin = require('mongoose-paginate');
+import validator from 'validator';
+
+import { ReportDocument } from './report.document';
+
+const shortId = require('shortid32');
+
+export const reportReasons = ['copyright', 'stolen', 'offensive', 'spam', 'broken', 'other'];
+export const reportStatuses = ['open', 'resolved', 'dismissed'];
+export const reportReferences = ['release', 'backglass', 'comment', 'medium', 'rom', 'user'];
+
+//-----------------------------------------------------------------------------
+// SCHEMA
+//-----------------------------------------------------------------------------
+export const reportFields = {
+	id: { type: String, required: true, unique: true, default: shortId.generate },
+	_ref: {
+		release: { type: Schema.Types.ObjectId, ref: 'Release', index: true, sparse: true },
+		backglass: { type: Schema.Types.ObjectId, ref: 'Backglass', index: true, sparse: true },
+		comment: { type: Schema.Types.ObjectId, ref: 'Comment', index: true, sparse: true },
+		medium: { type: Schema.Types.ObjectId, ref: 'Medium', index: true, sparse: true },
+		rom: { type: Schema.Types.ObjectId, ref: 'Rom', index: true, sparse: true },
+		user: { type: Schema.Types.ObjectId, ref: 'User', index: true, sparse: true },
+	},
+	reason: { type: String, required: 'A reason must be provided.' },
+	message: { type: String },
+	status: { type: String, required: true, default: 'open', index: true },
+	resolution: {
+		message: { type: String },
+		resolved_at: { type: Date },
+		_resolved_by: { type: Schema.Types.ObjectId, ref: 'User' },
+	},
+	created_at: { type: Date, required: true },
+	_created_by: { type: Schema.Types.ObjectId, required: true, ref: 'User', index: true },
+};
+export interface ReportModel extends PaginateModel<ReportDocument> { }
+export const reportSchema = new Schema(reportFields, { toObject: { virtuals: true, versionKey: false } });
+
+//-----------------------------------------------------------------------------
+// VALIDATIONS
+//-----------------------------------------------------------------------------
+reportSchema.path('reason').validate(function(reason: string) {
+	if (reason && !reportReasons.includes(reason)) {
+		this.invalidate('reason', 'Invalid reason "' + reason + '". Reason must be one of the following: [ "' + reportReasons.join('", "') + '" ].');
+	}
+	// message is not validated when empty, so check here.
+	if (reason === 'other' && !this.message) {
+		this.invalidate('message', 'A message must be provided when reporting for another reason.');
+	}
+	return true;
+});
+
+reportSchema.path('message').validate((message: string) => {
+	return isString(message) && validator.isLength(message, 3, 5000);
+}, 'Message must be at least 3 chars and no longer than 5k characters.');
+
+reportSchema.path('status').validate(function(status: string) {
+	if (!reportStatuses.includes(status)) {
+		this.invalidate('status', 'Invalid status "' + status + '". Status must be one of the following: [ "' + reportStatuses.join('", "') + '" ].');
+	}
+	return true;
+});
+
+//-----------------------------------------------------------------------------
+// PLUGINS
+//-----------------------------------------------------------------------------
+reportSchema.plugin(paginatePlugin);
@@ -0,0 +1,90 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { pick } from 'lodash';
+
+import { BackglassDocument } from '../backglasses/backglass.document';
+import { CommentDocument } from '../comments/comment.document';
+import { Serializer, SerializerLevel, SerializerOptions, SerializerReference } from '../common/serializer';
+import { Context } from '../common/typings/context';
+import { ModelName } from '../common/typings/models';
+import { MediumDocument } from '../media/medium.document';
+import { ReleaseDocument } from '../releases/release.document';
+import { RomDocument } from '../roms/rom.document';
+import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+import { ReportDocument } from './report.document';
+
+export class ReportSerializer extends Serializer<ReportDocument> {
+
+	public readonly modelName: ModelName = 'Report';
+	public readonly references: { [level in SerializerLevel]: SerializerReference[] } = {
+		reduced: [],
+		simple: [ { path: 'created_by', modelName: 'User', level: 'reduced' } ],
+		detailed: [ { path: 'created_by', modelName: 'User', level: 'reduced' } ],
+	};
+
+	/* istanbul ignore next */
+	protected _reduced(ctx: Context, doc: ReportDocument, opts: SerializerOptions): ReportDocument {
+		return pick(doc, ['id', 'reason', 'status', 'created_at']) as ReportDocument;
+	}
+
+	protected _simple(ctx: Context, doc: ReportDocument, opts: SerializerOptions): ReportDocument {
+		const report = pick(doc, ['id', 'reason', 'message', 'status', 'created_at']) as ReportDocument;
+
+		// reported entity
+		if (this._populated(doc, '_ref.release')) {
+			report.ref = { type: 'release', item: state.serializers.Release.reduced(ctx, doc._ref.release as ReleaseDocument, opts) };
+		}
+		if (this._populated(doc, '_ref.backglass')) {
+			report.ref = { type: 'backglass', item: state.serializers.Backglass.reduced(ctx, doc._ref.backglass as BackglassDocument, opts) };
+		}
+		if (this._populated(doc, '_ref.comment')) {
+			report.ref = { type: 'comment', item: state.serializers.Comment.simple(ctx, doc._ref.comment as CommentDocument, opts) };
+		}
+		if (this._populated(doc, '_ref.medium')) {
+			report.ref = { type: 'medium', item: state.serializers.Medium.reduced(ctx, doc._ref.medium as MediumDocument, opts) };
+		}
+		if (this._populated(doc, '_ref.rom')) {
+			report.ref = { type: 'rom', item: state.serializers.Rom.reduced(ctx, doc._ref.rom as RomDocument, opts) };
+		}
+		if (this._populated(doc, '_ref.user')) {
+			report.ref = { type: 'user', item: state.serializers.User.reduced(ctx, doc._ref.user as UserDocument, opts) };
+		}
+
+		// creator
+		if (this._populated(doc, '_created_by')) {
+			report.created_by = state.serializers.User.reduced(ctx, doc._created_by as UserDocument, opts);
+		}
+		return report;
+	}
+
+	protected _detailed(ctx: Context, doc: ReportDocument, opts: SerializerOptions): ReportDocument {
+		const report = this._simple(ctx, doc, opts);
+
+		// resolution
+		if (doc.resolution && doc.resolution.resolved_at) {
+			report.resolution = pick(doc.resolution, ['message', 'resolved_at']) as any;
+			if (this._populated(doc, 'resolution._resolved_by')) {
+				report.resolution.resolved_by = state.serializers.User.reduced(ctx, doc.resolution._resolved_by as UserDocument, opts);
+			}
+		}
+		return report;
+	}
+}
@@ -0,0 +1,145 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+"use strict"; /* global describe, before, after, it */
+
+const expect = require('expect.js');
+const ApiClient = require('../../../test/api.client');
+const api = new ApiClient();
+
+describe('The VPDB `ROM definition` API', () => {
+
+	let game;
+	const hulkFiles = [
+		{ filename: '433.cpu', bytes: 1024, crc: 'c05d2b52' },
+		{ filename: '433.snd', bytes: 1024, crc: '20cd1dff' },
+		{ filename: '6530sys1.bin', bytes: 1024, crc: 'b7831321' },
+	];
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'] },
+			moderator: { roles: ['moderator'] },
+		});
+		game = await api.gameHelper.createGame('moderator');
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when creating a definition', () => {
+
+		it('should fail as member', async () => {
+			await api.as('member')
+				.post('/v1/rom-definitions', {})
+				.then(res => res.expectError(403));
+		});
+
+		it('should fail validations for empty data', async () => {
+			await api.as('moderator')
+				.post('/v1/rom-definitions', {})
+				.then(res => res.expectValidationErrors([
+					['id', 'must be provided'],
+					['files', 'at least one file'],
+				]));
+		});
+
+		it('should fail for an invalid CRC', async () => {
+			await api.as('moderator')
+				.post('/v1/rom-definitions', { id: 'badcrc_l1', files: [{ filename: 'u6.bin', crc: -1 }] })
+				.then(res => res.expectValidationError('files', 'unsigned 32-bit'));
+		});
+
+		it('should succeed with hex CRCs', async () => {
+			const res = await api.as('moderator')
+				.markTeardown('id', '/v1/rom-definitions')
+				.post('/v1/rom-definitions', { id: 'defview_l1', description: 'Definition View', files: hulkFiles })
+				.then(res => res.expectStatus(201));
+			expect(res.data.files[0].crc).to.be(0xc05d2b52);
+			expect(res.data.files[0].status).to.be('good');
+			expect(res.data.source).to.be('api');
+
+			await api.get('/v1/rom-definitions/defview_l1').then(res => res.expectStatus(200));
+		});
+	});
+
+	describe('when uploading a ROM', () => {
+
+		it('should not validate the ROM without a definition', async () => {
+			const rom = await api.gameHelper.createRom('moderator', game.id, { romName: 'nodef_l1' });
+			expect(rom.validation).to.be(undefined);
+		});
+
+		it('should flag a complete ROM as verified', async () => {
+			await createDefinition('verif_l1', hulkFiles);
+			const rom = await api.gameHelper.createRom('moderator', game.id, { romName: 'verif_l1' });
+			expect(rom.validation.status).to.be('verified');
+			expect(rom.validation.missing).to.be.empty();
+			expect(rom.validation.bad_crc).to.be.empty();
+			expect(rom.validation.extra).to.be.empty();
+		});
+
+		it('should flag a ROM with missing files as partial and report extra files', async () => {
+			await createDefinition('partial_l1', [
+				hulkFiles[0],
+				hulkFiles[1],
+				{ filename: 'u26.bin', bytes: 2048, crc: '12345678' },
+			]);
+			const rom = await api.gameHelper.createRom('moderator', game.id, { romName: 'partial_l1' });
+			expect(rom.validation.status).to.be('partial');
+			expect(rom.validation.missing).to.have.length(1);
+			expect(rom.validation.missing[0].filename).to.be('u26.bin');
+			expect(rom.validation.extra).to.eql(['6530sys1.bin']);
+		});
+
+		it('should flag a ROM with a wrong CRC as bad', async () => {
+			await createDefinition('bad_l1', [hulkFiles[0], hulkFiles[1], { filename: '6530sys1.bin', bytes: 1024, crc: '00000001' }]);
+			const rom = await api.gameHelper.createRom('moderator', game.id, { romName: 'bad_l1' });
+			expect(rom.validation.status).to.be('bad');
+			expect(rom.validation.bad_crc).to.have.length(1);
+			expect(rom.validation.bad_crc[0].filename).to.be('6530sys1.bin');
+			expect(rom.validation.bad_crc[0].expected_crc).to.be(1);
+		});
+	});
+
+	describe('when changing definitions', () => {
+
+		it('should validate existing ROMs when a definition is added', async () => {
+			await api.gameHelper.createRom('moderator', game.id, { romName: 'later_l1' });
+			await createDefinition('later_l1', hulkFiles);
+			const res = await api.get('/v1/roms/later_l1').then(res => res.expectStatus(200));
+			expect(res.data.validation.status).to.be('verified');
+		});
+
+		it('should remove the validation when the definition is deleted', async () => {
+			await createDefinition('removed_l1', hulkFiles, true);
+			await api.gameHelper.createRom('moderator', game.id, { romName: 'removed_l1' });
+			await api.as('moderator').del('/v1/rom-definitions/removed_l1').then(res => res.expectStatus(204));
+			const res = await api.get('/v1/roms/removed_l1').then(res => res.expectStatus(200));
+			expect(res.data.validation).to.be(undefined);
+		});
+	});
+
+	async function createDefinition(id, files, keep) {
+		const res = await api.as('moderator')
+			.markTeardown(keep ? false : 'id', '/v1/rom-definitions')
+			.post('/v1/rom-definitions', { id, files })
+			.then(res => res.expectStatus(201));
+		return res.data;
+	}
+});
@@ -0,0 +1,90 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { isString, pick } from 'lodash';
+import sanitize = require('mongo-sanitize');
+
+import { Api } from '../../common/api';
+import { ApiError } from '../../common/api.error';
+import { logger } from '../../common/logger';
+import { Context } from '../../common/typings/context';
+import { state } from '../../state';
+import { RomValidator } from '../rom.validator';
+
+export class RomDefinitionApi extends Api {
+
+	/**
+	 * Returns a ROM definition.
+	 *
+	 * @see GET /v1/rom-definitions/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async view(ctx: Context) {
+		const definition = await state.models.RomDefinition.findOne({ id: sanitize(ctx.params.id) }).exec();
+		if (!definition) {
+			throw new ApiError('No such ROM definition with ID "%s".', ctx.params.id).status(404);
+		}
+		this.success(ctx, state.serializers.RomDefinition.detailed(ctx, definition));
+	}
+
+	/**
+	 * Creates a ROM definition and validates the ROM of the same ID against
+	 * it.
+	 *
+	 * CRCs can be provided as number or as hex string, as listed by MAME.
+	 *
+	 * @see POST /v1/rom-definitions
+	 * @param {Context} ctx Koa context
+	 */
+	public async create(ctx: Context) {
+		const now = new Date();
+		const definition = new state.models.RomDefinition(Object.assign(pick(ctx.request.body, ['id', 'description', 'year', 'manufacturer', 'parent']), {
+			files: Array.isArray(ctx.request.body.files) ? ctx.request.body.files.map((f: any) => Object.assign(pick(f, ['filename', 'bytes', 'status', 'merge']), {
+				crc: isString(f.crc) ? parseInt(f.crc, 16) : f.crc,
+			})) : [],
+			source: 'api',
+			created_at: now,
+			updated_at: now,
+			_created_by: ctx.state.user._id,
+		}));
+		await definition.save();
+		logger.info(ctx.state, '[RomDefinitionApi.create] ROM definition "%s" successfully created.', definition.id);
+
+		await RomValidator.revalidate(ctx.state, definition.id);
+		this.success(ctx, state.serializers.RomDefinition.detailed(ctx, definition), 201);
+	}
+
+	/**
+	 * Deletes a ROM definition. The ROM of the same ID loses its validation.
+	 *
+	 * @see DELETE /v1/rom-definitions/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async del(ctx: Context) {
+		const definition = await state.models.RomDefinition.findOne({ id: sanitize(ctx.params.id) }).exec();
+		if (!definition) {
+			throw new ApiError('No such ROM definition with ID "%s".', ctx.params.id).status(404);
+		}
+		await definition.remove();
+		logger.info(ctx.state, '[RomDefinitionApi.del] ROM definition "%s" successfully deleted.', definition.id);
+
+		await RomValidator.revalidate(ctx.state, definition.id);
+		this.success(ctx, null, 204);
+	}
+}
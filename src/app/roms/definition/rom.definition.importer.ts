@@ -0,0 +1,164 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { logger } from '../../common/logger';
+import { RequestState } from '../../common/typings/context';
+import { XmlParser } from '../../common/xml.parser';
+import { state } from '../../state';
+import { RomValidator } from '../rom.validator';
+import { RomDefinitionFile } from './rom.definition.document';
+
+/**
+ * Imports ROM definitions from a MAME or PinMAME XML listing, as produced
+ * by `-listxml`.
+ *
+ * Both `<machine>` (MAME) and `<game>` (PinMAME) elements are supported.
+ * Machines without ROMs are skipped.
+ */
+export class RomDefinitionImporter {
+
+	/**
+	 * Reads all machines from a listing and creates or updates their
+	 * definitions. ROMs matching an imported definition are re-validated.
+	 *
+	 * @param {RequestState} requestState For logging
+	 * @param {string} path Path to the XML listing
+	 * @return {Promise<{ created: number, updated: number }>} Number of created and updated definitions
+	 */
+	public async import(requestState: RequestState, path: string): Promise<{ created: number, updated: number }> {
+		const result = { created: 0, updated: 0 };
+		await this.parse(path, async machine => {
+			const now = new Date();
+			let definition = await state.models.RomDefinition.findOne({ id: machine.id }).exec();
+			if (definition) {
+				result.updated++;
+			} else {
+				definition = new state.models.RomDefinition({ id: machine.id, created_at: now });
+				result.created++;
+			}
+			definition.set({
+				description: machine.description,
+				year: machine.year,
+				manufacturer: machine.manufacturer,
+				parent: machine.parent,
+				files: machine.files,
+				source: 'listxml',
+				updated_at: now,
+			});
+			await definition.save();
+			await RomValidator.revalidate(requestState, machine.id);
+		});
+		logger.info(requestState, '[RomDefinitionImporter.import] Imported %s new and %s updated ROM definitions from %s.', result.created, result.updated, path);
+		return result;
+	}
+
+	/**
+	 * Streams through a listing and calls back for every machine with ROMs.
+	 *
+	 * The stream is paused while the callback is running.
+	 *
+	 * @param {string} path Path to the XML listing
+	 * @param {(machine: RomDefinitionMachine) => Promise<void>} onMachine Callback
+	 */
+	public async parse(path: string, onMachine: (machine: RomDefinitionMachine) => Promise<void>): Promise<void> {
+		return new Promise<void>((resolve, reject) => {
+			const parser = new XmlParser(path);
+			let machine: RomDefinitionMachine = null;
+			let text: string = null;
+
+			parser.on('opentag', (node: { name: string, attributes: { [key: string]: string } }) => {
+				switch (node.name) {
+					case 'machine':
+					case 'game':
+						machine = {
+							id: node.attributes.name,
+							parent: node.attributes.cloneof,
+							files: [],
+						};
+						break;
+					case 'description':
+					case 'year':
+					case 'manufacturer':
+						text = '';
+						break;
+					case 'rom':
+						if (machine && node.attributes.name) {
+							machine.files.push(this.parseRom(node.attributes));
+						}
+						break;
+				}
+			});
+			parser.on('text', (data: string) => {
+				if (text !== null) {
+					text += data;
+				}
+			});
+			parser.on('closetag', (name: string) => {
+				switch (name) {
+					case 'description':
+					case 'year':
+					case 'manufacturer':
+						if (machine) {
+							machine[name] = text.trim();
+						}
+						text = null;
+						break;
+					case 'machine':
+					case 'game':
+						if (machine && machine.id && machine.files.length > 0) {
+							const m = machine;
+							parser.pause();
+							onMachine(m).then(() => parser.resume()).catch(reject);
+						}
+						machine = null;
+						break;
+				}
+			});
+			parser.on('error', reject);
+			parser.on('end', resolve);
+			parser.stream(false, { lowercase: true });
+		});
+	}
+
+	private parseRom(attrs: { [key: string]: string }): RomDefinitionFile {
+		const file: RomDefinitionFile = { filename: attrs.name };
+		if (attrs.size) {
+			file.bytes = parseInt(attrs.size, 10);
+		}
+		if (attrs.crc) {
+			file.crc = parseInt(attrs.crc, 16);
+		}
+		if (attrs.status) {
+			file.status = attrs.status as 'good' | 'baddump' | 'nodump';
+		}
+		if (attrs.merge) {
+			file.merge = attrs.merge;
+		}
+		return file;
+	}
+}
+
+export interface RomDefinitionMachine {
+	id: string;
+	description?: string;
+	year?: string;
+	manufacturer?: string;
+	parent?: string;
+	files: RomDefinitionFile[];
+}
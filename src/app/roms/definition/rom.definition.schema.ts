@@ -0,0 +1,73 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { isString } from 'lodash';
+import { Model, Schema } from 'mongoose';
+import uniqueValidator from 'mongoose-unique-validator';
+import { isLength } from 'validator';
+
+import { RomDefinitionDocument } from './rom.definition.document';
+
+//-----------------------------------------------------------------------------
+// SCHEMA
+//-----------------------------------------------------------------------------
+export const romDefinitionFields = {
+	id: {
+		type: String,
+		required: 'ID must be provided. Use the name of the ROM set as known to PinMAME.',
+		unique: true,
+	},
+	description: { type: String },
+	year: { type: String },
+	manufacturer: { type: String },
+	parent: { type: String },
+	files: [{
+		filename: { type: String, required: 'File name must be provided.' },
+		bytes: { type: Number },
+		crc: { type: Number },
+		status: { type: String, enum: { values: ['good', 'baddump', 'nodump'], message: 'Invalid status. Valid statuses are: [ "good", "baddump", "nodump" ].' }, default: 'good' },
+		merge: { type: String },
+	}],
+	source: { type: String, enum: ['listxml', 'api'], required: true },
+	created_at: { type: Date, required: true },
+	updated_at: { type: Date, required: true },
+	_created_by: { type: Schema.Types.ObjectId, ref: 'User' },
+};
+export interface RomDefinitionModel extends Model<RomDefinitionDocument> {}
+export const romDefinitionSchema = new Schema(romDefinitionFields, { toObject: { virtuals: true, versionKey: false } });
+
+//-----------------------------------------------------------------------------
+// PLUGINS
+//-----------------------------------------------------------------------------
+romDefinitionSchema.plugin(uniqueValidator, { message: 'The {PATH} "{VALUE}" is already taken.', code: 'duplicate_field' });
+
+//-----------------------------------------------------------------------------
+// VALIDATIONS
+//-----------------------------------------------------------------------------
+romDefinitionSchema.path('id').validate((id: any) => {
+	return isString(id) && isLength(id ? id.trim() : '', 2);
+}, 'ID must contain at least 2 characters.');
+
+romDefinitionSchema.path('files').validate((files: any[]) => {
+	return files && files.length > 0;
+}, 'At least one file must be provided.');
+
+romDefinitionSchema.path('files').validate((files: any[]) => {
+	return !files || files.every(f => f.crc === undefined || f.crc === null || (Number.isInteger(f.crc) && f.crc >= 0 && f.crc <= 0xffffffff));
+}, 'CRCs must be unsigned 32-bit integers.');
@@ -0,0 +1,50 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { assign, pick } from 'lodash';
+
+import { Serializer, SerializerLevel, SerializerOptions, SerializerReference } from '../../common/serializer';
+import { Context } from '../../common/typings/context';
+import { ModelName } from '../../common/typings/models';
+import { RomDefinitionDocument, RomDefinitionFile } from './rom.definition.document';
+
+export class RomDefinitionSerializer extends Serializer<RomDefinitionDocument> {
+
+	public readonly modelName: ModelName = 'RomDefinition';
+	public readonly references: { [level in SerializerLevel]: SerializerReference[] } = {
+		reduced: [],
+		simple: [],
+		detailed: [],
+	};
+
+	protected _reduced(ctx: Context, doc: RomDefinitionDocument, opts: SerializerOptions): RomDefinitionDocument {
+		return pick(doc, ['id', 'description']) as RomDefinitionDocument;
+	}
+
+	protected _simple(ctx: Context, doc: RomDefinitionDocument, opts: SerializerOptions): RomDefinitionDocument {
+		const definition = this._reduced(ctx, doc, opts);
+		assign(definition, pick(doc, ['year', 'manufacturer', 'parent', 'source', 'updated_at']));
+		definition.files = doc.files.map(f => pick(f, ['filename', 'bytes', 'crc', 'status', 'merge']) as RomDefinitionFile);
+		return definition;
+	}
+
+	protected _detailed(ctx: Context, doc: RomDefinitionDocument, opts: SerializerOptions): RomDefinitionDocument {
+		return this._simple(ctx, doc, opts);
+	}
+}
@@ -22,6 +22,9 @@ import mongoose from 'mongoose';
 import { EndPoint } from '../common/api.endpoint';
 import { ApiRouter } from '../common/api.router';
 import { state } from '../state';
+import { RomDefinitionDocument } from './definition/rom.definition.document';
+import { RomDefinitionModel, romDefinitionSchema } from './definition/rom.definition.schema';
+import { RomDefinitionSerializer } from './definition/rom.definition.serializer';
 import { RomApiRouter } from './rom.api.router';
 import { RomDocument } from './rom.document';
 import { RomModel, romSchema } from './rom.schema';
@@ -38,11 +41,13 @@ export class RomApiEndPoint extends EndPoint {
 
 	public registerModel(): EndPoint {
 		state.models.Rom = mongoose.model<RomDocument, RomModel>('Rom', romSchema);
+		state.models.RomDefinition = mongoose.model<RomDefinitionDocument, RomDefinitionModel>('RomDefinition', romDefinitionSchema);
 		return this;
 	}
 
 	public registerSerializer(): EndPoint {
 		state.serializers.Rom = new RomSerializer();
+		state.serializers.RomDefinition = new RomDefinitionSerializer();
 		return this;
 	}
 }
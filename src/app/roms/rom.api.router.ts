@@ -20,6 +20,7 @@
 import * as Router from 'koa-router';
 import { ApiRouter } from '../common/api.router';
 import { Scope } from '../common/scope';
+import { RomDefinitionApi } from './definition/rom.definition.api';
 import { RomApi } from './rom.api';
 
 export class RomApiRouter implements ApiRouter {
@@ -31,12 +32,20 @@ export class RomApiRouter implements ApiRouter {
 		this.router = api.apiRouter();
 
 		this.router.get('/v1/roms',       api.list.bind(api));
-		this.router.post('/v1/roms',       api.auth(api.create.bind(api), 'roms', 'add', [ Scope.ALL , Scope.CREATE ]));
+		this.router.post('/v1/roms',       api.auth(api.create.bind(api), 'roms', 'add', [ Scope.ALL , Scope.CREATE, Scope.ROMS_WRITE ]));
 		this.router.get('/v1/roms/:id',   api.view.bind(api));
-		this.router.delete('/v1/roms/:id', api.auth(api.del.bind(api), 'roms', 'delete-own', [ Scope.ALL , Scope.CREATE ]));
+		this.router.delete('/v1/roms/:id', api.auth(api.del.bind(api), 'roms', 'delete-own', [ Scope.ALL , Scope.CREATE, Scope.ROMS_WRITE ]));
+
+		this.router.post('/v1/roms/:id/nvrams',           api.auth(api.addNvram.bind(api), 'nvrams', 'add', [ Scope.ALL , Scope.CREATE, Scope.ROMS_WRITE ]));
+		this.router.delete('/v1/roms/:id/nvrams/:fileId', api.auth(api.delNvram.bind(api), 'nvrams', 'delete-own', [ Scope.ALL , Scope.CREATE, Scope.ROMS_WRITE ]));
+
+		const definitionApi = new RomDefinitionApi();
+		this.router.get('/v1/rom-definitions/:id',      definitionApi.view.bind(definitionApi));
+		this.router.post('/v1/rom-definitions',          definitionApi.auth(definitionApi.create.bind(definitionApi), 'rom_definitions', 'add', [ Scope.ALL , Scope.CREATE, Scope.ROMS_WRITE ]));
+		this.router.delete('/v1/rom-definitions/:id',    definitionApi.auth(definitionApi.del.bind(definitionApi), 'rom_definitions', 'delete', [ Scope.ALL , Scope.CREATE, Scope.ROMS_WRITE ]));
 
 		this.router.get('/v1/games/:gameId/roms', api.list.bind(api));
-		this.router.post('/v1/games/:gameId/roms', api.auth(api.create.bind(api), 'roms', 'add', [ Scope.ALL , Scope.CREATE ]));
+		this.router.post('/v1/games/:gameId/roms', api.auth(api.create.bind(api), 'roms', 'add', [ Scope.ALL , Scope.CREATE, Scope.ROMS_WRITE ]));
 	}
 
 	public getRouter(): Router {
@@ -20,6 +20,7 @@
 import Zip from 'adm-zip'; // todo migrate to unzip
 import { assign, extend, pick } from 'lodash';
 import sanitize = require('mongo-sanitize');
+import { basename } from 'path';
 
 import { Types } from 'mongoose';
 import { acl } from '../common/acl';
@@ -27,10 +28,12 @@ import { Api } from '../common/api';
 import { ApiError } from '../common/api.error';
 import { logger } from '../common/logger';
 import { Context } from '../common/typings/context';
+import { FileDocument } from '../files/file.document';
 import { GameDocument } from '../games/game.document';
 import { LogEventUtil } from '../log-event/log.event.util';
 import { state } from '../state';
 import { RomDocument } from './rom.document';
+import { RomValidator } from './rom.validator';
 
 export class RomApi extends Api {
 
@@ -102,6 +105,7 @@ export class RomApi extends Api {
 		} catch (err) {
 			throw new ApiError('Invalid zip archive: %s', err.message).log(err).status(422);
 		}
+		newRom.validation = await RomValidator.validateRom(newRom);
 		newRom = await newRom.save();
 		logger.info(ctx.state, '[RomApi.create] Rom "%s" successfully added.', newRom.id);
 		await newRom.activateFiles();
@@ -192,6 +196,8 @@ export class RomApi extends Api {
 		const rom = await state.models.Rom.findOne({ id: sanitize(ctx.params.id) })
 			.populate('_game')
 			.populate('_created_by')
+			.populate('nvrams._file')
+			.populate('nvrams._created_by')
 			.exec();
 
 		if (!rom) {
@@ -228,4 +234,93 @@ export class RomApi extends Api {
 		logger.info(ctx.state, '[RomApi.del] ROM "%s" successfully deleted.', rom.id);
 		this.success(ctx, null, 204);
 	}
+
+	/**
+	 * Attaches an NVRAM file to a ROM.
+	 *
+	 * The file must be named after the ROM, since that's how PinMAME picks
+	 * it up.
+	 *
+	 * @see POST /v1/roms/:id/nvrams
+	 * @param {Context} ctx Koa context
+	 */
+	public async addNvram(ctx: Context) {
+
+		const rom = await state.models.Rom.findOne({ id: sanitize(ctx.params.id) }).populate('_game').exec();
+		if (!rom) {
+			throw new ApiError('No such ROM with ID "%s".', ctx.params.id).status(404);
+		}
+		if (rom._game) {
+			await rom.assertRestrictedView(ctx);
+		}
+
+		// validate file
+		const fileId = ctx.request.body._file;
+		if (!fileId) {
+			throw new ApiError().validationError('_file', 'File reference must be provided.');
+		}
+		const file = await state.models.File.findOne({ id: sanitize(fileId) }).exec();
+		if (!file) {
+			throw new ApiError().validationError('_file', 'No such file with ID "' + fileId + '".', fileId);
+		}
+		if (file.file_type !== 'nvram') {
+			throw new ApiError().validationError('_file', 'Must be a file of type "nvram".', fileId);
+		}
+		if (basename(file.name, '.nv').toLowerCase() !== rom.id.toLowerCase()) {
+			throw new ApiError().validationError('_file', 'File name must match the ROM ID ("' + rom.id + '.nv").', file.name);
+		}
+		if (!(file._created_by as Types.ObjectId).equals(ctx.state.user._id)) {
+			throw new ApiError().validationError('_file', 'Must be your own file.', fileId);
+		}
+		if (file.is_active) {
+			throw new ApiError().validationError('_file', 'Cannot reference active files.', fileId);
+		}
+
+		rom.nvrams.push({
+			_file: file._id,
+			notes: ctx.request.body.notes,
+			created_at: new Date(),
+			_created_by: ctx.state.user._id,
+		});
+		await rom.save();
+		await rom.activateFiles();
+		logger.info(ctx.state, '[RomApi.addNvram] Added NVRAM "%s" to ROM "%s".', file.id, rom.id);
+
+		await rom.populate('_file _created_by nvrams._file nvrams._created_by').execPopulate();
+		this.success(ctx, state.serializers.Rom.simple(ctx, rom), 201);
+	}
+
+	/**
+	 * Removes an NVRAM file from a ROM.
+	 *
+	 * @see DELETE /v1/roms/:id/nvrams/:fileId
+	 * @param {Context} ctx Koa context
+	 */
+	public async delNvram(ctx: Context) {
+
+		const canDelete = await acl.isAllowed(ctx.state.user.id, 'nvrams', 'delete');
+		const rom = await state.models.Rom.findOne({ id: sanitize(ctx.params.id) })
+			.populate('nvrams._file')
+			.exec();
+
+		if (!rom) {
+			throw new ApiError('No such ROM with ID "%s".', ctx.params.id).status(404);
+		}
+		// skip nvrams whose file is gone
+		const nvram = rom.nvrams.filter(n => !!n._file).find(n => (n._file as FileDocument).id === ctx.params.fileId);
+		if (!nvram) {
+			throw new ApiError('No such NVRAM with ID "%s" for ROM "%s".', ctx.params.fileId, rom.id).status(404);
+		}
+
+		// only allow deleting own nvrams
+		if (!canDelete && !(nvram._created_by as Types.ObjectId).equals(ctx.state.user._id)) {
+			throw new ApiError('Permission denied, must be owner.').status(403);
+		}
+
+		rom.nvrams = rom.nvrams.filter(n => n !== nvram);
+		await rom.save();
+		await (nvram._file as FileDocument).remove();
+		logger.info(ctx.state, '[RomApi.delNvram] NVRAM "%s" successfully removed from ROM "%s".', ctx.params.fileId, rom.id);
+		this.success(ctx, null, 204);
+	}
 }
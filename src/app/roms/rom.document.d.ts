@@ -25,17 +25,12 @@ export interface RomDocument extends GameReferenceDocument, PrettyIdDocument, Fi
 	id: string;
 	_file: FileDocument | Types.ObjectId;
 	_ipdb_number: number;
-	rom_files: Array<{
-		filename: string;
-		bytes: number;
-		crc: number;
-		modified_at: Date;
-		type?: string;
-		system?: string;
-	}>;
+	rom_files: RomFile[];
 	version: string;
 	languages: string[];
 	notes: string;
+	nvrams: RomNvram[];
+	validation?: RomValidation;
 	created_at: Date;
 	_created_by: UserDocument | Types.ObjectId;
 
@@ -43,3 +38,36 @@ export interface RomDocument extends GameReferenceDocument, PrettyIdDocument, Fi
 	file: FileDocument;
 	created_by: UserDocument;
 }
+
+export interface RomFile {
+	filename: string;
+	bytes: number;
+	crc: number;
+	modified_at: Date;
+	type?: string;
+	system?: string;
+}
+
+export interface RomValidation {
+	/**
+	 * - `verified` if all files are present with correct CRCs
+	 * - `partial` if files are missing
+	 * - `bad` if at least one file has a wrong CRC
+	 */
+	status: 'verified' | 'partial' | 'bad';
+	missing: Array<{ filename: string, bytes?: number, crc?: number }>;
+	bad_crc: Array<{ filename: string, crc: number, expected_crc: number }>;
+	extra: string[];
+	validated_at: Date;
+}
+
+export interface RomNvram {
+	_file: FileDocument | Types.ObjectId;
+	notes?: string;
+	created_at: Date;
+	_created_by: UserDocument | Types.ObjectId;
+
+	// serialized
+	file?: FileDocument;
+	created_by?: UserDocument;
+}
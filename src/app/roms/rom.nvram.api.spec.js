@@ -0,0 +1,158 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+"use strict"; /* global describe, before, after, it */
+
+const expect = require('expect.js');
+const ApiClient = require('../../test/api.client');
+const api = new ApiClient();
+
+describe('The VPDB `ROM NVRAM` API', () => {
+
+	let game, rom;
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'] },
+			member2: { roles: ['member'] },
+			moderator: { roles: ['moderator'] },
+		});
+		game = await api.gameHelper.createGame('moderator');
+		rom = await api.gameHelper.createRom('moderator', game.id);
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when uploading an NVRAM', () => {
+
+		it('should read the ROM family and the high scores', async () => {
+			const nvram = await api.fileHelper.createNvram('member');
+			const res = await api.get('/v1/files/' + nvram.id).then(res => res.expectStatus(200));
+			expect(res.data.file_type).to.be('nvram');
+			expect(res.data.metadata.rom).to.be('hulk');
+			expect(res.data.metadata.rom_type).to.be('gts');
+			expect(res.data.metadata.highscores).to.have.length(2);
+			expect(res.data.metadata.highscores[0].label).to.be('Grand Champion');
+			expect(res.data.metadata.highscores[0].initials).to.be('KHN');
+			expect(res.data.metadata.highscores[0].score).to.be(1234567);
+			expect(res.data.metadata.highscores[1].score).to.be(9900000);
+		});
+
+		it('should read no high scores for an unknown ROM', async () => {
+			const nvram = await api.fileHelper.createNvram('member', { fileName: 'unknown.nv' });
+			const res = await api.get('/v1/files/' + nvram.id).then(res => res.expectStatus(200));
+			expect(res.data.metadata.rom).to.be('unknown');
+			expect(res.data.metadata.rom_type).to.be(undefined);
+			expect(res.data.metadata.highscores).to.be.empty();
+		});
+	});
+
+	describe('when adding an NVRAM to a ROM', () => {
+
+		it('should fail for a non-existent ROM', async () => {
+			await api.as('member')
+				.post('/v1/roms/doesnotexist/nvrams', {})
+				.then(res => res.expectError(404, 'no such rom'));
+		});
+
+		it('should fail without a file', async () => {
+			await api.as('member')
+				.post('/v1/roms/' + rom.id + '/nvrams', {})
+				.then(res => res.expectValidationError('_file', 'must be provided'));
+		});
+
+		it('should fail for a file that is not an NVRAM', async () => {
+			const file = await api.fileHelper.createTextfile('member');
+			await api.as('member')
+				.post('/v1/roms/' + rom.id + '/nvrams', { _file: file.id })
+				.then(res => res.expectValidationError('_file', 'must be a file of type "nvram"'));
+		});
+
+		it('should fail for an NVRAM of a different ROM', async () => {
+			const nvram = await api.fileHelper.createNvram('member', { fileName: 'afm_113b.nv' });
+			await api.as('member')
+				.post('/v1/roms/' + rom.id + '/nvrams', { _file: nvram.id })
+				.then(res => res.expectValidationError('_file', 'must match the rom id'));
+		});
+
+		it('should fail for an NVRAM of a different user', async () => {
+			const nvram = await api.fileHelper.createNvram('member2');
+			await api.as('member')
+				.post('/v1/roms/' + rom.id + '/nvrams', { _file: nvram.id })
+				.then(res => res.expectValidationError('_file', 'must be your own file'));
+		});
+
+		it('should succeed with a valid NVRAM', async () => {
+			const nvram = await api.fileHelper.createNvram('member', { keep: true });
+			const res = await api.as('member')
+				.post('/v1/roms/' + rom.id + '/nvrams', { _file: nvram.id, notes: 'Factory reset, free play enabled.' })
+				.then(res => res.expectStatus(201));
+			expect(res.data.nvrams).to.have.length(1);
+			expect(res.data.nvrams[0].notes).to.be('Factory reset, free play enabled.');
+			expect(res.data.nvrams[0].file.id).to.be(nvram.id);
+			expect(res.data.nvrams[0].file.metadata.highscores).to.have.length(2);
+			expect(res.data.nvrams[0].created_by.name).to.be(api.getUser('member').name);
+		});
+
+		it('should list the NVRAM when viewing the ROM', async () => {
+			const nvram = await api.fileHelper.createNvram('member', { keep: true });
+			await api.as('member').post('/v1/roms/' + rom.id + '/nvrams', { _file: nvram.id }).then(res => res.expectStatus(201));
+			const res = await api.get('/v1/roms/' + rom.id).then(res => res.expectStatus(200));
+			expect(res.data.nvrams.find(n => n.file.id === nvram.id)).to.be.ok();
+		});
+
+		it('should fail when referencing an already attached NVRAM', async () => {
+			const nvram = await api.fileHelper.createNvram('member', { keep: true });
+			await api.as('member').post('/v1/roms/' + rom.id + '/nvrams', { _file: nvram.id }).then(res => res.expectStatus(201));
+			await api.as('member')
+				.post('/v1/roms/' + rom.id + '/nvrams', { _file: nvram.id })
+				.then(res => res.expectValidationError('_file', 'cannot reference active files'));
+		});
+	});
+
+	describe('when removing an NVRAM from a ROM', () => {
+
+		it('should fail for a non-existent NVRAM', async () => {
+			await api.as('member')
+				.del('/v1/roms/' + rom.id + '/nvrams/doesnotexist')
+				.then(res => res.expectError(404, 'no such nvram'));
+		});
+
+		it('should fail for an NVRAM of a different user', async () => {
+			const nvram = await api.fileHelper.createNvram('member', { keep: true });
+			await api.as('member').post('/v1/roms/' + rom.id + '/nvrams', { _file: nvram.id }).then(res => res.expectStatus(201));
+			await api.as('member2')
+				.del('/v1/roms/' + rom.id + '/nvrams/' + nvram.id)
+				.then(res => res.expectError(403, 'must be owner'));
+		});
+
+		it('should remove the NVRAM and its file', async () => {
+			const nvram = await api.fileHelper.createNvram('member', { keep: true });
+			await api.as('member').post('/v1/roms/' + rom.id + '/nvrams', { _file: nvram.id }).then(res => res.expectStatus(201));
+			await api.as('member').del('/v1/roms/' + rom.id + '/nvrams/' + nvram.id).then(res => res.expectStatus(204));
+			await api.get('/v1/files/' + nvram.id).then(res => res.expectStatus(404));
+		});
+
+		it('should succeed as moderator for an NVRAM of a different user', async () => {
+			const nvram = await api.fileHelper.createNvram('member', { keep: true });
+			await api.as('member').post('/v1/roms/' + rom.id + '/nvrams', { _file: nvram.id }).then(res => res.expectStatus(201));
+			await api.as('moderator').del('/v1/roms/' + rom.id + '/nvrams/' + nvram.id).then(res => res.expectStatus(204));
+		});
+	});
+});
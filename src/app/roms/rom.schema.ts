@@ -50,19 +50,34 @@ export const romFields = {
 	version: { type: String },
 	languages: { type: [String] },
 	notes: { type: String },
+	validation: {
+		status: { type: String, enum: ['verified', 'partial', 'bad'] },
+		missing: [{ filename: String, bytes: Number, crc: Number }],
+		bad_crc: [{ filename: String, crc: Number, expected_crc: Number }],
+		extra: { type: [String] },
+		validated_at: { type: Date },
+	},
+	nvrams: [{
+		_file: { type: Schema.Types.ObjectId, ref: 'File', required: 'File reference must be provided.' },
+		notes: { type: String },
+		created_at: { type: Date, required: true },
+		_created_by: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+	}],
 	created_at: { type: Date, required: true },
 	_created_by: { type: Schema.Types.ObjectId, ref: 'User', required: true },
 };
 export interface RomModel extends PrettyIdModel<RomDocument>, PaginateModel<RomDocument>, GameReferenceModel<RomDocument> {}
 export const romSchema = new Schema(romFields, { toObject: { virtuals: true, versionKey: false } });
+romSchema.index({ id: 'text', notes: 'text' }, { weights: { id: 5, notes: 1 } });
 
 //-----------------------------------------------------------------------------
 // PLUGINS
 //-----------------------------------------------------------------------------
 romSchema.plugin(gameReferencePlugin, { isOptional: true });
 romSchema.plugin(uniqueValidator, { message: 'The {PATH} "{VALUE}" is already taken.', code: 'duplicate_field' });
-romSchema.plugin(prettyIdPlugin, { model: 'Rom', ignore: [ '_created_by', '_game' ], validations: [
+romSchema.plugin(prettyIdPlugin, { model: 'Rom', ignore: [ '_created_by', '_game', 'nvrams._created_by' ], validations: [
 	{ path: '_file', fileType: 'rom', message: 'Must be a file of type "rom".' },
+	{ path: 'nvrams._file', fileType: 'nvram', message: 'Must be a file of type "nvram".' },
 ] });
 romSchema.plugin(fileReferencePlugin);
 romSchema.plugin(paginatePlugin);
@@ -24,7 +24,7 @@ import { ModelName } from '../common/typings/models';
 import { FileDocument } from '../files/file.document';
 import { state } from '../state';
 import { UserDocument } from '../users/user.document';
-import { RomDocument } from './rom.document';
+import { RomDocument, RomNvram, RomValidation } from './rom.document';
 
 export class RomSerializer extends Serializer<RomDocument> {
 
@@ -33,14 +33,17 @@ export class RomSerializer extends Serializer<RomDocument> {
 		reduced: [
 			{ path: 'file', modelName: 'File', level: 'simple' },
 			{ path: 'created_by', modelName: 'User', level: 'reduced' },
+			{ path: 'nvrams.file', modelName: 'File', level: 'detailed' },
 		],
 		simple: [
 			{ path: 'file', modelName: 'File', level: 'simple' },
 			{ path: 'created_by', modelName: 'User', level: 'reduced' },
+			{ path: 'nvrams.file', modelName: 'File', level: 'detailed' },
 		],
 		detailed: [
 			{ path: 'file', modelName: 'File', level: 'simple' },
 			{ path: 'created_by', modelName: 'User', level: 'reduced' },
+			{ path: 'nvrams.file', modelName: 'File', level: 'detailed' },
 		],
 	};
 
@@ -52,6 +55,17 @@ export class RomSerializer extends Serializer<RomDocument> {
 		const rom = pick(doc, ['id', 'version', 'notes', 'languages']) as RomDocument;
 		rom.rom_files = doc.rom_files.map((f: any) => pick(f, ['filename', 'bytes', 'crc', 'modified_at', 'type', 'system']));
 
+		// validation against the rom definition
+		if (doc.validation && doc.validation.status) {
+			rom.validation = {
+				status: doc.validation.status,
+				missing: doc.validation.missing.map(f => pick(f, ['filename', 'bytes', 'crc'])),
+				bad_crc: doc.validation.bad_crc.map(f => pick(f, ['filename', 'crc', 'expected_crc'])),
+				extra: [...doc.validation.extra],
+				validated_at: doc.validation.validated_at,
+			} as RomValidation;
+		}
+
 		// file
 		if (this._populated(doc, '_file')) {
 			rom.file = state.serializers.File.simple(ctx, doc._file as FileDocument, opts);
@@ -61,6 +75,18 @@ export class RomSerializer extends Serializer<RomDocument> {
 		if (this._populated(doc, '_created_by')) {
 			rom.created_by = state.serializers.User.reduced(ctx, doc._created_by as UserDocument, opts);
 		}
+
+		// nvrams
+		if (this._populated(doc, 'nvrams._file')) {
+			rom.nvrams = doc.nvrams.map(nvram => {
+				const n = pick(nvram, ['notes', 'created_at']) as RomNvram;
+				n.file = state.serializers.File.detailed(ctx, nvram._file as FileDocument, opts);
+				if (this._populated(nvram as any, '_created_by')) {
+					n.created_by = state.serializers.User.reduced(ctx, nvram._created_by as UserDocument, opts);
+				}
+				return n;
+			});
+		}
 		return rom;
 	}
 	protected _detailed(ctx: Context, doc: RomDocument, opts: SerializerOptions): RomDocument {
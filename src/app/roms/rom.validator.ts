@@ -0,0 +1,103 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { logger } from '../common/logger';
+import { RequestState } from '../common/typings/context';
+import { state } from '../state';
+import { RomDefinitionDocument } from './definition/rom.definition.document';
+import { RomDocument, RomFile, RomValidation } from './rom.document';
+
+/**
+ * Checks ROM sets against the known-good definitions of the ROM database.
+ */
+export class RomValidator {
+
+	/**
+	 * Validates a ROM against the definition of the same ID.
+	 *
+	 * @param {RomDocument} rom ROM with its file listing
+	 * @return {Promise<RomValidation | undefined>} Validation result or undefined if there is no definition
+	 */
+	public static async validateRom(rom: RomDocument): Promise<RomValidation | undefined> {
+		const definition = await state.models.RomDefinition.findOne({ id: rom.id }).exec();
+		return definition ? RomValidator.validate(definition, rom.rom_files) : undefined;
+	}
+
+	/**
+	 * Updates the validation of the ROM matching the given definition ID.
+	 *
+	 * Run this after a definition has been added, updated or removed.
+	 *
+	 * @param {RequestState} requestState For logging
+	 * @param {string} id ID of the definition
+	 */
+	public static async revalidate(requestState: RequestState, id: string): Promise<void> {
+		const rom = await state.models.Rom.findOne({ id }).exec();
+		if (!rom) {
+			return;
+		}
+		const validation = await RomValidator.validateRom(rom);
+		await state.models.Rom.updateOne({ _id: rom._id }, validation ? { validation } : { $unset: { validation: 1 } }).exec();
+		logger.info(requestState, '[RomValidator.revalidate] ROM "%s" is now %s.', id, validation ? validation.status : 'unvalidated');
+	}
+
+	/**
+	 * Compares the files of a ROM zip with a definition.
+	 *
+	 * Files are matched by name first and by CRC second, so renamed files
+	 * still count as present. Files shared with the parent set are allowed
+	 * to be missing, since split sets don't contain them.
+	 *
+	 * @param {RomDefinitionDocument} definition Known-good definition
+	 * @param {RomFile[]} romFiles Files of the uploaded zip
+	 * @return {RomValidation} Missing, bad and extra files along with the resulting status
+	 */
+	public static validate(definition: RomDefinitionDocument, romFiles: RomFile[]): RomValidation {
+		const remaining = [...romFiles];
+		const validation: RomValidation = { status: 'verified', missing: [], bad_crc: [], extra: [], validated_at: new Date() };
+
+		for (const file of definition.files.filter(f => f.status !== 'nodump')) {
+			const byName = remaining.find(f => f.filename.toLowerCase() === file.filename.toLowerCase());
+			const byCrc = RomValidator.hasCrc(file.crc) ? remaining.find(f => f.crc === file.crc) : undefined;
+			const match = byName && (!byCrc || byName.crc === file.crc) ? byName : byCrc || byName;
+			if (!match) {
+				if (!file.merge) {
+					validation.missing.push({ filename: file.filename, bytes: file.bytes, crc: file.crc });
+				}
+				continue;
+			}
+			remaining.splice(remaining.indexOf(match), 1);
+			if (file.status !== 'baddump' && RomValidator.hasCrc(file.crc) && match.crc !== file.crc) {
+				validation.bad_crc.push({ filename: match.filename, crc: match.crc, expected_crc: file.crc });
+			}
+		}
+		validation.extra = remaining.map(f => f.filename);
+
+		if (validation.bad_crc.length > 0) {
+			validation.status = 'bad';
+		} else if (validation.missing.length > 0) {
+			validation.status = 'partial';
+		}
+		return validation;
+	}
+
+	private static hasCrc(crc: number): boolean {
+		return crc !== undefined && crc !== null;
+	}
+}
@@ -0,0 +1,118 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+"use strict"; /* global describe, before, after, it */
+
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The VPDB `search` API', () => {
+
+	let game, release, backglass;
+	const title = 'Quuxlorian Invaders';
+
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: [ 'member' ] },
+			author: { roles: [ 'member' ], username: 'zyxwarbler' },
+			moderator: { roles: [ 'moderator' ] },
+		});
+		game = await api.gameHelper.createGame('moderator', { title });
+		release = await api.releaseHelper.createReleaseForGame('moderator', game, { author: 'author', release: { name: 'Quuxlorian Night Mod' } });
+		backglass = await api.releaseHelper.createDirectB2S('moderator', { game, author: 'author' });
+		await api.gameHelper.createRom('moderator', game.id, { romName: 'quuxlo_l1' });
+	});
+
+	after(async () => await api.teardown());
+
+	it('should fail without a query', async () => {
+		await api.get('/v1/search').then(res => res.expectError(400, 'at least two characters'));
+	});
+
+	it('should fail with a query of only one character', async () => {
+		await api.withQuery({ q: ' q ' }).get('/v1/search').then(res => res.expectError(400, 'at least two characters'));
+	});
+
+	it('should fail with an invalid type', async () => {
+		await api.withQuery({ q: 'quux', types: 'game,foo' }).get('/v1/search').then(res => res.expectError(400, 'invalid type "foo"'));
+	});
+
+	it('should find a game by title prefix', async () => {
+		const res = await api.withQuery({ q: 'quuxlor', types: 'game' }).get('/v1/search').then(res => res.expectStatus(200));
+		const hit = res.data.find(h => h.item.id === game.id);
+		expect(hit).to.be.ok();
+		expect(hit.type).to.be('game');
+		expect(hit.score).to.be.greaterThan(0);
+		expect(hit.highlights[0].field).to.be('title');
+		expect(hit.highlights[0].snippet).to.be(title);
+		expect(hit.highlights[0].matches).to.eql([[0, 7]]);
+	});
+
+	it('should rank an exact title match first', async () => {
+		const res = await api.withQuery({ q: title }).get('/v1/search').then(res => res.expectStatus(200));
+		expect(res.data[0].type).to.be('game');
+		expect(res.data[0].item.id).to.be(game.id);
+	});
+
+	it('should find releases and backglasses by game title', async () => {
+		const res = await api.withQuery({ q: 'quuxlorian invaders', types: 'release,backglass' }).get('/v1/search').then(res => res.expectStatus(200));
+		expect(res.data.find(h => h.type === 'release' && h.item.id === release.id)).to.be.ok();
+		expect(res.data.find(h => h.type === 'backglass' && h.item.id === backglass.id)).to.be.ok();
+		expect(res.data.filter(h => h.type === 'game')).to.be.empty();
+	});
+
+	it('should find a release by name', async () => {
+		const res = await api.withQuery({ q: 'night mod', types: 'release' }).get('/v1/search').then(res => res.expectStatus(200));
+		const hit = res.data.find(h => h.item.id === release.id);
+		expect(hit).to.be.ok();
+		expect(hit.highlights.find(h => h.field === 'name')).to.be.ok();
+	});
+
+	it('should not find releases pending approval', async () => {
+		const pending = await api.releaseHelper.createReleaseForGame('member', game, { release: { name: 'Quuxlorian Pending Edition' } });
+		const res = await api.withQuery({ q: 'quuxlorian pending', types: 'release' }).get('/v1/search').then(res => res.expectStatus(200));
+		expect(res.data.find(h => h.item.id === pending.id)).to.not.be.ok();
+	});
+
+	it('should find a rom by id prefix', async () => {
+		const res = await api.withQuery({ q: 'quuxlo_', types: 'rom' }).get('/v1/search').then(res => res.expectStatus(200));
+		expect(res.data.find(h => h.item.id === 'quuxlo_l1')).to.be.ok();
+	});
+
+	it('should find an author by name', async () => {
+		const res = await api.withQuery({ q: 'zyxwar', types: 'author' }).get('/v1/search').then(res => res.expectStatus(200));
+		expect(res.data).to.have.length(1);
+		expect(res.data[0].item.id).to.be(api.getUser('author').id);
+		expect(res.data[0].item.email).to.not.be.ok();
+	});
+
+	it('should not find users who did not author anything', async () => {
+		const res = await api.withQuery({ q: api.getUser('member').username, types: 'author' }).get('/v1/search').then(res => res.expectStatus(200));
+		expect(res.data.find(h => h.item.id === api.getUser('member').id)).to.not.be.ok();
+	});
+
+	it('should limit the number of hits per type', async () => {
+		const res = await api.withQuery({ q: 'quuxlorian', limit: 1 }).get('/v1/search').then(res => res.expectStatus(200));
+		expect(res.data.filter(h => h.type === 'release')).to.have.length(1);
+	});
+
+});
@@ -0,0 +1,276 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { escapeRegExp, uniq } from 'lodash';
+import { Document, Model } from 'mongoose';
+
+import { BackglassDocument } from '../backglasses/backglass.document';
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { Context } from '../common/typings/context';
+import { GameDocument } from '../games/game.document';
+import { ReleaseDocument } from '../releases/release.document';
+import { RomDocument } from '../roms/rom.document';
+import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+import { SearchHighlight, SearchUtil } from './search.util';
+
+export const searchTypes: SearchType[] = ['game', 'release', 'backglass', 'rom', 'author'];
+
+export class SearchApi extends Api {
+
+	private readonly searchers: { [T in SearchType]: (ctx: Context, query: SearchQuery, limit: number) => Promise<SearchHit[]> } = {
+		game: this.searchGames.bind(this),
+		release: this.searchReleases.bind(this),
+		backglass: this.searchBackglasses.bind(this),
+		rom: this.searchRoms.bind(this),
+		author: this.searchAuthors.bind(this),
+	};
+
+	/**
+	 * Searches games, releases, backglasses, ROMs and authors at once.
+	 *
+	 * Hits are ranked by the score of Mongo's text search, plus a bonus if
+	 * the primary field of the hit matches the query as a prefix.
+	 *
+	 * @see GET /v1/search
+	 * @param {Context} ctx Koa context
+	 */
+	public async search(ctx: Context) {
+
+		const text = String(ctx.query.q || '').trim().toLowerCase();
+		const terms = SearchUtil.getTerms(text);
+		if (text.length < 2 || terms.length === 0) {
+			throw new ApiError('Query must contain at least two characters.').status(400);
+		}
+		const query: SearchQuery = { text, terms, regex: SearchUtil.getPrefixRegex(terms) };
+
+		// types
+		let types = searchTypes;
+		if (ctx.query.types) {
+			types = uniq(String(ctx.query.types).split(',').map(t => t.trim()) as SearchType[]);
+			const invalidTypes = types.filter(t => !searchTypes.includes(t));
+			if (invalidTypes.length > 0) {
+				throw new ApiError('Invalid type "%s". Valid types are: [ "%s" ].', invalidTypes[0], searchTypes.join('", "')).status(400);
+			}
+		}
+
+		// limit per type
+		const limit = Math.min(Math.max(parseInt(ctx.query.limit, 10) || 10, 1), 50);
+
+		logger.info(ctx.state, '[SearchApi.search] Searching "%s" in [ %s ] with limit %s.', text, types.join(', '), limit);
+
+		let hits: SearchHit[] = [];
+		for (const type of types) {
+			hits = [...hits, ...await this.searchers[type](ctx, query, limit)];
+		}
+		hits.sort((a, b) => b.score - a.score);
+
+		this.success(ctx, hits);
+	}
+
+	/**
+	 * Searches games by title, manufacturer and keywords.
+	 */
+	private async searchGames(ctx: Context, query: SearchQuery, limit: number): Promise<SearchHit[]> {
+		const results = await this.find(state.models.Game, query, [], { title: query.regex }, limit, []);
+		return results.map(({ doc, score }) => this.hit('game', score, query,
+			SearchUtil.getPrefixBonus(doc.title, query.text, query.terms),
+			state.serializers.Game.reduced(ctx, doc),
+			{ title: doc.title, manufacturer: doc.manufacturer }));
+	}
+
+	/**
+	 * Searches approved releases by name and description, or by the title of
+	 * their game.
+	 */
+	private async searchReleases(ctx: Context, query: SearchQuery, limit: number): Promise<SearchHit[]> {
+		const restrictions = await state.models.Release.applyRestrictions(ctx, state.models.Release.approvedQuery([]));
+		const gameIds = await this.findGameIds(query);
+		const results = await this.find(state.models.Release, query, restrictions,
+			{ $or: [{ name: query.regex }, { _game: { $in: gameIds } }] }, limit,
+			['_game', 'versions.files._file', 'versions.files._playfield_image', 'versions.files._compatibility', 'authors._user']);
+
+		return results.map(({ doc, score }) => {
+			const game = doc._game as GameDocument;
+			return this.hit('release', score, query,
+				Math.max(SearchUtil.getPrefixBonus(doc.name, query.text, query.terms), SearchUtil.getPrefixBonus(game.title, query.text, query.terms)),
+				state.serializers.Release.simple(ctx, doc),
+				{ name: doc.name, 'game.title': game.title, description: doc.description });
+		});
+	}
+
+	/**
+	 * Searches approved backglasses by description or by the title of their
+	 * game.
+	 */
+	private async searchBackglasses(ctx: Context, query: SearchQuery, limit: number): Promise<SearchHit[]> {
+		const restrictions = await state.models.Backglass.applyRestrictions(ctx, state.models.Backglass.approvedQuery([]));
+		const gameIds = await this.findGameIds(query);
+		const results = await this.find(state.models.Backglass, query, restrictions,
+			{ _game: { $in: gameIds } }, limit, ['_game', 'authors._user', 'versions._file']);
+
+		return results.map(({ doc, score }) => {
+			const game = doc._game as GameDocument;
+			return this.hit('backglass', score, query,
+				SearchUtil.getPrefixBonus(game.title, query.text, query.terms),
+				state.serializers.Backglass.simple(ctx, doc),
+				{ 'game.title': game.title, description: doc.get('description') });
+		});
+	}
+
+	/**
+	 * Searches ROMs by ID and notes.
+	 */
+	private async searchRoms(ctx: Context, query: SearchQuery, limit: number): Promise<SearchHit[]> {
+		const restrictions = await state.models.Rom.applyRestrictions(ctx, []);
+		const results = await this.find(state.models.Rom, query, restrictions,
+			{ id: new RegExp('^' + escapeRegExp(query.text), 'i') }, limit, ['_file', '_created_by']);
+
+		return results.map(({ doc, score }) => this.hit('rom', score, query,
+			SearchUtil.getPrefixBonus(doc.id, query.text, query.terms),
+			state.serializers.Rom.simple(ctx, doc),
+			{ id: doc.id, notes: doc.notes }));
+	}
+
+	/**
+	 * Searches users who authored at least one approved release or backglass
+	 * by name and username.
+	 *
+	 * Users are only matched by prefix, since their text index includes the
+	 * email address, which must not be searchable by the public.
+	 */
+	private async searchAuthors(ctx: Context, query: SearchQuery, limit: number): Promise<SearchHit[]> {
+		const users = await state.models.User.find({
+			is_active: true,
+			$or: [{ name: query.regex }, { username: query.regex }],
+		}).exec();
+		if (users.length === 0) {
+			return [];
+		}
+		const userIds = users.map(u => u._id);
+		const authorIds = [
+			...await state.models.Release.distinct('authors._user', state.models.Release.approvedQuery({ 'authors._user': { $in: userIds } })).exec(),
+			...await state.models.Backglass.distinct('authors._user', state.models.Backglass.approvedQuery({ 'authors._user': { $in: userIds } })).exec(),
+		].map(id => id.toString());
+
+		return users
+			.filter(user => authorIds.includes(user._id.toString()))
+			.map(user => this.hit('author', 0, query,
+				Math.max(SearchUtil.getPrefixBonus(user.name, query.text, query.terms), SearchUtil.getPrefixBonus(user.username, query.text, query.terms)),
+				state.serializers.User.reduced(ctx, user),
+				{ name: user.name, username: user.username }))
+			.sort((a, b) => b.score - a.score)
+			.slice(0, limit);
+	}
+
+	/**
+	 * Runs the text search and the prefix search on a model and merges the
+	 * results.
+	 *
+	 * @param {Model<T>} model Model to search
+	 * @param {SearchQuery} query Search query
+	 * @param {any[]} restrictions Queries limiting the visible documents
+	 * @param {object} prefixQuery Query matching the primary fields by prefix
+	 * @param {number} limit Maximal number of documents per search
+	 * @param {string[]} populate Paths to populate
+	 * @return {Promise<Array<{ doc: T, score: number }>>} Documents with their text score
+	 */
+	private async find<T extends Document>(model: Model<T>, query: SearchQuery, restrictions: any[], prefixQuery: object, limit: number, populate: string[]): Promise<Array<{ doc: T, score: number }>> {
+		const textResults = await model
+			.find(this.searchQuery([...restrictions, { $text: { $search: query.terms.join(' ') } }]), { score: { $meta: 'textScore' } })
+			.sort({ score: { $meta: 'textScore' } })
+			.limit(limit)
+			.populate(populate.join(' '))
+			.exec();
+		const prefixResults = await model
+			.find(this.searchQuery([...restrictions, prefixQuery]))
+			.limit(limit)
+			.populate(populate.join(' '))
+			.exec();
+
+		const results = new Map<string, { doc: T, score: number }>();
+		for (const doc of textResults) {
+			results.set(doc.id, { doc, score: doc.get('score') || 0 });
+		}
+		for (const doc of prefixResults) {
+			if (!results.has(doc.id)) {
+				results.set(doc.id, { doc, score: 0 });
+			}
+		}
+		return [...results.values()];
+	}
+
+	/**
+	 * Returns the IDs of the games whose title matches the query by prefix.
+	 */
+	private async findGameIds(query: SearchQuery): Promise<any[]> {
+		const games = await state.models.Game.find({ title: query.regex }, '_id').exec();
+		return games.map(g => g._id);
+	}
+
+	/**
+	 * Creates a hit.
+	 *
+	 * @param {SearchType} type Type of the hit
+	 * @param {number} score Text score
+	 * @param {SearchQuery} query Search query
+	 * @param {number} bonus Prefix bonus
+	 * @param {any} item Serialized document
+	 * @param {{[p: string]: string}} fields Fields to highlight
+	 * @return {SearchHit}
+	 */
+	private hit(type: SearchType, score: number, query: SearchQuery, bonus: number, item: any, fields: { [key: string]: string }): SearchHit {
+		return {
+			type,
+			score: Math.round((score + bonus) * 1000) / 1000,
+			item,
+			highlights: Object.keys(fields)
+				.map(field => SearchUtil.highlight(field, fields[field], query.terms))
+				.filter(highlight => !!highlight),
+		};
+	}
+}
+
+export type SearchType = 'game' | 'release' | 'backglass' | 'rom' | 'author';
+
+interface SearchQuery {
+	/**
+	 * Lower-cased, trimmed query
+	 */
+	text: string;
+
+	/**
+	 * Terms of the query
+	 */
+	terms: string[];
+
+	/**
+	 * Regex matching all terms as word prefixes
+	 */
+	regex: RegExp;
+}
+
+interface SearchHit {
+	type: SearchType;
+	score: number;
+	item: GameDocument | ReleaseDocument | BackglassDocument | RomDocument | UserDocument;
+	highlights: SearchHighlight[];
+}
@@ -0,0 +1,130 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { escapeRegExp, uniq } from 'lodash';
+
+/**
+ * Bonus added to the score when the primary field of a hit matches the
+ * query entirely, starts with it or contains all terms as word prefixes.
+ */
+const prefixBonus = { exact: 15, startsWith: 10, wordPrefix: 5 };
+
+export class SearchUtil {
+
+	/**
+	 * Splits a search query into lower-cased terms.
+	 *
+	 * Characters with special meaning in Mongo's text search (quotes for
+	 * phrases and leading dashes for negation) are stripped.
+	 *
+	 * @param {string} query Search query
+	 * @return {string[]} Unique terms
+	 */
+	public static getTerms(query: string): string[] {
+		return uniq(query.toLowerCase()
+			.split(/[\s"'`,;:!?()[\]{}]+/)
+			.map(term => term.replace(/^-+/, ''))
+			.filter(term => term.length > 0));
+	}
+
+	/**
+	 * Returns a regex that matches a value if every term is the prefix of a
+	 * word in it.
+	 *
+	 * @param {string[]} terms Search terms
+	 * @return {RegExp} Case-insensitive regex
+	 */
+	public static getPrefixRegex(terms: string[]): RegExp {
+		return new RegExp(terms.map(term => '(?=.*?(?:^|[^a-z0-9])' + escapeRegExp(term) + ')').join(''), 'i');
+	}
+
+	/**
+	 * Computes the score bonus of a value matching the query by prefix.
+	 *
+	 * @param {string} value Value of the primary field of a hit
+	 * @param {string} query Lower-cased, trimmed search query
+	 * @param {string[]} terms Search terms
+	 * @return {number} Bonus, zero if not matched
+	 */
+	public static getPrefixBonus(value: string, query: string, terms: string[]): number {
+		if (!value) {
+			return 0;
+		}
+		const normalized = value.trim().toLowerCase();
+		if (normalized === query) {
+			return prefixBonus.exact;
+		}
+		if (normalized.startsWith(query)) {
+			return prefixBonus.startsWith;
+		}
+		return SearchUtil.getPrefixRegex(terms).test(value) ? prefixBonus.wordPrefix : 0;
+	}
+
+	/**
+	 * Highlights the terms of a query in a given value.
+	 *
+	 * Long values are cut to a snippet around the first match. Match
+	 * positions are relative to the returned snippet.
+	 *
+	 * @param {string} field Name of the field as returned to the client
+	 * @param {string} value Value of the field
+	 * @param {string[]} terms Search terms
+	 * @param {number} [maxLength=160] Maximal length of the snippet, without ellipsis
+	 * @return {SearchHighlight | null} Highlight or null if no term matched
+	 */
+	public static highlight(field: string, value: string, terms: string[], maxLength: number = 160): SearchHighlight | null {
+		if (!value) {
+			return null;
+		}
+		const regex = new RegExp('(?:^|[^a-z0-9])(' + terms.map(escapeRegExp).join('|') + ')', 'gi');
+		const matches: Array<[number, number]> = [];
+		let match = regex.exec(value);
+		while (match) {
+			const matchStart = match.index + match[0].length - match[1].length;
+			matches.push([matchStart, matchStart + match[1].length]);
+			match = regex.exec(value);
+		}
+		if (matches.length === 0) {
+			return null;
+		}
+
+		// cut around the first match
+		let start = 0;
+		if (value.length > maxLength) {
+			start = Math.max(0, Math.min(matches[0][0] - Math.round(maxLength / 4), value.length - maxLength));
+		}
+		const end = Math.min(value.length, start + maxLength);
+		const prefix = start > 0 ? '…' : '';
+		const suffix = end < value.length ? '…' : '';
+		const offset = prefix.length - start;
+		return {
+			field,
+			snippet: prefix + value.substring(start, end) + suffix,
+			matches: matches
+				.filter(([s, e]) => s >= start && e <= end)
+				.map(([s, e]) => [s + offset, e + offset] as [number, number]),
+		};
+	}
+}
+
+export interface SearchHighlight {
+	field: string;
+	snippet: string;
+	matches: Array<[number, number]>;
+}
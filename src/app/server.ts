@@ -24,6 +24,7 @@ import koaJson from 'koa-json';
 import { uniq } from 'lodash';
 import { resolve } from 'path';
 
+import { realtime } from './clients/realtime';
 import { apiCache } from './common/api.cache';
 import { EndPoint } from './common/api.endpoint';
 import { logger } from './common/logger';
@@ -33,7 +34,7 @@ import { koaLogger } from './common/middleware/logger.middleware';
 import { koa404Handler } from './common/middleware/notfound.handler.middleware';
 import { koaRestHandler } from './common/middleware/rest.middleware';
 import { koaWebsiteHandler } from './common/middleware/website.middleware';
-import { settings } from './common/settings';
+import { config, settings } from './common/settings';
 import { Context } from './common/typings/context';
 
 const koaResponseTime = require('koa-response-time');
@@ -45,6 +46,8 @@ export class Server {
 
 	constructor() {
 		this.app = new Application();
+		this.app.proxy = config.vpdb.trustedProxies > 0;
+		this.app.maxIpsCount = config.vpdb.trustedProxies;
 		this.app.use(koaLogger());
 		this.app.use(koaResponseTime());
 		this.app.use(koaBodyParser({ onerror: handleParseError }));
@@ -113,7 +116,8 @@ export class Server {
 		if (!process.env.PORT) {
 			throw new Error('Environment variable `PORT` not found, server cannot start on unknown port.');
 		}
-		this.app.listen(process.env.PORT);
+		const httpServer = this.app.listen(process.env.PORT);
+		realtime.attach(httpServer, this.app);
 		logger.info(null, '[Server.start] Public storage ready at %s', settings.storagePublicUri());
 		logger.info(null, '[Server.start] Protected storage ready at %s', settings.storageProtectedUri());
 		logger.info(null, '[Server.start] API ready at %s', settings.apiExternalUri());
@@ -167,9 +171,16 @@ const allowHeaders = [
 	'DNT',
 	'elastic-apm-traceparent',
 	'If-Modified-Since',
+	'If-None-Match',
+	'If-Range',
 	'Keep-Alive',
 	'Origin',
+	'Range',
 	'Referer',
+	'Tus-Resumable',
+	'Upload-Length',
+	'Upload-Metadata',
+	'Upload-Offset',
 	'User-Agent',
 	'X-App-Name',
 	'X-App-Revision',
@@ -180,9 +191,19 @@ const allowHeaders = [
 
 // added to every request
 const exposeHeaders = [
+	'Accept-Ranges',
 	'Cache-Control',
 	'Content-Disposition',
+	'Content-Range',
+	'ETag',
 	'Link',
+	'Location',
+	'Tus-Extension',
+	'Tus-Max-Size',
+	'Tus-Resumable',
+	'Tus-Version',
+	'Upload-Length',
+	'Upload-Offset',
 	'X-App-Sha',
 	'X-Cache-Api',
 	'X-List-Count',
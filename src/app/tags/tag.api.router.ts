@@ -31,8 +31,8 @@ export class TagApiRouter implements ApiRouter {
 		this.router = api.apiRouter();
 
 		this.router.get('/v1/tags',       api.list.bind(api));
-		this.router.post('/v1/tags',       api.auth(api.create.bind(api), 'tags', 'add', [Scope.ALL, Scope.CREATE]));
-		this.router.delete('/v1/tags/:id', api.auth(api.del.bind(api), 'tags', 'delete-own', [Scope.ALL, Scope.CREATE]));
+		this.router.post('/v1/tags',       api.auth(api.create.bind(api), 'tags', 'add', [Scope.ALL, Scope.CREATE, Scope.TAGS_WRITE]));
+		this.router.delete('/v1/tags/:id', api.auth(api.del.bind(api), 'tags', 'delete-own', [Scope.ALL, Scope.CREATE, Scope.TAGS_WRITE]));
 	}
 
 	public getRouter(): Router {
@@ -26,6 +26,9 @@ import { TokenApiRouter } from './token.api.router';
 import { TokenDocument } from './token.document';
 import { tokenSchema } from './token.schema';
 import { TokenSerializer } from './token.serializer';
+import { TokenUsageDocument } from './token.usage.document';
+import { tokenUsageSchema } from './token.usage.schema';
+import { TokenUsageSerializer } from './token.usage.serializer';
 
 export class TokenEndPoint extends EndPoint {
 
@@ -38,11 +41,13 @@ export class TokenEndPoint extends EndPoint {
 
 	public registerModel(): EndPoint {
 		state.models.Token = mongoose.model<TokenDocument>('Token', tokenSchema);
+		state.models.TokenUsage = mongoose.model<TokenUsageDocument>('TokenUsage', tokenUsageSchema);
 		return this;
 	}
 
 	public registerSerializer(): EndPoint {
 		state.serializers.Token = new TokenSerializer();
+		state.serializers.TokenUsage = new TokenUsageSerializer();
 		return this;
 	}
 }
@@ -0,0 +1,148 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+'use strict';
+/*global describe, before, after, it*/
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The fine-grained scopes of the VPDB API', () => {
+
+	let uploaderToken, profileToken, starToken, starReadToken;
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'], _plan: 'vip' },
+		});
+		uploaderToken = await createToken(['releases:write', 'files:upload']);
+		profileToken = await createToken(['profile:read']);
+		starToken = await createToken(['stars:write']);
+		starReadToken = await createToken(['stars:read']);
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when creating a token', () => {
+
+		it('should fail with an invalid scope', async () => {
+			await api.as('member')
+				.post('/v1/tokens', { label: 'Invalid', password: api.getUser('member').password, scopes: ['releases:write', 'releases:delete-all'] })
+				.then(res => res.expectValidationError('scopes', 'scopes must be one or more of the following'));
+		});
+
+		it('should fail with a provider scope for a personal token', async () => {
+			await api.as('member')
+				.post('/v1/tokens', { label: 'Invalid', password: api.getUser('member').password, scopes: ['files:download', 'service'] })
+				.then(res => res.expectValidationError('scopes', 'scopes must be one or more of the following'));
+		});
+
+		it('should return the fine-grained scopes', async () => {
+			const res = await api.as('member').get('/v1/tokens').then(res => res.expectStatus(200));
+			const token = res.data.find(t => t.label === 'releases:write files:upload');
+			expect(token.scopes).to.eql(['releases:write', 'files:upload']);
+		});
+	});
+
+	describe('using an uploader token', () => {
+
+		it('should allow release deletion', async () => {
+			await api.withToken(uploaderToken).del('/v1/releases/1234').then(res => res.expectStatus(404));
+		});
+
+		it('should allow release version creation', async () => {
+			await api.withToken(uploaderToken).post('/v1/releases/1234/versions', {}).then(res => res.expectStatus(404));
+		});
+
+		it('should allow file deletion', async () => {
+			await api.withToken(uploaderToken).del('/v1/files/1234').then(res => res.expectStatus(404));
+		});
+
+		it('should deny backglass deletion', async () => {
+			await api.withToken(uploaderToken).del('/v1/backglasses/1234').then(res => res.expectError(401, 'invalid scope'));
+		});
+
+		it('should deny commenting', async () => {
+			await api.withToken(uploaderToken).post('/v1/releases/1234/comments', {}).then(res => res.expectError(401, 'invalid scope'));
+		});
+
+		it('should deny reading the profile', async () => {
+			await api.withToken(uploaderToken).get('/v1/profile').then(res => res.expectError(401, 'invalid scope'));
+		});
+
+		it('should deny updating the profile', async () => {
+			await api.withToken(uploaderToken).patch('/v1/profile', { name: 'uploader' }).then(res => res.expectError(401, 'invalid scope'));
+		});
+
+		it('should deny file download', async () => {
+			await api.onStorage().withToken(uploaderToken).get('/files/1234.vpx').then(res => res.expectError(401, 'invalid scope'));
+		});
+	});
+
+	describe('using a profile token', () => {
+
+		it('should allow reading the profile', async () => {
+			const res = await api.withToken(profileToken).get('/v1/profile').then(res => res.expectStatus(200));
+			expect(res.data.id).to.be(api.getUser('member').id);
+		});
+
+		it('should deny updating the profile', async () => {
+			await api.withToken(profileToken).patch('/v1/profile', { name: 'profile' }).then(res => res.expectError(401, 'invalid scope'));
+		});
+	});
+
+	describe('using a star token', () => {
+
+		it('should allow starring a game', async () => {
+			await api.withToken(starToken).post('/v1/games/1234/star', {}).then(res => res.expectStatus(404));
+		});
+
+		it('should allow checking a star', async () => {
+			await api.withToken(starToken).get('/v1/games/1234/star').then(res => res.expectStatus(404));
+		});
+
+		it('should deny rating a game', async () => {
+			await api.withToken(starToken).post('/v1/games/1234/rating', { value: 5 }).then(res => res.expectError(401, 'invalid scope'));
+		});
+	});
+
+	describe('using a star read token', () => {
+
+		it('should allow checking a star', async () => {
+			await api.withToken(starReadToken).get('/v1/games/1234/star').then(res => res.expectStatus(404));
+		});
+
+		it('should deny starring a game', async () => {
+			await api.withToken(starReadToken).post('/v1/games/1234/star', {}).then(res => res.expectError(401, 'invalid scope'));
+		});
+
+		it('should deny retrieving a rating', async () => {
+			await api.withToken(starReadToken).get('/v1/games/1234/rating').then(res => res.expectError(401, 'invalid scope'));
+		});
+	});
+
+	async function createToken(scopes) {
+		const res = await api.as('member')
+			.post('/v1/tokens', { label: scopes.join(' '), password: api.getUser('member').password, scopes })
+			.then(res => res.expectStatus(201));
+		expect(res.data.scopes).to.eql(scopes);
+		return res.data.token;
+	}
+});
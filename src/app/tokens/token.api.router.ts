@@ -33,6 +33,7 @@ export class TokenApiRouter implements ApiRouter {
 		this.router.post('/v1/tokens',      api.auth(api.create.bind(api), 'tokens', 'add', [ Scope.ALL ]));
 		this.router.get('/v1/tokens',       api.auth(api.list.bind(api), 'tokens', 'list', [ Scope.ALL ], { enableAppTokens: true }));
 		this.router.get('/v1/tokens/:id',  api.view.bind(api));
+		this.router.get('/v1/tokens/:id/usage', api.auth(api.listUsage.bind(api), 'tokens', 'list', [ Scope.ALL ]));
 		this.router.del('/v1/tokens/:id',   api.auth(api.del.bind(api), 'tokens', 'delete-own', [ Scope.ALL ]));
 		this.router.patch('/v1/tokens/:id', api.auth(api.update.bind(api), 'tokens', 'update-own', [ Scope.ALL ]));
 	}
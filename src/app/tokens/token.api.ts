@@ -47,6 +47,11 @@ export class TokenApi extends Api {
 		// default type is "personal".
 		ctx.request.body.type = ctx.request.body.type || 'personal';
 
+		// application tokens are issued through the authorization server only
+		if (ctx.request.body.type === 'application') {
+			throw new ApiError().validationError('type', 'Application tokens can only be obtained through OAuth2.', ctx.request.body.type);
+		}
+
 		// check if the plan allows application token creation
 		if (scope.has(ctx.request.body.scopes, Scope.ALL) && !ctx.state.user.planConfig.enableAppTokens) {
 			throw new ApiError('Your current plan "%s" does not allow the creation of application tokens. Upgrade or contact an admin.', ctx.state.user.planConfig.id).status(401);
@@ -184,7 +189,7 @@ export class TokenApi extends Api {
 	public async list(ctx: Context) {
 
 		const query = { _created_by: ctx.state.user._id, type: 'personal' } as FilterQuery<TokenDocument>;
-		const allowedTypes = [ 'personal', 'provider' ];
+		const allowedTypes = [ 'personal', 'provider', 'application' ];
 
 		// filter by type?
 		if (ctx.query.type) {
@@ -204,7 +209,7 @@ export class TokenApi extends Api {
 			}
 			query.type = sanitize(ctx.query.type);
 		}
-		let tokens = await state.models.Token.find(query).exec();
+		let tokens = await state.models.Token.find(query).populate('_application').exec();
 
 		// reduce
 		tokens = tokens.map(token => state.serializers.Token.simple(ctx, token));
@@ -243,7 +248,39 @@ export class TokenApi extends Api {
 		if (!token) {
 			throw new ApiError('No such token').status(404);
 		}
+		await state.models.TokenUsage.deleteMany({ _token: token._id }).exec();
 		await token.remove();
 		this.success(ctx, null, 204);
 	}
+
+	/**
+	 * Lists the usage of a token, most recent first.
+	 *
+	 * Usage is aggregated per day, IP address, user agent and endpoint
+	 * family and kept for 90 days.
+	 *
+	 * @see GET /v1/tokens/:id/usage
+	 * @param {Context} ctx Koa context
+	 */
+	public async listUsage(ctx: Context) {
+		const token = await state.models.Token.findOne({ id: sanitize(ctx.params.id), _created_by: ctx.state.user._id }).exec();
+		if (!token) {
+			throw new ApiError('No token found with ID "%s".', ctx.params.id).status(404);
+		}
+		const pagination = this.pagination(ctx, 20, 100);
+		const query: any = { _token: token._id };
+		if (ctx.query.endpoint) {
+			query.endpoint = sanitize(ctx.query.endpoint);
+		}
+		if (ctx.query.ip) {
+			query.ip = sanitize(ctx.query.ip);
+		}
+		const result = await state.models.TokenUsage.paginate(query, {
+			page: pagination.page,
+			limit: pagination.perPage,
+			sort: { last_used_at: -1 },
+		});
+		const usage = result.docs.map(u => state.serializers.TokenUsage.simple(ctx, u));
+		this.success(ctx, usage, 200, this.paginationOpts(pagination, result.total));
+	}
 }
@@ -0,0 +1,101 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+'use strict';
+/*global describe, before, after, it*/
+const expect = require('expect.js');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The VPDB `token usage` API', () => {
+
+	let token;
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'], _plan: 'vip' },
+			other: { roles: ['member'], _plan: 'vip' },
+		});
+		const res = await api.as('member')
+			.post('/v1/tokens', { label: 'Usage token', password: api.getUser('member').password, scopes: ['all'] })
+			.then(res => res.expectStatus(201));
+		token = res.data;
+	});
+
+	after(async () => await api.teardown());
+
+	describe('when recording usage', () => {
+
+		it('should aggregate requests per endpoint', async () => {
+			await api.withToken(token.token).withHeader('X-Forwarded-For', '203.0.113.42').withHeader('CF-IPCountry', 'ch').get('/v1/profile').then(res => res.expectStatus(200));
+			await api.withToken(token.token).withHeader('X-Forwarded-For', '203.0.113.42').withHeader('CF-IPCountry', 'ch').get('/v1/profile').then(res => res.expectStatus(200));
+			await api.withToken(token.token).withHeader('X-Forwarded-For', '203.0.113.42').withHeader('CF-IPCountry', 'ch').get('/v1/tokens').then(res => res.expectStatus(200));
+			await new Promise(resolve => setTimeout(resolve, 500)); // usage is recorded after the response
+
+			const res = await api.as('member').get('/v1/tokens/' + token.id + '/usage').then(res => res.expectStatus(200));
+			const profileUsage = res.data.find(u => u.endpoint === 'profile');
+			const tokenUsage = res.data.find(u => u.endpoint === 'tokens');
+			expect(profileUsage.count).to.be(2);
+			expect(profileUsage.ip).to.be('203.0.113.42');
+			expect(profileUsage.ip_range).to.be('203.0.0.0/16');
+			expect(profileUsage.country).to.be('CH');
+			expect(profileUsage.first_used_at).to.be.ok();
+			expect(profileUsage.last_used_at).to.be.ok();
+			expect(tokenUsage.count).to.be(1);
+		});
+
+		it('should record a new entry for a new location', async () => {
+			await api.withToken(token.token).withHeader('X-Forwarded-For', '198.51.100.7').withHeader('CF-IPCountry', 'DE').get('/v1/profile').then(res => res.expectStatus(200));
+			await new Promise(resolve => setTimeout(resolve, 500)); // usage is recorded after the response
+			const res = await api.as('member').get('/v1/tokens/' + token.id + '/usage').then(res => res.expectStatus(200));
+			expect(res.data.filter(u => u.endpoint === 'profile')).to.have.length(2);
+			expect(res.data[0].country).to.be('DE');
+		});
+
+		it('should only use the address added by the proxy', async () => {
+			await api.withToken(token.token).withHeader('X-Forwarded-For', '10.9.8.7, 198.51.100.7').withHeader('CF-IPCountry', 'DE').get('/v1/profile').then(res => res.expectStatus(200));
+			await new Promise(resolve => setTimeout(resolve, 500)); // usage is recorded after the response
+			const res = await api.as('member').get('/v1/tokens/' + token.id + '/usage').then(res => res.expectStatus(200));
+			expect(res.data.find(u => u.ip === '10.9.8.7')).to.not.be.ok();
+			expect(res.data.find(u => u.ip === '198.51.100.7').count).to.be(2);
+		});
+
+		it('should filter by endpoint', async () => {
+			const res = await api.as('member').withQuery({ endpoint: 'tokens' }).get('/v1/tokens/' + token.id + '/usage').then(res => res.expectStatus(200));
+			expect(res.data).to.have.length(1);
+			expect(res.data[0].endpoint).to.be('tokens');
+		});
+	});
+
+	describe('when listing usage', () => {
+
+		it('should fail for a non-existent token', async () => {
+			await api.as('member').get('/v1/tokens/doesnotexist/usage').then(res => res.expectError(404, 'no token found'));
+		});
+
+		it('should fail for a token of another user', async () => {
+			await api.as('other').get('/v1/tokens/' + token.id + '/usage').then(res => res.expectError(404, 'no token found'));
+		});
+
+		it('should fail when not logged', async () => {
+			await api.get('/v1/tokens/' + token.id + '/usage').then(res => res.expectError(401));
+		});
+	});
+});
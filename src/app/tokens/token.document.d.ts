@@ -18,23 +18,29 @@
  */
 
 import { Document, Types } from 'mongoose';
+import { ApplicationDocument } from '../oauth/application.document';
 import { UserDocument } from '../users/user.document';
 
 export interface TokenDocument extends Document {
 	id: string;
 	token: string;
 	label: string;
-	type: 'personal' | 'provider' | 'jwt-refreshed' | 'jwt';
+	type: 'personal' | 'provider' | 'application' | 'jwt-refreshed' | 'jwt';
 	scopes: string[];
 	provider: string;
+	refresh_token?: string;
+	refresh_expires_at?: Date;
 	is_active: boolean;
 	last_used_at: Date;
+	usage_locations?: string[];
 	expires_at: Date;
 	created_at: Date;
 	_created_by: UserDocument | Types.ObjectId;
+	_application?: ApplicationDocument | Types.ObjectId;
 
 	// generated
 	browser?: IUAParser.IResult;
 	for_user?: string;
 	for_path?: string;
+	application?: ApplicationDocument;
 }
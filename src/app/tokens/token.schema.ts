@@ -28,7 +28,7 @@ import { config } from '../common/settings';
 
 const shortId = require('shortid32');
 
-const validTypes = ['personal', 'provider'];
+const validTypes = ['personal', 'provider', 'application'];
 
 //-----------------------------------------------------------------------------
 // SCHEMA
@@ -40,11 +40,15 @@ export const tokenFields = {
 	type: { type: String, enum: validTypes, required: true },
 	scopes: { type: [String] },
 	provider: { type: String }, // must be set for provider tokens
+	refresh_token: { type: String, unique: true, sparse: true }, // application tokens only
+	refresh_expires_at: { type: Date },
 	is_active: { type: Boolean, required: true, default: true },
 	last_used_at: { type: Date },
+	usage_locations: { type: [String] }, // countries or IP ranges the token was used from
 	expires_at: { type: Date, required: true },
 	created_at: { type: Date, required: true },
 	_created_by: { type: Schema.Types.ObjectId, required: true, ref: 'User' },
+	_application: { type: Schema.Types.ObjectId, ref: 'Application', index: true }, // must be set for application tokens
 };
 
 export const tokenSchema = new Schema(tokenFields, { toObject: { virtuals: true, versionKey: false } });
@@ -63,7 +67,7 @@ tokenSchema.path('scopes').validate(function(scopes: string[]) {
 	}
 	// for scope validation, fall back to private if invalid type given
 	const type = validTypes.includes(this.type) ? this.type : 'private';
-	if (!scope.isValid(type, scopes)) {
+	if (!scope.areValid(type, scopes)) {
 		this.invalidate('scopes', 'Scopes must be one or more of the following: [ "' + scope.getScopes(type).join('", "') + '" ].');
 	}
 	return true;
@@ -90,6 +94,9 @@ tokenSchema.path('type').validate(function(type: string) {
 			this.invalidate('provider', 'Provider must be one of: [ "' + providers.join('", "') + '" ].');
 		}
 	}
+	if (type === 'application' && !this._application) {
+		this.invalidate('_application', 'Application is required for application tokens.');
+	}
 	return true;
 });
 
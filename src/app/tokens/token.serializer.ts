@@ -22,6 +22,8 @@ import { UAParser } from 'ua-parser-js';
 import { Serializer, SerializerLevel, SerializerOptions, SerializerReference } from '../common/serializer';
 import { Context } from '../common/typings/context';
 import { ModelName } from '../common/typings/models';
+import { ApplicationDocument } from '../oauth/application.document';
+import { state } from '../state';
 import { TokenDocument } from './token.document';
 
 export class TokenSerializer extends Serializer<TokenDocument> {
@@ -43,6 +45,11 @@ export class TokenSerializer extends Serializer<TokenDocument> {
 
 		token.scopes = doc.scopes;
 
+		// application the token was issued to
+		if (this._populated(doc, '_application')) {
+			token.application = state.serializers.Application.reduced(ctx, doc._application as ApplicationDocument, opts);
+		}
+
 		// parse name for browser string
 		const browser = new UAParser(doc.label).getResult();
 		if (browser.browser.name && browser.os.name) {
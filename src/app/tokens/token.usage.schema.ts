@@ -0,0 +1,47 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+import { PaginateModel, Schema } from 'mongoose';
+import paginatePlugin = require('mongoose-paginate');
+import { TokenUsageDocument } from './token.usage.document';
+
+//-----------------------------------------------------------------------------
+// SCHEMA
+//-----------------------------------------------------------------------------
+export const tokenUsageFields = {
+	_token:        { type: Schema.Types.ObjectId, required: true, ref: 'Token' },
+	date:          { type: Date, required: true, expires: '90d' }, // midnight UTC of the day
+	ip:            { type: String, required: true },
+	ip_range:      { type: String, required: true },
+	country:       { type: String }, // only if provided by the reverse proxy
+	user_agent:    { type: String },
+	endpoint:      { type: String, required: true }, // first segment of the path, e.g. "releases"
+	count:         { type: Number, required: true, default: 0 },
+	first_used_at: { type: Date, required: true },
+	last_used_at:  { type: Date, required: true },
+};
+export interface TokenUsageModel extends PaginateModel<TokenUsageDocument> { }
+export const tokenUsageSchema = new Schema(tokenUsageFields, { toObject: { virtuals: true, versionKey: false } });
+tokenUsageSchema.index({ _token: 1, date: 1, ip: 1, user_agent: 1, endpoint: 1 }, { unique: true });
+tokenUsageSchema.index({ _token: 1, ip_range: 1 });
+tokenUsageSchema.index({ _token: 1, country: 1 });
+
+//-----------------------------------------------------------------------------
+// PLUGINS
+//-----------------------------------------------------------------------------
+tokenUsageSchema.plugin(paginatePlugin);
@@ -0,0 +1,48 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+import { pick } from 'lodash';
+
+import { Serializer, SerializerLevel, SerializerOptions, SerializerReference } from '../common/serializer';
+import { Context } from '../common/typings/context';
+import { ModelName } from '../common/typings/models';
+import { TokenUsageDocument } from './token.usage.document';
+
+export class TokenUsageSerializer extends Serializer<TokenUsageDocument> {
+
+	public readonly modelName: ModelName = 'TokenUsage';
+	public readonly references: { [level in SerializerLevel]: SerializerReference[] } = {
+		reduced: [],
+		simple: [],
+		detailed: [],
+	};
+
+	/* istanbul ignore next */
+	protected _reduced(ctx: Context, doc: TokenUsageDocument, opts: SerializerOptions): TokenUsageDocument {
+		return this._simple(ctx, doc, opts);
+	}
+
+	protected _simple(ctx: Context, doc: TokenUsageDocument, opts: SerializerOptions): TokenUsageDocument {
+		return pick(doc, ['date', 'ip', 'ip_range', 'country', 'user_agent', 'endpoint', 'count', 'first_used_at', 'last_used_at']) as TokenUsageDocument;
+	}
+
+	/* istanbul ignore next */
+	protected _detailed(ctx: Context, doc: TokenUsageDocument, opts: SerializerOptions): TokenUsageDocument {
+		return this._simple(ctx, doc, opts);
+	}
+}
@@ -0,0 +1,165 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+import { isIP } from 'net';
+
+import { logger } from '../common/logger';
+import { mailer } from '../common/mailer';
+import { config } from '../common/settings';
+import { Context } from '../common/typings/context';
+import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+import { TokenDocument } from './token.document';
+
+export class TokenUsageUtil {
+
+	/**
+	 * Records the usage of an application token for the current request.
+	 *
+	 * Usage is aggregated per day, IP address, user agent and endpoint
+	 * family. If the token has been used before but never from the
+	 * request's country (or IP range, if the country is unknown), the owner
+	 * of the token is notified by email.
+	 *
+	 * Errors are logged but never thrown, so this can be run without
+	 * awaiting it and a failed recording doesn't fail the request.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {TokenDocument} token Token used to authenticate the request
+	 */
+	public static async record(ctx: Context, token: TokenDocument): Promise<void> {
+		try {
+			const now = new Date();
+			const ip = TokenUsageUtil.getIp(ctx);
+			const usage = {
+				_token: token._id,
+				date: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())),
+				ip,
+				user_agent: ctx.get('user-agent') || '',
+				endpoint: TokenUsageUtil.getEndpoint(ctx.path),
+			};
+			const ipRange = TokenUsageUtil.getIpRange(ip);
+			const country = TokenUsageUtil.getCountry(ctx);
+
+			// add the location atomically, so concurrent requests from a new location only alert once.
+			let isNewLocation = false;
+			if (config.vpdb.tokenUsage.alertOnNewLocation) {
+				const previous = await state.models.Token.findOneAndUpdate(
+					{ _id: token._id, usage_locations: { $ne: country || ipRange } },
+					{ $addToSet: { usage_locations: country || ipRange } },
+					{ new: false },
+				).exec();
+				isNewLocation = !!previous && !!previous.usage_locations && previous.usage_locations.length > 0;
+			}
+
+			const update: any = {
+				$inc: { count: 1 },
+				$set: { ip_range: ipRange, last_used_at: now },
+				$setOnInsert: { first_used_at: now },
+			};
+			if (country) {
+				update.$set.country = country;
+			}
+			try {
+				await state.models.TokenUsage.updateOne(usage, update, { upsert: true }).exec();
+			} catch (err) {
+				// concurrent upserts of the same entry: one insert wins, the others update it.
+				if (err.code !== 11000) {
+					throw err;
+				}
+				await state.models.TokenUsage.updateOne(usage, update).exec();
+			}
+
+			if (isNewLocation) {
+				logger.info(ctx.state, '[TokenUsageUtil.record] Token "%s" used from new location %s (%s).', token.id, country || ipRange, ip);
+				const user = token._created_by as UserDocument;
+				const recorded = await state.models.TokenUsage.findOne(usage).exec();
+				mailer.tokenUsedFromNewLocation(ctx.state, user, token, recorded).catch(err => {
+					logger.error(ctx.state, '[TokenUsageUtil.record] Error sending new location alert: %s', err.message);
+				});
+			}
+
+		} catch (err) {
+			logger.error(ctx.state, '[TokenUsageUtil.record] Error recording usage of token "%s": %s', token.id, err.message);
+		}
+	}
+
+	/**
+	 * Returns the client's IP address. If behind trusted proxies, this is
+	 * the address the first of them added to `X-Forwarded-For`.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {string} IP address
+	 */
+	public static getIp(ctx: Context): string {
+		return (ctx.ip || '0.0.0.0').replace(/^::ffff:/i, '');
+	}
+
+	/**
+	 * Returns the network range of an IP address, which is the /16 subnet
+	 * for IPv4 and the /48 prefix for IPv6.
+	 *
+	 * @param {string} ip IP address
+	 * @return {string} Range in CIDR notation
+	 */
+	public static getIpRange(ip: string): string {
+		switch (isIP(ip)) {
+			case 4:
+				return ip.split('.').slice(0, 2).join('.') + '.0.0/16';
+			case 6: {
+				const [head, tail] = ip.toLowerCase().split('::');
+				const groups = head ? head.split(':') : [];
+				const missing = 8 - groups.length - (tail ? tail.split(':').length : 0);
+				const expanded = tail === undefined ? groups : [...groups, ...new Array(missing).fill('0'), ...tail.split(':')];
+				return expanded.slice(0, 3).map(group => parseInt(group || '0', 16).toString(16)).join(':') + '::/48';
+			}
+			default:
+				return ip;
+		}
+	}
+
+	/**
+	 * Returns the family of the requested endpoint, which is the first
+	 * path segment after the API version, e.g. "releases" for
+	 * `/api/v1/releases/abcd/versions`.
+	 *
+	 * @param {string} path Request path
+	 * @return {string} Endpoint family
+	 */
+	public static getEndpoint(path: string): string {
+		const segments = path.split('/').filter(segment => !!segment);
+		const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+		return segments[versionIndex + 1] || segments[0] || '/';
+	}
+
+	/**
+	 * Returns the two-letter country code the reverse proxy determined for
+	 * the client, if configured.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {string | undefined} Upper-cased ISO 3166-1 country code
+	 */
+	private static getCountry(ctx: Context): string | undefined {
+		if (!config.vpdb.tokenUsage.countryHeader) {
+			return undefined;
+		}
+		const country = (ctx.get(config.vpdb.tokenUsage.countryHeader) || '').trim().toUpperCase();
+		// skips values such as "XX" or "T1" that proxies send for unknown or Tor clients
+		return /^[A-Z]{2}$/.test(country) && country !== 'XX' ? country : undefined;
+	}
+}
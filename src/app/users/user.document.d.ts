@@ -39,6 +39,7 @@ export interface UserDocument extends MetricsDocument {
 		token: string;
 		expires_at: Date;
 	};
+	two_factor?: UserTwoFactor;
 	thumb?: string;
 	location?: string;
 	preferences?: UserPreferences;
@@ -50,6 +51,7 @@ export interface UserDocument extends MetricsDocument {
 	};
 	created_at?: Date;
 	is_active?: boolean;
+	deleted_at?: Date;
 	validated_emails?: string[];
 	channel_config?: {
 		subscribe_to_starred: boolean;
@@ -128,6 +130,21 @@ export interface UserPreferences extends Document {
 	[key: string]: any;
 }
 
+export interface UserTwoFactor {
+	is_enabled: boolean;
+	secret?: string;
+	enabled_at?: Date;
+	last_step?: number;
+	recovery_codes?: UserRecoveryCode[];
+}
+
+export interface UserRecoveryCode {
+	_id?: any;
+	hash: string;
+	salt?: string;
+	used_at?: Date;
+}
+
 export interface UserProviders {
 	[key: string]: {
 		id: string;
@@ -60,6 +60,17 @@ export const userFields: any = {
 		token: { type: String, index: true },
 		expires_at: { type: Date },
 	},
+	two_factor: {
+		is_enabled: { type: Boolean, default: false },
+		secret: { type: String },
+		enabled_at: { type: Date },
+		last_step: { type: Number },
+		recovery_codes: [{
+			hash: { type: String, required: true },
+			salt: { type: String },
+			used_at: { type: Date },
+		}],
+	},
 	thumb: { type: String },
 	location: { type: String },
 	preferences: {
@@ -87,6 +98,7 @@ export const userFields: any = {
 	},
 	created_at: { type: Date, required: true },
 	is_active: { type: Boolean, required: true, default: false },
+	deleted_at: { type: Date }, // set when the user deleted their account and personal data has been removed
 	channel_config: {
 		subscribe_to_starred: { type: Boolean, default: false }, // "nice to know", useless
 		subscribed_releases: { type: [String], index: true },     // linked releases on client side, so we can announce properly in realtime
@@ -91,6 +91,12 @@ export class UserSerializer extends Serializer<UserDocument> {
 			user.email_status.token = undefined;
 		}
 
+		// two-factor status
+		user.two_factor = {
+			is_enabled: !!(doc.two_factor && doc.two_factor.is_enabled),
+			enabled_at: doc.two_factor ? doc.two_factor.enabled_at : undefined,
+		};
+
 		// provider data
 		user.providers = pickBy(mapValues(doc.providers, val => pick(val, ['id', 'name', 'emails', 'created_at', 'modified_at'])), o => !isEmpty(o));
 
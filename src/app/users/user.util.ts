@@ -29,6 +29,7 @@ import { logger } from '../common/logger';
 import { mailer } from '../common/mailer';
 import { config } from '../common/settings';
 import { Context } from '../common/typings/context';
+import { GameDocument } from '../games/game.document';
 import { RatingDocument } from '../ratings/rating.document';
 import { ReleaseDocument } from '../releases/release.document';
 import { ReleaseVersionFileDocument } from '../releases/version/file/release.version.file.document';
@@ -263,6 +264,9 @@ export class UserUtil {
 			keepUser.password_hash = mergeUser.password_hash;
 			keepUser.password_salt = mergeUser.password_salt;
 		}
+		if (mergeUser.two_factor && mergeUser.two_factor.is_enabled && !(keepUser.two_factor && keepUser.two_factor.is_enabled)) {
+			keepUser.two_factor = mergeUser.two_factor;
+		}
 		if (mergeUser.location && !keepUser.location) {
 			keepUser.location = mergeUser.location;
 		}
@@ -303,6 +307,119 @@ export class UserUtil {
 		return keepUser;
 	}
 
+	/**
+	 * Removes all personal data of a user who deleted their account.
+	 *
+	 * The user document is kept so references from shared content stay
+	 * valid, but it's stripped down to an inactive, anonymous account that
+	 * can't log in anymore. Comments and authored content are handled as
+	 * configured in `vpdb.accountDeletion`.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @param {UserDocument} user User to anonymize
+	 * @return {Promise<UserDocument>} Anonymized user
+	 */
+	public static async anonymizeUser(ctx: Context, user: UserDocument): Promise<UserDocument> {
+
+		const policy = config.vpdb.accountDeletion;
+		let transferUser: UserDocument;
+		if (policy.content === 'transfer') {
+			transferUser = await state.models.User.findOne({ id: policy.transferTo }).exec();
+			if (!transferUser || transferUser._id.equals(user._id)) {
+				throw new ApiError('Cannot find user "%s" to transfer content to.', policy.transferTo).status(500).log();
+			}
+		}
+		logger.info(ctx.state, '[UserUtil.anonymizeUser] Anonymizing user %s...', user.id);
+
+		// 1. credentials and integrations
+		const tokenIds = (await state.models.Token.find({ _created_by: user._id }, '_id').exec()).map(t => t._id);
+		const applicationIds = (await state.models.Application.find({ _created_by: user._id }, '_id').exec()).map(a => a._id);
+		const webhookIds = (await state.models.Webhook.find({ _created_by: user._id }, '_id').exec()).map(w => w._id);
+		await state.models.TokenUsage.deleteMany({ _token: { $in: tokenIds } }).exec();
+		await state.models.Token.deleteMany({ $or: [{ _id: { $in: tokenIds } }, { _application: { $in: applicationIds } }] }).exec();
+		await state.models.Application.deleteMany({ _id: { $in: applicationIds } }).exec();
+		await state.models.WebhookDelivery.deleteMany({ _webhook: { $in: webhookIds } }).exec();
+		await state.models.Webhook.deleteMany({ _id: { $in: webhookIds } }).exec();
+
+		// 2. logs
+		await state.models.LogUser.deleteMany({ _user: user._id }).exec();
+		await state.models.LogEvent.updateMany({ _actor: user._id }, { ip: '0.0.0.0' }).exec();
+		await state.models.Star.deleteMany({ '_ref.user': user._id }).exec();
+
+		// 3. comments
+		if (policy.comments === 'delete') {
+			const comments = await state.models.Comment.find({ _from: user._id })
+				.populate({ path: '_ref.release', populate: { path: '_game' } })
+				.exec();
+			for (const comment of comments) {
+				const release = comment._ref.release as ReleaseDocument;
+				if (release) {
+					await release.incrementCounter('comments', -1);
+					await (release._game as GameDocument).incrementCounter('comments', -1);
+				}
+				await comment.remove();
+			}
+			logger.info(ctx.state, '[UserUtil.anonymizeUser] Deleted %s comment(s).', comments.length);
+		} else {
+			await state.models.Comment.updateMany({ _from: user._id }, { ip: '0.0.0.0' }).exec();
+		}
+
+		// 4. authored content
+		if (transferUser) {
+			for (const model of [ 'Backglass', 'Build', 'File', 'Game', 'Medium', 'Release', 'Rom', 'Tag' ]) {
+				await state.getModel(model).updateMany({ _created_by: user._id }, { _created_by: transferUser._id }).exec();
+			}
+			const authoredContent: Array<{ authors: ContentAuthor[], save: () => Promise<any> }> = [
+				...await state.models.Release.find({ 'authors._user': user._id }).exec(),
+				...await state.models.Backglass.find({ 'authors._user': user._id }).exec(),
+			];
+			for (const content of authoredContent) {
+				const isAuthor = content.authors.some((author: ContentAuthor) => transferUser._id.equals(author._user));
+				content.authors = content.authors
+					.filter((author: ContentAuthor) => !isAuthor || !user._id.equals(author._user))
+					.map((author: ContentAuthor) => {
+						if (user._id.equals(author._user)) {
+							author._user = transferUser._id;
+						}
+						return author;
+					});
+				await content.save();
+			}
+			logger.info(ctx.state, '[UserUtil.anonymizeUser] Transferred %s authored item(s) to user %s.', authoredContent.length, transferUser.id);
+		}
+
+		// 5. personal data
+		await acl.removeUserRoles(user.id, user.roles);
+		await state.models.User.updateOne({ _id: user._id }, {
+			$set: {
+				name: 'Deleted User ' + user.id,
+				email: user.id + '@deleted.invalid',
+				email_status: { code: 'confirmed' },
+				emails: [],
+				validated_emails: [],
+				roles: [],
+				is_local: false,
+				is_active: false,
+				two_factor: { is_enabled: false },
+				deleted_at: new Date(),
+			},
+			$unset: {
+				username: true,
+				providers: true,
+				password_hash: true,
+				password_salt: true,
+				password_reset: true,
+				thumb: true,
+				location: true,
+				preferences: true,
+				channel_config: true,
+			},
+		}).exec();
+
+		logger.info(ctx.state, '[UserUtil.anonymizeUser] Done anonymizing user %s.', user.id);
+		return state.models.User.findById(user._id).exec();
+	}
+
 	/**
 	 * Returns the ACLs for a given user.
 	 *
@@ -0,0 +1,233 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+'use strict';
+/*global describe, before, after, it*/
+const expect = require('expect.js');
+const http = require('http');
+const crypto = require('crypto');
+
+const ApiClient = require('../../test/api.client');
+
+const api = new ApiClient();
+
+describe('The VPDB `Webhook` API', () => {
+
+	let server, url, responseStatus = 200;
+	const received = [];
+	before(async () => {
+		await api.setupUsers({
+			member: { roles: ['member'] },
+			other: { roles: ['member'] },
+			moderator: { roles: ['moderator'] },
+		});
+		server = http.createServer((req, res) => {
+			let body = '';
+			req.on('data', chunk => body += chunk);
+			req.on('end', () => {
+				received.push({ headers: req.headers, body });
+				res.writeHead(responseStatus);
+				res.end();
+			});
+		});
+		await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+		url = `http://127.0.0.1:${server.address().port}/hook`;
+	});
+
+	after(async () => {
+		await api.teardown();
+		await new Promise(resolve => server.close(resolve));
+	});
+
+	describe('when creating a webhook', () => {
+
+		it('should fail without events', async () => {
+			await api.as('member')
+				.post('/v1/webhooks', { url })
+				.then(res => res.expectValidationError('events', 'at least one event'));
+		});
+
+		it('should fail with an invalid event', async () => {
+			await api.as('member')
+				.post('/v1/webhooks', { url, events: ['star_game', 'explode'] })
+				.then(res => res.expectValidationError('events', 'invalid event "explode"'));
+		});
+
+		it('should fail with an invalid URL', async () => {
+			await api.as('member')
+				.post('/v1/webhooks', { url: 'ftp://vpdb.io/hook', events: ['star_game'] })
+				.then(res => res.expectValidationError('url', 'valid http or https url'));
+		});
+
+		it('should fail with a short secret', async () => {
+			await api.as('member')
+				.post('/v1/webhooks', { url, secret: 'abc', events: ['star_game'] })
+				.then(res => res.expectValidationError('secret', 'at least 16 characters'));
+		});
+
+		it('should succeed and generate a secret', async () => {
+			const res = await api.as('member')
+				.markTeardown()
+				.post('/v1/webhooks', { url, events: ['star_game'] })
+				.then(res => res.expectStatus(201));
+			expect(res.data.id).to.be.ok();
+			expect(res.data.secret).to.match(/^[0-9a-f]{40}$/);
+			expect(res.data.events).to.eql(['star_game']);
+			expect(res.data.is_active).to.be(true);
+		});
+	});
+
+	describe('when managing webhooks', () => {
+
+		let webhook;
+		before(async () => {
+			webhook = await createWebhook('member', ['create_game']);
+		});
+
+		it('should only list own webhooks', async () => {
+			let res = await api.as('member').get('/v1/webhooks').then(res => res.expectStatus(200));
+			expect(res.data.find(w => w.id === webhook.id)).to.be.ok();
+			expect(res.data[0].secret).to.be(undefined);
+			res = await api.as('other').get('/v1/webhooks').then(res => res.expectStatus(200));
+			expect(res.data.find(w => w.id === webhook.id)).to.not.be.ok();
+		});
+
+		it('should fail viewing the webhook of another user', async () => {
+			await api.as('other').get('/v1/webhooks/' + webhook.id).then(res => res.expectError(404, 'no such webhook'));
+		});
+
+		it('should fail updating the webhook of another user', async () => {
+			await api.as('other').patch('/v1/webhooks/' + webhook.id, { is_active: false }).then(res => res.expectError(404, 'no such webhook'));
+		});
+
+		it('should update the events', async () => {
+			const res = await api.as('member')
+				.patch('/v1/webhooks/' + webhook.id, { events: ['create_game', 'update_game'] })
+				.then(res => res.expectStatus(200));
+			expect(res.data.events).to.eql(['create_game', 'update_game']);
+		});
+
+		it('should fail deleting the webhook of another user', async () => {
+			await api.as('other').del('/v1/webhooks/' + webhook.id).then(res => res.expectError(404, 'no such webhook'));
+		});
+
+		it('should delete the webhook', async () => {
+			const hook = await createWebhook('member', ['create_game'], false);
+			await api.as('member').del('/v1/webhooks/' + hook.id).then(res => res.expectStatus(204));
+			await api.as('member').get('/v1/webhooks/' + hook.id).then(res => res.expectError(404));
+		});
+	});
+
+	describe('when an event occurs', () => {
+
+		it('should deliver a signed payload', async () => {
+			const webhook = await createWebhook('member', ['star_game']);
+			const game = await api.gameHelper.createGame('moderator');
+			await api.as('other').post('/v1/games/' + game.id + '/star', {}).then(res => res.expectStatus(201));
+
+			const delivery = await waitForDelivery('member', webhook, 'delivered');
+			const req = received.find(r => r.headers['x-vpdb-delivery'] === delivery.id);
+			expect(req).to.be.ok();
+			const signature = 'sha256=' + crypto.createHmac('sha256', webhook.secret).update(req.body).digest('hex');
+			expect(req.headers['x-vpdb-signature']).to.be(signature);
+			expect(req.headers['x-vpdb-event']).to.be('star_game');
+			expect(req.headers['x-vpdb-delivery']).to.be(delivery.id);
+			expect(JSON.parse(req.body).event).to.be('star_game');
+			expect(JSON.parse(req.body).ref.game.id).to.be(game.id);
+			expect(delivery.attempts).to.have.length(1);
+			expect(delivery.attempts[0].status_code).to.be(200);
+
+			const res = await api.as('member').get('/v1/webhooks/' + webhook.id + '/deliveries/' + delivery.id).then(res => res.expectStatus(200));
+			expect(res.data.payload.event).to.be('star_game');
+		});
+
+		it('should not deliver events the webhook is not subscribed to', async () => {
+			const webhook = await createWebhook('member', ['unstar_game']);
+			await api.gameHelper.createGame('moderator');
+			const res = await api.as('member').get('/v1/webhooks/' + webhook.id + '/deliveries').then(res => res.expectStatus(200));
+			expect(res.data).to.be.empty();
+		});
+
+		it('should not deliver non-public events of other users', async () => {
+			const webhook = await createWebhook('other', ['update_game']);
+			const modWebhook = await createWebhook('moderator', ['update_game']);
+			const game = await api.gameHelper.createGame('moderator');
+			await api.as('moderator').patch('/v1/games/' + game.id, { title: 'Updated' }).then(res => res.expectStatus(200));
+			await waitForDelivery('moderator', modWebhook, 'delivered');
+			const res = await api.as('other').get('/v1/webhooks/' + webhook.id + '/deliveries').then(res => res.expectStatus(200));
+			expect(res.data).to.be.empty();
+		});
+
+		it('should retry failed deliveries and allow redelivery', async () => {
+			const webhook = await createWebhook('member', ['star_game']);
+			const game = await api.gameHelper.createGame('moderator');
+			responseStatus = 500;
+			await api.as('member').post('/v1/games/' + game.id + '/star', {}).then(res => res.expectStatus(201));
+
+			let delivery = await waitFor('member', webhook, delivery => delivery.attempts.length >= 2);
+			expect(delivery.status).to.be('pending');
+			expect(delivery.attempts[0].status_code).to.be(500);
+			expect(delivery.attempts[0].error).to.contain('500');
+			await api.as('member')
+				.post('/v1/webhooks/' + webhook.id + '/deliveries/' + delivery.id + '/redeliver', {})
+				.then(res => res.expectError(400, 'still pending'));
+
+			responseStatus = 200;
+			delivery = await waitForDelivery('member', webhook, 'delivered');
+			expect(delivery.attempts[delivery.attempts.length - 1].status_code).to.be(200);
+
+			await api.as('member')
+				.post('/v1/webhooks/' + webhook.id + '/deliveries/' + delivery.id + '/redeliver', {})
+				.then(res => res.expectStatus(202));
+			delivery = await waitFor('member', webhook, d => d.status === 'delivered' && d.attempts.length === delivery.attempts.length + 1);
+			expect(delivery).to.be.ok();
+		});
+
+		it('should fail listing the deliveries with an invalid status', async () => {
+			const webhook = await createWebhook('member', ['star_game']);
+			await api.as('member')
+				.get('/v1/webhooks/' + webhook.id + '/deliveries?status=lost')
+				.then(res => res.expectError(400, 'invalid status'));
+		});
+	});
+
+	async function createWebhook(user, events, teardown = true) {
+		const res = await api.as(user)
+			.markTeardown(teardown ? 'id' : false)
+			.post('/v1/webhooks', { url, events })
+			.then(res => res.expectStatus(201));
+		return res.data;
+	}
+
+	async function waitForDelivery(user, webhook, status) {
+		return waitFor(user, webhook, delivery => delivery.status === status);
+	}
+
+	async function waitFor(user, webhook, predicate) {
+		for (let i = 0; i < 50; i++) {
+			const res = await api.as(user).get('/v1/webhooks/' + webhook.id + '/deliveries').then(res => res.expectStatus(200));
+			const delivery = res.data.find(predicate);
+			if (delivery) {
+				return delivery;
+			}
+			await new Promise(resolve => setTimeout(resolve, 100));
+		}
+		throw new Error('Timed out waiting for delivery of webhook ' + webhook.id + '.');
+	}
+});
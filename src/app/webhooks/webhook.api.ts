@@ -0,0 +1,187 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { extend, pick } from 'lodash';
+import sanitize = require('mongo-sanitize');
+
+import { Api } from '../common/api';
+import { ApiError } from '../common/api.error';
+import { logger } from '../common/logger';
+import { Context } from '../common/typings/context';
+import { state } from '../state';
+import { webhookDeliveryStatuses } from './webhook.delivery.schema';
+import { WebhookDocument } from './webhook.document';
+import { webhookQueue } from './webhook.queue';
+
+export class WebhookApi extends Api {
+
+	/**
+	 * Registers a new webhook.
+	 *
+	 * If no secret is provided, a random one is generated. It's only
+	 * returned when creating or viewing the webhook.
+	 *
+	 * @see POST /v1/webhooks
+	 * @param {Context} ctx Koa context
+	 */
+	public async create(ctx: Context) {
+		const webhook = new state.models.Webhook(extend(pick(ctx.request.body, ['url', 'secret', 'events', 'is_active']), {
+			created_at: new Date(),
+			_created_by: ctx.state.user._id,
+		}));
+		await webhook.save();
+
+		logger.info(ctx.state, '[WebhookApi.create] Webhook %s to %s successfully created.', webhook.id, webhook.url);
+		this.success(ctx, state.serializers.Webhook.detailed(ctx, webhook), 201);
+	}
+
+	/**
+	 * Lists all webhooks of the logged user.
+	 *
+	 * @see GET /v1/webhooks
+	 * @param {Context} ctx Koa context
+	 */
+	public async list(ctx: Context) {
+		const webhooks = await state.models.Webhook.find({ _created_by: ctx.state.user._id }).sort({ created_at: -1 }).exec();
+		this.success(ctx, webhooks.map(webhook => state.serializers.Webhook.simple(ctx, webhook)));
+	}
+
+	/**
+	 * Returns a webhook of the logged user, including its secret.
+	 *
+	 * @see GET /v1/webhooks/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async view(ctx: Context) {
+		const webhook = await this.getWebhook(ctx);
+		this.success(ctx, state.serializers.Webhook.detailed(ctx, webhook));
+	}
+
+	/**
+	 * Updates a webhook.
+	 *
+	 * @see PATCH /v1/webhooks/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async update(ctx: Context) {
+		const updatableFields = ['url', 'secret', 'events', 'is_active'];
+		const webhook = await this.getWebhook(ctx);
+		extend(webhook, pick(ctx.request.body, updatableFields));
+		await webhook.save();
+
+		logger.info(ctx.state, '[WebhookApi.update] Webhook %s successfully updated.', webhook.id);
+		this.success(ctx, state.serializers.Webhook.detailed(ctx, webhook), 200);
+	}
+
+	/**
+	 * Deletes a webhook and its delivery log.
+	 *
+	 * @see DELETE /v1/webhooks/:id
+	 * @param {Context} ctx Koa context
+	 */
+	public async del(ctx: Context) {
+		const webhook = await this.getWebhook(ctx);
+		await state.models.WebhookDelivery.deleteMany({ _webhook: webhook._id }).exec();
+		await webhook.remove();
+
+		logger.info(ctx.state, '[WebhookApi.del] Webhook %s successfully deleted.', webhook.id);
+		this.success(ctx, null, 204);
+	}
+
+	/**
+	 * Lists the deliveries of a webhook, most recent first.
+	 *
+	 * @see GET /v1/webhooks/:id/deliveries
+	 * @param {Context} ctx Koa context
+	 */
+	public async listDeliveries(ctx: Context) {
+		const webhook = await this.getWebhook(ctx);
+		const pagination = this.pagination(ctx, 20, 100);
+		const query: any = { _webhook: webhook._id };
+		if (ctx.query.status) {
+			const statuses: string[] = ctx.query.status.split(',');
+			const invalidStatuses = statuses.filter(status => !webhookDeliveryStatuses.includes(status));
+			if (invalidStatuses.length) {
+				throw new ApiError('Invalid status "%s". Valid statuses are: [ %s ].', invalidStatuses.join('", "'), webhookDeliveryStatuses.join(', ')).status(400);
+			}
+			query.status = { $in: statuses };
+		}
+		if (ctx.query.event) {
+			query.event = sanitize(ctx.query.event);
+		}
+		const result = await state.models.WebhookDelivery.paginate(query, {
+			page: pagination.page,
+			limit: pagination.perPage,
+			sort: { created_at: -1 },
+		});
+		const deliveries = result.docs.map(delivery => state.serializers.WebhookDelivery.simple(ctx, delivery));
+		this.success(ctx, deliveries, 200, this.paginationOpts(pagination, result.total));
+	}
+
+	/**
+	 * Returns a delivery of a webhook, including its payload.
+	 *
+	 * @see GET /v1/webhooks/:id/deliveries/:deliveryId
+	 * @param {Context} ctx Koa context
+	 */
+	public async viewDelivery(ctx: Context) {
+		const webhook = await this.getWebhook(ctx);
+		const delivery = await state.models.WebhookDelivery.findOne({ id: sanitize(ctx.params.deliveryId), _webhook: webhook._id }).exec();
+		if (!delivery) {
+			throw new ApiError('No such delivery with ID "%s".', ctx.params.deliveryId).status(404);
+		}
+		this.success(ctx, state.serializers.WebhookDelivery.detailed(ctx, delivery));
+	}
+
+	/**
+	 * Sends a delivery again.
+	 *
+	 * @see POST /v1/webhooks/:id/deliveries/:deliveryId/redeliver
+	 * @param {Context} ctx Koa context
+	 */
+	public async redeliver(ctx: Context) {
+		const webhook = await this.getWebhook(ctx);
+		const delivery = await state.models.WebhookDelivery.findOne({ id: sanitize(ctx.params.deliveryId), _webhook: webhook._id }).exec();
+		if (!delivery) {
+			throw new ApiError('No such delivery with ID "%s".', ctx.params.deliveryId).status(404);
+		}
+		if (delivery.status === 'pending') {
+			throw new ApiError('Delivery is still pending.').status(400);
+		}
+		await webhookQueue.redeliver(delivery);
+
+		logger.info(ctx.state, '[WebhookApi.redeliver] Delivery %s queued again.', delivery.id);
+		this.success(ctx, state.serializers.WebhookDelivery.simple(ctx, delivery), 202);
+	}
+
+	/**
+	 * Retrieves a webhook of the logged user.
+	 *
+	 * @param {Context} ctx Koa context
+	 * @return {Promise<WebhookDocument>} Webhook
+	 * @throws {ApiError} If not found
+	 */
+	private async getWebhook(ctx: Context): Promise<WebhookDocument> {
+		const webhook = await state.models.Webhook.findOne({ id: sanitize(ctx.params.id), _created_by: ctx.state.user._id }).exec();
+		if (!webhook) {
+			throw new ApiError('No such webhook with ID "%s".', ctx.params.id).status(404);
+		}
+		return webhook;
+	}
+}
@@ -0,0 +1,53 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { PaginateModel, Schema } from 'mongoose';
+import paginatePlugin = require('mongoose-paginate');
+import { WebhookDeliveryDocument } from './webhook.delivery.document';
+
+const shortId = require('shortid32');
+
+export const webhookDeliveryStatuses = ['pending', 'delivered', 'failed'];
+
+//-----------------------------------------------------------------------------
+// SCHEMA
+//-----------------------------------------------------------------------------
+export const webhookDeliveryFields = {
+	id:           { type: String, required: true, unique: true, default: shortId.generate },
+	event:        { type: String, required: true },
+	payload:      { type: Schema.Types.Mixed, required: true }, // serialized log event, posted as body
+	status:       { type: String, enum: webhookDeliveryStatuses, required: true, default: 'pending', index: true },
+	attempts: [{
+		status_code:  { type: Number }, // not set if no response
+		duration:     { type: Number }, // in milliseconds
+		error:        { type: String },
+		attempted_at: { type: Date, required: true },
+	}],
+	_webhook:     { type: Schema.Types.ObjectId, required: true, ref: 'Webhook', index: true },
+	_log_event:   { type: Schema.Types.ObjectId, ref: 'LogEvent' },
+	created_at:   { type: Date, required: true },
+	delivered_at: { type: Date },
+};
+export interface WebhookDeliveryModel extends PaginateModel<WebhookDeliveryDocument> { }
+export const webhookDeliverySchema = new Schema(webhookDeliveryFields, { toObject: { virtuals: true, versionKey: false } });
+
+//-----------------------------------------------------------------------------
+// PLUGINS
+//-----------------------------------------------------------------------------
+webhookDeliverySchema.plugin(paginatePlugin);
@@ -0,0 +1,55 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { pick } from 'lodash';
+
+import { Serializer, SerializerLevel, SerializerOptions, SerializerReference } from '../common/serializer';
+import { Context } from '../common/typings/context';
+import { ModelName } from '../common/typings/models';
+import { WebhookDeliveryAttempt, WebhookDeliveryDocument } from './webhook.delivery.document';
+
+export class WebhookDeliverySerializer extends Serializer<WebhookDeliveryDocument> {
+
+	public readonly modelName: ModelName = 'WebhookDelivery';
+	public readonly references: { [level in SerializerLevel]: SerializerReference[] } = {
+		reduced: [],
+		simple: [],
+		detailed: [],
+	};
+
+	/* istanbul ignore next */
+	protected _reduced(ctx: Context, doc: WebhookDeliveryDocument, opts: SerializerOptions): WebhookDeliveryDocument {
+		return this._simple(ctx, doc, opts);
+	}
+
+	protected _simple(ctx: Context, doc: WebhookDeliveryDocument, opts: SerializerOptions): WebhookDeliveryDocument {
+		const delivery = pick(doc, ['id', 'event', 'status', 'created_at', 'delivered_at']) as WebhookDeliveryDocument;
+		delivery.attempts = (doc.attempts || []).map(attempt => pick(attempt, ['status_code', 'duration', 'error', 'attempted_at']) as WebhookDeliveryAttempt);
+		return delivery;
+	}
+
+	protected _detailed(ctx: Context, doc: WebhookDeliveryDocument, opts: SerializerOptions): WebhookDeliveryDocument {
+		const delivery = this._simple(ctx, doc, opts);
+
+		// payload
+		delivery.payload = doc.payload;
+
+		return delivery;
+	}
+}
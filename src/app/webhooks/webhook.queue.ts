@@ -0,0 +1,268 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import axios from 'axios';
+import Bull, { Job, Queue } from 'bull';
+import { createHmac } from 'crypto';
+import { Agent as HttpAgent } from 'http';
+import { Agent as HttpsAgent } from 'https';
+import { LookupFunction } from 'net';
+import { parse } from 'url';
+
+import { acl } from '../common/acl';
+import { logger } from '../common/logger';
+import { config } from '../common/settings';
+import { Context } from '../common/typings/context';
+import { LogEventDocument } from '../log-event/log.event.document';
+import { LogEventUtil } from '../log-event/log.event.util';
+import { state } from '../state';
+import { UserDocument } from '../users/user.document';
+import { WebhookDeliveryDocument } from './webhook.delivery.document';
+import { WebhookDocument } from './webhook.document';
+import { WebhookUtil } from './webhook.util';
+
+/**
+ * How many times a delivery is attempted before giving up.
+ */
+const maxAttempts = 6;
+
+/**
+ * Delay before the first retry in milliseconds. It doubles with every
+ * further attempt, so the last retry is sent about 15 minutes after the
+ * event.
+ */
+const backoffDelay = process.env.NODE_ENV === 'test' ? 200 : 30000;
+
+/**
+ * Time in milliseconds the receiver has to respond.
+ */
+const timeout = 10000;
+
+/**
+ * Delivers log events to the webhooks subscribed to them.
+ *
+ * Every delivery is persisted with its attempts, so users can see what
+ * was sent and how their endpoint answered. The HTTP requests are sent
+ * from a Bull queue, which retries failed deliveries with an exponential
+ * backoff.
+ */
+class WebhookQueue {
+
+	private readonly queue: Queue;
+
+	constructor() {
+		this.queue = new Bull('webhooks', {
+			redis: {
+				port: config.vpdb.redis.port,
+				host: config.vpdb.redis.host,
+				db: config.vpdb.redis.db,
+			},
+		});
+		this.queue.process(this.deliver.bind(this));
+	}
+
+	/**
+	 * Queues a log event for all active webhooks subscribed to it.
+	 *
+	 * Public events are sent to every subscriber. Non-public events are only
+	 * sent to users involved in the event, and to users allowed to receive
+	 * all events (i.e. moderators).
+	 *
+	 * @param ctx Koa context
+	 * @param log Saved log event
+	 */
+	public async dispatch(ctx: Context, log: LogEventDocument): Promise<void> {
+		try {
+			const webhooks = await state.models.Webhook.find({ is_active: true, events: log.event }).populate('_created_by').exec();
+			if (!webhooks.length) {
+				return;
+			}
+			const recipients = log.is_public ? [] : await LogEventUtil.getRecipients(log);
+			const logEvent = await state.models.LogEvent.findById(log._id)
+				.populate('_actor')
+				.populate('_ref.game')
+				.populate('_ref.release')
+				.populate('_ref.backglass')
+				.populate('_ref.user')
+				.exec();
+			const payload = state.serializers.LogEvent.simple(ctx, logEvent);
+
+			for (const webhook of webhooks) {
+				if (!await this.isVisible(webhook, log, recipients)) {
+					continue;
+				}
+				const delivery = new state.models.WebhookDelivery({
+					event: log.event,
+					payload,
+					_webhook: webhook._id,
+					_log_event: log._id,
+					created_at: new Date(),
+				});
+				await delivery.save();
+				await this.enqueue(delivery);
+			}
+
+		} catch (err) {
+			/* istanbul ignore next: we don't want to fail the request because of a webhook */
+			logger.error(ctx.state, '[WebhookQueue.dispatch] Error dispatching event %s: %s', log.event, err.message);
+		}
+	}
+
+	/**
+	 * Queues an existing delivery again.
+	 *
+	 * @param delivery Delivery to send again
+	 */
+	public async redeliver(delivery: WebhookDeliveryDocument): Promise<void> {
+		delivery.status = 'pending';
+		delivery.delivered_at = undefined;
+		await delivery.save();
+		await this.enqueue(delivery);
+	}
+
+	/**
+	 * Computes the signature of a payload.
+	 *
+	 * @param secret Secret of the webhook
+	 * @param body Serialized payload
+	 * @return Value of the `X-Vpdb-Signature` header
+	 */
+	public sign(secret: string, body: string): string {
+		return 'sha256=' + createHmac('sha256', secret).update(body).digest('hex');
+	}
+
+	/**
+	 * Adds a delivery to the queue.
+	 *
+	 * @param delivery Delivery to send
+	 */
+	private async enqueue(delivery: WebhookDeliveryDocument): Promise<void> {
+		await this.queue.add({ deliveryId: delivery.id }, {
+			attempts: maxAttempts,
+			backoff: { type: 'exponential', delay: backoffDelay },
+			removeOnComplete: true,
+			removeOnFail: true,
+		});
+	}
+
+	/**
+	 * Sends a delivery to its webhook. This is executed in Bull's worker.
+	 *
+	 * Every attempt is logged on the delivery. Throwing makes Bull retry
+	 * the job until the maximal number of attempts is reached.
+	 *
+	 * @param job Bull job
+	 */
+	private async deliver(job: Job): Promise<void> {
+		const delivery = await state.models.WebhookDelivery.findOne({ id: job.data.deliveryId }).populate('_webhook').exec();
+		if (!delivery || !delivery._webhook) {
+			logger.warn(null, '[WebhookQueue.deliver] Delivery %s or its webhook is gone, skipping.', job.data.deliveryId);
+			return;
+		}
+		const webhook = delivery._webhook as WebhookDocument;
+		const body = JSON.stringify(delivery.payload);
+		const attemptedAt = new Date();
+		let statusCode: number;
+		let error: string;
+		try {
+			const lookup = await this.getLookup(webhook.url);
+			const res = await axios.post(webhook.url, body, {
+				headers: {
+					'Content-Type': 'application/json; charset=utf-8',
+					'User-Agent': 'VPDB-Webhook/1.0',
+					'X-Vpdb-Event': delivery.event,
+					'X-Vpdb-Delivery': delivery.id,
+					'X-Vpdb-Signature': this.sign(webhook.secret, body),
+				},
+				timeout,
+				httpAgent: new HttpAgent({ lookup } as any),
+				httpsAgent: new HttpsAgent({ lookup }),
+				maxRedirects: 0,
+				maxContentLength: 65536,
+				validateStatus: () => true,
+			});
+			statusCode = res.status;
+			if (statusCode < 200 || statusCode >= 300) {
+				error = `Endpoint responded with status ${statusCode}.`;
+			}
+		} catch (err) {
+			error = err.message;
+		}
+
+		delivery.attempts.push({ status_code: statusCode, duration: Date.now() - attemptedAt.getTime(), error, attempted_at: attemptedAt });
+		if (!error) {
+			delivery.status = 'delivered';
+			delivery.delivered_at = new Date();
+		} else if (job.attemptsMade + 1 >= maxAttempts) {
+			delivery.status = 'failed';
+		}
+		await delivery.save();
+
+		if (error) {
+			logger.info(null, '[WebhookQueue.deliver] Delivery %s to %s failed (attempt %s/%s): %s', delivery.id, webhook.url, job.attemptsMade + 1, maxAttempts, error);
+			throw new Error(error);
+		}
+		logger.info(null, '[WebhookQueue.deliver] Delivered %s to %s.', delivery.id, webhook.url);
+	}
+
+	/**
+	 * Resolves the host of a webhook URL and returns a lookup function that
+	 * only returns the resolved addresses.
+	 *
+	 * Since the host is resolved at every delivery and the connection is
+	 * made to the checked addresses, a host name that was changed to point
+	 * to a private address after the webhook was created is refused as
+	 * well.
+	 *
+	 * @param {string} url Webhook URL
+	 * @return {Promise<LookupFunction>} Lookup function for the HTTP agent
+	 * @throws {Error} If the host resolves to a private address.
+	 */
+	private async getLookup(url: string): Promise<LookupFunction> {
+		// tests post to a local server
+		const addresses = await WebhookUtil.resolve(parse(url).hostname, process.env.NODE_ENV === 'test');
+		return (hostname: string, options: any, callback: any) => {
+			if (options.all) {
+				return callback(null, addresses);
+			}
+			const address = addresses.find(a => !options.family || a.family === options.family) || addresses[0];
+			callback(null, address.address, address.family);
+		};
+	}
+
+	/**
+	 * Checks whether the owner of a webhook is allowed to see a log event.
+	 *
+	 * @param webhook Webhook with populated owner
+	 * @param log Log event
+	 * @param recipients Users involved in the event if not public
+	 */
+	private async isVisible(webhook: WebhookDocument, log: LogEventDocument, recipients: string[]): Promise<boolean> {
+		if (log.is_public) {
+			return true;
+		}
+		const owner = webhook._created_by as UserDocument;
+		if (!owner) {
+			return false;
+		}
+		return recipients.includes(owner.id) || acl.isAllowed(owner.id, 'webhooks', 'receive-all');
+	}
+}
+
+export const webhookQueue = new WebhookQueue();
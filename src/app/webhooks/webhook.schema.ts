@@ -0,0 +1,82 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { randomBytes } from 'crypto';
+import { isArray, isString } from 'lodash';
+import { PaginateModel, Schema } from 'mongoose';
+import paginatePlugin = require('mongoose-paginate');
+import { parse } from 'url';
+import { isURL } from 'validator';
+
+import { events } from '../log-event/log.event.schema';
+import { WebhookDocument } from './webhook.document';
+import { WebhookUtil } from './webhook.util';
+
+const shortId = require('shortid32');
+
+//-----------------------------------------------------------------------------
+// SCHEMA
+//-----------------------------------------------------------------------------
+export const webhookFields = {
+	id: { type: String, required: true, unique: true, default: shortId.generate },
+	url: { type: String, required: 'A URL must be provided.' },
+	secret: { type: String, required: true, default: () => randomBytes(20).toString('hex') },
+	events: { type: [String] },
+	is_active: { type: Boolean, required: true, default: true },
+	created_at: { type: Date, required: true },
+	_created_by: { type: Schema.Types.ObjectId, required: true, ref: 'User', index: true },
+};
+export interface WebhookModel extends PaginateModel<WebhookDocument> { }
+export const webhookSchema = new Schema(webhookFields, { toObject: { virtuals: true, versionKey: false } });
+
+//-----------------------------------------------------------------------------
+// VALIDATIONS
+//-----------------------------------------------------------------------------
+webhookSchema.path('url').validate(function(url: string) {
+	if (!isString(url) || !isURL(url, { protocols: ['http', 'https'], require_protocol: true, require_tld: process.env.NODE_ENV !== 'test' })) {
+		this.invalidate('url', 'URL must be a valid HTTP or HTTPS URL.');
+		return true;
+	}
+	// tests post to a local server
+	if (process.env.NODE_ENV !== 'test' && WebhookUtil.isPrivateHost(parse(url).hostname)) {
+		this.invalidate('url', 'URL must not point to a local or private address.');
+	}
+	return true;
+});
+
+webhookSchema.path('secret').validate((secret: string) => {
+	return isString(secret) && secret.length >= 16;
+}, 'Secret must contain at least 16 characters.');
+
+webhookSchema.path('events').validate(function(value: string[]) {
+	if (!isArray(value) || value.length === 0) {
+		this.invalidate('events', 'At least one event must be provided.');
+		return true;
+	}
+	const invalidEvents = value.filter(event => !events.includes(event));
+	if (invalidEvents.length) {
+		this.invalidate('events', 'Invalid event "' + invalidEvents[0] + '". Events must be one or more of the following: [ "' + events.join('", "') + '" ].');
+	}
+	return true;
+});
+
+//-----------------------------------------------------------------------------
+// PLUGINS
+//-----------------------------------------------------------------------------
+webhookSchema.plugin(paginatePlugin);
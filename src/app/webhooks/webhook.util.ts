@@ -0,0 +1,118 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { lookup, LookupAddress } from 'dns';
+import { isIP } from 'net';
+import { promisify } from 'util';
+
+const lookupAsync = promisify(lookup);
+
+export class WebhookUtil {
+
+	/**
+	 * Checks whether a host name is a loopback, private or link-local
+	 * address, or a local host name.
+	 *
+	 * Only literal addresses are checked, host names are not resolved.
+	 *
+	 * @param {string} hostname Host name of the URL
+	 * @return {boolean} True if private, false otherwise.
+	 */
+	public static isPrivateHost(hostname: string): boolean {
+		hostname = (hostname || '').toLowerCase().replace(/^\[|]$/g, '');
+		if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+			return true;
+		}
+		return isIP(hostname) ? WebhookUtil.isPrivateAddress(hostname) : false;
+	}
+
+	/**
+	 * Resolves a host name to all its addresses and makes sure none of them
+	 * is a loopback, private or link-local address.
+	 *
+	 * Deliveries connect to the returned addresses only, so the host name
+	 * can't be pointed to another address between the check and the
+	 * request.
+	 *
+	 * @param {string} hostname Host name of the URL
+	 * @param {boolean} [allowPrivate] If set, private addresses are accepted
+	 * @return {Promise<LookupAddress[]>} Resolved addresses
+	 * @throws {Error} If the host name doesn't resolve or resolves to a private address.
+	 */
+	public static async resolve(hostname: string, allowPrivate = false): Promise<LookupAddress[]> {
+		hostname = (hostname || '').replace(/^\[|]$/g, '');
+		if (!allowPrivate && WebhookUtil.isPrivateHost(hostname)) {
+			throw new Error(`Host ${hostname} is a local or private address.`);
+		}
+		const addresses: LookupAddress[] = isIP(hostname)
+			? [ { address: hostname, family: isIP(hostname) } ]
+			: await lookupAsync(hostname, { all: true }) as any;
+		const privateAddress = allowPrivate ? null : addresses.find(a => WebhookUtil.isPrivateAddress(a.address));
+		if (privateAddress) {
+			throw new Error(`Host ${hostname} resolves to the local or private address ${privateAddress.address}.`);
+		}
+		return addresses;
+	}
+
+	/**
+	 * Checks whether an IP address is in the unspecified, loopback, private,
+	 * unique local or link-local range, including IPv4 addresses mapped to
+	 * IPv6.
+	 *
+	 * @param {string} address IPv4 or IPv6 address
+	 * @return {boolean} True if private, false otherwise.
+	 */
+	public static isPrivateAddress(address: string): boolean {
+		if (isIP(address) === 4) {
+			const [a, b] = address.split('.').map(n => parseInt(n, 10));
+			return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) || (a === 192 && b === 168);
+		}
+		if (isIP(address) === 6) {
+			const groups = WebhookUtil.expandIPv6(address.toLowerCase());
+			const isUnspecifiedOrLoopback = groups.slice(0, 7).every(g => g === 0) && groups[7] <= 1;
+			const isMappedIPv4 = groups.slice(0, 5).every(g => g === 0) && groups[5] === 0xffff;
+			if (isMappedIPv4) {
+				return WebhookUtil.isPrivateAddress([ Math.floor(groups[6] / 256), groups[6] % 256, Math.floor(groups[7] / 256), groups[7] % 256 ].join('.'));
+			}
+			return isUnspecifiedOrLoopback
+				|| (groups[0] >= 0xfc00 && groups[0] <= 0xfdff)  // unique local, fc00::/7
+				|| (groups[0] >= 0xfe80 && groups[0] <= 0xfebf); // link-local, fe80::/10
+		}
+		return false;
+	}
+
+	/**
+	 * Returns the eight 16-bit groups of an IPv6 address.
+	 *
+	 * @param {string} address Valid IPv6 address, optionally with an embedded IPv4 address
+	 * @return {number[]} Groups
+	 */
+	private static expandIPv6(address: string): number[] {
+		const ipv4 = address.match(/(\d+)\.(\d+)\.(\d+)\.(\d+)$/);
+		if (ipv4) {
+			const [a, b, c, d] = ipv4.slice(1).map(n => parseInt(n, 10));
+			address = address.substr(0, ipv4.index) + (a * 256 + b).toString(16) + ':' + (c * 256 + d).toString(16);
+		}
+		const [head, tail] = address.split('::');
+		const headGroups = head ? head.split(':') : [];
+		const tailGroups = tail ? tail.split(':') : [];
+		const zeros = tail === undefined ? [] : new Array(8 - headGroups.length - tailGroups.length).fill('0');
+		return [ ...headGroups, ...zeros, ...tailGroups ].map(g => parseInt(g, 16));
+	}
+}
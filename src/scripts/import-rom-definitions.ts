@@ -0,0 +1,64 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+/* tslint:disable:no-console */
+import mongoose from 'mongoose';
+import { endPoints } from '../app/common/api.endpoints';
+import { config } from '../app/common/settings';
+import { RomDefinitionImporter } from '../app/roms/definition/rom.definition.importer';
+
+/**
+ * Imports ROM definitions from a MAME or PinMAME XML listing.
+ *
+ * Usage: APP_SETTINGS=config/settings.js node -r ts-node/register src/scripts/import-rom-definitions.ts pinmame.xml
+ */
+(async () => {
+
+	try {
+		const path = process.argv[2];
+		if (!path) {
+			throw new Error('Path to the XML listing must be provided.');
+		}
+
+		await bootstrapDatabase();
+
+		const result = await new RomDefinitionImporter().import(null, path);
+		console.log('Created: %d', result.created);
+		console.log('Updated: %d', result.updated);
+
+	} catch (err) {
+		console.error('Import error.');
+		console.error(err.stack);
+
+	} finally {
+		await closeDatabase();
+		process.exit(0);
+	}
+})();
+
+async function bootstrapDatabase() {
+	await mongoose.connect(config.vpdb.db, { useNewUrlParser: true });
+	for (const endPoint of endPoints) {
+		endPoint.registerModel();
+	}
+}
+
+async function closeDatabase() {
+	await mongoose.connection.close();
+}
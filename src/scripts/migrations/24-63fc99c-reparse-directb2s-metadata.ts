@@ -0,0 +1,55 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { logger } from '../../app/common/logger';
+import { Directb2sMetadata } from '../../app/files/metadata/directb2s.metadata';
+import { Metadata } from '../../app/files/metadata/metadata';
+import { storageBackend } from '../../app/files/storage/storage.backend';
+import { state } from '../../app/state';
+
+/**
+ * Reads backglass files again that were uploaded before the full model of
+ * the DirectB2S file was parsed.
+ */
+export async function up() {
+
+	logger.info(null, '[migrate-24] Re-parsing outdated DirectB2S metadata...');
+	const files = await state.models.File.find({ mime_type: 'application/x-directb2s' }).exec();
+	let numUpdated = 0;
+	for (const file of files) {
+		if (!Directb2sMetadata.isOutdated(file.metadata)) {
+			continue;
+		}
+		const path = file.getPath(null);
+		if (!(await storageBackend.fetch(null, path))) {
+			logger.warn(null, '[migrate-24] Cannot find %s, skipping.', file.toShortString());
+			continue;
+		}
+		try {
+			const metadata = await Metadata.readFrom(null, file, path);
+			await state.models.File.updateOne({ _id: file._id }, { metadata }).exec();
+			numUpdated++;
+
+		} catch (err) {
+			logger.error(null, '[migrate-24] Error parsing %s: %s', file.toShortString(), err.message);
+		}
+	}
+
+	logger.info(null, '[migrate-24] All done, updated %s file(s).', numUpdated);
+}
@@ -0,0 +1,56 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { logger } from '../../app/common/logger';
+import { visualPinballTable } from '../../app/common/visualpinball.table';
+import { storageBackend } from '../../app/files/storage/storage.backend';
+import { state } from '../../app/state';
+
+/**
+ * Adds the statistics to table files uploaded before they were extracted,
+ * so releases can be filtered by them.
+ */
+export async function up() {
+
+	logger.info(null, '[migrate-25] Backfilling table statistics...');
+	const files = await state.models.File.find({
+		file_type: 'release',
+		mime_type: { $in: ['application/x-visual-pinball-table', 'application/x-visual-pinball-table-x'] },
+		'metadata.statistics': { $exists: false },
+	}).exec();
+
+	let numUpdated = 0;
+	for (const file of files) {
+		const path = file.getPath(null);
+		if (!(await storageBackend.fetch(null, path))) {
+			logger.warn(null, '[migrate-25] Cannot find %s, skipping.', file.toShortString());
+			continue;
+		}
+		try {
+			const statistics = await visualPinballTable.getStatistics(null, path);
+			await state.models.File.updateOne({ _id: file._id }, { 'metadata.statistics': statistics }).exec();
+			numUpdated++;
+
+		} catch (err) {
+			logger.error(null, '[migrate-25] Error reading statistics of %s: %s', file.toShortString(), err.message);
+		}
+	}
+
+	logger.info(null, '[migrate-25] All done, updated %s of %s file(s).', numUpdated, files.length);
+}
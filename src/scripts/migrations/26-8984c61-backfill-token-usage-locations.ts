@@ -0,0 +1,39 @@
+/*
+ * VPDB - Virtual Pinball Database
+ * Copyright (C) 2019 freezy <freezy@vpdb.io>
+ *
+ * This program is free software; you can redistribute it and/or
+ * modify it under the terms of the GNU General Public License
+ * as published by the Free Software Foundation; either version 2
+ * of the License, or (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program; if not, write to the Free Software
+ * Foundation, Inc., 51 Franklin Street, Fifth Floor, Boston, MA  02110-1301, USA.
+ */
+
+import { logger } from '../../app/common/logger';
+import { state } from '../../app/state';
+
+/**
+ * Adds the locations tokens were used from so far, so the first request of
+ * a known location doesn't count as new.
+ */
+export async function up() {
+
+	logger.info(null, '[migrate-26] Backfilling token usage locations...');
+	const locations: Array<{ _id: any, locations: string[] }> = await state.models.TokenUsage.aggregate([
+		{ $group: { _id: '$_token', locations: { $addToSet: { $ifNull: [ '$country', '$ip_range' ] } } } },
+	]).exec();
+
+	for (const token of locations) {
+		await state.models.Token.updateOne({ _id: token._id }, { $addToSet: { usage_locations: { $each: token.locations } } }).exec();
+	}
+
+	logger.info(null, '[migrate-26] All done, updated %s token(s).', locations.length);
+}
@@ -11,6 +11,7 @@ const writeFileSync = require('fs').writeFileSync;
 const createReadStream = require('fs').createReadStream;
 const parseUrl = require('url').parse;
 const FormData = require('form-data');
+const WebSocket = require('ws');
 
 const FileHelper = require('./file.helper');
 const ReleaseHelper = require('./release.helper');
@@ -56,12 +57,20 @@ class ApiClient {
 		 */
 		this._tearDown = [];
 
+		/**
+		 * Websockets opened with {@link connect}, closed on teardown.
+		 * @type {WebSocket[]}
+		 * @private
+		 */
+		this._sockets = [];
+
 		const scheme = opts.scheme || process.env.HTTP_SCHEME || 'http';
 		const host = opts.host || process.env.HOST || 'localhost';
 		const port = opts.port || process.env.PORT || 7357;
 		const path = opts.path || process.env.API_PATH || '/api';
 		this._baseUrl = scheme + '://' + host + ':' + port;
 		this._authHeader = opts.authHeader || process.env.AUTH_HEADER || 'Authorization';
+		this._apiPath = path;
 		this._apis = {
 			'/api': 'api.vpdb.io',
 			'/storage': 'storage.vpdb.io',
@@ -497,12 +506,14 @@ class ApiClient {
 	/**
 	 * Deletes a resource at the VPDB backend.
 	 * @param {string} path API path, usually starting with "/v1/..."
+	 * @param {Object} [data] Request body
 	 * @returns {Promise<ApiClientResult>}
 	 */
-	async del(path) {
+	async del(path, data) {
 		return await this._request({
 			url: path,
 			method: 'delete',
+			data: data
 		});
 	}
 
@@ -518,6 +529,18 @@ class ApiClient {
 		});
 	}
 
+	/**
+	 * Requests the supported options of a resource from the VPDB backend.
+	 * @param {string} path API path, usually starting with "/v1/..."
+	 * @returns {Promise<ApiClientResult>}
+	 */
+	async options(path) {
+		return await this._request({
+			url: path,
+			method: 'options',
+		});
+	}
+
 	/**
 	 * Gets the response headers from a resource from the VPDB backend.
 	 * @param {string} path Absolute path
@@ -536,6 +559,10 @@ class ApiClient {
 	 * @return {Promise<void>}
 	 */
 	async teardown() {
+		for (let socket of this._sockets) {
+			socket.terminate();
+		}
+		this._sockets = [];
 		for (let entity of this._tearDown.reverse()) {
 			let req;
 			if (entity.user) {
@@ -689,6 +716,41 @@ class ApiClient {
 			});
 	};
 
+	/**
+	 * Opens a websocket to the realtime API.
+	 *
+	 * Resolves when the connection is open, or rejects with the HTTP
+	 * status and body if the upgrade was refused.
+	 *
+	 * @param {string} [user] User reference to authenticate with, or none for anonymous.
+	 * @param {Object<string, string>} [query] Query parameters, e.g. `app_name`.
+	 * @param {Object<string, string>} [headers] Additional headers. Overrides the authorization header.
+	 * @returns {Promise<WebSocket>} Open websocket
+	 */
+	async connect(user, query, headers) {
+		headers = assign(user ? { [this._authHeader]: 'Bearer ' + this.getToken(user) } : {}, headers || {});
+		const qs = keys(query || {}).map(key => encodeURIComponent(key) + '=' + encodeURIComponent(query[key])).join('&');
+		const url = this._baseUrl.replace(/^http/, 'ws') + this._apiPath + '/v1/realtime' + (qs ? '?' + qs : '');
+		return new Promise((resolve, reject) => {
+			const socket = new WebSocket(url, { headers });
+			socket.once('open', () => {
+				this._sockets.push(socket);
+				resolve(socket);
+			});
+			socket.once('unexpected-response', (req, res) => {
+				let body = '';
+				res.on('data', chunk => body += chunk);
+				res.on('end', () => {
+					const err = new Error('Websocket upgrade refused with status ' + res.statusCode + ': ' + body);
+					err.status = res.statusCode;
+					err.body = body ? JSON.parse(body) : null;
+					reject(err);
+				});
+			});
+			socket.once('error', reject);
+		});
+	}
+
 	/**
 	 * Retrieves the user profile from a given token response.
 	 *
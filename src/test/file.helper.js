@@ -140,6 +140,22 @@ class FileHelper {
 		return res.data;
 	}
 
+	async createHighscoreProof(user, opts) {
+		opts = opts || {};
+		const teardown = opts.keep ? false : undefined;
+		const data = await this.imageHelper.createPng(640, 480);
+		const res = await this.api.onStorage()
+			.as(user)
+			.markTeardown(teardown)
+			.withQuery({ type: 'highscore' })
+			.withContentType('image/png')
+			.withHeader('Content-Disposition', 'attachment; filename="highscore.png"')
+			.withHeader('Content-Length', data.length)
+			.post('/v1/files', data)
+			.then(res => res.expectStatus(201));
+		return res.data;
+	}
+
 	async createRar(user, opts) {
 		opts = opts || {};
 		const file = opts.file || 'dmd.rar';
@@ -193,6 +209,31 @@ class FileHelper {
 		return res.data;
 	}
 
+	/**
+	 * Creates a PinMAME NVRAM file matching the test map of the "hulk" ROM.
+	 *
+	 * Grand champion is "KHN" with 1,234,567 points, first high score is
+	 * "123" with 9,900,000 points.
+	 */
+	async createNvram(user, opts) {
+		opts = opts || {};
+		const fileName = opts.fileName || 'hulk.nv';
+		const teardown = opts.keep ? false : undefined;
+		const data = Buffer.alloc(256);
+		data.set([ 20, 17, 23, 0x01, 0x23, 0x45, 0x67 ], 0x10);
+		data.set([ 1, 2, 3, 0x00, 0x99, 0x00, 0x00 ], 0x20);
+		const res = await this.api.onStorage()
+			.as(user)
+			.markTeardown(teardown)
+			.withQuery({ type: 'nvram' })
+			.withContentType('application/x-pinmame-nvram')
+			.withHeader('Content-Disposition', 'attachment; filename="' + fileName + '"')
+			.withHeader('Content-Length', data.length)
+			.post('/v1/files', data)
+			.then(res => res.expectStatus(201));
+		return res.data;
+	}
+
 	async createTextfile(user, opts) {
 		opts = opts || {};
 		const teardown = opts.keep ? false : undefined;
@@ -354,9 +395,19 @@ class FileHelper {
 			  <GrillHeight Value="0" />
 			  <DMDDefaultLocationX Value="0" />
 			  <DMDDefaultLocationY Value="0" />
-			  <Animations />
-			  <Scores />
-			  <Illumination />
+			  <Animations>
+				<Animation Name="Attract" Parent="Backglass" DualMode="0" Interval="100" Loops="0" IDJoin="" StartAnimationAtBackglassStartup="1" LightsStateAtAnimationStart="0" LightsStateAtAnimationEnd="2" AnimationStopBehaviour="0" LockInvolvedLamps="0" HideScoreDisplays="0" BringToFront="0" RandomStart="0">
+				  <AnimationStep Step="1" On="Shoot Again" WaitLoopsAfterOn="2" Off="" WaitLoopsAfterOff="0" />
+				  <AnimationStep Step="2" On="" WaitLoopsAfterOn="0" Off="Shoot Again" WaitLoopsAfterOff="2" />
+				</Animation>
+			  </Animations>
+			  <Scores>
+				<Score Parent="Backglass" ID="1" B2SStartDigit="1" B2SScoreType="0" B2SPlayerNo="1" ReelType="Dream7LED8" ReelLitColor="255.0.0" ReelDarkColor="15.15.15" Glow="1200" Thickness="1100" Shear="10" Digits="7" Spacing="10" DisplayState="0" LocX="100" LocY="800" Width="300" Height="50" />
+			  </Scores>
+			  <Illumination>
+				<Bulb ID="1" Parent="Backglass" Name="Shoot Again" B2SID="0" B2SIDType="0" B2SValue="0" RomID="39" RomIDType="1" RomInverted="0" InitialState="0" DualMode="0" Intensity="1" LightColor="255.255.255" DodgeColor="0.0.0" IsImageSnippit="0" Visible="1" ZOrder="0" LocX="10" LocY="20" Width="100" Height="40" Image="iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAYAAABzenr0AAAAAXNSR0IArs4c6QAAAARnQU1BAACx&#xD;&#xA;jwv8YQUAAAAJcEhZcwAADsMAAA7DAcdvqGQAAAAvSURBVFhH7c4hAQAACAMw+tDfvhrEuJmY3+zm&#xD;&#xA;mgQEBAQEBAQEBAQEBAQEBMqB3AOdXkx5NpzLCAAAAABJRU5ErkJggg==" />
+				<Bulb ID="2" Parent="Backglass" Name="Tilt" B2SID="0" B2SIDType="0" B2SValue="0" RomID="7" RomIDType="2" RomInverted="1" InitialState="0" DualMode="0" Intensity="1" LightColor="255.0.0" DodgeColor="0.0.0" IsImageSnippit="0" Visible="1" ZOrder="0" LocX="200" LocY="20" Width="100" Height="40" Image="" />
+			  </Illumination>
 			  <Images>
 				<ThumbnailImage Value="iVBORw0KGgoAAAANSUhEUgAAACAAAAAgCAYAAABzenr0AAAAAXNSR0IArs4c6QAAAARnQU1BAACx&#xD;&#xA;jwv8YQUAAAAJcEhZcwAADsMAAA7DAcdvqGQAAAAvSURBVFhH7c4hAQAACAMw+tDfvhrEuJmY3+zm&#xD;&#xA;mgQEBAQEBAQEBAQEBAQEBMqB3AOdXkx5NpzLCAAAAABJRU5ErkJggg==" />
 				<BackglassImage Type="0" RomID="0" RomIDType="0" FileName="backglass.png" Value="${image.toString('base64')}" />